@@ -1,45 +1,66 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
+const { program, Option } = require('commander');
 const pkg = require('../package.json');
+const { defineCommand } = require('../src/utils/command-options');
 const RadiusCommand = require('../src/commands/radius');
 const LocationCommand = require('../src/commands/location');
 const CensusCommand = require('../src/commands/census');
 const BatchCommand = require('../src/commands/batch');
 const ReverseCommand = require('../src/commands/reverse');
+const DataCommand = require('../src/commands/data');
+const ServeCommand = require('../src/commands/serve');
+const CacheCommand = require('../src/commands/cache');
+const SourcesCommand = require('../src/commands/sources');
+const APIClient = require('../src/data/sources/api-client');
+const Config = require('../src/utils/config');
 
 program
   .name('zipcode-lookup')
   .description(pkg.description)
   .version(pkg.version);
 
+/**
+ * Build the dependencies shared by a command from the global options
+ * @returns {Object} {apiClient}
+ */
+function createDependencies() {
+  const { cache, record, replay } = program.opts();
+  const config = new Config({ values: cache ? null : { cache: { enabled: false } } });
+  return { apiClient: new APIClient({ config, record, replay }) };
+}
+
+/**
+ * Print a lookup command's output
+ * Zipped shapefiles are binary, so they are written to stdout unchanged and never to a terminal
+ * @param {string|Buffer} result - Formatted output
+ */
+function printResult(result) {
+  if (!Buffer.isBuffer(result)) {
+    console.log(result);
+    return;
+  }
+
+  if (process.stdout.isTTY) {
+    throw new Error('Shapefile output is a ZIP archive; redirect it to a file, e.g. > results.zip');
+  }
+  process.stdout.write(result);
+}
+
 // Radius search command
-program
-  .command('radius')
-  .description('Find zipcodes within a radius of a given zipcode')
-  .requiredOption('-z, --zip <zipcode>', 'Base zipcode for radius search')
-  .requiredOption('-m, --miles <distance>', 'Radius in miles', parseFloat)
-  .option('-s, --source <type>', 'Data source: nominatim, zippopotam, zipcodes, googlemaps, local, auto', 'auto')
-  .option('--compare <type>', 'Compare with another data source: nominatim, zippopotam, zipcodes, googlemaps')
-  .option('--format <format>', 'Output format: json, csv, yaml, table', 'table')
-  .option('--include-distance', 'Include distance in output', false)
-  .option('--include-coordinates', 'Include latitude/longitude coordinates', false)
-  .option('--include-city', 'Include city name', false)
-  .option('--include-state', 'Include state', false)
-  .option('--custom-field <field>', 'Include custom field from data')
-  .option('--custom-value <value>', 'Value for custom field (requires --custom-field)')
-  .option('--kml', 'Generate KML file for Google Earth', false)
+defineCommand(program, 'radius')
   .action(async (options) => {
-    const command = new RadiusCommand();
+    const command = new RadiusCommand(createDependencies());
     try {
       // Map format option to output for backward compatibility with command implementations
       const result = await command.execute({
         zipcode: options.zip,
         miles: options.miles,
         output: options.format,
+        progress: true,
         ...options
       });
-      console.log(result);
+      printResult(result);
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -47,22 +68,13 @@ program
   });
 
 // Location search command
-program
-  .command('location')
-  .description('Find zipcodes by city, state, or county')
-  .option('-c, --city <name>', 'City name')
-  .option('-s, --state <code>', 'State code (e.g., CA, TX)')
-  .option('--county <name>', 'County name')
-  .option('--source <type>', 'Data source: nominatim, zippopotam, zipcodes, googlemaps, local, auto', 'auto')
-  .option('--format <format>', 'Output format: json, csv, yaml, table', 'table')
-  .option('--include-coordinates', 'Include latitude/longitude coordinates', false)
-  .option('--kml', 'Generate KML file for Google Earth', false)
+defineCommand(program, 'location')
   .action(async (options) => {
-    const command = new LocationCommand();
+    const command = new LocationCommand(createDependencies());
     try {
       // Map format option to output for backward compatibility with command implementations
       const result = await command.execute({ ...options, output: options.format });
-      console.log(result);
+      printResult(result);
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -70,14 +82,9 @@ program
   });
 
 // Census tract command
-program
-  .command('census')
-  .description('Get census tract information for zipcodes')
-  .requiredOption('-z, --zip <zipcode>', 'Zipcode to lookup')
-  .option('--include-boundaries', 'Include tract boundary coordinates', false)
-  .option('--format <format>', 'Output format: json, csv, yaml, table', 'table')
+defineCommand(program, 'census')
   .action(async (options) => {
-    const command = new CensusCommand();
+    const command = new CensusCommand(createDependencies());
     try {
       // Map format option to output for backward compatibility with command implementations
       const result = await command.execute({
@@ -85,7 +92,7 @@ program
         output: options.format,
         ...options
       });
-      console.log(result);
+      printResult(result);
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -93,21 +100,9 @@ program
   });
 
 // Reverse lookup command
-program
-  .command('reverse')
-  .description('Find the nearest zipcode for given coordinates')
-  .requiredOption('--lat <latitude>', 'Latitude coordinate (-90 to 90)', parseFloat)
-  .requiredOption('--lon <longitude>', 'Longitude coordinate (-180 to 180)', parseFloat)
-  .option('-s, --source <type>', 'Data source: nominatim, zippopotam, zipcodes, googlemaps, auto', 'auto')
-  .option('--compare <type>', 'Compare with another data source: nominatim, zippopotam, zipcodes, googlemaps')
-  .option('--format <format>', 'Output format: json, csv, yaml, table', 'table')
-  .option('--include-distance', 'Include distance from input coordinates', false)
-  .option('--include-coordinates', 'Include zipcode center coordinates', false)
-  .option('--nearest <count>', 'Number of nearest zipcodes to return', (value) => parseInt(value, 10), 1)
-  .option('-m, --miles <distance>', 'Maximum distance in miles to include results', parseFloat)
-  .option('--kml', 'Generate KML file for Google Earth', false)
+defineCommand(program, 'reverse')
   .action(async (options) => {
-    const command = new ReverseCommand();
+    const command = new ReverseCommand(createDependencies());
     try {
       if (process.env.DEBUG) {
         console.log('🔧 CLI options received:', JSON.stringify(options, null, 2));
@@ -119,7 +114,7 @@ program
         output: options.format,
         ...options
       });
-      console.log(result);
+      printResult(result);
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -127,21 +122,9 @@ program
   });
 
 // Batch processing command
-program
-  .command('batch')
-  .description('Process multiple zipcodes from a CSV file')
-  .requiredOption('-i, --input <file>', 'Input CSV file path')
-  .requiredOption('-o, --output <file>', 'Output file path')
-  .option('--source <type>', 'Data source: nominatim, zippopotam, zipcodes, googlemaps, local, auto', 'auto')
-  .option('--chunk-size <size>', 'Processing chunk size', parseInt, 1000)
-  .option('--progress', 'Show progress bar', false)
-  .option('--operation <type>', 'Operation: radius, location, census, distance', 'radius')
-  .option('--radius <miles>', 'Radius for batch radius operations', parseFloat, 10)
-  .option('-m, --miles <distance>', 'Radius in miles (alias for --radius)', parseFloat)
-  .option('--centroid-zipcode <zipcode>', 'Centroid zipcode for distance operations')
-  .option('--include-distance', 'Include distance in output', false)
+defineCommand(program, 'batch')
   .action(async (options) => {
-    const command = new BatchCommand();
+    const command = new BatchCommand(createDependencies());
     try {
       // Support both --radius and --miles for consistency with radius command
       if (options.miles && !options.radius) {
@@ -155,10 +138,130 @@ program
     }
   });
 
+// Local dataset management commands
+const dataCommand = program
+  .command('data')
+  .description('Manage the local zipcode dataset used by --source local');
+
+dataCommand
+  .command('import')
+  .description('Build the local dataset from Census Gazetteer, GeoNames and HUD crosswalk files')
+  .option('--gazetteer <file>', 'Census ZCTA Gazetteer file (tab-delimited TXT)')
+  .option('--geonames <file>', 'GeoNames US postal code file (US.txt)')
+  .option('--hud <file>', 'HUD USPS ZIP-county crosswalk CSV')
+  .option('-o, --output <file>', 'Output store path (default: local.path from config, or data/zipcodes.json)')
+  .action(async (options) => {
+    const command = new DataCommand(createDependencies());
+    try {
+      const result = await command.execute({ action: 'import', ...options });
+      console.log(result);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Response cache management commands
+const cacheCommand = program
+  .command('cache')
+  .description('Inspect, warm, export and clear the cached API responses');
+
+/**
+ * Run a cache action and print its result
+ * @param {string} action - Cache action
+ * @param {Object} options - Action options
+ */
+async function runCacheAction(action, options) {
+  const command = new CacheCommand(createDependencies());
+  try {
+    const result = await command.execute({ action, ...options });
+    console.log(result);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+cacheCommand
+  .command('stats')
+  .description('Show cached entries by source')
+  .addOption(new Option('--format <format>', 'Output format').choices(['table', 'json', 'yaml']).default('table'))
+  .action(options => runCacheAction('stats', options));
+
+cacheCommand
+  .command('clear')
+  .description('Remove cached responses')
+  .option('--expired', 'Only remove expired entries', false)
+  .action(options => runCacheAction('clear', options));
+
+cacheCommand
+  .command('warm')
+  .description('Pre-fetch every zipcode in a state from an external source')
+  .requiredOption('--state <code>', 'State code (e.g., CA, TX)')
+  .addOption(new Option('-s, --source <type>', 'Data source to fetch from').choices(['nominatim', 'zippopotam', 'googlemaps']).makeOptionMandatory())
+  .option('--ttl <hours>', 'Keep the fetched entries this many hours (default: 720, 30 days)', parseFloat)
+  .action(options => runCacheAction('warm', options));
+
+cacheCommand
+  .command('export')
+  .description('Write the cached responses to a snapshot file')
+  .requiredOption('-o, --output <file>', 'Snapshot file path')
+  .action(options => runCacheAction('export', options));
+
+cacheCommand
+  .command('import')
+  .description('Load a snapshot file written by cache export')
+  .requiredOption('-i, --input <file>', 'Snapshot file path')
+  .action(options => runCacheAction('import', options));
+
+// Data source status command
+program
+  .command('sources')
+  .description('List data sources with their status, capabilities and health')
+  .option('--check', 'Send a test request to each external source first', false)
+  .addOption(new Option('--format <format>', 'Output format').choices(['table', 'json', 'yaml']).default('table'))
+  .action(async (options) => {
+    const command = new SourcesCommand(createDependencies());
+    try {
+      const result = await command.execute(options);
+      console.log(result);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// HTTP API server command
+program
+  .command('serve')
+  .description('Serve radius, location, reverse, census and batch lookups as a JSON HTTP API')
+  .option('-p, --port <port>', 'Port to listen on', (value) => parseInt(value, 10), 3000)
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .action(async (options) => {
+    const command = new ServeCommand(createDependencies());
+    try {
+      const result = await command.execute(options);
+      console.log(result);
+
+      const shutdown = async () => {
+        await command.stop();
+        process.exit(0);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Global options
 program
   .option('--verbose', 'Enable verbose logging', false)
   .option('--cache', 'Enable caching for API responses', true)
-  .option('--config <file>', 'Configuration file path');
+  .option('--no-cache', 'Skip the API response cache for this run')
+  .option('--config <file>', 'Configuration file path')
+  .addOption(new Option('--record <dir>', 'Record every external API request and response to fixture files').conflicts('replay'))
+  .addOption(new Option('--replay <dir>', 'Answer external API requests from recorded fixture files, without network access').conflicts('record'));
 
 program.parse();
@@ -0,0 +1,454 @@
+#!/usr/bin/env node
+
+/**
+ * Check the library type declarations (src/index.d.ts) against the runtime
+ * Compiles the declarations, compares exports, class methods and option names with the code, then runs
+ * offline lookups and checks every returned record against its declared interface
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ts = require('typescript');
+const library = require('../src');
+const { COMMANDS, getAttributeName, getOptionType } = require('../src/utils/command-options');
+
+const DECLARATIONS = path.join(__dirname, '../src/index.d.ts');
+
+// Command-line options the library drops or does not take, and library options the CLI does not have
+const CLI_ONLY_OPTIONS = ['format', 'kml', 'kmz', 'htmlMap'];
+const OPTION_DIFFERENCES = {
+  radius: { extra: ['zipcode'], omit: ['compare'] },
+  location: { extra: [], omit: [] },
+  reverse: { extra: [], omit: ['compare'] },
+  census: { extra: ['zipcode'], omit: [] },
+  batch: { extra: ['rows', 'skipErrors', 'batchSize'], omit: ['input', 'output', 'chunkSize', 'progress', 'miles'] }
+};
+
+const OPTION_TYPES = {
+  radius: 'RadiusOptions',
+  location: 'LocationOptions',
+  reverse: 'ReverseOptions',
+  census: 'CensusOptions',
+  batch: 'BatchOptions'
+};
+
+// compare() takes the comparison source that radius() and reverse() reject
+const COMPARE_OPTION_TYPES = {
+  radius: 'RadiusCompareOptions',
+  reverse: 'ReverseCompareOptions'
+};
+
+// Runtime methods that are implementation details rather than API
+const INTERNAL_METHODS = {
+  ZipcodeLookup: ['rejectCompare']
+};
+
+const DATASET = [
+  'zip,city,state,county,lat,lon,census_tract,fips_state,fips_county',
+  '92054,Oceanside,CA,San Diego,33.2000,-117.3500,018601,06,073',
+  '92056,Oceanside,CA,San Diego,33.2050,-117.2900,018602,06,073',
+  '92008,Carlsbad,CA,San Diego,33.1600,-117.3400,017800,06,073'
+].join('\n');
+
+function square(zipcode, lon, lat, size) {
+  return {
+    type: 'Feature',
+    properties: { ZCTA5CE20: zipcode },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[lon - size, lat - size], [lon + size, lat - size], [lon + size, lat + size], [lon - size, lat + size], [lon - size, lat - size]]]
+    }
+  };
+}
+
+const BOUNDARIES = {
+  type: 'FeatureCollection',
+  features: [square('92054', -117.35, 33.2, 0.03), square('92056', -117.29, 33.205, 0.03)]
+};
+
+class DeclarationChecker {
+  constructor() {
+    this.program = ts.createProgram([DECLARATIONS], {
+      strict: true,
+      noEmit: true,
+      lib: ['lib.es2022.d.ts'],
+      types: []
+    });
+    this.checker = this.program.getTypeChecker();
+    this.problems = [];
+    this.checked = 0;
+
+    const sourceFile = this.program.getSourceFile(DECLARATIONS);
+    this.exports = new Map(
+      this.checker.getExportsOfModule(this.checker.getSymbolAtLocation(sourceFile)).map(symbol => [symbol.name, symbol])
+    );
+  }
+
+  compile() {
+    for (const diagnostic of ts.getPreEmitDiagnostics(this.program)) {
+      const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+      if (diagnostic.file) {
+        const { line } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+        this.problems.push(`${path.relative(process.cwd(), diagnostic.file.fileName)}:${line + 1}: ${message}`);
+      } else {
+        this.problems.push(message);
+      }
+    }
+  }
+
+  getType(name) {
+    const symbol = this.exports.get(name);
+    if (!symbol) {
+      throw new Error(`${name} is not declared`);
+    }
+    return this.checker.getDeclaredTypeOfSymbol(symbol);
+  }
+
+  getPropertyType(property) {
+    return this.checker.getTypeOfSymbolAtLocation(property, property.valueDeclaration);
+  }
+
+  /**
+   * Every runtime export is declared and every declared value exists at runtime
+   */
+  checkExports(runtimeExports) {
+    const declared = Array.from(this.exports.values())
+      .filter(symbol => symbol.flags & ts.SymbolFlags.Value)
+      .map(symbol => symbol.name);
+
+    for (const name of Object.keys(runtimeExports)) {
+      if (!declared.includes(name)) {
+        this.problems.push(`export ${name} is not declared`);
+      }
+    }
+    for (const name of declared) {
+      if (!(name in runtimeExports)) {
+        this.problems.push(`export ${name} is declared but missing at runtime`);
+      }
+    }
+  }
+
+  /**
+   * Declared methods exist on the class, and public prototype methods are declared
+   */
+  checkClass(name, runtimeClass) {
+    const declared = this.checker.getPropertiesOfType(this.getType(name))
+      .filter(property => property.flags & ts.SymbolFlags.Method)
+      .map(property => property.name);
+    const internal = INTERNAL_METHODS[name] || [];
+    const runtime = Object.getOwnPropertyNames(runtimeClass.prototype)
+      .filter(method => method !== 'constructor' && !internal.includes(method));
+
+    for (const method of runtime) {
+      if (!declared.includes(method)) {
+        this.problems.push(`${name}.${method}() is not declared`);
+      }
+    }
+    for (const method of declared) {
+      if (typeof runtimeClass.prototype[method] !== 'function') {
+        this.problems.push(`${name}.${method}() is declared but missing at runtime`);
+      }
+    }
+  }
+
+  /**
+   * Option interfaces accept the command's options, with the same value types and choices
+   */
+  checkOptions(commandName) {
+    const typeName = OPTION_TYPES[commandName];
+    const { extra, omit } = OPTION_DIFFERENCES[commandName];
+    const properties = this.getProperties(typeName);
+    const definitions = COMMANDS[commandName].options
+      .filter(definition => !CLI_ONLY_OPTIONS.concat(omit).includes(getAttributeName(definition)));
+    const expected = definitions.map(getAttributeName).concat(extra);
+
+    for (const name of properties.keys()) {
+      if (!expected.includes(name)) {
+        this.problems.push(`${typeName}.${name} is not a ${commandName} option`);
+      }
+    }
+
+    definitions.forEach(definition => this.checkOption(typeName, properties, definition));
+  }
+
+  checkCompareOption(commandName) {
+    const typeName = COMPARE_OPTION_TYPES[commandName];
+    const definition = COMMANDS[commandName].options.find(option => getAttributeName(option) === 'compare');
+    this.checkOption(typeName, this.getProperties(typeName), definition);
+  }
+
+  getProperties(typeName) {
+    return new Map(this.checker.getPropertiesOfType(this.getType(typeName)).map(property => [property.name, property]));
+  }
+
+  checkOption(typeName, properties, definition) {
+    const name = getAttributeName(definition);
+    const property = properties.get(name);
+    if (!property) {
+      this.problems.push(`${typeName}.${name} is not declared`);
+      return;
+    }
+
+    const type = this.getPropertyType(property);
+    if (definition.choices) {
+      const literals = (type.isUnion() ? type.types : [type]).filter(member => member.isStringLiteral());
+      const declaredChoices = literals.map(member => member.value).sort();
+      if (literals.length > 0 && declaredChoices.join() !== definition.choices.slice().sort().join()) {
+        this.problems.push(`${typeName}.${name} choices are ${declaredChoices.join(', ')}, expected ${definition.choices.join(', ')}`);
+      }
+      definition.choices.forEach(choice => this.checkValue(choice, type, `${typeName}.${name}`));
+    } else {
+      const sample = { boolean: true, number: 1, integer: 1, string: '92054' }[getOptionType(definition)];
+      this.checkValue(sample, type, `${typeName}.${name}`);
+    }
+  }
+
+  /**
+   * Check a runtime record against a declared type
+   */
+  check(value, typeName, label = typeName) {
+    this.checked += 1;
+    this.checkValue(value, this.getType(typeName), label);
+  }
+
+  checkValue(value, type, location, problems = this.problems) {
+    const { flags } = type;
+
+    if (flags & (ts.TypeFlags.Any | ts.TypeFlags.Unknown)) {
+      return;
+    }
+
+    if (type.isUnion()) {
+      const matches = type.types.some(member => {
+        const memberProblems = [];
+        this.checkValue(value, member, location, memberProblems);
+        return memberProblems.length === 0;
+      });
+      if (!matches) {
+        // Report the closest object member's problems, or the mismatch for anything else
+        const objectMembers = type.types.filter(member => member.flags & ts.TypeFlags.Object);
+        if (value && typeof value === 'object' && objectMembers.length > 0) {
+          const closest = objectMembers
+            .map(member => {
+              const memberProblems = [];
+              this.checkValue(value, member, `${location} as ${this.checker.typeToString(member)}`, memberProblems);
+              return memberProblems;
+            })
+            .sort((a, b) => a.length - b.length)[0];
+          problems.push(...closest);
+        } else {
+          problems.push(`${location}: ${JSON.stringify(value)} is not ${this.checker.typeToString(type)}`);
+        }
+      }
+      return;
+    }
+
+    const mismatch = () => problems.push(`${location}: ${JSON.stringify(value)} is not ${this.checker.typeToString(type)}`);
+
+    if (flags & ts.TypeFlags.Null) {
+      return value === null ? undefined : mismatch();
+    }
+    if (flags & (ts.TypeFlags.Undefined | ts.TypeFlags.Void)) {
+      return value === undefined ? undefined : mismatch();
+    }
+    if (flags & ts.TypeFlags.StringLike) {
+      return typeof value === 'string' && (!type.isStringLiteral() || value === type.value) ? undefined : mismatch();
+    }
+    if (flags & ts.TypeFlags.NumberLike) {
+      return typeof value === 'number' ? undefined : mismatch();
+    }
+    if (flags & ts.TypeFlags.BooleanLiteral) {
+      return value === (this.checker.typeToString(type) === 'true') ? undefined : mismatch();
+    }
+    if (flags & ts.TypeFlags.BooleanLike) {
+      return typeof value === 'boolean' ? undefined : mismatch();
+    }
+    if (flags & ts.TypeFlags.NonPrimitive) {
+      return value !== null && typeof value === 'object' ? undefined : mismatch();
+    }
+
+    if (type.isIntersection()) {
+      if (value === null || typeof value !== 'object') {
+        return mismatch();
+      }
+      this.checkObject(value, type, location, problems);
+      return;
+    }
+
+    if (flags & ts.TypeFlags.Object) {
+      if (this.checker.isArrayType(type)) {
+        if (!Array.isArray(value)) {
+          return mismatch();
+        }
+        const [elementType] = this.checker.getTypeArguments(type);
+        value.forEach((element, index) => this.checkValue(element, elementType, `${location}[${index}]`, problems));
+        return;
+      }
+      if (value === null || typeof value !== 'object') {
+        return mismatch();
+      }
+      this.checkObject(value, type, location, problems);
+      return;
+    }
+
+    problems.push(`${location}: cannot check values of type ${this.checker.typeToString(type)}`);
+  }
+
+  checkObject(value, type, location, problems) {
+    const declared = new Set();
+    const properties = this.checker.getPropertiesOfType(type);
+    // Class instances and other objects with methods carry implementation state,
+    // so only their declared members are checked
+    const exact = !(type.symbol && type.symbol.flags & ts.SymbolFlags.Class) &&
+      !properties.some(property => property.flags & ts.SymbolFlags.Method);
+
+    for (const property of properties) {
+      // Symbol-keyed members such as Date's [Symbol.toPrimitive] have no string key to look up
+      if (property.name.startsWith('__@')) {
+        continue;
+      }
+      declared.add(property.name);
+
+      if (property.flags & ts.SymbolFlags.Method) {
+        if (typeof value[property.name] !== 'function') {
+          problems.push(`${location}.${property.name}() is missing`);
+        }
+        continue;
+      }
+
+      if (!(property.name in value)) {
+        if (!(property.flags & ts.SymbolFlags.Optional)) {
+          problems.push(`${location}.${property.name} is missing`);
+        }
+        continue;
+      }
+
+      this.checkValue(value[property.name], this.getPropertyType(property), `${location}.${property.name}`, problems);
+    }
+
+    if (!exact) {
+      return;
+    }
+
+    const [indexInfo] = this.checker.getIndexInfosOfType(type);
+    for (const key of Object.keys(value)) {
+      if (declared.has(key)) {
+        continue;
+      }
+      if (indexInfo) {
+        this.checkValue(value[key], indexInfo.type, `${location}.${key}`, problems);
+      } else {
+        problems.push(`${location}.${key} is not declared`);
+      }
+    }
+  }
+}
+
+/**
+ * Run offline lookups against the built-in package and a small local dataset
+ */
+async function checkResults(checker, directory) {
+  const datasetPath = path.join(directory, 'zipcodes.csv');
+  const boundariesPath = path.join(directory, 'boundaries.geojson');
+  fs.writeFileSync(datasetPath, DATASET);
+  fs.writeFileSync(boundariesPath, JSON.stringify(BOUNDARIES));
+
+  const lookup = library.createZipcodeLookup({
+    logger: null,
+    config: { local: { path: datasetPath } },
+    cache: new Map()
+  });
+  checker.check(lookup, 'ZipcodeLookup');
+  checker.check(lookup.config, 'Config');
+  checker.check(lookup.config.load(), 'ConfigSettings');
+  checker.check(lookup.config.getStatus(), 'ConfigStatus');
+  checker.check(lookup.getStats(), 'LookupStats');
+  lookup.sources().forEach(source => checker.check(source, 'SourceDescription'));
+
+  const radiusSearches = [
+    { zip: '92054', miles: 3, source: 'zipcodes' },
+    { zip: '92054', miles: 3, source: 'local', includeDistance: true, includeCoordinates: true },
+    { lat: 33.2, lon: -117.3, miles: 5, source: 'zipcodes', customField: 'region', customValue: 'north' },
+    { city: 'Oceanside', state: 'CA', miles: 2, source: 'zipcodes', includeDistance: true },
+    { zip: '92054', miles: 3, source: 'local', match: 'intersects', boundaries: boundariesPath }
+  ];
+  for (const options of radiusSearches) {
+    (await lookup.radius(options)).forEach(result => checker.check(result, 'RadiusResult'));
+  }
+
+  for (const options of [{ city: 'Oceanside', state: 'CA', source: 'zipcodes' }, { city: 'Oceanside', state: 'CA', source: 'local' }]) {
+    (await lookup.location(options)).forEach(result => checker.check(result, 'ZipcodeResult'));
+  }
+
+  const reverseLookups = [
+    { lat: 33.2, lon: -117.3, source: 'zipcodes' },
+    { lat: 33.2, lon: -117.3, source: 'zipcodes', includeDistance: true, includeCoordinates: true, nearest: 3 },
+    { lat: 33.2, lon: -117.3, source: 'local', miles: 5 },
+    { lat: 33.2, lon: -117.3, source: 'local', boundaries: boundariesPath, nearest: 2 }
+  ];
+  for (const options of reverseLookups) {
+    (await lookup.reverse(options)).forEach(result => checker.check(result, 'ReverseResult'));
+  }
+
+  (await lookup.census({ zip: '92054', source: 'local' })).forEach(result => checker.check(result, 'CensusResult'));
+
+  checker.check(await lookup.compare({ zip: '92054', miles: 3, source: 'zipcodes', compare: 'local' }), 'RadiusComparison');
+  checker.check(await lookup.compare({ lat: 33.2, lon: -117.3, miles: 3, source: 'zipcodes', compare: 'local' }), 'RadiusComparison');
+  checker.check(await lookup.compare({ operation: 'reverse', lat: 33.2, lon: -117.3, source: 'zipcodes', compare: 'local' }), 'ReverseComparison');
+  checker.check(await lookup.compare({ operation: 'reverse', lat: 33.2, lon: -117.3, miles: 1, source: 'zipcodes', compare: 'local' }), 'ReverseComparison');
+
+  const batches = [
+    { operation: 'radius', rows: [{ zipcode: '92054' }, { zipcode: '00000' }], radius: 3, source: 'local', includeDistance: true },
+    { operation: 'location', rows: [{ city: 'Oceanside', state: 'CA' }], source: 'local' },
+    { operation: 'census', rows: [{ zipcode: '92054' }], source: 'local' },
+    { operation: 'distance', rows: [{ zipcode: '92056' }, { zipcode: '00000' }], centroidZipcode: '92054', source: 'local' }
+  ];
+  for (const options of batches) {
+    (await lookup.batch(options)).forEach(row => checker.check(row, 'BatchRow', `BatchRow (${options.operation})`));
+  }
+}
+
+function checkErrors(checker) {
+  const { ValidationError, NotFoundError, UnsupportedSourceError, RateLimitError, CircuitOpenError } = library;
+
+  checker.check(new ValidationError('Invalid request', 'miles', [{ field: 'miles', message: 'Must be a number.' }]), 'ValidationError');
+  checker.check(new ValidationError('Missing center'), 'ValidationError');
+  checker.check(new NotFoundError('No zipcodes found'), 'NotFoundError');
+  checker.check(new UnsupportedSourceError('census', 'radius', ['zipcodes']), 'UnsupportedSourceError');
+  checker.check(new UnsupportedSourceError('unknown'), 'UnsupportedSourceError');
+  checker.check(new RateLimitError('googlemaps', 2500), 'RateLimitError');
+  checker.check(new CircuitOpenError('nominatim', new Date()), 'CircuitOpenError');
+  checker.check(new CircuitOpenError('nominatim'), 'CircuitOpenError');
+}
+
+async function main() {
+  const checker = new DeclarationChecker();
+  checker.compile();
+  checker.checkExports(library);
+  checker.checkClass('ZipcodeLookup', library.ZipcodeLookup);
+  checker.checkClass('Config', library.Config);
+  Object.keys(OPTION_TYPES).forEach(commandName => checker.checkOptions(commandName));
+  Object.keys(COMPARE_OPTION_TYPES).forEach(commandName => checker.checkCompareOption(commandName));
+  checkErrors(checker);
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zipcode-lookup-types-'));
+  try {
+    await checkResults(checker, directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  if (checker.problems.length > 0) {
+    console.error(`❌ ${path.relative(process.cwd(), DECLARATIONS)} does not match the runtime:`);
+    new Set(checker.problems).forEach(problem => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+
+  console.log(`✅ Type declarations match the runtime (${checker.checked} values checked)`);
+}
+
+main().catch(error => {
+  console.error(`❌ Type check failed: ${error.message}`);
+  process.exit(1);
+});
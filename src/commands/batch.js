@@ -1,16 +1,33 @@
+const fs = require('fs').promises;
+const path = require('path');
 const { formatOutput } = require('../utils/formatters');
 const { parseCSV, writeCSV } = require('../utils/csv-handler');
 const { calculateDistance } = require('../utils/distance');
 const RadiusSearchCommand = require('./radius');
 const LocationSearchCommand = require('./location');
 const CensusSearchCommand = require('./census');
-const zipcodes = require('zipcodes');
+const { ValidationError } = require('../utils/errors');
+
+// Output file extensions written in a format other than CSV
+const OUTPUT_FORMATS = {
+    '.geojson': 'geojson',
+    '.gpx': 'gpx',
+    '.zip': 'shapefile'
+};
+
+// Formats that only hold points, and the operations whose rows have coordinates to write
+const POINT_FORMATS = ['gpx', 'shapefile'];
+const POINT_OPERATIONS = ['radius', 'distance'];
 
 class BatchProcessingCommand {
-    constructor() {
-        this.radiusCommand = new RadiusSearchCommand();
-        this.locationCommand = new LocationSearchCommand();
-        this.censusCommand = new CensusSearchCommand();
+    /**
+     * @param {Object} options - Shared dependencies passed on to the per-row commands (optional)
+     */
+    constructor(options = {}) {
+        this.radiusCommand = new RadiusSearchCommand(options);
+        this.locationCommand = new LocationSearchCommand(options);
+        this.censusCommand = new CensusSearchCommand(options);
+        this.logger = this.radiusCommand.logger;
     }
 
     async execute(options) {
@@ -29,48 +46,98 @@ class BatchProcessingCommand {
         } = options;
 
         if (!input) {
-            throw new Error('--input file is required for batch processing');
+            throw new ValidationError('--input file is required for batch processing', 'input');
         }
 
         if (!output) {
-            throw new Error('--output file is required for batch processing');
-        }
-
-        if (!operation) {
-            throw new Error('--operation must be specified (radius, location, census, or distance)');
+            throw new ValidationError('--output file is required for batch processing', 'output');
         }
 
-        // Validate distance operation requirements
-        if (operation === 'distance' && !centroidZipcode) {
-            throw new Error('--centroid-zipcode is required for distance operations');
+        const outputFormat = OUTPUT_FORMATS[path.extname(output).toLowerCase()];
+        if (POINT_FORMATS.includes(outputFormat) && operation && !POINT_OPERATIONS.includes(operation)) {
+            throw new ValidationError(`${operation} results have no coordinates to write as ${outputFormat}; use a .csv or .geojson output file`, 'output');
         }
 
         try {
             // Parse input CSV
-            const inputData = await parseCSV(input, { delimiter });
-
-            if (!inputData || inputData.length === 0) {
-                throw new Error('Input file is empty or could not be parsed');
-            }
-
-            // Validate required columns based on operation
-            this.validateInputColumns(inputData[0], operation);
+            const inputData = await parseCSV(input, { delimiter, logger: this.logger });
 
-            // Process data in batches
-            const results = await this.processBatches(
-                inputData,
-                operation,
-                { radius, centroidZipcode, source, includeDistance, skipErrors, batchSize, progressBar }
-            );
+            const results = await this.processRows(inputData, {
+                operation, radius, centroidZipcode, source, includeDistance, skipErrors, batchSize, progressBar
+            });
 
-            // Write output CSV
-            await writeCSV(output, results, { delimiter });
+            await this.writeOutput(output, results, { delimiter, source });
 
             return `Batch processing complete. Processed ${inputData.length} records, output written to ${output}`;
 
         } catch (error) {
-            throw new Error(`Batch processing failed: ${error.message}`);
+            throw new Error(`Batch processing failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Write results in the format named by the output file's extension: .geojson, .gpx,
+     * .zip (a zipped shapefile), otherwise CSV
+     * @param {string} output - Output file path
+     * @param {Array<Object>} results - Result rows
+     * @param {Object} options - delimiter for CSV, source label for the other formats
+     */
+    async writeOutput(output, results, options = {}) {
+        const extension = path.extname(output).toLowerCase();
+        const format = OUTPUT_FORMATS[extension];
+        if (!format) {
+            await writeCSV(output, results, { delimiter: options.delimiter });
+            return;
+        }
+
+        const absolutePath = path.resolve(output);
+        await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+        // Rows without coordinates (failed lookups, or location and census rows in GeoJSON) become null geometries; GPX leaves them out
+        const source = options.source && options.source !== 'auto' ? options.source : null;
+        // Shapefiles inside the archive are named after it
+        await fs.writeFile(absolutePath, formatOutput(results, format, { source, name: path.basename(output, extension) }));
+    }
+
+    /**
+     * Run an operation over already-parsed input rows
+     * @param {Array<Object>} rows - Input rows, keyed by column name
+     * @param {Object} options - Operation and per-operation settings (see execute)
+     * @returns {Promise<Array<Object>>} Result rows
+     */
+    async processRows(rows, options) {
+        const {
+            operation,
+            radius,
+            centroidZipcode,
+            source = 'auto',
+            includeDistance,
+            progressBar = true,
+            skipErrors = true,
+            batchSize = 100
+        } = options;
+
+        if (!operation) {
+            throw new ValidationError('--operation must be specified (radius, location, census, or distance)', 'operation');
         }
+
+        // Validate distance operation requirements
+        if (operation === 'distance' && !centroidZipcode) {
+            throw new ValidationError('--centroid-zipcode is required for distance operations', 'centroidZipcode');
+        }
+
+        if (!rows || rows.length === 0) {
+            throw new ValidationError('Input file is empty or could not be parsed', 'input');
+        }
+
+        // Validate required columns based on operation
+        this.validateInputColumns(rows[0], operation);
+
+        // Process data in batches
+        return await this.processBatches(
+            rows,
+            operation,
+            { radius, centroidZipcode, source, includeDistance, skipErrors, batchSize, progressBar }
+        );
     }
 
     validateInputColumns(firstRow, operation) {
@@ -79,30 +146,30 @@ class BatchProcessingCommand {
         switch (operation) {
             case 'radius':
                 if (!columns.includes('zipcode')) {
-                    throw new Error('Input CSV must contain a "zipcode" column for radius operations');
+                    throw new ValidationError('Input CSV must contain a "zipcode" column for radius operations', 'input');
                 }
                 break;
 
             case 'location':
                 if (!columns.includes('state') || (!columns.includes('city') && !columns.includes('county'))) {
-                    throw new Error('Input CSV must contain "state" and either "city" or "county" columns for location operations');
+                    throw new ValidationError('Input CSV must contain "state" and either "city" or "county" columns for location operations', 'input');
                 }
                 break;
 
             case 'census':
                 if (!columns.includes('zipcode')) {
-                    throw new Error('Input CSV must contain a "zipcode" column for census operations');
+                    throw new ValidationError('Input CSV must contain a "zipcode" column for census operations', 'input');
                 }
                 break;
 
             case 'distance':
                 if (!columns.includes('zipcode')) {
-                    throw new Error('Input CSV must contain a "zipcode" column for distance operations');
+                    throw new ValidationError('Input CSV must contain a "zipcode" column for distance operations', 'input');
                 }
                 break;
 
             default:
-                throw new Error(`Unsupported operation: ${operation}`);
+                throw new ValidationError(`Unsupported operation: ${operation}`, 'operation');
         }
     }
 
@@ -112,7 +179,7 @@ class BatchProcessingCommand {
         const totalBatches = Math.ceil(inputData.length / batchSize);
 
         if (progressBar) {
-            console.log(`Processing ${inputData.length} records in ${totalBatches} batches...`);
+            this.logger.info(`Processing ${inputData.length} records in ${totalBatches} batches...`);
         }
 
         for (let i = 0; i < inputData.length; i += batchSize) {
@@ -120,7 +187,7 @@ class BatchProcessingCommand {
             const batchNumber = Math.floor(i / batchSize) + 1;
 
             if (progressBar) {
-                console.log(`Processing batch ${batchNumber}/${totalBatches}...`);
+                this.logger.info(`Processing batch ${batchNumber}/${totalBatches}...`);
             }
 
             const batchResults = await this.processBatch(batch, operation, options, skipErrors);
@@ -131,7 +198,7 @@ class BatchProcessingCommand {
         }
 
         if (progressBar) {
-            console.log(`Batch processing complete. ${results.length} total results.`);
+            this.logger.info(`Batch processing complete. ${results.length} total results.`);
         }
 
         return results;
@@ -143,7 +210,7 @@ class BatchProcessingCommand {
                 return await this.processRow(row, operation, options, index);
             } catch (error) {
                 if (skipErrors) {
-                    console.warn(`Row ${index + 1} failed: ${error.message}`);
+                    this.logger.warn(`Row ${index + 1} failed: ${error.message}`);
                     return {
                         ...row,
                         error: error.message,
@@ -195,7 +262,7 @@ class BatchProcessingCommand {
         const { radius, source, includeDistance } = options;
 
         if (!radius) {
-            throw new Error('Radius must be specified for radius operations');
+            throw new ValidationError('Radius must be specified for radius operations', 'radius');
         }
 
         const searchOptions = {
@@ -285,13 +352,13 @@ class BatchProcessingCommand {
 
         try {
             // Get centroid zipcode coordinates
-            const centroidData = zipcodes.lookup(centroidZipcode);
+            const centroidData = await this.radiusCommand.getCenterPoint(String(centroidZipcode), source);
             if (!centroidData) {
                 throw new Error(`Could not find coordinates for centroid zipcode ${centroidZipcode}`);
             }
 
             // Get target zipcode coordinates
-            const targetData = zipcodes.lookup(row.zipcode);
+            const targetData = await this.radiusCommand.getCenterPoint(String(row.zipcode), source);
             if (!targetData) {
                 return {
                     centroid: centroidZipcode,
@@ -316,7 +383,7 @@ class BatchProcessingCommand {
 
             return {
                 centroid: centroidZipcode,
-                zipcode: targetData.zip,
+                zipcode: targetData.zipcode,
                 city: targetData.city,
                 state: targetData.state,
                 latitude: targetData.latitude,
@@ -344,7 +411,6 @@ class BatchProcessingCommand {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // No cleanup needed - using in-memory zipcodes package
 }
 
 module.exports = BatchProcessingCommand;
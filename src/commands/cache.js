@@ -0,0 +1,277 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { formatOutput } = require('../utils/formatters');
+const APIClient = require('../data/sources/api-client');
+const ProviderRegistry = require('../data/sources/provider-registry');
+const { CAPABILITIES } = require('../data/sources/provider-registry');
+const { ValidationError, NotFoundError, RateLimitError } = require('../utils/errors');
+
+// Identifies snapshot files written by `cache export`
+const SNAPSHOT_FORMAT = 'zipcode-lookup-cache';
+const SNAPSHOT_VERSION = 1;
+
+// Warmed entries are meant to be exported and used offline, so they outlive the
+// few minutes most sources' cacheTTL allows
+const DEFAULT_WARM_TTL_HOURS = 30 * 24;
+
+class CacheCommand {
+    /**
+     * @param {Object} options - Shared dependencies (optional)
+     * @param {APIClient} options.apiClient - API client whose response cache is managed
+     * @param {ProviderRegistry} options.providers - Provider registry used to warm the cache
+     * @param {Object} options.logger - Logger (default: the API client's logger)
+     */
+    constructor(options = {}) {
+        this.apiClient = options.apiClient || new APIClient();
+        this.providers = options.providers || new ProviderRegistry({ apiClient: this.apiClient });
+        this.logger = options.logger || this.apiClient.logger;
+        this.cache = this.apiClient.cache;
+    }
+
+    async execute(options) {
+        const { action = 'stats' } = options;
+
+        if (typeof this.cache.entries !== 'function') {
+            throw new ValidationError('The cache command needs the persistent response cache', 'cache');
+        }
+
+        switch (action) {
+            case 'stats':
+                return await this.stats(options);
+            case 'clear':
+                return await this.clear(options);
+            case 'warm':
+                return await this.warm(options);
+            case 'export':
+                return await this.exportSnapshot(options);
+            case 'import':
+                return await this.importSnapshot(options);
+            default:
+                throw new ValidationError(`Unsupported cache action: ${action}`, 'action');
+        }
+    }
+
+    /**
+     * Summarize the cached entries by the source that produced them
+     */
+    async stats(options) {
+        const { format = 'table' } = options;
+        const entries = await this.cache.entries({ includeExpired: true });
+        const now = Date.now();
+        const bySource = new Map();
+
+        for (const entry of entries) {
+            const source = (entry.data && entry.data.source) || 'unknown';
+            const row = bySource.get(source) || { source, entries: 0, expired: 0, size_kb: 0, expires_last: null };
+            const expired = entry.expiry <= now;
+
+            row.entries++;
+            row.expired += expired ? 1 : 0;
+            row.size_kb += entry.size / 1024;
+            if (!expired && (!row.expires_last || entry.expiry > Date.parse(row.expires_last))) {
+                row.expires_last = new Date(entry.expiry).toISOString();
+            }
+            bySource.set(source, row);
+        }
+
+        const sources = Array.from(bySource.values())
+            .map(row => ({ ...row, size_kb: parseFloat(row.size_kb.toFixed(1)) }))
+            .sort((a, b) => a.source.localeCompare(b.source));
+        const memory = this.cache.getStats();
+
+        if (format !== 'table') {
+            return formatOutput({
+                directory: memory.cacheDir,
+                enabled: this.apiClient.isCaching(),
+                memory_items: memory.memoryItems,
+                disk_items: entries.length,
+                expired_items: sources.reduce((total, row) => total + row.expired, 0),
+                sources
+            }, format);
+        }
+
+        const lines = [
+            `Cache directory: ${memory.cacheDir}${this.apiClient.isCaching() ? '' : ' (caching disabled)'}`,
+            `Entries on disk: ${entries.length}`
+        ];
+        if (sources.length > 0) {
+            lines.push(formatOutput(sources, 'table'));
+        }
+        return lines.join('\n');
+    }
+
+    async clear(options) {
+        const { expired } = options;
+
+        try {
+            if (expired) {
+                const before = (await this.cache.entries({ includeExpired: true })).length;
+                await this.cache.cleanup();
+                const after = (await this.cache.entries({ includeExpired: true })).length;
+                return `Removed ${before - after} expired entries from ${this.cache.cacheDir}`;
+            }
+
+            const count = (await this.cache.entries({ includeExpired: true })).length;
+            await this.cache.clear();
+            return `Removed ${count} entries from ${this.cache.cacheDir}`;
+        } catch (error) {
+            throw new Error(`Cache clear failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Pre-fetch every zipcode in a state from an external source, so later lookups
+     * and radius comparisons against that source are answered from the cache
+     */
+    async warm(options) {
+        const { state, source, ttl = DEFAULT_WARM_TTL_HOURS } = options;
+        const warmable = this.providers.list(CAPABILITIES.LOOKUP)
+            .filter(provider => provider.type === 'external')
+            .map(provider => provider.name);
+
+        if (!state) {
+            throw new ValidationError('--state is required to warm the cache', 'state');
+        }
+
+        if (!warmable.includes(source)) {
+            throw new ValidationError(`--source must be an external source: ${warmable.join(', ')}`, 'source');
+        }
+
+        if (!(ttl > 0)) {
+            throw new ValidationError('--ttl must be a positive number of hours', 'ttl');
+        }
+
+        const provider = this.providers.resolve(source, CAPABILITIES.LOOKUP);
+        if (!provider.isAvailable()) {
+            throw new ValidationError(`${provider.label} is not enabled or configured`, 'source');
+        }
+
+        if (!this.apiClient.isCaching(source)) {
+            throw new ValidationError(`Caching is turned off for ${provider.label} (check its caching setting, cache.enabled and --no-cache)`, 'source');
+        }
+
+        const records = await this.providers.datasetProvider().searchState(state);
+        if (records.length === 0) {
+            throw new NotFoundError(`No zipcodes found for state ${state}`);
+        }
+
+        // Fetch through a client with the warm settings, leaving the shared client's untouched
+        const warmClient = this.apiClient.withCacheSettings({ cacheTTL: ttl * 60 * 60 * 1000, refreshCache: true });
+        const warmProvider = new ProviderRegistry({ apiClient: warmClient, config: this.providers.config })
+            .resolve(source, CAPABILITIES.LOOKUP);
+
+        let found = 0;
+        let missing = 0;
+        const failed = [];
+
+        this.logger.info(`Warming ${records.length} ${state.toUpperCase()} zipcodes from ${provider.label}...`);
+
+        for (const [index, record] of records.entries()) {
+            try {
+                const result = await warmProvider.lookup(record.zipcode);
+                if (result) {
+                    found++;
+                } else {
+                    missing++;
+                }
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw new Error(`Cache warm stopped after ${index} of ${records.length} zipcodes: ${error.message}`, { cause: error });
+                }
+                failed.push(record.zipcode);
+                if (process.env.DEBUG) {
+                    this.logger.debug(`⚠️ Could not fetch ${record.zipcode} from ${source}: ${error.message}`);
+                }
+            }
+
+            if ((index + 1) % 50 === 0 && index + 1 < records.length) {
+                this.logger.info(`Fetched ${index + 1}/${records.length}...`);
+            }
+        }
+
+        let summary = `Cached ${found} of ${records.length} ${state.toUpperCase()} zipcodes from ${provider.label} for ${ttl} hours`;
+        if (missing > 0) {
+            summary += `\n  ${missing} not found by ${source}`;
+        }
+        if (failed.length > 0) {
+            summary += `\n  ${failed.length} failed: ${failed.slice(0, 10).join(', ')}${failed.length > 10 ? ', ...' : ''}`;
+        }
+        return summary;
+    }
+
+    /**
+     * Write every unexpired entry to a portable snapshot file
+     */
+    async exportSnapshot(options) {
+        const { output } = options;
+
+        if (!output) {
+            throw new ValidationError('--output file is required for cache export', 'output');
+        }
+
+        try {
+            const entries = (await this.cache.entries()).map(({ id, size, ...entry }) => entry);
+            const snapshot = {
+                format: SNAPSHOT_FORMAT,
+                version: SNAPSHOT_VERSION,
+                exported: new Date().toISOString(),
+                entries
+            };
+
+            const outputPath = path.resolve(output);
+            await fs.mkdir(path.dirname(outputPath), { recursive: true });
+            await fs.writeFile(outputPath, JSON.stringify(snapshot), 'utf8');
+
+            if (entries.length === 0) {
+                const expired = (await this.cache.entries({ includeExpired: true })).length;
+                this.logger.warn(expired > 0
+                    ? `The snapshot is empty: all ${expired} cached entries have expired. Warm the cache again with a longer --ttl before exporting`
+                    : 'The snapshot is empty: the cache holds no entries');
+            }
+
+            return `Exported ${entries.length} cache entries to ${outputPath}`;
+        } catch (error) {
+            throw new Error(`Cache export failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Load a snapshot written by exportSnapshot into this machine's cache
+     */
+    async importSnapshot(options) {
+        const { input } = options;
+
+        if (!input) {
+            throw new ValidationError('--input file is required for cache import', 'input');
+        }
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await fs.readFile(path.resolve(input), 'utf8'));
+        } catch (error) {
+            throw new ValidationError(`Could not read cache snapshot ${input}: ${error.message}`, 'input');
+        }
+
+        if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT || !Array.isArray(snapshot.entries)) {
+            throw new ValidationError(`${input} is not a cache snapshot written by 'cache export'`, 'input');
+        }
+
+        if (snapshot.version > SNAPSHOT_VERSION) {
+            throw new ValidationError(`${input} was written by a newer version (snapshot version ${snapshot.version})`, 'input');
+        }
+
+        try {
+            const { imported, skipped } = await this.cache.importEntries(snapshot.entries);
+
+            let summary = `Imported ${imported} cache entries into ${this.cache.cacheDir}`;
+            if (skipped > 0) {
+                summary += `\n  ${skipped} expired or invalid entries skipped`;
+            }
+            return summary;
+        } catch (error) {
+            throw new Error(`Cache import failed: ${error.message}`, { cause: error });
+        }
+    }
+}
+
+module.exports = CacheCommand;
@@ -1,28 +1,42 @@
 const { formatOutput, filterFields } = require('../utils/formatters');
 const APIClient = require('../data/sources/api-client');
-const zipcodes = require('zipcodes');
+const ProviderRegistry = require('../data/sources/provider-registry');
+const { CAPABILITIES } = require('../data/sources/provider-registry');
+const BoundarySet = require('../data/sources/boundaries');
+const { validateGeometryOption, addGeometryColumn } = require('../utils/geometry-column');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
 class CensusSearchCommand {
-    constructor() {
-        this.apiClient = new APIClient();
+    /**
+     * @param {Object} options - Shared dependencies (optional)
+     * @param {APIClient} options.apiClient - API client to reuse across commands
+     * @param {ProviderRegistry} options.providers - Provider registry to reuse across commands
+     * @param {Object} options.logger - Logger (default: the API client's logger)
+     */
+    constructor(options = {}) {
+        this.apiClient = options.apiClient || new APIClient();
+        this.providers = options.providers || new ProviderRegistry({ apiClient: this.apiClient });
+        this.logger = options.logger || this.apiClient.logger;
     }
 
     async execute(options) {
-        const { zipcode, source = 'auto', fields, output = 'table' } = options;
+        const { zipcode, source = 'auto', fields, output = 'table', geometry } = options;
 
         if (!zipcode) {
-            throw new Error('--zipcode is required for census lookup');
+            throw new ValidationError('--zipcode is required for census lookup', 'zipcode');
         }
 
+        validateGeometryOption(geometry, output);
+
         try {
             // First, get the zipcode coordinates
             const zipData = await this.getZipcodeData(zipcode, source);
             if (!zipData) {
-                throw new Error(`Could not find coordinates for zipcode ${zipcode}`);
+                throw new NotFoundError(`Could not find coordinates for zipcode ${zipcode}`);
             }
 
             // Get census tract data using the coordinates
-            const censusData = await this.getCensusData(zipData);
+            const censusData = await this.getCensusData(zipData, source);
 
             // Combine zipcode and census data
             const result = {
@@ -40,84 +54,49 @@ class CensusSearchCommand {
                 processedResult = filterFields(processedResult, { fields });
             }
 
+            if (geometry) {
+                const boundaries = await BoundarySet.loadConfigured(options.boundaries, this.apiClient.config, this.logger);
+                processedResult = addGeometryColumn(processedResult, geometry, { boundaries, positions: [result] });
+            }
+
             // Format and return output
-            return formatOutput(processedResult, output);
+            return formatOutput(processedResult, output, { source: zipData.source || source });
 
         } catch (error) {
-            throw new Error(`Census lookup failed: ${error.message}`);
+            throw new Error(`Census lookup failed: ${error.message}`, { cause: error });
         }
     }
 
     async getZipcodeData(zipcode, source) {
-        // Handle specific source requests
-        if (source === 'nominatim') {
-            const result = await this.apiClient.getNominatimZipcode(zipcode);
-            if (result && result.latitude && result.longitude) {
-                return {
-                    zipcode,
-                    latitude: result.latitude,
-                    longitude: result.longitude,
-                    city: result.city,
-                    state: result.state
-                };
-            }
-            throw new Error(`Nominatim API could not find zipcode ${zipcode}`);
-        }
-
-        if (source === 'zippopotam') {
-            const result = await this.apiClient.getZippopotamZipcode(zipcode);
-            if (result && result.latitude && result.longitude) {
-                return {
-                    zipcode,
-                    latitude: result.latitude,
-                    longitude: result.longitude,
-                    city: result.city,
-                    state: result.state
-                };
-            }
-            throw new Error(`Zippopotam API could not find zipcode ${zipcode}`);
-        }
+        const provider = this.providers.resolve(source, CAPABILITIES.LOOKUP);
+        const result = await provider.lookup(zipcode);
 
-        // Default to zipcodes package (for 'zipcodes' source or 'auto' mode)
-        try {
-            const zipData = zipcodes.lookup(zipcode);
-            if (zipData && zipData.latitude && zipData.longitude) {
-                return {
-                    zipcode,
-                    latitude: zipData.latitude,
-                    longitude: zipData.longitude,
-                    city: zipData.city,
-                    state: zipData.state
-                };
-            }
-        } catch (error) {
-            console.warn(`Zipcodes package lookup failed: ${error.message}`);
+        if (result && result.latitude && result.longitude) {
+            return {
+                zipcode,
+                latitude: result.latitude,
+                longitude: result.longitude,
+                city: result.city,
+                state: result.state
+            };
         }
 
-        // If zipcodes package fails and we're in auto mode, try external APIs
-        if (source === 'auto') {
-            const result = await this.apiClient.getZipcode(zipcode);
-            if (result && result.latitude && result.longitude) {
-                console.log(`✅ Found ${zipcode} via external API fallback`);
-                return {
-                    zipcode,
-                    latitude: result.latitude,
-                    longitude: result.longitude,
-                    city: result.city,
-                    state: result.state
-                };
-            }
+        if (source && source !== 'auto') {
+            throw new NotFoundError(`${provider.label} could not find zipcode ${zipcode}`);
         }
 
         return null;
     }
 
-    async getCensusData(zipData) {
+    async getCensusData(zipData, source = 'auto') {
         try {
-            const censusResult = await this.apiClient.getCensusTract(
-                zipData.latitude,
-                zipData.longitude
-            );
+            // Sources that carry their own census geography (e.g. a local dataset) answer directly,
+            // everything else goes to the Census Bureau geocoder
+            const sourceProvider = this.providers.get(source);
+            const provider = sourceProvider && sourceProvider.name !== 'auto' && sourceProvider.supports(CAPABILITIES.CENSUS_TRACT)
+                ? sourceProvider
+                : this.providers.resolve('census', CAPABILITIES.CENSUS_TRACT);
+            const censusResult = await provider.censusTract(zipData.latitude, zipData.longitude);
 
             if (censusResult) {
                 return {
@@ -138,7 +117,7 @@ class CensusSearchCommand {
             };
 
         } catch (error) {
-            console.warn(`Census API lookup failed: ${error.message}`);
+            this.logger.warn(`Census API lookup failed: ${error.message}`);
             return {
                 census_tract: 'API error',
                 census_block: 'API error',
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Config = require('../utils/config');
+const { createLogger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+const { parseGazetteer, parseGeoNames, parseHudCrosswalk, mergeSources, buildStore } = require('../data/importers');
+
+const DEFAULT_STORE_PATH = path.join('data', 'zipcodes.json');
+
+class DataCommand {
+    /**
+     * @param {Object} options - Shared dependencies (optional)
+     * @param {APIClient} options.apiClient - API client whose config and logger are used
+     * @param {Config} options.config - Configuration (default: the API client's, else loaded from config files)
+     * @param {Object} options.logger - Logger (default: the API client's logger, else console)
+     */
+    constructor(options = {}) {
+        const { apiClient } = options;
+        this.logger = options.logger || (apiClient ? apiClient.logger : createLogger());
+        this.config = options.config || (apiClient ? apiClient.config : new Config({ logger: this.logger }));
+    }
+
+    async execute(options) {
+        const { action = 'import' } = options;
+
+        switch (action) {
+            case 'import':
+                return await this.importDataset(options);
+            default:
+                throw new ValidationError(`Unsupported data action: ${action}`, 'action');
+        }
+    }
+
+    async importDataset(options) {
+        const { gazetteer, geonames, hud } = options;
+
+        if (!gazetteer && !geonames) {
+            throw new ValidationError('At least one of --gazetteer or --geonames is required to provide coordinates', 'gazetteer');
+        }
+
+        const output = options.output || this.config.get('local').path || DEFAULT_STORE_PATH;
+
+        try {
+            const sources = {};
+            const inputs = {};
+
+            if (gazetteer) {
+                sources.gazetteer = parseGazetteer(await this.readInput(gazetteer, 'gazetteer'));
+                inputs.gazetteer = { file: path.resolve(gazetteer), records: sources.gazetteer.size };
+            }
+
+            if (geonames) {
+                sources.geonames = parseGeoNames(await this.readInput(geonames, 'geonames'));
+                inputs.geonames = { file: path.resolve(geonames), records: sources.geonames.size };
+            }
+
+            if (hud) {
+                sources.hud = parseHudCrosswalk(await this.readInput(hud, 'hud'));
+                inputs.hud = { file: path.resolve(hud), records: sources.hud.size };
+            }
+
+            const records = mergeSources(sources);
+            if (records.length === 0) {
+                throw new ValidationError('No zipcodes with coordinates were found in the input files', gazetteer ? 'gazetteer' : 'geonames');
+            }
+
+            // The Gazetteer carries no place names; only GeoNames and HUD supply city and state
+            const unnamed = records.filter(record => !record.city || !record.state).length;
+            if (!geonames && !hud) {
+                this.logger.warn('No --geonames or --hud file was given, so every zipcode is stored without a city or state: ' +
+                    '--source local results show them blank and location searches find nothing');
+            } else if (unnamed > 0) {
+                this.logger.warn(`${unnamed} of ${records.length} zipcodes have no city or state in the GeoNames or HUD files`);
+            }
+
+            const store = buildStore(records, { inputs });
+            const outputPath = path.resolve(output);
+            await fs.mkdir(path.dirname(outputPath), { recursive: true });
+            await fs.writeFile(outputPath, JSON.stringify(store), 'utf8');
+
+            let summary = `Imported ${records.length} zipcodes into ${outputPath}`;
+            for (const [name, input] of Object.entries(inputs)) {
+                summary += `\n  ${name}: ${input.records} records from ${input.file}`;
+            }
+            if (!this.config.get('local').path) {
+                summary += `\nSet local.path to ${outputPath} in your config file (or ZIPCODE_LOOKUP_DATA) to use it with --source local`;
+            }
+
+            return summary;
+
+        } catch (error) {
+            throw new Error(`Data import failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * @param {string} filePath - Input file
+     * @param {string} field - Option that named the file, reported with errors
+     * @returns {Promise<string>} File contents
+     * @throws {ValidationError} When the file is missing or unreadable
+     */
+    async readInput(filePath, field) {
+        try {
+            return await fs.readFile(path.resolve(filePath), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new ValidationError(`Input file not found: ${filePath}`, field);
+            }
+            throw new ValidationError(`Could not read ${filePath}: ${error.message}`, field);
+        }
+    }
+}
+
+module.exports = DataCommand;
@@ -1,227 +1,114 @@
 const { formatOutput, filterFields } = require('../utils/formatters');
 const APIClient = require('../data/sources/api-client');
+const ProviderRegistry = require('../data/sources/provider-registry');
+const { CAPABILITIES } = require('../data/sources/provider-registry');
+const BoundarySet = require('../data/sources/boundaries');
 const MapGenerator = require('../utils/map-generator');
-const zipcodes = require('zipcodes');
+const { validateGeometryOption, addGeometryColumn } = require('../utils/geometry-column');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
 class LocationSearchCommand {
-    constructor() {
-        this.apiClient = new APIClient();
-        this.mapGenerator = new MapGenerator();
+    /**
+     * @param {Object} options - Shared dependencies (optional)
+     * @param {APIClient} options.apiClient - API client to reuse across commands
+     * @param {ProviderRegistry} options.providers - Provider registry to reuse across commands
+     * @param {Object} options.logger - Logger (default: the API client's logger)
+     */
+    constructor(options = {}) {
+        this.apiClient = options.apiClient || new APIClient();
+        this.providers = options.providers || new ProviderRegistry({ apiClient: this.apiClient });
+        this.logger = options.logger || this.apiClient.logger;
+        this.mapGenerator = new MapGenerator({ logger: this.logger, config: this.apiClient.config });
     }
 
     async execute(options) {
-        const { city, state, county, source = 'auto', fields, output = 'table' } = options;
+        const { city, state, county, source = 'auto', fields, output = 'table', geometry } = options;
 
         if (!city && !county) {
-            throw new Error('Either --city or --county must be specified');
+            throw new ValidationError('Either --city or --county must be specified', 'city');
         }
 
         if ((city || county) && !state) {
-            throw new Error('--state is required when searching by city or county');
+            throw new ValidationError('--state is required when searching by city or county', 'state');
         }
 
-        try {
-            let results = [];
+        validateGeometryOption(geometry, output);
 
-            if (city) {
-                results = await this.searchByCity(city, state, source);
-            } else if (county) {
-                results = await this.searchByCounty(county, state, source);
-            }
+        try {
+            const found = city
+                ? await this.searchByCity(city, state, source)
+                : await this.searchByCounty(county, state, source);
+            let results = this.normalizeResults(found, { withCounty: !!county });
 
             if (!results || results.length === 0) {
-                throw new Error(`No zipcodes found for the specified location`);
+                throw new NotFoundError(`No zipcodes found for the specified location`);
             }
 
+            const positioned = results;
+
             // Apply field filtering if specified
             if (fields) {
                 results = filterFields(results, { fields });
             }
 
             // Generate KML if requested
-            if (options.kml) {
+            if (options.kml || options.kmz) {
                 await this.mapGenerator.generateKmlFile(results, {
+                    source: found[0].source || source,
+                    kmz: options.kmz,
                     filename: `location-search-${Date.now()}.kml`
                 });
             }
 
-            // Format and return output
-            return formatOutput(results, output);
-
-        } catch (error) {
-            throw new Error(`Location search failed: ${error.message}`);
-        }
-    }
-
-    async searchByCity(city, state, source) {
-        // Handle specific source requests
-        if (source === 'nominatim') {
-            return await this.searchCityViaNominatim(city, state);
-        }
-
-        if (source === 'googlemaps') {
-            return await this.searchCityViaGoogleMaps(city, state);
-        }
-
-        if (source === 'zippopotam') {
-            return await this.searchCityViaZippopotam(city, state);
-        }
-
-        // Default to zipcodes package (for 'zipcodes' source or 'auto' mode)
-        try {
-            const zipData = zipcodes.lookupByName(city, state);
-            if (zipData && zipData.length > 0) {
-                return zipData.map(zip => ({
-                    zipcode: zip.zip,
-                    city: zip.city,
-                    state: zip.state,
-                    latitude: zip.latitude,
-                    longitude: zip.longitude
-                }));
-            }
-        } catch (error) {
-            console.warn(`Zipcodes package city search failed: ${error.message}`);
-        }
-
-        // If zipcodes package fails and we're in auto mode, try external APIs
-        if (source === 'auto') {
-            const results = await this.searchCityViaNominatim(city, state);
-            if (results && results.length > 0) {
-                console.log(`✅ Found ${city}, ${state} via external API fallback`);
-                return results;
-            }
-        }
-
-        return [];
-    }
-
-    async searchByCounty(county, state, source) {
-        // Handle specific source requests
-        if (source === 'nominatim') {
-            return await this.searchCountyViaNominatim(county, state);
-        }
-
-        if (source === 'googlemaps') {
-            return await this.searchCountyViaGoogleMaps(county, state);
-        }
-
-        if (source === 'zippopotam') {
-            // Zippopotam doesn't support county search, fallback to zipcodes
-            return await this.searchCountyViaZipcodes(county, state);
-        }
-
-        // Default to zipcodes package search by filtering all zipcodes in state
-        try {
-            return await this.searchCountyViaZipcodes(county, state);
-        } catch (error) {
-            console.warn(`Zipcodes package county search failed: ${error.message}`);
-        }
-
-        // If zipcodes package fails and we're in auto mode, try external APIs
-        if (source === 'auto') {
-            const results = await this.searchCountyViaNominatim(county, state);
-            if (results && results.length > 0) {
-                console.log(`✅ Found ${county} County, ${state} via external API fallback`);
-                return results;
+            if (options.htmlMap) {
+                await this.mapGenerator.generateHtmlFile(results, {
+                    source: found[0].source || source,
+                    filename: `location-search-${Date.now()}.html`
+                });
             }
-        }
-
-        return [];
-    }
-
-    async searchCityViaNominatim(city, state) {
-        try {
-            const results = await this.apiClient.searchNominatimCity(city, state);
-            return this.normalizeResults(results);
-        } catch (error) {
-            console.warn(`Nominatim city search failed: ${error.message}`);
-            return [];
-        }
-    }
 
-    async searchCityViaZippopotam(city, state) {
-        try {
-            const results = await this.apiClient.searchZippopotamCity(city, state);
-            return this.normalizeResults(results);
-        } catch (error) {
-            console.warn(`Zippopotam city search failed: ${error.message}`);
-            return [];
-        }
-    }
-
-    async searchCountyViaZipcodes(county, state) {
-        try {
-            // Get all zipcodes for the state and filter by county
-            const stateZipcodes = zipcodes.lookupByState(state);
-            if (!stateZipcodes || stateZipcodes.length === 0) {
-                return [];
+            if (geometry) {
+                const boundaries = await BoundarySet.loadConfigured(options.boundaries, this.apiClient.config, this.logger);
+                results = addGeometryColumn(results, geometry, { boundaries, positions: positioned });
             }
 
-            const countyLower = county.toLowerCase();
-            const matchingZipcodes = stateZipcodes.filter(zip => {
-                // Handle different county name formats
-                const zipCounty = zip.county ? zip.county.toLowerCase() : '';
-                return zipCounty.includes(countyLower) ||
-                       zipCounty.includes(countyLower.replace(' county', '')) ||
-                       zipCounty === countyLower;
-            });
-
-            return matchingZipcodes.map(zip => ({
-                zipcode: zip.zip,
-                city: zip.city,
-                state: zip.state,
-                latitude: zip.latitude,
-                longitude: zip.longitude,
-                county: zip.county || ''
-            }));
-        } catch (error) {
-            console.warn(`Zipcodes package county filter failed: ${error.message}`);
-            return [];
-        }
-    }
+            // Format and return output
+            return formatOutput(results, output, { source: found[0].source || source });
 
-    async searchCountyViaNominatim(county, state) {
-        try {
-            const results = await this.apiClient.searchNominatimCounty(county, state);
-            return this.normalizeResults(results);
         } catch (error) {
-            console.warn(`Nominatim county search failed: ${error.message}`);
-            return [];
+            throw new Error(`Location search failed: ${error.message}`, { cause: error });
         }
     }
 
-    async searchCityViaGoogleMaps(city, state) {
-        try {
-            const results = await this.apiClient.searchGoogleMapsCity(city, state);
-            return this.normalizeResults(results);
-        } catch (error) {
-            console.warn(`Google Maps city search failed: ${error.message}`);
-            return [];
-        }
+    async searchByCity(city, state, source) {
+        const provider = this.providers.resolve(source, CAPABILITIES.CITY_SEARCH);
+        return await provider.searchCity(city, state);
     }
 
-    async searchCountyViaGoogleMaps(county, state) {
-        try {
-            const results = await this.apiClient.searchGoogleMapsCounty(county, state);
-            return this.normalizeResults(results);
-        } catch (error) {
-            console.warn(`Google Maps county search failed: ${error.message}`);
-            return [];
-        }
+    async searchByCounty(county, state, source) {
+        const provider = this.providers.resolve(source, CAPABILITIES.COUNTY_SEARCH);
+        return await provider.searchCounty(county, state);
     }
 
-    normalizeResults(results) {
+    /**
+     * @param {Array} results - Provider results
+     * @param {Object} options - withCounty: always include the county column (county searches)
+     * @returns {Array} Output rows; city searches only get a county column when the source supplies counties
+     */
+    normalizeResults(results, options = {}) {
         if (!results || !Array.isArray(results)) {
             return [];
         }
 
+        const withCounty = options.withCounty || results.some(result => result.county);
+
         return results.map(result => ({
             zipcode: result.zipcode || result.zip,
             city: result.city,
             state: result.state,
             latitude: result.latitude,
             longitude: result.longitude,
-            county: result.county || ''
+            ...(withCounty ? { county: result.county || '' } : {})
         })).filter(result => result.zipcode && result.latitude && result.longitude);
     }
 }
@@ -1,25 +1,65 @@
-const { formatOutput, filterFields } = require('../utils/formatters');
-const { calculateDistance } = require('../utils/distance');
+const { formatOutput, filterFields, GEO_FORMATS } = require('../utils/formatters');
+const { calculateDistance, getBoundingBox } = require('../utils/distance');
 const APIClient = require('../data/sources/api-client');
+const ProviderRegistry = require('../data/sources/provider-registry');
+const { CAPABILITIES } = require('../data/sources/provider-registry');
+const BoundarySet = require('../data/sources/boundaries');
+const { getCircleCoverage } = require('../utils/geometry');
 const MapGenerator = require('../utils/map-generator');
-const zipcodes = require('zipcodes');
+const ProgressIndicator = require('../utils/progress');
+const { toComparisonCollection } = require('../utils/geojson');
+const { validateGeometryOption, addGeometryColumn } = require('../utils/geometry-column');
+const { ValidationError, NotFoundError, CircuitOpenError } = require('../utils/errors');
+
+// How a zipcode qualifies for a radius search
+const MATCH_MODES = ['centroid', 'intersects', 'contains'];
+
+// Share of a polygon that must fall inside the circle to count as contained
+const CONTAINS_THRESHOLD = 0.999;
 
 class RadiusSearchCommand {
-    constructor() {
-        this.apiClient = new APIClient();
-        this.mapGenerator = new MapGenerator();
+    /**
+     * @param {Object} options - Shared dependencies (optional)
+     * @param {APIClient} options.apiClient - API client to reuse across commands
+     * @param {ProviderRegistry} options.providers - Provider registry to reuse across commands
+     * @param {Object} options.logger - Logger (default: the API client's logger)
+     */
+    constructor(options = {}) {
+        this.apiClient = options.apiClient || new APIClient();
+        this.providers = options.providers || new ProviderRegistry({ apiClient: this.apiClient });
+        this.logger = options.logger || this.apiClient.logger;
+        this.mapGenerator = new MapGenerator({ logger: this.logger, config: this.apiClient.config });
     }
 
     async execute(options) {
-        const { zipcode, miles, kilometers, source = 'auto', compare, includeDistance, fields, output = 'table' } = options;
+        const { zipcode, miles, kilometers, source = 'auto', compare, includeDistance, fields, output = 'table', match = 'centroid', geometry } = options;
 
         // Convert distance to common unit (miles)
         const radiusMiles = kilometers ? kilometers * 0.621371 : miles;
 
         if (!radiusMiles) {
-            throw new Error('Distance must be specified in either --miles or --kilometers');
+            throw new ValidationError('Distance must be specified in either --miles or --kilometers', 'miles');
+        }
+
+        if (!MATCH_MODES.includes(match)) {
+            throw new ValidationError(`Invalid match mode '${match}'. Use one of: ${MATCH_MODES.join(', ')}`, 'match');
+        }
+
+        // Comparisons match by centroid only, so these would be silently ignored
+        if (compare && match !== 'centroid') {
+            throw new ValidationError(`--match ${match} is not available with --compare`, 'match');
+        }
+        if (compare && options.boundaries) {
+            throw new ValidationError('--boundaries is not available with --compare', 'boundaries');
+        }
+
+        validateGeometryOption(geometry, output);
+        if (geometry && compare) {
+            throw new ValidationError('--geometry is not available with --compare', 'geometry');
         }
 
+        this.validateCenter(options);
+
         try {
             // If compare option is provided, perform comparison analysis
             if (compare) {
@@ -27,19 +67,28 @@ class RadiusSearchCommand {
             }
 
             // Get the center point coordinates
-            const centerPoint = await this.getCenterPoint(zipcode, source);
+            const centerPoint = await this.resolveCenter(options, source);
             if (!centerPoint) {
-                throw new Error(`Could not find coordinates for zipcode ${zipcode}`);
+                throw new NotFoundError(`Could not find coordinates for ${this.describeCenter(options)}`);
             }
 
             // For auto mode, use the same source that was actually used for the center point
             const effectiveSource = centerPoint.source || source;
 
             // Find zipcodes within radius
-            const results = await this.findZipcodesInRadius(centerPoint, radiusMiles, effectiveSource);
+            let results = await this.findZipcodesInRadius(centerPoint, radiusMiles, effectiveSource);
+
+            const boundaries = await BoundarySet.loadConfigured(options.boundaries, this.apiClient.config, this.logger);
+            if (!boundaries && match !== 'centroid') {
+                throw new ValidationError(`--match ${match} requires ZCTA boundaries (--boundaries or boundaries.path in the config)`, 'match');
+            }
+            if (boundaries) {
+                results = await this.applyBoundaryMatch(results, centerPoint, radiusMiles, match, boundaries, effectiveSource);
+            }
 
             // Filter and enhance results
             let processedResults = this.processResults(results, centerPoint, radiusMiles, includeDistance, false, options);
+            const positioned = processedResults;
 
             // Apply field filtering if specified
             if (fields) {
@@ -47,40 +96,59 @@ class RadiusSearchCommand {
             }
 
             // Generate KML if requested
-            if (options.kml) {
+            if (options.kml || options.kmz) {
                 await this.mapGenerator.generateKmlFile(processedResults, {
                     centerPoint: centerPoint,
-                    source: source,
-                    filename: `radius-${zipcode}-${radiusMiles}mi.kml`
+                    source: effectiveSource,
+                    radiusMiles: radiusMiles,
+                    kmz: options.kmz,
+                    filename: `radius-${this.centerSlug(options)}-${radiusMiles}mi.kml`
+                });
+            }
+
+            if (options.htmlMap) {
+                await this.mapGenerator.generateHtmlFile(processedResults, {
+                    centerPoint: centerPoint,
+                    source: effectiveSource,
+                    radiusMiles: radiusMiles,
+                    filename: `radius-${this.centerSlug(options)}-${radiusMiles}mi.html`
                 });
             }
 
+            if (geometry) {
+                processedResults = addGeometryColumn(processedResults, geometry, { boundaries, positions: positioned });
+            }
+
             // Format and return output
-            return formatOutput(processedResults, output);
+            return formatOutput(processedResults, output, { center: centerPoint, source: effectiveSource });
 
         } catch (error) {
-            throw new Error(`Radius search failed: ${error.message}`);
+            throw new Error(`Radius search failed: ${error.message}`, { cause: error });
         }
     }
 
     async executeComparison(zipcode, source, compareSource, radiusMiles, options) {
-        const { output = 'table' } = options;
+        const { output = 'table', progress = false } = options;
         // When comparing, we always want to include distance details.
         const includeDistance = true;
 
         try {
             // Get coordinates from both sources
-            const primaryPoint = await this.getCenterPoint(zipcode, source);
-            const comparePoint = await this.getCenterPoint(zipcode, compareSource);
+            const primaryPoint = await this.resolveCenter(options, source);
+            const comparePoint = await this.resolveCenter(options, compareSource);
 
             if (!primaryPoint) {
-                throw new Error(`Could not find coordinates for zipcode ${zipcode} using source: ${source}`);
+                throw new NotFoundError(`Could not find coordinates for ${this.describeCenter(options)} using source: ${source}`);
             }
 
             if (!comparePoint) {
-                throw new Error(`Could not find coordinates for zipcode ${zipcode} using comparison source: ${compareSource}`);
+                throw new NotFoundError(`Could not find coordinates for ${this.describeCenter(options)} using comparison source: ${compareSource}`);
             }
 
+            // Coordinate and address centers don't come from a zipcode source, so label them by the requested source
+            const primaryLabel = primaryPoint.source || source;
+            const compareLabel = comparePoint.source || compareSource;
+
             // Calculate distance between the two coordinate sets
             const coordinateDifference = calculateDistance(
                 primaryPoint.latitude,
@@ -96,9 +164,22 @@ class RadiusSearchCommand {
             // Combine zipcodes from both sources
             const allZipcodes = new Set([...primaryZipcodes, ...compareZipcodes]);
 
-            // Get full data for all zipcodes from both sources
-            const primaryResults = await this.getZipcodeData(allZipcodes, source);
-            const compareResults = await this.getZipcodeData(allZipcodes, compareSource);
+            // Get full data for all zipcodes from both sources at once
+            const indicator = new ProgressIndicator({
+                label: `Fetching ${source} and ${compareSource}`,
+                total: allZipcodes.size * 2,
+                enabled: progress
+            });
+            let primaryResults;
+            let compareResults;
+            try {
+                [primaryResults, compareResults] = await Promise.all([
+                    this.getZipcodeData(allZipcodes, source, indicator),
+                    this.getZipcodeData(allZipcodes, compareSource, indicator)
+                ]);
+            } finally {
+                indicator.done();
+            }
 
             // Process both result sets, indicating this is a comparison
             const primaryProcessed = this.processResults(primaryResults, primaryPoint, radiusMiles, true, true, options);
@@ -111,23 +192,23 @@ class RadiusSearchCommand {
 
             // Build comparison output
             const comparisonData = {
-                zipcode: zipcode,
+                ...(zipcode ? { zipcode } : { center: this.describeCenter(options) }),
                 radius_miles: radiusMiles,
                 source_comparison: {
-                    primary_source: primaryPoint.source,
-                    compare_source: comparePoint.source,
+                    primary_source: primaryLabel,
+                    compare_source: compareLabel,
                     coordinate_difference_miles: parseFloat(coordinateDifference.toFixed(4))
                 },
                 coordinates: {
                     primary: {
-                        source: primaryPoint.source,
+                        source: primaryLabel,
                         latitude: primaryPoint.latitude,
                         longitude: primaryPoint.longitude,
                         city: primaryPoint.city,
                         state: primaryPoint.state
                     },
                     compare: {
-                        source: comparePoint.source,
+                        source: compareLabel,
                         latitude: comparePoint.latitude,
                         longitude: comparePoint.longitude,
                         city: comparePoint.city,
@@ -146,19 +227,34 @@ class RadiusSearchCommand {
                 comparisonData.detailed_comparison = this.buildDetailedComparison(
                     finalPrimary,
                     finalCompare,
-                    primaryPoint.source,
-                    comparePoint.source
+                    primaryLabel,
+                    compareLabel
                 );
             }
 
             // Generate KML if requested
-            if (options.kml) {
+            if (options.kml || options.kmz) {
                 await this.mapGenerator.generateKmlFile(finalPrimary, {
                     centerPoint: primaryPoint,
+                    comparePoint: comparePoint,
+                    compareResults: finalCompare,
+                    source: primaryLabel,
+                    compareSource: compareLabel,
+                    radiusMiles: radiusMiles,
+                    kmz: options.kmz,
+                    filename: `radius-comparison-${this.centerSlug(options)}-${radiusMiles}mi.kml`
+                });
+            }
+
+            if (options.htmlMap) {
+                await this.mapGenerator.generateHtmlFile(finalPrimary, {
+                    centerPoint: primaryPoint,
+                    comparePoint: comparePoint,
                     compareResults: finalCompare,
-                    source: primaryPoint.source,
-                    compareSource: comparePoint.source,
-                    filename: `radius-comparison-${zipcode}-${radiusMiles}mi.kml`
+                    source: primaryLabel,
+                    compareSource: compareLabel,
+                    radiusMiles: radiusMiles,
+                    filename: `radius-comparison-${this.centerSlug(options)}-${radiusMiles}mi.html`
                 });
             }
 
@@ -167,10 +263,21 @@ class RadiusSearchCommand {
                 return this.formatComparisonTable(comparisonData);
             }
 
+            if (GEO_FORMATS.includes(output)) {
+                return formatOutput(toComparisonCollection({
+                    primarySource: primaryLabel,
+                    compareSource: compareLabel,
+                    primaryCenter: primaryPoint,
+                    compareCenter: comparePoint,
+                    primary: finalPrimary,
+                    compare: finalCompare
+                }), output);
+            }
+
             return formatOutput(comparisonData, output);
 
         } catch (error) {
-            throw new Error(`Comparison failed: ${error.message}`);
+            throw new Error(`Comparison failed: ${error.message}`, { cause: error });
         }
     }
 
@@ -277,208 +384,342 @@ class RadiusSearchCommand {
                 return primaryDistA - primaryDistB;
             });
         } catch (error) {
-            console.error(`Error in buildDetailedComparison: ${error.message}`);
+            this.logger.error(`Error in buildDetailedComparison: ${error.message}`);
             return [];
         }
     }
 
-    async getCenterPoint(zipcode, source) {
-        // Handle specific source requests
-        if (source === 'nominatim') {
-            const result = await this.apiClient.getNominatimZipcode(zipcode);
-            if (result && result.latitude && result.longitude) {
-                return {
-                    zipcode,
-                    latitude: result.latitude,
-                    longitude: result.longitude,
-                    city: result.city,
-                    state: result.state,
-                    source: 'nominatim'
-                };
-            }
-            throw new Error(`Nominatim API could not find zipcode ${zipcode}`);
-        }
-
-        if (source === 'googlemaps') {
-            const result = await this.apiClient.getGoogleMapsZipcode(zipcode);
-            if (result && result.latitude && result.longitude) {
-                return {
-                    zipcode,
-                    latitude: result.latitude,
-                    longitude: result.longitude,
-                    city: result.city,
-                    state: result.state,
-                    source: 'googlemaps'
-                };
-            }
-            throw new Error(`Google Maps API could not find zipcode ${zipcode}`);
-        }
-
-        if (source === 'zippopotam') {
-            const result = await this.apiClient.getZippopotamZipcode(zipcode);
-            if (result && result.latitude && result.longitude) {
-                return {
-                    zipcode,
-                    latitude: result.latitude,
-                    longitude: result.longitude,
-                    city: result.city,
-                    state: result.state,
-                    source: 'zippopotam'
-                };
-            }
-            throw new Error(`Zippopotam API could not find zipcode ${zipcode}`);
+    /**
+     * Check that exactly one search center was given
+     * @param {Object} options - Command options
+     */
+    validateCenter(options) {
+        const { zipcode, lat, lon, city, state, address } = options;
+        const hasCoordinates = lat !== undefined || lon !== undefined;
+        const centers = [zipcode, hasCoordinates, city, address].filter(Boolean);
+
+        if (centers.length === 0) {
+            throw new ValidationError('A search center is required: --zip, --lat/--lon, --city/--state or --address', 'zipcode');
         }
 
-        // Default to zipcodes package (for 'zipcodes' source or 'auto' mode)
-        try {
-            const zipData = zipcodes.lookup(zipcode);
-            if (zipData && zipData.latitude && zipData.longitude) {
-                return {
-                    zipcode,
-                    latitude: zipData.latitude,
-                    longitude: zipData.longitude,
-                    city: zipData.city,
-                    state: zipData.state,
-                    source: 'zipcodes'
-                };
+        if (centers.length > 1) {
+            throw new ValidationError('Use only one search center: --zip, --lat/--lon, --city/--state or --address', 'zipcode');
+        }
+
+        if (hasCoordinates) {
+            const latitude = parseFloat(lat);
+            const longitude = parseFloat(lon);
+
+            if (isNaN(latitude) || isNaN(longitude)) {
+                throw new ValidationError('Both --lat and --lon must be valid numbers', 'lat');
             }
-        } catch (error) {
-            console.warn(`Zipcodes package lookup failed: ${error.message}`);
-        }
-
-        // If zipcodes package fails and we're in auto mode, try external APIs
-        if (source === 'auto') {
-            const result = await this.apiClient.getZipcode(zipcode);
-            if (result && result.latitude && result.longitude) {
-                console.log(`✅ Found ${zipcode} via external API fallback`);
-                return {
-                    zipcode,
-                    latitude: result.latitude,
-                    longitude: result.longitude,
-                    city: result.city,
-                    state: result.state,
-                    source: result.source // The API client now returns the source
-                };
+
+            if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+                throw new ValidationError('Latitude must be between -90 and 90 and longitude between -180 and 180 degrees', 'lat');
             }
         }
 
+        if (city && !state) {
+            throw new ValidationError('--city requires --state', 'state');
+        }
+    }
+
+    /**
+     * Resolve the search center from a zipcode, coordinates, a city or an address
+     * @param {Object} options - Command options
+     * @param {string} source - Data source
+     * @returns {Promise<Object|null>} Center point with latitude/longitude
+     */
+    async resolveCenter(options, source) {
+        const { zipcode, lat, lon, city, state, address } = options;
+
+        if (zipcode) {
+            return await this.getCenterPoint(zipcode, source);
+        }
+
+        if (lat !== undefined && lon !== undefined) {
+            return { latitude: parseFloat(lat), longitude: parseFloat(lon) };
+        }
+
+        if (city) {
+            return await this.getCityCenter(city, state, source);
+        }
+
+        return await this.getAddressCenter(address, source);
+    }
+
+    /**
+     * Center a search on a city, using the average of its zipcode centroids
+     */
+    async getCityCenter(city, state, source) {
+        const provider = this.providers.resolve(source, CAPABILITIES.CITY_SEARCH);
+        const results = (await provider.searchCity(city, state) || [])
+            .filter(result => typeof result.latitude === 'number' && typeof result.longitude === 'number');
+
+        if (results.length === 0) {
+            throw new NotFoundError(`${provider.label} could not find ${city}, ${state}`);
+        }
+
+        return {
+            latitude: results.reduce((sum, result) => sum + result.latitude, 0) / results.length,
+            longitude: results.reduce((sum, result) => sum + result.longitude, 0) / results.length,
+            city: results[0].city,
+            state: results[0].state,
+            source: results[0].source
+        };
+    }
+
+    /**
+     * Center a search on a geocoded address. Sources that can't geocode
+     * (zipcodes, local) fall back to the auto geocoder chain.
+     */
+    async getAddressCenter(address, source) {
+        const sourceProvider = this.providers.get(source);
+        const geocodeSource = sourceProvider && sourceProvider.supports(CAPABILITIES.GEOCODE) ? source : 'auto';
+        const provider = this.providers.resolve(geocodeSource, CAPABILITIES.GEOCODE);
+
+        const location = await provider.geocode(address);
+        if (!location) {
+            throw new NotFoundError(`${provider.label} could not geocode address "${address}"`);
+        }
+
+        if (process.env.DEBUG) {
+            this.logger.debug(`📍 Geocoded "${address}" to ${location.latitude}, ${location.longitude} via ${location.source}`);
+        }
+
+        // The center carries no source so radius results still come from the requested source
+        return {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            city: location.city,
+            state: location.state,
+            formatted_address: location.formatted_address,
+            geocoded_by: location.source
+        };
+    }
+
+    describeCenter(options) {
+        const { zipcode, lat, lon, city, state, address } = options;
+
+        if (zipcode) return `zipcode ${zipcode}`;
+        if (lat !== undefined && lon !== undefined) return `${lat}, ${lon}`;
+        if (city) return `${city}, ${state}`;
+        return address;
+    }
+
+    centerSlug(options) {
+        const { zipcode, lat, lon, city, state, address } = options;
+
+        if (zipcode) return zipcode;
+        if (lat !== undefined && lon !== undefined) return `${lat}_${lon}`;
+
+        const text = city ? `${city}-${state}` : address;
+        return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    }
+
+    async getCenterPoint(zipcode, source) {
+        const provider = this.providers.resolve(source, CAPABILITIES.LOOKUP);
+        const result = await provider.lookup(zipcode);
+
+        if (result && result.latitude && result.longitude) {
+            return {
+                zipcode,
+                latitude: result.latitude,
+                longitude: result.longitude,
+                city: result.city,
+                state: result.state,
+                source: result.source
+            };
+        }
+
+        if (source && source !== 'auto') {
+            throw new NotFoundError(`${provider.label} could not find zipcode ${zipcode}`);
+        }
+
         return null;
     }
 
-    async getZipcodeData(zipcodes, source) {
-        const results = [];
-        for (const zipcode of zipcodes) {
-            try {
-                const data = await this.getCenterPoint(zipcode, source);
-                if (data) {
-                    results.push(data);
+    /**
+     * Look up every zipcode in a source, several at a time
+     * The API client's rate limits and api.maxConcurrent still pace the requests; this only
+     * keeps enough lookups queued to use them
+     * @param {Iterable<string>} zipcodes - Zipcodes to look up
+     * @param {string} source - Data source
+     * @param {ProgressIndicator} progress - Ticked once per zipcode (optional)
+     * @returns {Promise<Array>} Zipcode records found, in the order of the input
+     */
+    async getZipcodeData(zipcodes, source, progress = null) {
+        const list = Array.from(zipcodes);
+        const found = new Array(list.length).fill(null);
+        const workers = Math.min(list.length, this.apiClient.concurrency.maxConcurrent);
+        let next = 0;
+        let skipped = 0;
+
+        const work = async () => {
+            // Once the source is down, every remaining lookup would be refused too
+            while (skipped === 0 && next < list.length) {
+                const index = next++;
+                const zipcode = list[index];
+                try {
+                    found[index] = await this.getCenterPoint(zipcode, source);
+                } catch (error) {
+                    if (error instanceof CircuitOpenError) {
+                        skipped++;
+                    } else if (process.env.DEBUG) {
+                        this.logger.warn(`Could not retrieve data for zipcode ${zipcode} from source ${source}: ${error.message}`);
+                    }
                 }
-            } catch (error) {
-                if (process.env.DEBUG) {
-                    console.warn(`Could not retrieve data for zipcode ${zipcode} from source ${source}: ${error.message}`);
+                if (progress) {
+                    progress.tick();
                 }
             }
+        };
+
+        await Promise.all(Array.from({ length: workers }, work));
+
+        skipped += list.length - next;
+        if (skipped > 0) {
+            this.logger.warn(`Leaving the remaining ${skipped} zipcodes out of ${source} results`);
         }
-        return results;
+        return found.filter(Boolean);
     }
 
     async getZipcodesInRadius(centerPoint, radiusMiles) {
         try {
-            // Use the zipcodes package to get a list of zipcodes within the radius
-            return zipcodes.radius(centerPoint.zipcode, radiusMiles);
+            // Candidate zipcodes always come from a source that can enumerate its dataset
+            const provider = this.providers.datasetProvider();
+            const results = await provider.radius(centerPoint, radiusMiles);
+            return results.map(result => result.zipcode);
         } catch (error) {
-            // Fallback to using coordinates if the zipcode isn't in the local package
-            console.warn(`Zipcode ${centerPoint.zipcode} not found in local data, falling back to coordinate-based radius search.`);
-            try {
-                return zipcodes.radius({ lat: centerPoint.latitude, lon: centerPoint.longitude }, radiusMiles);
-            } catch (coordError) {
-                console.error(`Coordinate-based radius search failed: ${coordError.message}`);
-                return [];
-            }
+            this.logger.error(`Radius candidate search failed: ${error.message}`);
+            return [];
         }
     }
 
     async findZipcodesInRadius(centerPoint, radiusMiles, source) {
-        // Handle API-specific sources that need consistent coordinate fetching
-        if (source === 'nominatim' || source === 'zippopotam' || source === 'googlemaps') {
-            // APIs don't support radius search, so get list from zipcodes package
-            // but fetch coordinates from the specified source
-            return await this.zipcodesRadiusSearchWithSourceCoords(centerPoint, radiusMiles, source);
-        }
+        let provider = this.providers.resolve(source, CAPABILITIES.LOOKUP);
 
         // For 'auto' mode, if center point came from an external source, maintain consistency
-        if (source === 'auto' && centerPoint.source && centerPoint.source !== 'zipcodes') {
-            console.log(`🔄 Auto mode detected external source '${centerPoint.source}' for center point, using same source for radius results`);
-            return await this.zipcodesRadiusSearchWithSourceCoords(centerPoint, radiusMiles, centerPoint.source);
+        if (provider.name === 'auto' && centerPoint.source && centerPoint.source !== this.providers.datasetProvider().name) {
+            this.logger.info(`🔄 Auto mode detected external source '${centerPoint.source}' for center point, using same source for radius results`);
+            provider = this.providers.resolve(centerPoint.source, CAPABILITIES.LOOKUP);
         }
 
-        // Use zipcodes package for radius search (default and most efficient)
-        return await this.zipcodesRadiusSearch(centerPoint, radiusMiles);
+        // Sources that hold a full dataset can answer radius queries directly
+        if (provider.supports(CAPABILITIES.RADIUS)) {
+            return await provider.radius(centerPoint, radiusMiles);
+        }
+
+        // APIs don't support radius search, so get the candidate list from a dataset
+        // but fetch coordinates from the specified source
+        return await this.radiusSearchWithSourceCoords(centerPoint, radiusMiles, provider.name);
     }
 
-    async zipcodesRadiusSearchWithSourceCoords(centerPoint, radiusMiles, source) {
-        try {
-            // First get list of zipcodes in radius using zipcodes package
-            const nearbyZipArray = zipcodes.radius(centerPoint.zipcode, radiusMiles);
-            const nearbyZipcodes = [];
+    /**
+     * Select zipcodes by how their ZCTA polygon overlaps the search circle and
+     * record the share of each zipcode's area inside it. Zipcodes without a
+     * polygon (e.g. PO Box only zipcodes) keep the centroid test.
+     */
+    async applyBoundaryMatch(results, centerPoint, radiusMiles, match, boundaries, source) {
+        const candidates = boundaries.candidates(getBoundingBox(centerPoint.latitude, centerPoint.longitude, radiusMiles));
+
+        const coverage = new Map();
+        for (const boundary of candidates) {
+            const fraction = getCircleCoverage(boundary.geometry, centerPoint.latitude, centerPoint.longitude, radiusMiles);
+            if (fraction > 0) {
+                coverage.set(boundary.zipcode, fraction);
+            }
+        }
 
-            for (const zipcode of nearbyZipArray) {
-                try {
-                    // Get coordinates from the specified source instead of zipcodes package
-                    const sourceData = await this.getCenterPoint(zipcode, source);
-                    if (sourceData) {
-                        nearbyZipcodes.push({
-                            zipcode: sourceData.zipcode,
-                            latitude: sourceData.latitude,
-                            longitude: sourceData.longitude,
-                            city: sourceData.city,
-                            state: sourceData.state
-                        });
-                    }
-                } catch (error) {
-                    // If source fails, don't add fallback data for comparison sources
-                    // This prevents identical coordinates with different distances
-                    console.warn(`Failed to get ${zipcode} from ${source}, excluding from ${source} results`);
-                }
+        // Zipcodes without a polygon get null so every row has the same columns
+        const withCoverage = record => ({
+            ...record,
+            area_in_radius_pct: boundaries.get(record.zipcode)
+                ? parseFloat(((coverage.get(record.zipcode) || 0) * 100).toFixed(1))
+                : null
+        });
+
+        if (match === 'centroid') {
+            return results.map(withCoverage);
+        }
+
+        const byZipcode = new Map(results.map(record => [record.zipcode, record]));
+        const selected = [];
+
+        for (const [zipcode, fraction] of coverage) {
+            if (match === 'contains' && fraction < CONTAINS_THRESHOLD) {
+                continue;
             }
 
-            return nearbyZipcodes;
-        } catch (error) {
-            console.warn(`Source-specific radius search failed: ${error.message}`);
-            // Fall back to standard zipcodes search
-            return await this.zipcodesRadiusSearch(centerPoint, radiusMiles);
+            const record = byZipcode.get(zipcode) || await this.getBoundaryRecord(boundaries.get(zipcode), source, boundaries);
+            selected.push(withCoverage(record));
+        }
+
+        for (const record of results) {
+            if (!boundaries.get(record.zipcode) &&
+                calculateDistance(centerPoint.latitude, centerPoint.longitude, record.latitude, record.longitude) <= radiusMiles) {
+                selected.push(withCoverage(record));
+            }
+        }
+
+        if (process.env.DEBUG) {
+            this.logger.debug(`🗺️ ${selected.length} zipcodes match '${match}' out of ${candidates.length} nearby ZCTA polygons`);
         }
+
+        return selected;
     }
 
-    async zipcodesRadiusSearch(centerPoint, radiusMiles) {
+    async getBoundaryRecord(boundary, source, boundaries) {
         try {
-            const nearbyZipArray = zipcodes.radius(centerPoint.zipcode, radiusMiles);
-            const nearbyZipcodes = [];
+            const record = await this.getCenterPoint(boundary.zipcode, source);
+            if (record) {
+                return record;
+            }
+        } catch (error) {
+            if (process.env.DEBUG) {
+                this.logger.warn(`Lookup of ZCTA ${boundary.zipcode} failed: ${error.message}`);
+            }
+        }
 
-            for (const zipcode of nearbyZipArray) {
-                const zipData = zipcodes.lookup(zipcode);
-                if (zipData) {
+        return boundaries.toRecord(boundary);
+    }
+
+    async radiusSearchWithSourceCoords(centerPoint, radiusMiles, source) {
+        const nearbyZipArray = await this.getZipcodesInRadius(centerPoint, radiusMiles);
+        const nearbyZipcodes = [];
+
+        for (const [index, zipcode] of nearbyZipArray.entries()) {
+            try {
+                // Get coordinates from the specified source instead of the candidate dataset
+                const sourceData = await this.getCenterPoint(zipcode, source);
+                if (sourceData) {
                     nearbyZipcodes.push({
-                        zipcode: zipData.zip,
-                        latitude: zipData.latitude,
-                        longitude: zipData.longitude,
-                        city: zipData.city,
-                        state: zipData.state
+                        zipcode: sourceData.zipcode,
+                        latitude: sourceData.latitude,
+                        longitude: sourceData.longitude,
+                        city: sourceData.city,
+                        state: sourceData.state
                     });
                 }
+            } catch (error) {
+                // The source is down; every remaining lookup would be refused too
+                if (error instanceof CircuitOpenError) {
+                    this.logger.warn(`Leaving the remaining ${nearbyZipArray.length - index} zipcodes out of ${source} results`);
+                    break;
+                }
+                // If source fails, don't add fallback data for comparison sources
+                // This prevents identical coordinates with different distances
+                this.logger.warn(`Failed to get ${zipcode} from ${source}, excluding from ${source} results`);
             }
-
-            return nearbyZipcodes;
-        } catch (error) {
-            console.warn(`Zipcodes package radius search failed: ${error.message}`);
-            return [];
         }
+
+        return nearbyZipcodes;
     }
 
     processResults(results, centerPoint, radiusMiles, includeDistance, isComparison = false, options = {}) {
         // Validate inputs
         if (!Array.isArray(results)) {
-            console.warn(`Results is not an array: ${typeof results}`);
+            this.logger.warn(`Results is not an array: ${typeof results}`);
             return [];
         }
 
@@ -486,7 +727,7 @@ class RadiusSearchCommand {
             .map(zipData => {
                 if (!zipData || typeof zipData.latitude !== 'number' || typeof zipData.longitude !== 'number') {
                     if (process.env.DEBUG) {
-                        console.warn(`Skipping invalid zipData: ${JSON.stringify(zipData)}`);
+                        this.logger.warn(`Skipping invalid zipData: ${JSON.stringify(zipData)}`);
                     }
                     return null;
                 }
@@ -498,8 +739,10 @@ class RadiusSearchCommand {
                     zipData.longitude
                 );
 
-                // In comparison mode, we want to see all results, even if one is outside the radius
-                if (!isComparison && distance > radiusMiles) {
+                // In comparison mode, we want to see all results, even if one is outside the radius.
+                // Polygon match modes have already selected zipcodes by area, not by centroid.
+                const matchedByArea = options.match === 'intersects' || options.match === 'contains';
+                if (!isComparison && !matchedByArea && distance > radiusMiles) {
                     return null;
                 }
 
@@ -515,6 +758,10 @@ class RadiusSearchCommand {
                     result.distance_miles = parseFloat(distance.toFixed(2));
                 }
 
+                if (zipData.area_in_radius_pct !== undefined) {
+                    result.area_in_radius_pct = zipData.area_in_radius_pct;
+                }
+
                 // Add custom field if provided
                 if (options.customField && options.customValue !== undefined) {
                     result[options.customField] = options.customValue;
@@ -538,7 +785,7 @@ class RadiusSearchCommand {
         let output = '';
 
         // Summary header
-        output += chalk.blue.bold(`\nZipcode Comparison: ${comparisonData.zipcode}\n`);
+        output += chalk.blue.bold(`\nZipcode Comparison: ${comparisonData.zipcode || comparisonData.center}\n`);
         output += chalk.yellow(`Radius: ${comparisonData.radius_miles} miles\n`);
         output += chalk.cyan(`Primary Source: ${comparisonData.source_comparison.primary_source}\n`);
         output += chalk.cyan(`Compare Source: ${comparisonData.source_comparison.compare_source}\n`);
@@ -1,20 +1,32 @@
-const { formatOutput, filterFields } = require('../utils/formatters');
+const { formatOutput, filterFields, GEO_FORMATS } = require('../utils/formatters');
 const { calculateDistance } = require('../utils/distance');
 const APIClient = require('../data/sources/api-client');
-const CoordinateGrid = require('../utils/coordinate-grid');
+const ProviderRegistry = require('../data/sources/provider-registry');
+const { CAPABILITIES } = require('../data/sources/provider-registry');
+const BoundarySet = require('../data/sources/boundaries');
 const MapGenerator = require('../utils/map-generator');
-const zipcodes = require('zipcodes');
+const { toComparisonCollection } = require('../utils/geojson');
+const { validateGeometryOption, addGeometryColumn } = require('../utils/geometry-column');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
 class ReverseCommand {
-    constructor() {
-        this.apiClient = new APIClient();
-        this.mapGenerator = new MapGenerator();
+    /**
+     * @param {Object} options - Shared dependencies (optional)
+     * @param {APIClient} options.apiClient - API client to reuse across commands
+     * @param {ProviderRegistry} options.providers - Provider registry to reuse across commands
+     * @param {Object} options.logger - Logger (default: the API client's logger)
+     */
+    constructor(options = {}) {
+        this.apiClient = options.apiClient || new APIClient();
+        this.providers = options.providers || new ProviderRegistry({ apiClient: this.apiClient });
+        this.logger = options.logger || this.apiClient.logger;
+        this.mapGenerator = new MapGenerator({ logger: this.logger, config: this.apiClient.config });
     }
 
     async execute(options) {
         if (process.env.DEBUG) {
-            console.log('🔧 Execute options:', JSON.stringify(options, null, 2));
-            console.log('🔑 Option keys:', Object.keys(options));
+            this.logger.debug('🔧 Execute options:', JSON.stringify(options, null, 2));
+            this.logger.debug('🔑 Option keys:', Object.keys(options));
         }
 
         const {
@@ -27,12 +39,13 @@ class ReverseCommand {
             includeDistance = false,
             includeCoordinates = false,
             nearest: nearestRaw = 1,
-            miles
+            miles,
+            geometry
         } = options;
 
         // Validate that --nearest and --miles are mutually exclusive
         if (nearestRaw && nearestRaw !== 1 && miles) {
-            throw new Error('Cannot use both --nearest and --miles options together. Use --nearest for closest N zipcodes or --miles for all zipcodes within distance.');
+            throw new ValidationError('Cannot use both --nearest and --miles options together. Use --nearest for closest N zipcodes or --miles for all zipcodes within distance.');
         }
 
         // Handle null/undefined nearest value - check if it's null but we might have it in a different key
@@ -52,32 +65,46 @@ class ReverseCommand {
         }
 
         // When using --miles, we want ALL zipcodes within that distance, not just nearest N
+        const maxMiles = miles && miles > 0 ? miles : Infinity;
         if (miles && miles > 0) {
-            nearest = 1000; // Set high number to get many candidates for filtering
+            nearest = Infinity;
         }
 
         if (process.env.DEBUG) {
-            console.log(`🔢 Parsed nearest value: ${nearest} (type: ${typeof nearest})`);
+            this.logger.debug(`🔢 Parsed nearest value: ${nearest} (type: ${typeof nearest})`);
             if (miles) {
-                console.log(`📏 Miles filtering enabled: ${miles} miles`);
+                this.logger.debug(`📏 Miles filtering enabled: ${miles} miles`);
             }
         }
 
         // Validate coordinates
         this.validateCoordinates(lat, lon);
 
+        validateGeometryOption(geometry, output);
+        if (geometry && compare) {
+            throw new ValidationError('--geometry is not available with --compare', 'geometry');
+        }
+
         try {
+            const boundaries = await BoundarySet.loadConfigured(options.boundaries, this.apiClient.config, this.logger);
+
             if (compare) {
-                return await this.executeComparison(lat, lon, source, compare, options);
+                return await this.executeComparison(lat, lon, source, compare, { ...options, boundaries });
             }
 
             // Single or multiple source lookup
-            const results = await this.findNearestZipcodes(lat, lon, source, nearest);
+            const results = await this.findNearestZipcodes(lat, lon, source, nearest, boundaries, maxMiles);
 
             if (!results || results.length === 0) {
-                throw new Error(`No zipcode found for coordinates ${lat}, ${lon}`);
+                if (miles && miles > 0) {
+                    throw new NotFoundError(`No zipcodes found within ${miles} miles of coordinates ${lat}, ${lon}`);
+                }
+                throw new NotFoundError(`No zipcode found for coordinates ${lat}, ${lon}`);
             }
 
+            // Every result comes from the same provider; remember which before the field is dropped
+            const resultSource = results[0].source || source;
+
             // Add optional fields to all results
             for (const result of results) {
                 if (includeDistance || miles) {
@@ -95,28 +122,36 @@ class ReverseCommand {
 
                 // Remove county field (usually empty and not useful for reverse lookup)
                 delete result.county;
+                delete result.source;
             }
 
             // Filter by distance if miles parameter is specified
             let filteredResults = results;
             if (miles && miles > 0) {
                 filteredResults = results.filter(result => {
+                    // The zipcode containing the point always qualifies, however far away its center is
+                    if (result.match_method === 'polygon') {
+                        return true;
+                    }
                     const distance = result.distance_miles || calculateDistance(lat, lon, result.lat, result.lon);
                     return distance <= miles;
                 });
 
                 if (process.env.DEBUG) {
-                    console.log(`🎯 Filtered ${results.length} results to ${filteredResults.length} within ${miles} miles`);
+                    this.logger.debug(`🎯 Filtered ${results.length} results to ${filteredResults.length} within ${miles} miles`);
                 }
 
                 if (filteredResults.length === 0) {
-                    throw new Error(`No zipcodes found within ${miles} miles of coordinates ${lat}, ${lon}`);
+                    throw new NotFoundError(`No zipcodes found within ${miles} miles of coordinates ${lat}, ${lon}`);
                 }
             }
 
-            // Sort by distance when distance is included
+            // Sort by distance when distance is included, keeping a polygon match first
             if (includeDistance || miles) {
                 filteredResults.sort((a, b) => {
+                    if ((a.match_method === 'polygon') !== (b.match_method === 'polygon')) {
+                        return a.match_method === 'polygon' ? -1 : 1;
+                    }
                     const distanceA = a.distance_miles || 0;
                     const distanceB = b.distance_miles || 0;
                     return distanceA - distanceB;
@@ -129,31 +164,49 @@ class ReverseCommand {
                 finalResults = filterFields(filteredResults, { fields });
             }
 
+            // Reverse results carry lat/lon, while maps read latitude/longitude
+            const mapResults = finalResults.map(result => ({ ...result, latitude: result.lat, longitude: result.lon }));
+
             // Generate KML if requested
-            if (options.kml) {
-                const centerPoint = { latitude: lat, longitude: lon };
-                await this.mapGenerator.generateKmlFile(finalResults, {
-                    centerPoint: centerPoint,
+            if (options.kml || options.kmz) {
+                await this.mapGenerator.generateKmlFile(mapResults, {
+                    centerPoint: { latitude: lat, longitude: lon },
+                    source: resultSource,
+                    radiusMiles: miles || null,
+                    kmz: options.kmz,
                     filename: `reverse-lookup-${lat}-${lon}.kml`
                 });
             }
 
-            return formatOutput(finalResults, output);
+            if (options.htmlMap) {
+                await this.mapGenerator.generateHtmlFile(mapResults, {
+                    centerPoint: { latitude: lat, longitude: lon },
+                    source: resultSource,
+                    radiusMiles: miles || null,
+                    filename: `reverse-lookup-${lat}-${lon}.html`
+                });
+            }
+
+            if (geometry) {
+                finalResults = addGeometryColumn(finalResults, geometry, { boundaries, positions: filteredResults });
+            }
+
+            return formatOutput(finalResults, output, { center: { latitude: lat, longitude: lon }, source: resultSource });
 
         } catch (error) {
-            throw new Error(`Reverse lookup failed: ${error.message}`);
+            throw new Error(`Reverse lookup failed: ${error.message}`, { cause: error });
         }
     }
 
     async executeComparison(lat, lon, primarySource, compareSource, options) {
-        const { output = 'table', includeDistance = false, miles } = options;
+        const { output = 'table', includeDistance = false, miles, boundaries = null } = options;
 
         // Get results from both sources
-        const primaryResult = await this.findNearestZipcode(lat, lon, primarySource);
-        const compareResult = await this.findNearestZipcode(lat, lon, compareSource);
+        const primaryResult = await this.findNearestZipcode(lat, lon, primarySource, boundaries);
+        const compareResult = await this.findNearestZipcode(lat, lon, compareSource, boundaries);
 
         if (!primaryResult && !compareResult) {
-            throw new Error(`No zipcode found by either source for coordinates ${lat}, ${lon}`);
+            throw new NotFoundError(`No zipcode found by either source for coordinates ${lat}, ${lon}`);
         }
 
         // Calculate distances
@@ -170,18 +223,18 @@ class ReverseCommand {
             if (primaryResult && primaryDistance > miles) {
                 filteredPrimaryResult = null;
                 if (process.env.DEBUG) {
-                    console.log(`🎯 Primary result ${primaryResult.zipcode} filtered out: ${primaryDistance.toFixed(2)} miles > ${miles} miles`);
+                    this.logger.debug(`🎯 Primary result ${primaryResult.zipcode} filtered out: ${primaryDistance.toFixed(2)} miles > ${miles} miles`);
                 }
             }
             if (compareResult && compareDistance > miles) {
                 filteredCompareResult = null;
                 if (process.env.DEBUG) {
-                    console.log(`🎯 Compare result ${compareResult.zipcode} filtered out: ${compareDistance.toFixed(2)} miles > ${miles} miles`);
+                    this.logger.debug(`🎯 Compare result ${compareResult.zipcode} filtered out: ${compareDistance.toFixed(2)} miles > ${miles} miles`);
                 }
             }
 
             if (!filteredPrimaryResult && !filteredCompareResult) {
-                throw new Error(`No zipcodes found within ${miles} miles of coordinates ${lat}, ${lon}`);
+                throw new NotFoundError(`No zipcodes found within ${miles} miles of coordinates ${lat}, ${lon}`);
             }
         }
 
@@ -200,6 +253,14 @@ class ReverseCommand {
                 filteredPrimaryResult ? primaryDistance : null, filteredCompareResult ? compareDistance : null,
                 primarySource, compareSource
             );
+        } else if (GEO_FORMATS.includes(output)) {
+            return formatOutput(toComparisonCollection({
+                primarySource,
+                compareSource,
+                center: { latitude: lat, longitude: lon },
+                primary: filteredPrimaryResult ? [{ ...filteredPrimaryResult, distance_miles: primaryDistance }] : [],
+                compare: filteredCompareResult ? [{ ...filteredCompareResult, distance_miles: compareDistance }] : []
+            }), output);
         } else {
             // For non-table formats, return structured data
             const comparisonData = {
@@ -224,203 +285,67 @@ class ReverseCommand {
         return comparisonOutput;
     }
 
-    async findNearestZipcodes(lat, lon, source, count = 1) {
-        // Handle specific source requests
-        if (source === 'nominatim') {
-            const result = await this.findNearestViaNominatim(lat, lon);
-            return result ? [result] : [];
-        }
+    async findNearestZipcodes(lat, lon, source, count = 1, boundaries = null, maxMiles = Infinity) {
+        const provider = this.providers.resolve(source, CAPABILITIES.REVERSE);
 
-        if (source === 'googlemaps') {
-            const result = await this.findNearestViaGoogleMaps(lat, lon);
-            return result ? [result] : [];
+        // External geocoders resolve the actual address; only centroid-based sources need polygons
+        if (boundaries && provider.type === 'built-in') {
+            return await this.findByBoundaries(lat, lon, provider, count, boundaries, maxMiles);
         }
 
-        if (source === 'zippopotam') {
-            const result = await this.findNearestViaZippopotam(lat, lon);
-            return result ? [result] : [];
-        }
-
-        // Default to zipcodes package (for 'zipcodes' source or 'auto' mode)
-        try {
-            const results = await this.findNearestViaZipcodesMultiple(lat, lon, count);
-            if (results && results.length > 0) {
-                return results;
-            }
-        } catch (error) {
-            console.warn(`Zipcodes package reverse lookup failed: ${error.message}`);
-        }
-
-        // If zipcodes package fails and we're in auto mode, try external APIs
-        if (source === 'auto') {
-            const result = await this.findNearestViaNominatim(lat, lon);
-            if (result) {
-                console.log(`✅ Found reverse lookup via Nominatim`);
-                return [result];
-            }
-        }
-
-        return [];
+        const results = await provider.reverse(lat, lon, count, maxMiles);
+        return results || [];
     }
 
-    async findNearestZipcode(lat, lon, source) {
-        const results = await this.findNearestZipcodes(lat, lon, source, 1);
+    async findNearestZipcode(lat, lon, source, boundaries = null) {
+        const results = await this.findNearestZipcodes(lat, lon, source, 1, boundaries);
         return results.length > 0 ? results[0] : null;
     }
 
-    async findNearestViaZipcodesMultiple(lat, lon, count = 1) {
-        try {
-            // Use coordinate grid to find candidate states (major performance optimization)
-            const coordinateGrid = new CoordinateGrid();
-            const candidateStates = coordinateGrid.getCandidateStates(lat, lon);
+    /**
+     * Find the zipcode whose ZCTA polygon contains the point, followed by the nearest centroids
+     * Falls back to nearest centroid when the point lies outside every polygon
+     */
+    async findByBoundaries(lat, lon, provider, count, boundaries, maxMiles = Infinity) {
+        const nearest = (await provider.reverse(lat, lon, count, maxMiles)) || [];
+        const containing = boundaries.findContaining(lat, lon);
 
+        if (!containing) {
             if (process.env.DEBUG) {
-                console.log(`🗺️ Coordinate grid optimization: searching ${candidateStates.length} states instead of 50`);
-                console.log(`📍 Candidate states: ${candidateStates.join(', ')}`);
-            }
-
-            let candidates = [];
-
-            // Collect all zipcodes with distances from candidate states
-            for (const state of candidateStates) {
-                try {
-                    const stateZipcodes = zipcodes.lookupByState(state);
-                    if (process.env.DEBUG) {
-                        console.log(`📋 Found ${stateZipcodes?.length || 0} zipcodes for state ${state}`);
-                    }
-                    if (stateZipcodes && stateZipcodes.length > 0) {
-                        for (const zipData of stateZipcodes) {
-                            if (zipData.latitude && zipData.longitude) {
-                                const distance = calculateDistance(lat, lon, zipData.latitude, zipData.longitude);
-
-                                candidates.push({
-                                    zipcode: zipData.zip,
-                                    city: zipData.city,
-                                    state: zipData.state,
-                                    latitude: zipData.latitude,
-                                    longitude: zipData.longitude,
-                                    county: '',
-                                    distance: distance
-                                });
-                            }
-                        }
-                    }
-                } catch (stateError) {
-                    // Continue with other states if one fails
-                    console.warn(`Failed to get zipcodes for state ${state}: ${stateError.message}`);
-                }
-            }
-
-            if (process.env.DEBUG) {
-                console.log(`🎯 Found ${candidates.length} total candidates`);
-            }
-
-            // If not enough results in candidate states, expand search to nearby states
-            if (candidates.length < count) {
-                if (process.env.DEBUG) {
-                    console.log(`🔍 Only found ${candidates.length} results in candidate states, expanding search to nearby states`);
-                }
-                const nearbyStates = coordinateGrid.findNearestStates(lat, lon, 5);
-
-                for (const state of nearbyStates) {
-                    if (candidateStates.includes(state)) continue; // Skip already searched states
-
-                    try {
-                        const stateZipcodes = zipcodes.lookupByState(state);
-                        if (stateZipcodes && stateZipcodes.length > 0) {
-                            for (const zipData of stateZipcodes) {
-                                if (zipData.latitude && zipData.longitude) {
-                                    const distance = calculateDistance(lat, lon, zipData.latitude, zipData.longitude);
-
-                                    candidates.push({
-                                        zipcode: zipData.zip,
-                                        city: zipData.city,
-                                        state: zipData.state,
-                                        latitude: zipData.latitude,
-                                        longitude: zipData.longitude,
-                                        county: '',
-                                        distance: distance
-                                    });
-                                }
-                            }
-                        }
-                    } catch (stateError) {
-                        console.warn(`Failed to get zipcodes for state ${state}: ${stateError.message}`);
-                    }
-                }
-            }
-
-            // Sort by distance and return top N results
-            candidates.sort((a, b) => a.distance - b.distance);
-            const results = candidates.slice(0, count).map(candidate => {
-                const { distance, ...zipcode } = candidate;
-                return zipcode;
-            });
-
-            if (process.env.DEBUG) {
-                console.log(`🎯 After sorting: closest ${Math.min(3, candidates.length)} distances: ${candidates.slice(0, 3).map(c => c.distance.toFixed(4)).join(', ')}`);
-                console.log(`📦 Returning ${results.length} results, requested ${count}`);
-            }
-
-            if (results.length > 0 && process.env.DEBUG) {
-                console.log(`✅ Found ${results.length} nearest zipcodes, closest is ${results[0].zipcode} at ${candidates[0].distance.toFixed(2)} miles`);
+                this.logger.debug(`🗺️ ${lat}, ${lon} is outside all ZCTA polygons, using nearest centroid`);
             }
+            return nearest.map(result => ({ ...result, match_method: 'centroid' }));
+        }
 
-            return results;
-        } catch (error) {
-            console.warn(`Zipcodes package reverse lookup failed: ${error.message}`);
-            return [];
+        if (process.env.DEBUG) {
+            this.logger.debug(`🗺️ ${lat}, ${lon} is inside ZCTA ${containing.zipcode}`);
         }
-    }
 
-    async findNearestViaZipcodes(lat, lon) {
-        const results = await this.findNearestViaZipcodesMultiple(lat, lon, 1);
-        return results.length > 0 ? results[0] : null;
-    }
+        const match = await this.getBoundaryRecord(containing, provider, boundaries);
+        const others = nearest
+            .filter(result => result.zipcode !== containing.zipcode)
+            .slice(0, Math.max(count - 1, 0))
+            .map(result => ({ ...result, match_method: 'centroid' }));
 
-    async findNearestViaNominatim(lat, lon) {
-        try {
-            const result = await this.apiClient.reverseGeocode(lat, lon);
-            return result;
-        } catch (error) {
-            console.warn(`Nominatim reverse lookup failed: ${error.message}`);
-            return null;
-        }
+        return [{ ...match, match_method: 'polygon' }, ...others];
     }
 
-    async findNearestViaGoogleMaps(lat, lon) {
-        try {
-            const result = await this.apiClient.reverseGeocodeGoogleMaps(lat, lon);
-            return result;
-        } catch (error) {
-            console.warn(`Google Maps reverse lookup failed: ${error.message}`);
-            return null;
-        }
-    }
+    async getBoundaryRecord(boundary, provider, boundaries) {
+        const lookupProvider = provider.name === 'auto' ? this.providers.datasetProvider() : provider;
 
-    async findNearestViaZippopotam(lat, lon) {
         try {
-            // Zippopotam doesn't have reverse geocoding, so we'll use the zipcodes package
-            // as a fallback but mark it as from zippopotam source
-            const result = await this.findNearestViaZipcodes(lat, lon);
-            if (result) {
-                // Verify with Zippopotam if possible (get the zipcode data to confirm)
-                const zipData = await this.apiClient.getZippopotamZipcode(result.zipcode);
-                if (zipData) {
-                    return {
-                        ...result,
-                        latitude: zipData.latitude,
-                        longitude: zipData.longitude,
-                        city: zipData.city,
-                        state: zipData.state
-                    };
-                }
+            const record = await lookupProvider.lookup(boundary.zipcode);
+            if (record) {
+                return record;
             }
-            return result;
         } catch (error) {
-            console.warn(`Zippopotam reverse lookup failed: ${error.message}`);
-            return null;
+            if (process.env.DEBUG) {
+                this.logger.warn(`Lookup of ZCTA ${boundary.zipcode} failed: ${error.message}`);
+            }
         }
+
+        // ZCTA without a dataset record, describe it from the polygon itself
+        return boundaries.toRecord(boundary);
     }
 
     formatComparisonTable(primaryResult, compareResult, primaryDistance, compareDistance, primarySource, compareSource) {
@@ -480,15 +405,15 @@ class ReverseCommand {
         const longitude = parseFloat(lon);
 
         if (isNaN(latitude) || isNaN(longitude)) {
-            throw new Error('Latitude and longitude must be valid numbers');
+            throw new ValidationError('Latitude and longitude must be valid numbers', 'lat');
         }
 
         if (latitude < -90 || latitude > 90) {
-            throw new Error('Latitude must be between -90 and 90 degrees');
+            throw new ValidationError('Latitude must be between -90 and 90 degrees', 'lat');
         }
 
         if (longitude < -180 || longitude > 180) {
-            throw new Error('Longitude must be between -180 and 180 degrees');
+            throw new ValidationError('Longitude must be between -180 and 180 degrees', 'lon');
         }
     }
 }
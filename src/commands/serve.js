@@ -0,0 +1,30 @@
+const ApiServer = require('../server/api-server');
+const { ValidationError } = require('../utils/errors');
+
+class ServeCommand {
+    constructor(options = {}) {
+        this.server = new ApiServer(options);
+    }
+
+    async execute(options) {
+        const { port = 3000, host = '127.0.0.1' } = options;
+
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new ValidationError('--port must be an integer between 0 and 65535', 'port');
+        }
+
+        try {
+            const address = await this.server.listen(port, host);
+            return `Zipcode lookup API listening on http://${address.host}:${address.port}\n` +
+                'Endpoints: GET /radius, /location, /reverse, /census, /sources, /health, /openapi.json; POST /batch';
+        } catch (error) {
+            throw new Error(`Server failed to start: ${error.message}`, { cause: error });
+        }
+    }
+
+    async stop() {
+        await this.server.close();
+    }
+}
+
+module.exports = ServeCommand;
@@ -0,0 +1,91 @@
+const { formatOutput } = require('../utils/formatters');
+const APIClient = require('../data/sources/api-client');
+const ProviderRegistry = require('../data/sources/provider-registry');
+const { CAPABILITIES } = require('../data/sources/provider-registry');
+const { ValidationError } = require('../utils/errors');
+
+// Well-known zipcode and its centroid used to probe external sources
+const PROBE_ZIPCODE = '90210';
+const PROBE_POINT = { latitude: 34.0901, longitude: -118.4065 };
+
+class SourcesCommand {
+    /**
+     * @param {Object} options - Shared dependencies (optional)
+     * @param {APIClient} options.apiClient - API client whose provider health is reported
+     * @param {ProviderRegistry} options.providers - Provider registry to describe
+     * @param {Object} options.logger - Logger (default: the API client's logger)
+     */
+    constructor(options = {}) {
+        this.apiClient = options.apiClient || new APIClient();
+        this.providers = options.providers || new ProviderRegistry({ apiClient: this.apiClient });
+        this.logger = options.logger || this.apiClient.logger;
+    }
+
+    async execute(options = {}) {
+        const { check = false, format = 'table' } = options;
+
+        if (!['table', 'json', 'yaml'].includes(format)) {
+            throw new ValidationError(`Unsupported format: ${format}`, 'format');
+        }
+
+        const probes = check ? await this.probe() : null;
+        const sources = this.providers.describe().map(source => (
+            probes && probes.has(source.name) ? { ...source, check: probes.get(source.name) } : source
+        ));
+
+        if (format !== 'table') {
+            return formatOutput(sources, format);
+        }
+
+        return formatOutput(sources.map(source => ({
+            name: source.name,
+            type: source.type,
+            status: source.status,
+            circuit: source.health ? source.health.state : '-',
+            failures: source.health ? source.health.failures : '-',
+            last_error: (source.health && source.health.lastError) || '-',
+            ...(probes ? { check: source.check ? source.check.result : '-', latency_ms: source.check ? source.check.latency_ms : '-' } : {}),
+            features: source.features.join(', ')
+        })), 'table');
+    }
+
+    /**
+     * Send one request to each available external source, bypassing the response cache,
+     * so the health shown reflects the source right now
+     * @returns {Promise<Map>} Probe results keyed by source name: {result, latency_ms}
+     */
+    async probe() {
+        const results = new Map();
+        // Probe through a client that skips the cache, leaving the shared client's settings untouched
+        const probeClient = this.apiClient.withCacheSettings({ enabled: false });
+        const external = new ProviderRegistry({ apiClient: probeClient, config: this.providers.config }).list()
+            .filter(provider => provider.type === 'external' && provider.isAvailable());
+
+        for (const provider of external) {
+            const started = Date.now();
+            const failuresBefore = provider.health().failures;
+            let result;
+
+            try {
+                const found = provider.supports(CAPABILITIES.LOOKUP)
+                    ? await provider.lookup(PROBE_ZIPCODE)
+                    : await provider.censusTract(PROBE_POINT.latitude, PROBE_POINT.longitude);
+
+                // Lookups log request errors and return nothing, so the breaker's count tells them apart
+                if (found) {
+                    result = 'ok';
+                } else {
+                    result = provider.health().failures > failuresBefore ? 'failed' : 'no result';
+                }
+            } catch (error) {
+                result = error.message;
+            }
+
+            results.set(provider.name, { result, latency_ms: Date.now() - started });
+        }
+
+        return results;
+    }
+}
+
+module.exports = SourcesCommand;
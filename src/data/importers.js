@@ -0,0 +1,222 @@
+/**
+ * Parsers for public zipcode datasets and the merge step that builds the local store
+ */
+
+const Papa = require('papaparse');
+
+const STORE_VERSION = 1;
+
+/**
+ * Split a tab-delimited file into rows of trimmed cells
+ * @param {string} content - File content
+ * @returns {Array<string[]>} Rows
+ */
+function splitTabDelimited(content) {
+  return content
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => line.split('\t').map(cell => cell.trim()));
+}
+
+/**
+ * Parse a Census ZCTA Gazetteer file (tab-delimited with a header row)
+ * @param {string} content - File content
+ * @returns {Map<string, Object>} Partial records keyed by zipcode
+ */
+function parseGazetteer(content) {
+  const rows = splitTabDelimited(content);
+  const records = new Map();
+  if (rows.length === 0) {
+    return records;
+  }
+
+  const header = rows[0].map(column => column.toUpperCase());
+  const column = name => header.indexOf(name);
+  const geoid = column('GEOID');
+  const lat = column('INTPTLAT');
+  const lon = column('INTPTLONG');
+
+  if (geoid === -1 || lat === -1 || lon === -1) {
+    throw new Error('Gazetteer file must contain GEOID, INTPTLAT and INTPTLONG columns');
+  }
+
+  for (const row of rows.slice(1)) {
+    const latitude = parseFloat(row[lat]);
+    const longitude = parseFloat(row[lon]);
+    if (!row[geoid] || isNaN(latitude) || isNaN(longitude)) {
+      continue;
+    }
+
+    const zipcode = row[geoid].padStart(5, '0');
+    const record = { zipcode, latitude, longitude };
+
+    if (column('ALAND_SQMI') !== -1) record.land_area = parseFloat(row[column('ALAND_SQMI')]);
+    if (column('AWATER_SQMI') !== -1) record.water_area = parseFloat(row[column('AWATER_SQMI')]);
+
+    records.set(zipcode, record);
+  }
+
+  return records;
+}
+
+/**
+ * Parse a GeoNames postal code dump (US.txt, tab-delimited without a header)
+ * Columns: country, postal code, place name, state name, state code,
+ * county name, county code, community name, community code, latitude, longitude, accuracy
+ * @param {string} content - File content
+ * @returns {Map<string, Object>} Partial records keyed by zipcode
+ */
+function parseGeoNames(content) {
+  const records = new Map();
+
+  for (const row of splitTabDelimited(content)) {
+    if (row.length < 11 || row[0] !== 'US') {
+      continue;
+    }
+
+    const latitude = parseFloat(row[9]);
+    const longitude = parseFloat(row[10]);
+    if (!row[1] || isNaN(latitude) || isNaN(longitude)) {
+      continue;
+    }
+
+    const zipcode = row[1].padStart(5, '0');
+    records.set(zipcode, {
+      zipcode,
+      latitude,
+      longitude,
+      city: row[2],
+      state: row[4],
+      county: row[5],
+      fips_county: row[6] || undefined
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Parse a HUD USPS ZIP-county crosswalk CSV
+ * A zipcode spanning several counties is assigned the county holding the largest share of addresses
+ * @param {string} content - File content
+ * @returns {Map<string, Object>} Partial records keyed by zipcode
+ */
+function parseHudCrosswalk(content) {
+  const result = Papa.parse(content, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: header => header.trim().toLowerCase()
+  });
+
+  const records = new Map();
+  const shares = new Map();
+
+  for (const row of result.data) {
+    if (!row.zip || !row.county) {
+      continue;
+    }
+
+    const zipcode = String(row.zip).trim().padStart(5, '0');
+    const share = parseFloat(row.tot_ratio || row.res_ratio || 0);
+    if (shares.has(zipcode) && shares.get(zipcode) >= share) {
+      continue;
+    }
+
+    const countyFips = String(row.county).trim().padStart(5, '0');
+    shares.set(zipcode, share);
+    records.set(zipcode, {
+      zipcode,
+      city: titleCase(row.usps_zip_pref_city || ''),
+      state: (row.usps_zip_pref_state || '').trim().toUpperCase(),
+      fips_state: countyFips.substring(0, 2),
+      fips_county: countyFips.substring(2)
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Merge partial records from each source into normalized records
+ * Coordinates prefer the Gazetteer (ZCTA centroids), city/state prefer HUD (USPS preferred names)
+ * @param {Object} sources - Parsed sources
+ * @param {Map} sources.gazetteer - Gazetteer records
+ * @param {Map} sources.geonames - GeoNames records
+ * @param {Map} sources.hud - HUD crosswalk records
+ * @returns {Array} Records in the shape produced by LocationSearchCommand.normalizeResults
+ */
+function mergeSources({ gazetteer = new Map(), geonames = new Map(), hud = new Map() }) {
+  const zipcodes = new Set([...gazetteer.keys(), ...geonames.keys()]);
+  const records = [];
+
+  for (const zipcode of zipcodes) {
+    const gaz = gazetteer.get(zipcode) || {};
+    const geo = geonames.get(zipcode) || {};
+    const crosswalk = hud.get(zipcode) || {};
+
+    const latitude = gaz.latitude !== undefined ? gaz.latitude : geo.latitude;
+    const longitude = gaz.longitude !== undefined ? gaz.longitude : geo.longitude;
+
+    // Only keep the GeoNames county name when it describes the same county HUD assigned
+    const sameCounty = !crosswalk.fips_county || !geo.fips_county || geo.fips_county === crosswalk.fips_county;
+
+    const record = {
+      zipcode,
+      city: crosswalk.city || geo.city || '',
+      state: crosswalk.state || geo.state || '',
+      latitude,
+      longitude,
+      county: sameCounty ? (geo.county || '') : ''
+    };
+
+    if (crosswalk.fips_state) record.fips_state = crosswalk.fips_state;
+    if (crosswalk.fips_county || geo.fips_county) record.fips_county = crosswalk.fips_county || geo.fips_county;
+    if (gaz.land_area !== undefined) record.land_area = gaz.land_area;
+    if (gaz.water_area !== undefined) record.water_area = gaz.water_area;
+
+    records.push(record);
+  }
+
+  return records.sort((a, b) => a.zipcode.localeCompare(b.zipcode));
+}
+
+/**
+ * Build the indexed store written to disk and read by LocalDataset
+ * @param {Array} records - Normalized records
+ * @param {Object} metadata - Import metadata (input files, timestamps)
+ * @returns {Object} Store object
+ */
+function buildStore(records, metadata = {}) {
+  const byState = {};
+  records.forEach((record, index) => {
+    if (!record.state) return;
+    if (!byState[record.state]) byState[record.state] = [];
+    byState[record.state].push(index);
+  });
+
+  return {
+    version: STORE_VERSION,
+    metadata: {
+      generated: new Date().toISOString(),
+      count: records.length,
+      ...metadata
+    },
+    indexes: {
+      state: byState
+    },
+    records
+  };
+}
+
+function titleCase(value) {
+  return value.trim().toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+module.exports = {
+  STORE_VERSION,
+  parseGazetteer,
+  parseGeoNames,
+  parseHudCrosswalk,
+  mergeSources,
+  buildStore
+};
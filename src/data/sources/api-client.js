@@ -2,25 +2,93 @@
  * API client for external zipcode and census data services
  */
 
+const path = require('path');
 const axios = require('axios');
 const Config = require('../../utils/config');
+const Cache = require('../../utils/cache');
+const RateLimiter = require('../../utils/rate-limiter');
+const ConcurrencyLimiter = require('../../utils/concurrency-limiter');
+const CircuitBreaker = require('../../utils/circuit-breaker');
+const { STATES: CIRCUIT_STATES } = require('../../utils/circuit-breaker');
+const HttpFixtures = require('../../utils/http-fixtures');
+const { FixtureNotFoundError } = require('../../utils/http-fixtures');
+const { RateLimitError, CircuitOpenError } = require('../../utils/errors');
+const { createLogger } = require('../../utils/logger');
+
+// Longest wait between retries, including any Retry-After the server asks for
+const MAX_RETRY_DELAY = 30000;
 
 class APIClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {Config} options.config - Configuration (default: loaded from config files and environment)
+   * @param {Cache|Map} options.cache - Response cache store with get/set/delete/clear, sync or async
+   *   (default: the persistent memory and disk Cache)
+   * @param {Object} options.logger - Logger (default: console)
+   * @param {number} options.timeout - Request timeout in milliseconds for every source (default: each source's timeout)
+   * @param {number} options.retries - Retries after a timeout, 429 or 5xx response (default: api.retries)
+   * @param {number} options.cacheTTL - Cache lifetime in milliseconds for every source
+   *   (default: each source's cacheTTL, then cache.ttl)
+   * @param {string} options.record - Directory to record every request and response to
+   * @param {string} options.replay - Directory of recorded responses to answer requests from, without network
+   */
   constructor(options = {}) {
-    this.config = new Config();
+    this.logger = createLogger(options.logger);
+    this.config = options.config || new Config({ logger: this.logger });
     const configData = this.config.load();
 
-    this.baseTimeout = options.timeout || 30000;
-    this.retries = options.retries || configData.api.retries;
-    this.cache = new Map();
-    this.cacheTTL = options.cacheTTL || configData.cache.ttl;
+    // An explicit timeout applies to every source; otherwise each source's timeout is used
+    this.timeout = options.timeout || null;
+    this.retries = options.retries ?? configData.api.retries;
+    this.retryDelay = configData.api.retryDelay;
+    // Shared by every provider, so parallel lookups never hold more than maxConcurrent connections
+    this.concurrency = new ConcurrencyLimiter(configData.api.maxConcurrent);
+    // Pending requests by provider and request key, joined by identical requests made meanwhile
+    this.inFlight = new Map();
+    this.cacheConfig = configData.cache;
+    this.cache = options.cache || new Cache({
+      cacheDir: configData.cache.directory || undefined,
+      defaultTTL: configData.cache.ttl,
+      maxSize: configData.cache.maxSize,
+      logger: this.logger
+    });
+    // An explicit TTL applies to every source; otherwise each source's cacheTTL is used
+    this.cacheTTL = options.cacheTTL || null;
+    // Set on clients from withCacheSettings while warming: cached responses are fetched again
+    // so they are stored with the current TTL
+    this.refreshCache = false;
+
+    if (options.record && options.replay) {
+      throw new Error('Requests can be recorded or replayed, not both');
+    }
+    // Recording and replaying bypass the response cache so every request is captured or served
+    this.fixtures = options.record || options.replay
+      ? new HttpFixtures({ mode: options.record ? 'record' : 'replay', directory: options.record || options.replay, logger: this.logger })
+      : null;
 
-    // Google Maps configuration
+    // Provider configuration
     this.googleMapsConfig = configData.googleMaps;
+    this.nominatimConfig = configData.nominatim;
+    this.zippopotamConfig = configData.zippopotam;
+    this.censusConfig = configData.census;
+
+    // One limiter per provider, shared by every request this client sends to it. Daily counts
+    // live next to the persistent cache so the caps hold across runs; an injected plain
+    // store has no directory, and then they only cover this process
+    const usageFile = source => (this.cache.cacheDir ? path.join(this.cache.cacheDir, 'usage', `${source}.json`) : null);
+    this.rateLimiters = {
+      googlemaps: new RateLimiter({ name: 'googlemaps', ...this.googleMapsConfig.rateLimit, usageFile: usageFile('googlemaps'), logger: this.logger }),
+      nominatim: new RateLimiter({ name: 'nominatim', ...this.nominatimConfig.rateLimit, usageFile: usageFile('nominatim'), logger: this.logger }),
+      zippopotam: new RateLimiter({ name: 'zippopotam', ...this.zippopotamConfig.rateLimit, usageFile: usageFile('zippopotam'), logger: this.logger }),
+      census: new RateLimiter({ name: 'census', ...this.censusConfig.rateLimit, usageFile: usageFile('census'), logger: this.logger })
+    };
+    this.circuitBreakers = Object.fromEntries(Object.keys(this.rateLimiters).map(source =>
+      [source, new CircuitBreaker({ name: source, ...configData.api.circuitBreaker })]
+    ));
 
     // Debug logging for Google Maps configuration
     if (process.env.DEBUG) {
-      console.log('🔧 Google Maps Config:', {
+      this.logger.debug('🔧 Google Maps Config:', {
         enabled: this.googleMapsConfig.enabled,
         hasApiKey: !!this.googleMapsConfig.apiKey,
         apiKeyLength: this.googleMapsConfig.apiKey ? this.googleMapsConfig.apiKey.length : 0,
@@ -29,21 +97,278 @@ class APIClient {
     }
   }
 
+  /**
+   * Check whether an external source is enabled in configuration
+   * @param {string} source - Source name (nominatim, zippopotam, googlemaps)
+   * @returns {boolean} True if the source can be queried
+   */
+  isSourceEnabled(source) {
+    switch (source) {
+      case 'googlemaps':
+        return !!(this.googleMapsConfig.enabled && this.googleMapsConfig.apiKey);
+      case 'nominatim':
+        return this.nominatimConfig.enabled !== false;
+      case 'zippopotam':
+        return this.zippopotamConfig.enabled !== false;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Check whether a provider is currently being skipped by its circuit breaker
+   * @param {string} source - Provider name
+   * @returns {boolean} False while the provider's circuit is open
+   */
+  isHealthy(source) {
+    const breaker = this.circuitBreakers[source];
+    return !breaker || !breaker.isOpen();
+  }
+
+  /**
+   * Check whether a fallback chain should try a provider
+   * @param {string} source - Provider name
+   * @returns {boolean} True if the provider is enabled and its circuit is not open
+   */
+  isUsable(source) {
+    return this.isSourceEnabled(source) && this.isHealthy(source);
+  }
+
+  /**
+   * Health of an external provider
+   * @param {string} source - Provider name
+   * @returns {Object|null} Circuit breaker health, or null for sources this client does not call
+   */
+  getHealth(source) {
+    const breaker = this.circuitBreakers[source];
+    return breaker ? breaker.getHealth() : null;
+  }
+
+  /**
+   * Build the axios request for a provider endpoint from the provider's baseUrl, headers and timeout
+   * @param {string} source - Provider name (nominatim, zippopotam, googlemaps, census)
+   * @param {string} path - Endpoint path below the provider's baseUrl
+   * @param {Object} options - axios request options (params, ...)
+   * @returns {Object} {url, options}
+   */
+  buildRequest(source, path, options = {}) {
+    const sourceConfig = this.getSourceConfig(source);
+    const headers = { ...sourceConfig.headers, ...options.headers };
+
+    // Nominatim's usage policy requires an identifying User-Agent
+    if (source === 'nominatim' && sourceConfig.userAgent && !Object.keys(headers).some(name => name.toLowerCase() === 'user-agent')) {
+      headers['User-Agent'] = sourceConfig.userAgent;
+    }
+
+    return {
+      url: `${sourceConfig.baseUrl.replace(/\/+$/, '')}${path}`,
+      options: { ...options, headers, timeout: this.timeout || sourceConfig.timeout }
+    };
+  }
+
+  /**
+   * Send a GET request to a provider once its rate limiter and a concurrency slot allow it
+   * Timeouts, 429 and 5xx responses are retried with exponential backoff and jitter.
+   * The cache is only filled once a response arrives, so an identical request made while
+   * one is pending shares its response (or error) instead of reaching the provider again
+   * @param {string} source - Provider name (nominatim, zippopotam, googlemaps, census)
+   * @param {string} path - Endpoint path below the provider's baseUrl
+   * @param {Object} requestOptions - axios request options (params, ...)
+   * @returns {Promise<Object>} axios response
+   * @throws {RateLimitError} When the provider's daily cap has been reached
+   * @throws {CircuitOpenError} When the provider has failed repeatedly and is being skipped
+   */
+  async httpGet(source, path, requestOptions = {}) {
+    const { url, options } = this.buildRequest(source, path, requestOptions);
+    const key = this.getRequestKey(source, url, options.params);
+
+    if (this.inFlight.has(key)) {
+      if (process.env.DEBUG) {
+        this.logger.debug(`🔗 Joining pending ${source} request: ${url}`);
+      }
+      return await this.inFlight.get(key);
+    }
+
+    const pending = this.sendWithRetries(source, path, url, options)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, pending);
+    return await pending;
+  }
+
+  /**
+   * Identify a request by provider, URL and query parameters, in any parameter order
+   * @returns {string} Request key
+   */
+  getRequestKey(source, url, params = {}) {
+    const query = Object.keys(params)
+      .sort()
+      .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+      .join('&');
+    return `${source} ${url}?${query}`;
+  }
+
+  async sendWithRetries(source, path, url, options) {
+    const breaker = this.circuitBreakers[source];
+    const replaying = !!this.fixtures && this.fixtures.mode === 'replay';
+
+    for (let attempt = 0; ; attempt++) {
+      // Fail fast instead of queueing behind the rate limit for a provider that is down
+      if (breaker.isOpen()) {
+        throw new CircuitOpenError(source, breaker.retryAt());
+      }
+
+      // Every attempt is a new request as far as the provider's limits are concerned
+      if (!replaying) {
+        await this.rateLimiters[source].acquire();
+      }
+
+      if (!breaker.allowRequest()) {
+        throw new CircuitOpenError(source, breaker.retryAt());
+      }
+
+      // Only the request that became the probe sees the circuit half-open here
+      const probing = breaker.state === CIRCUIT_STATES.HALF_OPEN;
+
+      try {
+        const response = await this.concurrency.run(() => this.send(source, path, url, options));
+        breaker.recordSuccess();
+        if (attempt > 0 && process.env.DEBUG) {
+          this.logger.debug(`🔁 ${source} request succeeded after ${attempt} ${attempt === 1 ? 'retry' : 'retries'}: ${url}`);
+        }
+        return response;
+      } catch (error) {
+        if (error instanceof FixtureNotFoundError) {
+          throw error;
+        }
+
+        // A response such as 404 shows the provider is up, even though the request failed
+        if (error.response && !this.isRetryable(error)) {
+          breaker.recordSuccess();
+        } else if (breaker.recordFailure(error)) {
+          this.logger.warn(`⚠️  ${source} failed ${breaker.consecutiveFailures} times in a row; skipping it until ${breaker.retryAt().toISOString()}`);
+        }
+
+        if (!this.isRetryable(error) || attempt >= this.retries) {
+          if (attempt > 0 && process.env.DEBUG) {
+            this.logger.debug(`🔁 ${source} request failed after ${attempt} ${attempt === 1 ? 'retry' : 'retries'}: ${url}`);
+          }
+          throw error;
+        }
+
+        const delay = replaying ? 0 : this.getRetryDelay(attempt, error);
+        if (process.env.DEBUG) {
+          this.logger.debug(`🔁 ${source} retry ${attempt + 1}/${this.retries} in ${delay}ms (${error.message}): ${url}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } finally {
+        // Every exit path either records a verdict or frees the probe, so the circuit never stays half-open
+        if (probing) {
+          breaker.releaseProbe();
+        }
+      }
+    }
+  }
+
+  /**
+   * Send one request, recording it or answering it from the fixtures when those are enabled
+   * @returns {Promise<Object>} axios response
+   */
+  async send(source, path, url, options) {
+    if (!this.fixtures) {
+      return await axios.get(url, options);
+    }
+
+    if (this.fixtures.mode === 'replay') {
+      return await this.fixtures.replay(source, path, options.params);
+    }
+
+    try {
+      const response = await axios.get(url, options);
+      await this.fixtures.record(source, path, options.params, { response });
+      return response;
+    } catch (error) {
+      await this.fixtures.record(source, path, options.params, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a request was refused before reaching the provider
+   * Per-source lookups pass these errors on instead of reporting a failed lookup
+   * @param {Error} error - Error from httpGet
+   * @returns {boolean} True for daily cap, open circuit and missing fixture errors
+   */
+  isSkipped(error) {
+    return error instanceof RateLimitError || error instanceof CircuitOpenError || error instanceof FixtureNotFoundError;
+  }
+
+  /**
+   * Check whether a failed request is worth sending again
+   * @param {Error} error - axios error
+   * @returns {boolean} True for timeouts, 429 and 5xx responses
+   */
+  isRetryable(error) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return true;
+    }
+    const status = error.response && error.response.status;
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Backoff before a retry: retryDelay doubled per attempt, randomized between half and the full
+   * value so parallel requests do not retry in lockstep, and never shorter than Retry-After
+   * @param {number} attempt - Zero-based number of the attempt that just failed
+   * @param {Error} error - axios error
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, error) {
+    const backoff = this.retryDelay * 2 ** attempt;
+    const jittered = backoff / 2 + Math.random() * (backoff / 2);
+
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+
+    return Math.round(Math.min(MAX_RETRY_DELAY, Math.max(jittered, this.parseRetryAfter(retryAfter))));
+  }
+
+  /**
+   * Read a Retry-After header, given either as delay seconds or as an HTTP date
+   * @param {string} retryAfter - Header value
+   * @returns {number} Requested wait in milliseconds, 0 when absent, unparseable or already past
+   */
+  parseRetryAfter(retryAfter) {
+    if (!retryAfter) {
+      return 0;
+    }
+
+    const value = String(retryAfter).trim();
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+  }
+
   /**
    * Get zipcode data from Zippopotam.us API specifically
    * @param {string} zipcode - Zipcode to lookup
    * @returns {Promise<Object|null>} Zipcode data
    */
   async getZippopotamZipcode(zipcode) {
+    const cacheKey = `zipcode:zippopotam:${zipcode}`;
+    const cached = await this.getFromCache(cacheKey, 'zippopotam');
+    if (cached) return cached;
+
     try {
-      const response = await axios.get(`https://api.zippopotam.us/us/${zipcode}`, {
-        timeout: this.baseTimeout
-      });
+      const response = await this.httpGet('zippopotam', `/us/${zipcode}`);
 
       const data = this.transformZippopotamData(response.data);
+      await this.setCache(cacheKey, data, 'zippopotam');
       return data;
     } catch (error) {
-      console.error(`Zippopotam API error for zipcode ${zipcode}:`, error.message);
+      if (this.isSkipped(error)) throw error;
+      this.logger.error(`Zippopotam API error for zipcode ${zipcode}:`, error.message);
       return null;
     }
   }
@@ -61,8 +386,12 @@ class APIClient {
       throw new Error(`${message}. Please set GOOGLE_API_KEY environment variable or add to config.json.`);
     }
 
+    const cacheKey = `zipcode:googlemaps:${zipcode}`;
+    const cached = await this.getFromCache(cacheKey, 'googlemaps');
+    if (cached) return cached;
+
     if (process.env.DEBUG) {
-      console.log(`🗺️ Attempting Google Maps lookup for zipcode: ${zipcode}`);
+      this.logger.debug(`🗺️ Attempting Google Maps lookup for zipcode: ${zipcode}`);
     }
 
     try {
@@ -77,21 +406,20 @@ class APIClient {
         const address = addressFormats[i];
 
         if (process.env.DEBUG) {
-          console.log(`🔍 Trying address format ${i + 1}/${addressFormats.length}: "${address}"`);
+          this.logger.debug(`🔍 Trying address format ${i + 1}/${addressFormats.length}: "${address}"`);
         }
 
-        const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+        const response = await this.httpGet('googlemaps', '/geocode/json', {
           params: {
             address: address,
             components: 'country:US',
             key: this.googleMapsConfig.apiKey
-          },
-          timeout: this.googleMapsConfig.timeout
+          }
         });
 
         if (process.env.DEBUG) {
-          console.log(`📊 Google Maps API response status: ${response.data.status}`);
-          console.log(`📊 Google Maps API results count: ${response.data.results?.length || 0}`);
+          this.logger.debug(`📊 Google Maps API response status: ${response.data.status}`);
+          this.logger.debug(`📊 Google Maps API results count: ${response.data.results?.length || 0}`);
         }
 
         if (response.data.status === 'OVER_QUERY_LIMIT') {
@@ -103,13 +431,13 @@ class APIClient {
         }
 
         if (response.data.status === 'INVALID_REQUEST') {
-          console.warn(`Google Maps API invalid request for address: ${address}`);
+          this.logger.warn(`Google Maps API invalid request for address: ${address}`);
           continue; // Try next format
         }
 
         if (response.data.status === 'ZERO_RESULTS') {
           if (process.env.DEBUG) {
-            console.log(`⚠️ No results for address format: ${address}`);
+            this.logger.debug(`⚠️ No results for address format: ${address}`);
           }
           continue; // Try next format
         }
@@ -118,28 +446,29 @@ class APIClient {
           const result = this.transformGoogleMapsData(response.data.results[0], zipcode);
           if (result) {
             if (process.env.DEBUG) {
-              console.log(`✅ Successfully found Google Maps data for ${zipcode}:`, {
+              this.logger.debug(`✅ Successfully found Google Maps data for ${zipcode}:`, {
                 lat: result.latitude,
                 lng: result.longitude,
                 city: result.city,
                 state: result.state
               });
             }
+            await this.setCache(cacheKey, result, 'googlemaps');
             return result;
           }
         }
       }
 
       // If no results from any format, return null
-      console.warn(`Google Maps API could not find any results for zipcode ${zipcode}`);
+      this.logger.warn(`Google Maps API could not find any results for zipcode ${zipcode}`);
       return null;
     } catch (error) {
-      if (error.message.includes('quota') || error.message.includes('denied')) {
+      if (this.isSkipped(error) || error.message.includes('quota') || error.message.includes('denied')) {
         throw error; // Re-throw API-specific errors
       }
-      console.error(`Google Maps API error for zipcode ${zipcode}:`, error.message);
+      this.logger.error(`Google Maps API error for zipcode ${zipcode}:`, error.message);
       if (process.env.DEBUG) {
-        console.error('Full error details:', error);
+        this.logger.error('Full error details:', error);
       }
       return null;
     }
@@ -152,47 +481,49 @@ class APIClient {
    */
   async getZipcode(zipcode) {
     const cacheKey = `zipcode:${zipcode}`;
-    const cached = this.getFromCache(cacheKey);
+    const cached = await this.getFromCache(cacheKey);
     if (cached) return cached;
 
-    // Try Nominatim first (most comprehensive coverage)
-    try {
-      const data = await this.getNominatimZipcode(zipcode);
-      if (data) {
-        const result = { ...data, source: 'nominatim' };
-        this.setCache(cacheKey, result);
-        return result;
+    // Try Nominatim first (most comprehensive coverage); disabled providers and ones with an open circuit are skipped
+    if (this.isUsable('nominatim')) {
+      try {
+        const data = await this.getNominatimZipcode(zipcode);
+        if (data) {
+          const result = { ...data, source: 'nominatim' };
+          await this.setCache(cacheKey, result, result.source);
+          return result;
+        }
+      } catch (error) {
+        this.logger.warn(`Nominatim API failed for ${zipcode}, trying Google Maps...`);
       }
-    } catch (error) {
-      console.warn(`Nominatim API failed for ${zipcode}, trying Google Maps...`);
     }
 
     // Try Google Maps as second fallback (high quality data)
-    if (this.googleMapsConfig.enabled) {
+    if (this.isUsable('googlemaps')) {
       try {
         const data = await this.getGoogleMapsZipcode(zipcode);
         if (data) {
           const result = { ...data, source: 'googlemaps' };
-          this.setCache(cacheKey, result);
+          await this.setCache(cacheKey, result, result.source);
           return result;
         }
       } catch (error) {
-        console.warn(`Google Maps API failed for ${zipcode}, trying Zippopotam.us...`);
+        this.logger.warn(`Google Maps API failed for ${zipcode}, trying Zippopotam.us...`);
       }
     }
 
     // Fallback to Zippopotam.us
-    try {
-      const response = await axios.get(`https://api.zippopotam.us/us/${zipcode}`, {
-        timeout: this.baseTimeout
-      });
+    if (this.isUsable('zippopotam')) {
+      try {
+        const response = await this.httpGet('zippopotam', `/us/${zipcode}`);
 
-      const data = this.transformZippopotamData(response.data);
-      const result = { ...data, source: 'zippopotam' };
-      this.setCache(cacheKey, result);
-      return result;
-    } catch (error) {
-      console.error(`All APIs failed for zipcode ${zipcode}:`, error.message);
+        const data = this.transformZippopotamData(response.data);
+        const result = { ...data, source: 'zippopotam' };
+        await this.setCache(cacheKey, result, result.source);
+        return result;
+      } catch (error) {
+        this.logger.error(`All APIs failed for zipcode ${zipcode}:`, error.message);
+      }
     }
 
     return null;
@@ -204,28 +535,31 @@ class APIClient {
    * @returns {Promise<Object|null>} Zipcode data
    */
   async getNominatimZipcode(zipcode) {
+    const cacheKey = `zipcode:nominatim:${zipcode}`;
+    const cached = await this.getFromCache(cacheKey, 'nominatim');
+    if (cached) return cached;
+
     try {
-      const response = await axios.get('https://nominatim.openstreetmap.org/search', {
+      const response = await this.httpGet('nominatim', '/search', {
         params: {
           q: zipcode,
           countrycodes: 'us',
           format: 'json',
           addressdetails: 1,
           limit: 1
-        },
-        headers: {
-          'User-Agent': 'zipcode-lookup-cli/1.0.0'
-        },
-        timeout: this.baseTimeout
+        }
       });
 
       if (response.data && response.data.length > 0) {
-        return this.transformNominatimData(response.data[0], zipcode);
+        const result = this.transformNominatimData(response.data[0], zipcode);
+        await this.setCache(cacheKey, result, 'nominatim');
+        return result;
       }
 
       return null;
     } catch (error) {
-      console.error(`Nominatim API error for zipcode ${zipcode}:`, error.message);
+      if (this.isSkipped(error)) throw error;
+      this.logger.error(`Nominatim API error for zipcode ${zipcode}:`, error.message);
       return null;
     }
   }
@@ -238,52 +572,70 @@ class APIClient {
    */
   async reverseGeocode(lat, lon) {
     const cacheKey = `reverse:${lat},${lon}`;
-    const cached = this.getFromCache(cacheKey);
+    const cached = await this.getFromCache(cacheKey);
     if (cached) return cached;
 
     // Try Nominatim first
-    try {
-      const response = await axios.get('https://nominatim.openstreetmap.org/reverse', {
-        params: {
-          lat: lat,
-          lon: lon,
-          format: 'json',
-          addressdetails: 1,
-          zoom: 18
-        },
-        headers: {
-          'User-Agent': 'zipcode-lookup-cli/1.0.0'
-        },
-        timeout: this.baseTimeout
-      });
-
-      if (response.data && response.data.address && response.data.address.postcode) {
-        const result = this.transformNominatimData(response.data, response.data.address.postcode);
-        result.source = 'nominatim';
-        this.setCache(cacheKey, result);
-        return result;
+    if (this.isUsable('nominatim')) {
+      try {
+        const result = await this.reverseGeocodeNominatim(lat, lon);
+        if (result) {
+          result.source = 'nominatim';
+          await this.setCache(cacheKey, result, result.source);
+          return result;
+        }
+      } catch (error) {
+        this.logger.warn(`Nominatim reverse geocoding failed for ${lat},${lon}, trying Google Maps...`);
       }
-    } catch (error) {
-      console.warn(`Nominatim reverse geocoding failed for ${lat},${lon}, trying Google Maps...`);
     }
 
     // Try Google Maps as fallback
-    if (this.googleMapsConfig.enabled) {
+    if (this.isUsable('googlemaps')) {
       try {
         const result = await this.reverseGeocodeGoogleMaps(lat, lon);
         if (result) {
           result.source = 'googlemaps';
-          this.setCache(cacheKey, result);
+          await this.setCache(cacheKey, result, result.source);
           return result;
         }
       } catch (error) {
-        console.warn(`Google Maps reverse geocoding failed for ${lat},${lon}:`, error.message);
+        this.logger.warn(`Google Maps reverse geocoding failed for ${lat},${lon}:`, error.message);
       }
     }
 
     return null;
   }
 
+  /**
+   * Reverse geocode coordinates using Nominatim API only
+   * @param {number} lat - Latitude coordinate
+   * @param {number} lon - Longitude coordinate
+   * @returns {Promise<Object|null>} Zipcode data
+   */
+  async reverseGeocodeNominatim(lat, lon) {
+    const cacheKey = `reverse:nominatim:${lat},${lon}`;
+    const cached = await this.getFromCache(cacheKey, 'nominatim');
+    if (cached) return cached;
+
+    const response = await this.httpGet('nominatim', '/reverse', {
+      params: {
+        lat: lat,
+        lon: lon,
+        format: 'json',
+        addressdetails: 1,
+        zoom: 18
+      }
+    });
+
+    if (response.data && response.data.address && response.data.address.postcode) {
+      const result = this.transformNominatimData(response.data, response.data.address.postcode);
+      await this.setCache(cacheKey, result, 'nominatim');
+      return result;
+    }
+
+    return null;
+  }
+
   /**
    * Reverse geocode coordinates using Google Maps API
    * @param {number} lat - Latitude coordinate
@@ -295,14 +647,17 @@ class APIClient {
       return null;
     }
 
+    const cacheKey = `reverse:googlemaps:${lat},${lon}`;
+    const cached = await this.getFromCache(cacheKey, 'googlemaps');
+    if (cached) return cached;
+
     try {
-      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+      const response = await this.httpGet('googlemaps', '/geocode/json', {
         params: {
           latlng: `${lat},${lon}`,
           key: this.googleMapsConfig.apiKey,
           result_type: 'postal_code'
-        },
-        timeout: this.googleMapsConfig.timeout
+        }
       });
 
       if (response.data.status === 'OK' && response.data.results.length > 0) {
@@ -313,15 +668,89 @@ class APIClient {
 
         const zipcode = this.extractZipcodeFromGoogleMapsResult(bestResult);
         if (zipcode) {
-          return this.transformGoogleMapsData(bestResult, zipcode);
+          const result = this.transformGoogleMapsData(bestResult, zipcode);
+          await this.setCache(cacheKey, result, 'googlemaps');
+          return result;
         }
       }
 
       return null;
     } catch (error) {
-      console.error(`Google Maps reverse geocoding error for ${lat},${lon}:`, error.message);
+      if (this.isSkipped(error)) throw error;
+      this.logger.error(`Google Maps reverse geocoding error for ${lat},${lon}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Geocode a street address using Nominatim API
+   * @param {string} address - Free-form address
+   * @returns {Promise<Object|null>} Location data with the matched address
+   */
+  async geocodeAddressNominatim(address) {
+    const cacheKey = `geocode:nominatim:${address}`;
+    const cached = await this.getFromCache(cacheKey, 'nominatim');
+    if (cached) return cached;
+
+    const response = await this.httpGet('nominatim', '/search', {
+      params: {
+        q: address,
+        countrycodes: 'us',
+        format: 'json',
+        addressdetails: 1,
+        limit: 1
+      }
+    });
+
+    if (!response.data || response.data.length === 0) {
+      return null;
+    }
+
+    const result = {
+      ...this.transformNominatimData(response.data[0]),
+      formatted_address: response.data[0].display_name
+    };
+    await this.setCache(cacheKey, result, 'nominatim');
+    return result;
+  }
+
+  /**
+   * Geocode a street address using Google Maps API
+   * @param {string} address - Free-form address
+   * @returns {Promise<Object|null>} Location data with the matched address
+   */
+  async geocodeAddressGoogleMaps(address) {
+    if (!this.googleMapsConfig.enabled || !this.googleMapsConfig.apiKey) {
       return null;
     }
+
+    const cacheKey = `geocode:googlemaps:${address}`;
+    const cached = await this.getFromCache(cacheKey, 'googlemaps');
+    if (cached) return cached;
+
+    const response = await this.httpGet('googlemaps', '/geocode/json', {
+      params: {
+        address: address,
+        components: 'country:US',
+        key: this.googleMapsConfig.apiKey
+      }
+    });
+
+    if (response.data.status !== 'OK' || response.data.results.length === 0) {
+      if (response.data.status !== 'ZERO_RESULTS' && response.data.error_message) {
+        throw new Error(response.data.error_message);
+      }
+      return null;
+    }
+
+    const transformed = this.transformGoogleMapsData(response.data.results[0]);
+    if (!transformed) {
+      return null;
+    }
+
+    const result = { ...transformed, formatted_address: response.data.results[0].formatted_address };
+    await this.setCache(cacheKey, result, 'googlemaps');
+    return result;
   }
 
   /**
@@ -331,7 +760,7 @@ class APIClient {
    */
   async searchLocations(query) {
     const cacheKey = `location:${JSON.stringify(query)}`;
-    const cached = this.getFromCache(cacheKey);
+    const cached = await this.getFromCache(cacheKey, 'nominatim');
     if (cached) return cached;
 
     try {
@@ -348,28 +777,25 @@ class APIClient {
       }
       searchQuery += 'USA';
 
-      const response = await axios.get('https://nominatim.openstreetmap.org/search', {
+      const response = await this.httpGet('nominatim', '/search', {
         params: {
           q: searchQuery,
           countrycodes: 'us',
           format: 'json',
           addressdetails: 1,
           limit: 50
-        },
-        headers: {
-          'User-Agent': 'zipcode-lookup-cli/1.0.0'
-        },
-        timeout: this.baseTimeout
+        }
       });
 
       const results = response.data
         .filter(result => result.address && result.address.postcode)
         .map(result => this.transformNominatimData(result, result.address.postcode));
 
-      this.setCache(cacheKey, results);
+      await this.setCache(cacheKey, results, 'nominatim');
       return results;
     } catch (error) {
-      console.error(`Nominatim location search error:`, error.message);
+      if (this.isSkipped(error)) throw error;
+      this.logger.error(`Nominatim location search error:`, error.message);
       return [];
     }
   }
@@ -386,11 +812,11 @@ class APIClient {
     }
 
     const cacheKey = `googlemaps_city:${city},${state}`;
-    const cached = this.getFromCache(cacheKey);
+    const cached = await this.getFromCache(cacheKey, 'googlemaps');
     if (cached) return cached;
 
     if (process.env.DEBUG) {
-      console.log(`🔍 Google Maps city search for "${city}, ${state}"`);
+      this.logger.debug(`🔍 Google Maps city search for "${city}, ${state}"`);
     }
 
     try {
@@ -401,7 +827,7 @@ class APIClient {
       const offlineResults = zipcodes.lookupByName(city, state);
 
       if (process.env.DEBUG) {
-        console.log(`🔍 Found ${offlineResults?.length || 0} potential zipcodes from offline data`);
+        this.logger.debug(`🔍 Found ${offlineResults?.length || 0} potential zipcodes from offline data`);
       }
 
       const results = [];
@@ -411,7 +837,7 @@ class APIClient {
         for (const zipResult of offlineResults) {
           try {
             if (process.env.DEBUG) {
-              console.log(`🔍 Getting Google Maps data for zipcode ${zipResult.zip}`);
+              this.logger.debug(`🔍 Getting Google Maps data for zipcode ${zipResult.zip}`);
             }
 
             const googleMapsData = await this.getGoogleMapsZipcode(zipResult.zip);
@@ -419,8 +845,9 @@ class APIClient {
               results.push(googleMapsData);
             }
           } catch (error) {
+            if (this.isSkipped(error)) throw error;
             if (process.env.DEBUG) {
-              console.log(`⚠️ Failed to get Google Maps data for ${zipResult.zip}: ${error.message}`);
+              this.logger.debug(`⚠️ Failed to get Google Maps data for ${zipResult.zip}: ${error.message}`);
             }
             // Continue with other zipcodes
           }
@@ -428,13 +855,12 @@ class APIClient {
       } else {
         // Fallback: try to search directly for the city and extract any postal codes
         const searchQuery = `${city}, ${state}, USA`;
-        const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+        const response = await this.httpGet('googlemaps', '/geocode/json', {
           params: {
             address: searchQuery,
             components: 'country:US',
             key: this.googleMapsConfig.apiKey
-          },
-          timeout: this.googleMapsConfig.timeout
+          }
         });
 
         if (response.data.status === 'OK' && response.data.results.length > 0) {
@@ -451,13 +877,14 @@ class APIClient {
       }
 
       if (process.env.DEBUG) {
-        console.log(`🔍 Google Maps city search found ${results.length} postal codes for ${city}, ${state}`);
+        this.logger.debug(`🔍 Google Maps city search found ${results.length} postal codes for ${city}, ${state}`);
       }
 
-      this.setCache(cacheKey, results);
+      await this.setCache(cacheKey, results, 'googlemaps');
       return results;
     } catch (error) {
-      console.error(`Google Maps city search error for ${city}, ${state}:`, error.message);
+      if (this.isSkipped(error)) throw error;
+      this.logger.error(`Google Maps city search error for ${city}, ${state}:`, error.message);
       return [];
     }
   }
@@ -474,18 +901,17 @@ class APIClient {
     }
 
     const cacheKey = `googlemaps_county:${county},${state}`;
-    const cached = this.getFromCache(cacheKey);
+    const cached = await this.getFromCache(cacheKey, 'googlemaps');
     if (cached) return cached;
 
     try {
       const searchQuery = `${county} County, ${state}, USA`;
-      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+      const response = await this.httpGet('googlemaps', '/geocode/json', {
         params: {
           address: searchQuery,
           components: 'country:US',
           key: this.googleMapsConfig.apiKey
-        },
-        timeout: this.googleMapsConfig.timeout
+        }
       });
 
       const results = [];
@@ -501,10 +927,11 @@ class APIClient {
         }
       }
 
-      this.setCache(cacheKey, results);
+      await this.setCache(cacheKey, results, 'googlemaps');
       return results;
     } catch (error) {
-      console.error(`Google Maps county search error for ${county}, ${state}:`, error.message);
+      if (this.isSkipped(error)) throw error;
+      this.logger.error(`Google Maps county search error for ${county}, ${state}:`, error.message);
       return [];
     }
   }
@@ -529,6 +956,42 @@ class APIClient {
     return await this.searchLocations({ county, state });
   }
 
+  /**
+   * Search city using Zippopotam.us API
+   * @param {string} city - City name
+   * @param {string} state - State abbreviation
+   * @returns {Promise<Array>} Location results
+   */
+  async searchZippopotamCity(city, state) {
+    const cacheKey = `zippopotam_city:${city},${state}`;
+    const cached = await this.getFromCache(cacheKey, 'zippopotam');
+    if (cached) return cached;
+
+    try {
+      const response = await this.httpGet(
+        'zippopotam',
+        `/us/${encodeURIComponent(state.toLowerCase())}/${encodeURIComponent(city.toLowerCase())}`
+      );
+
+      const places = response.data && Array.isArray(response.data.places) ? response.data.places : [];
+      const results = places.map(place => ({
+        zipcode: place['post code'],
+        latitude: parseFloat(place.latitude),
+        longitude: parseFloat(place.longitude),
+        city: place['place name'],
+        state: response.data['state abbreviation'] || state.toUpperCase(),
+        county: ''
+      }));
+
+      await this.setCache(cacheKey, results, 'zippopotam');
+      return results;
+    } catch (error) {
+      if (this.isSkipped(error)) throw error;
+      this.logger.error(`Zippopotam city search error for ${city}, ${state}:`, error.message);
+      return [];
+    }
+  }
+
   /**
    * Get single census tract data from coordinates
    * @param {number} latitude - Latitude coordinate
@@ -537,28 +1000,27 @@ class APIClient {
    */
   async getCensusTract(latitude, longitude) {
     const cacheKey = `census_coord:${latitude},${longitude}`;
-    const cached = this.getFromCache(cacheKey);
+    const cached = await this.getFromCache(cacheKey, 'census');
     if (cached) return cached;
 
     try {
       // Census Bureau API for tract data
-      const url = `https://geocoding.geo.census.gov/geocoder/geographies/coordinates`;
-      const response = await axios.get(url, {
+      const response = await this.httpGet('census', '/geographies/coordinates', {
         params: {
           x: longitude,
           y: latitude,
           benchmark: 'Public_AR_Current',
           vintage: 'Current_Current',
           format: 'json'
-        },
-        timeout: this.baseTimeout
+        }
       });
 
       const tract = this.transformSingleCensusData(response.data);
-      this.setCache(cacheKey, tract);
+      await this.setCache(cacheKey, tract, 'census');
       return tract;
     } catch (error) {
-      console.error(`Census API error for coordinates ${latitude},${longitude}:`, error.message);
+      if (this.isSkipped(error)) throw error;
+      this.logger.error(`Census API error for coordinates ${latitude},${longitude}:`, error.message);
       return null;
     }
   }
@@ -570,7 +1032,7 @@ class APIClient {
    */
   async getCensusTracts(zipcode) {
     const cacheKey = `census:${zipcode}`;
-    const cached = this.getFromCache(cacheKey);
+    const cached = await this.getFromCache(cacheKey, 'census');
     if (cached) return cached;
 
     try {
@@ -578,23 +1040,22 @@ class APIClient {
       if (!zipData) return [];
 
       // Census Bureau API for tract data
-      const url = `https://geocoding.geo.census.gov/geocoder/geographies/coordinates`;
-      const response = await axios.get(url, {
+      const response = await this.httpGet('census', '/geographies/coordinates', {
         params: {
           x: zipData.longitude,
           y: zipData.latitude,
           benchmark: 'Public_AR_Current',
           vintage: 'Current_Current',
           format: 'json'
-        },
-        timeout: this.baseTimeout
+        }
       });
 
       const tracts = this.transformCensusData(response.data, zipcode);
-      this.setCache(cacheKey, tracts);
+      await this.setCache(cacheKey, tracts, 'census');
       return tracts;
     } catch (error) {
-      console.error(`Census API error for zipcode ${zipcode}:`, error.message);
+      if (this.isSkipped(error)) throw error;
+      this.logger.error(`Census API error for zipcode ${zipcode}:`, error.message);
       return [];
     }
   }
@@ -659,7 +1120,7 @@ class APIClient {
    */
   transformGoogleMapsData(data, zipcode) {
     if (!data || !data.geometry || !data.geometry.location) {
-      console.warn('Google Maps data missing geometry information:', data);
+      this.logger.warn('Google Maps data missing geometry information:', data);
       return null;
     }
 
@@ -670,7 +1131,7 @@ class APIClient {
     const lng = parseFloat(data.geometry.location.lng);
 
     if (isNaN(lat) || isNaN(lng)) {
-      console.warn('Google Maps data has invalid coordinates:', data.geometry.location);
+      this.logger.warn('Google Maps data has invalid coordinates:', data.geometry.location);
       return null;
     }
 
@@ -829,30 +1290,108 @@ class APIClient {
     return stateMap[stateName] || stateName;
   }
 
+  /**
+   * Get a client that reads and writes the cache with other settings, for one operation
+   * It shares this client's cache store, limiters, circuit breakers and pending requests, so a
+   * long-lived client (a library or server instance) is never left with the changed settings
+   * @param {Object} settings - Settings to change
+   * @param {number} settings.cacheTTL - Cache lifetime in milliseconds for every source
+   * @param {boolean} settings.refreshCache - Fetch cached responses again instead of reading them
+   * @param {boolean} settings.enabled - Read and write the cache at all
+   * @returns {APIClient} Client with the settings applied
+   */
+  withCacheSettings(settings = {}) {
+    const client = Object.create(this);
+
+    if (settings.cacheTTL !== undefined) {
+      client.cacheTTL = settings.cacheTTL;
+    }
+    if (settings.refreshCache !== undefined) {
+      client.refreshCache = settings.refreshCache;
+    }
+    if (settings.enabled !== undefined) {
+      client.cacheConfig = { ...this.cacheConfig, enabled: settings.enabled };
+    }
+
+    return client;
+  }
+
+  /**
+   * Check whether responses from a source are cached
+   * @param {string|null} source - Source name, or null when reading an entry any source may have written
+   * @returns {boolean} False when caching is off globally or for the source
+   */
+  isCaching(source = null) {
+    if (!this.cacheConfig.enabled || this.fixtures) {
+      return false;
+    }
+    const sourceConfig = this.getSourceConfig(source);
+    return !sourceConfig || sourceConfig.caching !== false;
+  }
+
+  /**
+   * Cache lifetime for a source's responses
+   * @param {string} source - Source name
+   * @returns {number} Lifetime in milliseconds
+   */
+  getCacheTTL(source) {
+    if (this.cacheTTL) {
+      return this.cacheTTL;
+    }
+    const sourceConfig = this.getSourceConfig(source);
+    return (sourceConfig && sourceConfig.cacheTTL) || this.cacheConfig.ttl;
+  }
+
+  getSourceConfig(source) {
+    switch (source) {
+      case 'googlemaps':
+        return this.googleMapsConfig;
+      case 'nominatim':
+        return this.nominatimConfig;
+      case 'zippopotam':
+        return this.zippopotamConfig;
+      case 'census':
+        return this.censusConfig;
+      default:
+        return null;
+    }
+  }
+
   /**
    * Cache management
+   * Entries carry their own expiry so plain Map stores expire too
    */
-  getFromCache(key) {
-    const item = this.cache.get(key);
+  async getFromCache(key, source = null) {
+    if (!this.isCaching(source) || this.refreshCache) return null;
+
+    const item = await this.cache.get(key);
     if (!item) return null;
 
     if (Date.now() > item.expiry) {
-      this.cache.delete(key);
+      await this.cache.delete(key);
       return null;
     }
 
+    if (process.env.DEBUG) {
+      this.logger.debug(`💾 Cache hit: ${key}`);
+    }
+
     return item.data;
   }
 
-  setCache(key, data) {
-    this.cache.set(key, {
+  async setCache(key, data, source) {
+    if (!this.isCaching(source)) return;
+
+    const ttl = this.getCacheTTL(source);
+    await this.cache.set(key, {
       data: data,
-      expiry: Date.now() + this.cacheTTL
-    });
+      source: source || null,
+      expiry: Date.now() + ttl
+    }, { ttl });
   }
 
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await this.cache.clear();
   }
 }
 
@@ -0,0 +1,219 @@
+/**
+ * ZCTA boundary polygons loaded from GeoJSON or an ESRI shapefile
+ * Used for point-in-polygon reverse lookups and boundary-aware radius searches
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { readShapefile } = require('./shapefile-reader');
+const { pointInGeometry, getGeometryBounds, getGeometryCentroid } = require('../../utils/geometry');
+const { createLogger } = require('../../utils/logger');
+
+// Feature properties that may hold the zipcode, in order of preference
+const ZIPCODE_PROPERTIES = ['ZCTA5CE20', 'ZCTA5CE10', 'ZCTA5CE', 'GEOID20', 'GEOID10', 'GEOID', 'ZCTA5', 'zcta', 'zipcode', 'zip', 'ZIP', 'postal_code'];
+
+// Feature properties that may hold an interior point
+const LAT_PROPERTIES = ['INTPTLAT20', 'INTPTLAT10', 'INTPTLAT', 'latitude'];
+const LON_PROPERTIES = ['INTPTLON20', 'INTPTLON10', 'INTPTLON', 'longitude'];
+
+// Size of the grid cells (degrees) used to find candidate polygons
+const GRID_SIZE = 1;
+
+// Loaded boundary sets shared across commands, keyed by absolute path
+const loadedSets = new Map();
+
+class BoundarySet {
+  /**
+   * @param {Array} features - GeoJSON features with polygon geometries
+   */
+  constructor(features = []) {
+    this.features = [];
+    this.byZipcode = new Map();
+    this.grid = new Map();
+
+    for (const feature of features) {
+      this.add(feature);
+    }
+  }
+
+  /**
+   * Load a boundary file, reusing a previously loaded copy of the same file
+   * @param {string} filePath - Path to a .geojson/.json or .shp file
+   * @param {Object} logger - Logger (default: console)
+   * @returns {Promise<BoundarySet>} Loaded boundaries
+   */
+  static async load(filePath, logger) {
+    const absolutePath = path.resolve(filePath);
+
+    if (!loadedSets.has(absolutePath)) {
+      const loading = BoundarySet.read(absolutePath, logger).catch(error => {
+        loadedSets.delete(absolutePath);
+        throw error;
+      });
+      loadedSets.set(absolutePath, loading);
+    }
+
+    return loadedSets.get(absolutePath);
+  }
+
+  /**
+   * Load the boundary file given on the command line or configured in boundaries.path
+   * @param {string} filePath - Path from the command line (optional)
+   * @param {Config} config - Configuration
+   * @param {Object} logger - Logger (default: console)
+   * @returns {Promise<BoundarySet|null>} Loaded boundaries, or null when none are configured
+   */
+  static async loadConfigured(filePath, config, logger) {
+    const configuredPath = filePath || (config.get('boundaries') || {}).path;
+    return configuredPath ? await BoundarySet.load(configuredPath, logger) : null;
+  }
+
+  static async read(absolutePath, logger) {
+    logger = createLogger(logger);
+
+    let features;
+    try {
+      if (path.extname(absolutePath).toLowerCase() === '.shp') {
+        features = await readShapefile(absolutePath, { logger });
+      } else {
+        const data = JSON.parse(await fs.readFile(absolutePath, 'utf8'));
+        features = data.type === 'FeatureCollection' ? data.features : [data];
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Boundary file not found: ${absolutePath}`);
+      }
+      throw new Error(`Failed to load boundary file: ${error.message}`);
+    }
+
+    const boundarySet = new BoundarySet(features);
+
+    if (process.env.DEBUG) {
+      logger.debug(`🗺️ Loaded ${boundarySet.size} ZCTA boundaries from ${absolutePath}`);
+    }
+
+    return boundarySet;
+  }
+
+  /**
+   * Add a feature to the set
+   * @param {Object} feature - GeoJSON feature
+   */
+  add(feature) {
+    if (!feature || !feature.geometry) {
+      return;
+    }
+
+    const properties = feature.properties || {};
+    const zipcodeKey = ZIPCODE_PROPERTIES.find(key => properties[key] !== undefined && properties[key] !== '');
+    const bounds = getGeometryBounds(feature.geometry);
+    if (!zipcodeKey || !bounds) {
+      return;
+    }
+
+    const interiorLat = parseFloat(properties[LAT_PROPERTIES.find(key => properties[key] !== undefined)]);
+    const interiorLon = parseFloat(properties[LON_PROPERTIES.find(key => properties[key] !== undefined)]);
+    const centroid = !isNaN(interiorLat) && !isNaN(interiorLon)
+      ? { latitude: interiorLat, longitude: interiorLon }
+      : getGeometryCentroid(feature.geometry);
+
+    const boundary = {
+      zipcode: String(properties[zipcodeKey]).padStart(5, '0'),
+      geometry: feature.geometry,
+      bounds,
+      centroid,
+      properties
+    };
+
+    this.features.push(boundary);
+    this.byZipcode.set(boundary.zipcode, boundary);
+
+    for (const cell of this.cellsForBounds(bounds)) {
+      if (!this.grid.has(cell)) {
+        this.grid.set(cell, []);
+      }
+      this.grid.get(cell).push(boundary);
+    }
+  }
+
+  cellKey(lat, lon) {
+    return `${Math.floor(lat / GRID_SIZE)}:${Math.floor(lon / GRID_SIZE)}`;
+  }
+
+  cellsForBounds(bounds) {
+    const cells = [];
+    for (let lat = Math.floor(bounds.minLat / GRID_SIZE); lat <= Math.floor(bounds.maxLat / GRID_SIZE); lat++) {
+      for (let lon = Math.floor(bounds.minLon / GRID_SIZE); lon <= Math.floor(bounds.maxLon / GRID_SIZE); lon++) {
+        cells.push(`${lat}:${lon}`);
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Get the boundaries whose bounding box overlaps an area
+   * @param {Object} bounds - Bounding box {minLat, maxLat, minLon, maxLon}
+   * @returns {Array} Candidate boundaries
+   */
+  candidates(bounds) {
+    const found = new Set();
+    for (const cell of this.cellsForBounds(bounds)) {
+      for (const boundary of this.grid.get(cell) || []) {
+        if (boundary.bounds.maxLat >= bounds.minLat && boundary.bounds.minLat <= bounds.maxLat &&
+            boundary.bounds.maxLon >= bounds.minLon && boundary.bounds.minLon <= bounds.maxLon) {
+          found.add(boundary);
+        }
+      }
+    }
+    return Array.from(found);
+  }
+
+  /**
+   * Find the boundary containing a point
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object|null} Boundary or null if the point lies outside every polygon
+   */
+  findContaining(lat, lon) {
+    for (const boundary of this.grid.get(this.cellKey(lat, lon)) || []) {
+      const { bounds } = boundary;
+      if (lat >= bounds.minLat && lat <= bounds.maxLat && lon >= bounds.minLon && lon <= bounds.maxLon &&
+          pointInGeometry(lat, lon, boundary.geometry)) {
+        return boundary;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the boundary for a zipcode
+   * @param {string} zipcode - Zipcode
+   * @returns {Object|null} Boundary or null
+   */
+  get(zipcode) {
+    return this.byZipcode.get(String(zipcode)) || null;
+  }
+
+  /**
+   * Describe a boundary as a zipcode record, for ZCTAs missing from the data source
+   * @param {Object} boundary - Boundary
+   * @returns {Object} Record positioned at the boundary's interior point
+   */
+  toRecord(boundary) {
+    return {
+      zipcode: boundary.zipcode,
+      latitude: boundary.centroid.latitude,
+      longitude: boundary.centroid.longitude,
+      city: '',
+      state: '',
+      county: '',
+      source: 'boundaries'
+    };
+  }
+
+  get size() {
+    return this.features.length;
+  }
+}
+
+module.exports = BoundarySet;
@@ -0,0 +1,233 @@
+/**
+ * On-disk zipcode dataset used by the `local` data source
+ * Supports Census ZCTA Gazetteer files, delimited text (CSV/TSV) and JSON record stores
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Papa = require('papaparse');
+const SpatialIndex = require('../../utils/spatial-index');
+const { createLogger } = require('../../utils/logger');
+
+// Column names accepted for each normalized field (compared lowercase)
+const COLUMN_ALIASES = {
+  zipcode: ['zipcode', 'zip', 'zip_code', 'zcta', 'zcta5', 'geoid', 'postal_code', 'postalcode'],
+  latitude: ['latitude', 'lat', 'intptlat', 'centroid_lat'],
+  longitude: ['longitude', 'lon', 'lng', 'long', 'intptlong', 'centroid_lon'],
+  city: ['city', 'place_name', 'placename', 'usps_city'],
+  state: ['state', 'state_code', 'usps', 'usps_state', 'state_abbr'],
+  county: ['county', 'county_name', 'countyname']
+};
+
+class LocalDataset {
+  /**
+   * @param {Object} options - Dataset options
+   * @param {string} options.path - Path to the dataset file
+   * @param {string} options.format - Force a format: json, csv, tsv, gazetteer (default: detect from extension)
+   * @param {Object} options.logger - Logger (default: console)
+   */
+  constructor(options = {}) {
+    this.path = options.path || null;
+    this.logger = createLogger(options.logger);
+    this.format = options.format || null;
+    this.records = [];
+    this.byZipcode = new Map();
+    this.byState = new Map();
+    this.metadata = {};
+    this.indexes = null;
+    this.loading = null;
+    this.spatialIndex = null;
+  }
+
+  /**
+   * Load the dataset once; concurrent callers share the same load
+   * @returns {Promise<LocalDataset>} This dataset
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.read().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async read() {
+    if (!this.path) {
+      throw new Error('No local dataset configured. Set local.path in your config file or the ZIPCODE_LOOKUP_DATA environment variable');
+    }
+
+    const absolutePath = path.resolve(this.path);
+    let content;
+    try {
+      content = await fs.readFile(absolutePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Local dataset not found: ${absolutePath}`);
+      }
+      throw new Error(`Failed to read local dataset: ${error.message}`);
+    }
+
+    const format = this.format || this.detectFormat(absolutePath);
+    const rawRecords = format === 'json' ? this.parseJSON(content) : this.parseDelimited(content, format);
+
+    this.setRecords(rawRecords, this.indexes);
+
+    if (process.env.DEBUG) {
+      this.logger.debug(`📂 Loaded ${this.records.length} zipcodes from local dataset ${absolutePath}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Replace the dataset contents and rebuild the lookup indexes
+   * @param {Array} rawRecords - Records in any supported column layout
+   * @param {Object} indexes - Prebuilt indexes from an imported store (optional)
+   */
+  setRecords(rawRecords, indexes = null) {
+    this.records = rawRecords
+      .map(record => this.normalizeRecord(record))
+      .filter(record => record !== null);
+
+    this.byZipcode = new Map();
+    this.byState = new Map();
+    this.spatialIndex = null;
+
+    // Store indexes refer to record positions, so they are only valid when no record was dropped
+    const stateIndex = indexes && indexes.state && this.records.length === rawRecords.length ? indexes.state : null;
+    if (stateIndex) {
+      for (const [state, positions] of Object.entries(stateIndex)) {
+        this.byState.set(state, positions.map(position => this.records[position]).filter(Boolean));
+      }
+    }
+
+    for (const record of this.records) {
+      this.byZipcode.set(record.zipcode, record);
+
+      if (record.state && !stateIndex) {
+        if (!this.byState.has(record.state)) {
+          this.byState.set(record.state, []);
+        }
+        this.byState.get(record.state).push(record);
+      }
+    }
+  }
+
+  detectFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.json') return 'json';
+    if (extension === '.tsv' || extension === '.txt') return 'tsv';
+    return 'csv';
+  }
+
+  parseJSON(content) {
+    const data = JSON.parse(content);
+    if (Array.isArray(data)) {
+      return data;
+    }
+
+    this.metadata = data.metadata || {};
+    this.indexes = data.indexes || null;
+    return Array.isArray(data.records) ? data.records : [];
+  }
+
+  parseDelimited(content, format) {
+    const result = Papa.parse(content, {
+      header: true,
+      skipEmptyLines: true,
+      delimiter: format === 'tsv' || format === 'gazetteer' ? '\t' : '',
+      transformHeader: header => header.trim().toLowerCase()
+    });
+
+    if (result.errors && result.errors.length > 0 && process.env.DEBUG) {
+      this.logger.warn('Local dataset parsing warnings:', result.errors.slice(0, 5));
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Map a raw row onto the normalized record shape, keeping any extra columns
+   * @param {Object} row - Raw row
+   * @returns {Object|null} Normalized record or null when coordinates are missing
+   */
+  normalizeRecord(row) {
+    if (!row || typeof row !== 'object') {
+      return null;
+    }
+
+    const lowered = {};
+    for (const [key, value] of Object.entries(row)) {
+      lowered[key.trim().toLowerCase()] = typeof value === 'string' ? value.trim() : value;
+    }
+
+    const pick = field => {
+      const alias = COLUMN_ALIASES[field].find(name => lowered[name] !== undefined && lowered[name] !== '');
+      return alias ? lowered[alias] : undefined;
+    };
+
+    const zipcode = pick('zipcode');
+    const latitude = parseFloat(pick('latitude'));
+    const longitude = parseFloat(pick('longitude'));
+
+    if (zipcode === undefined || isNaN(latitude) || isNaN(longitude)) {
+      return null;
+    }
+
+    const aliasColumns = new Set(Object.values(COLUMN_ALIASES).flat());
+    const extra = {};
+    for (const [key, value] of Object.entries(lowered)) {
+      if (!aliasColumns.has(key) && key !== '' && value !== '') {
+        extra[key] = value;
+      }
+    }
+
+    return {
+      ...extra,
+      zipcode: String(zipcode).padStart(5, '0'),
+      latitude,
+      longitude,
+      city: pick('city') || '',
+      state: (pick('state') || '').toUpperCase(),
+      county: pick('county') || ''
+    };
+  }
+
+  /**
+   * Get a record by zipcode
+   * @param {string} zipcode - Zipcode
+   * @returns {Object|null} Record or null
+   */
+  get(zipcode) {
+    return this.byZipcode.get(String(zipcode)) || null;
+  }
+
+  /**
+   * Get every record for a state
+   * @param {string} state - State abbreviation
+   * @returns {Array} Records
+   */
+  getByState(state) {
+    return this.byState.get(String(state).toUpperCase()) || [];
+  }
+
+  /**
+   * Spatial index over the record centroids, built on first use
+   * @returns {SpatialIndex} Index
+   */
+  getSpatialIndex() {
+    if (!this.spatialIndex) {
+      this.spatialIndex = new SpatialIndex(this.records);
+    }
+    return this.spatialIndex;
+  }
+
+  get size() {
+    return this.records.length;
+  }
+}
+
+module.exports = LocalDataset;
+module.exports.COLUMN_ALIASES = COLUMN_ALIASES;
@@ -0,0 +1,146 @@
+/**
+ * Registry of data source providers
+ * Commands resolve a source name and capability here instead of branching on source names
+ */
+
+const APIClient = require('./api-client');
+const { CAPABILITIES, CAPABILITY_DESCRIPTIONS } = require('./providers/base-provider');
+const AutoProvider = require('./providers/auto-provider');
+const ZipcodesProvider = require('./providers/zipcodes-provider');
+const NominatimProvider = require('./providers/nominatim-provider');
+const ZippopotamProvider = require('./providers/zippopotam-provider');
+const GoogleMapsProvider = require('./providers/googlemaps-provider');
+const CensusProvider = require('./providers/census-provider');
+const LocalProvider = require('./providers/local-provider');
+const { UnsupportedSourceError } = require('../../utils/errors');
+
+// Order in which `--source auto` tries providers
+const DEFAULT_AUTO_ORDER = ['local', 'zipcodes', 'nominatim', 'googlemaps', 'zippopotam', 'census'];
+
+class ProviderRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {APIClient} options.apiClient - API client shared by external providers
+   * @param {Config} options.config - Configuration (default: the API client's configuration)
+   * @param {string[]} options.autoOrder - Provider names in auto fallback order
+   * @param {boolean} options.registerDefaults - Register the built-in providers (default: true)
+   */
+  constructor(options = {}) {
+    this.apiClient = options.apiClient || new APIClient();
+    this.config = options.config || this.apiClient.config;
+    this.providers = new Map();
+
+    if (options.registerDefaults !== false) {
+      this.registerDefaults();
+    }
+
+    this.register(new AutoProvider({
+      apiClient: this.apiClient,
+      registry: this,
+      order: options.autoOrder || DEFAULT_AUTO_ORDER
+    }));
+  }
+
+  /**
+   * Register the providers that ship with the tool
+   */
+  registerDefaults() {
+    const options = { apiClient: this.apiClient };
+
+    this.register(new ZipcodesProvider(options));
+    this.register(new NominatimProvider(options));
+    this.register(new ZippopotamProvider(options));
+    this.register(new GoogleMapsProvider(options));
+    this.register(new CensusProvider(options));
+    this.register(new LocalProvider({ ...options, localConfig: this.config.get('local') || {} }));
+  }
+
+  /**
+   * Register a provider, replacing any provider with the same name
+   * @param {BaseProvider} provider - Provider instance
+   * @returns {ProviderRegistry} This registry
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Source name
+   * @returns {BaseProvider|null} Provider or null if not registered
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * List registered providers
+   * @param {string} capability - Only list providers supporting this capability
+   * @returns {BaseProvider[]} Providers
+   */
+  list(capability = null) {
+    const providers = Array.from(this.providers.values());
+    return capability ? providers.filter(provider => provider.supports(capability)) : providers;
+  }
+
+  /**
+   * Resolve a source name to a provider that supports the requested capability
+   * @param {string} name - Source name (e.g. zipcodes, nominatim, auto)
+   * @param {string} capability - Required capability
+   * @returns {BaseProvider} Provider
+   * @throws {UnsupportedSourceError} If the source is unknown or lacks the capability
+   */
+  resolve(name, capability) {
+    const provider = this.get(name || 'auto');
+    const supportedSources = this.list(capability).map(p => p.name);
+
+    if (!provider) {
+      throw new UnsupportedSourceError(name, null, supportedSources);
+    }
+
+    if (capability && !provider.supports(capability)) {
+      throw new UnsupportedSourceError(name, CAPABILITY_DESCRIPTIONS[capability] || capability, supportedSources);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Get the provider whose dataset supplies candidate zipcodes for sources without radius support
+   * @returns {BaseProvider} The local dataset when configured, otherwise the zipcodes package
+   */
+  datasetProvider() {
+    const local = this.get('local');
+    return local && local.isAvailable() ? local : this.get('zipcodes');
+  }
+
+  /**
+   * Describe each provider, its capabilities and the health of external services
+   * @returns {Array} Provider descriptions
+   */
+  describe() {
+    return this.list()
+      .filter(provider => provider.name !== 'auto')
+      .map(provider => {
+        let status = 'available';
+        if (!provider.isAvailable()) {
+          status = 'disabled';
+        } else if (!provider.isHealthy()) {
+          status = 'unhealthy';
+        }
+
+        return {
+          name: provider.name,
+          type: provider.type,
+          status,
+          features: Array.from(provider.capabilities),
+          health: provider.health()
+        };
+      });
+  }
+}
+
+module.exports = ProviderRegistry;
+module.exports.CAPABILITIES = CAPABILITIES;
+module.exports.DEFAULT_AUTO_ORDER = DEFAULT_AUTO_ORDER;
@@ -0,0 +1,105 @@
+/**
+ * Provider used for `--source auto`
+ * Tries every available provider that supports a capability, in fallback order
+ */
+
+const { BaseProvider, CAPABILITIES, CAPABILITY_DESCRIPTIONS } = require('./base-provider');
+
+class AutoProvider extends BaseProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {ProviderRegistry} options.registry - Registry holding the concrete providers
+   * @param {string[]} options.order - Provider names in fallback order
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'auto',
+      label: 'Auto',
+      type: 'built-in',
+      capabilities: Object.values(CAPABILITIES)
+    });
+    this.registry = options.registry;
+    this.order = options.order || [];
+  }
+
+  /**
+   * Get the available providers supporting a capability, in fallback order
+   * Providers that are failing repeatedly are left out until their cool-down has passed
+   * @param {string} capability - Capability name
+   * @returns {BaseProvider[]} Candidate providers
+   */
+  chain(capability) {
+    return this.order
+      .map(name => this.registry.get(name))
+      .filter(provider => provider && provider.supports(capability) && provider.isAvailable() && provider.isHealthy());
+  }
+
+  supports(capability) {
+    return this.order.some(name => {
+      const provider = this.registry.get(name);
+      return provider && provider.supports(capability);
+    });
+  }
+
+  /**
+   * Run a capability against each provider in the chain until one returns a result
+   * @param {string} capability - Capability name
+   * @param {Function} call - Invokes the capability on a provider
+   * @param {string} description - Query description used in log messages
+   * @returns {Promise<*>} First non-empty result, or null/[] when every provider came up empty
+   */
+  async firstResult(capability, call, description) {
+    const providers = this.chain(capability);
+    const emptyResult = [CAPABILITIES.LOOKUP, CAPABILITIES.CENSUS_TRACT, CAPABILITIES.GEOCODE].includes(capability) ? null : [];
+
+    for (let i = 0; i < providers.length; i++) {
+      const provider = providers[i];
+      try {
+        const result = await call(provider);
+        const found = Array.isArray(result) ? result.length > 0 : !!result;
+        if (found) {
+          if (i > 0) {
+            this.logger.info(`✅ Found ${description} via ${provider.label} fallback`);
+          }
+          return result;
+        }
+      } catch (error) {
+        this.logger.warn(`${provider.label} ${CAPABILITY_DESCRIPTIONS[capability]} failed for ${description}: ${error.message}`);
+      }
+    }
+
+    return emptyResult;
+  }
+
+  async lookup(zipcode) {
+    return this.firstResult(CAPABILITIES.LOOKUP, provider => provider.lookup(zipcode), zipcode);
+  }
+
+  async reverse(lat, lon, count = 1, maxMiles = Infinity) {
+    return this.firstResult(CAPABILITIES.REVERSE, provider => provider.reverse(lat, lon, count, maxMiles), `${lat}, ${lon}`);
+  }
+
+  async radius(centerPoint, radiusMiles) {
+    return this.firstResult(CAPABILITIES.RADIUS, provider => provider.radius(centerPoint, radiusMiles),
+      `${radiusMiles} miles of ${centerPoint.zipcode || `${centerPoint.latitude}, ${centerPoint.longitude}`}`);
+  }
+
+  async searchCity(city, state) {
+    return this.firstResult(CAPABILITIES.CITY_SEARCH, provider => provider.searchCity(city, state), `${city}, ${state}`);
+  }
+
+  async searchCounty(county, state) {
+    return this.firstResult(CAPABILITIES.COUNTY_SEARCH, provider => provider.searchCounty(county, state), `${county}, ${state}`);
+  }
+
+  async censusTract(lat, lon) {
+    return this.firstResult(CAPABILITIES.CENSUS_TRACT, provider => provider.censusTract(lat, lon), `${lat}, ${lon}`);
+  }
+
+  async geocode(address) {
+    return this.firstResult(CAPABILITIES.GEOCODE, provider => provider.geocode(address), address);
+  }
+}
+
+module.exports = AutoProvider;
@@ -0,0 +1,234 @@
+/**
+ * Base class for data source providers
+ * A provider declares the capabilities it supports and implements the matching methods
+ */
+
+const { UnsupportedSourceError } = require('../../../utils/errors');
+const { createLogger } = require('../../../utils/logger');
+
+const CAPABILITIES = Object.freeze({
+  LOOKUP: 'lookup',
+  REVERSE: 'reverse',
+  RADIUS: 'radius',
+  CITY_SEARCH: 'citySearch',
+  COUNTY_SEARCH: 'countySearch',
+  CENSUS_TRACT: 'censusTract',
+  GEOCODE: 'geocode'
+});
+
+const CAPABILITY_DESCRIPTIONS = Object.freeze({
+  [CAPABILITIES.LOOKUP]: 'zipcode lookup',
+  [CAPABILITIES.REVERSE]: 'reverse geocoding',
+  [CAPABILITIES.RADIUS]: 'radius search',
+  [CAPABILITIES.CITY_SEARCH]: 'city search',
+  [CAPABILITIES.COUNTY_SEARCH]: 'county search',
+  [CAPABILITIES.CENSUS_TRACT]: 'census tract lookup',
+  [CAPABILITIES.GEOCODE]: 'address geocoding'
+});
+
+class BaseProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Source name used on the command line
+   * @param {string} options.label - Human readable name used in messages
+   * @param {string[]} options.capabilities - Supported capabilities
+   * @param {string} options.type - 'built-in' or 'external'
+   * @param {APIClient} options.apiClient - Shared API client
+   * @param {Object} options.logger - Logger (default: the API client's logger)
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.label = options.label || options.name;
+    this.type = options.type || 'external';
+    this.capabilities = new Set(options.capabilities || []);
+    this.apiClient = options.apiClient || null;
+    this.logger = options.logger || (this.apiClient ? this.apiClient.logger : createLogger());
+  }
+
+  /**
+   * Check whether this provider supports a capability
+   * @param {string} capability - Capability name
+   * @returns {boolean} True if supported
+   */
+  supports(capability) {
+    return this.capabilities.has(capability);
+  }
+
+  /**
+   * Check whether this provider is enabled and configured
+   * @returns {boolean} True if the provider can be used
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Check whether the service behind this provider is answering
+   * @returns {boolean} False while the API client is skipping it after repeated failures
+   */
+  isHealthy() {
+    return !this.apiClient || this.apiClient.isHealthy(this.name);
+  }
+
+  /**
+   * Health of the service behind this provider
+   * @returns {Object|null} Circuit breaker health, or null for providers that send no requests
+   */
+  health() {
+    return this.type === 'external' && this.apiClient ? this.apiClient.getHealth(this.name) : null;
+  }
+
+  /**
+   * Look up a single zipcode
+   * @param {string} zipcode - Zipcode to lookup
+   * @returns {Promise<Object|null>} Normalized zipcode record
+   */
+  async lookup(zipcode) {
+    throw this.unsupported(CAPABILITIES.LOOKUP);
+  }
+
+  /**
+   * Find the zipcodes nearest to a coordinate
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} count - Maximum number of results (Infinity for every zipcode within maxMiles)
+   * @param {number} maxMiles - Only return zipcodes within this distance (default: no limit)
+   * @returns {Promise<Array>} Normalized zipcode records, nearest first
+   */
+  async reverse(lat, lon, count = 1, maxMiles = Infinity) {
+    throw this.unsupported(CAPABILITIES.REVERSE);
+  }
+
+  /**
+   * Find zipcodes whose centroid lies within a radius of a center point
+   * @param {Object} centerPoint - Center point with latitude/longitude
+   * @param {number} radiusMiles - Radius in miles
+   * @returns {Promise<Array>} Normalized zipcode records
+   */
+  async radius(centerPoint, radiusMiles) {
+    throw this.unsupported(CAPABILITIES.RADIUS);
+  }
+
+  /**
+   * Find zipcodes for a city
+   * @param {string} city - City name
+   * @param {string} state - State abbreviation
+   * @returns {Promise<Array>} Normalized zipcode records
+   */
+  async searchCity(city, state) {
+    throw this.unsupported(CAPABILITIES.CITY_SEARCH);
+  }
+
+  /**
+   * Find zipcodes for a county
+   * @param {string} county - County name
+   * @param {string} state - State abbreviation
+   * @returns {Promise<Array>} Normalized zipcode records
+   */
+  async searchCounty(county, state) {
+    throw this.unsupported(CAPABILITIES.COUNTY_SEARCH);
+  }
+
+  /**
+   * Get census tract data for a coordinate
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object|null>} Census tract data
+   */
+  async censusTract(lat, lon) {
+    throw this.unsupported(CAPABILITIES.CENSUS_TRACT);
+  }
+
+  /**
+   * Geocode a street address
+   * @param {string} address - Free-form address
+   * @returns {Promise<Object|null>} Normalized location with a formatted_address property
+   */
+  async geocode(address) {
+    throw this.unsupported(CAPABILITIES.GEOCODE);
+  }
+
+  /**
+   * Normalize a geocoded address, keeping the address the geocoder matched
+   * @param {Object} result - Raw geocoding result with a formatted_address property
+   * @returns {Object|null} Normalized location or null if it has no usable coordinates
+   */
+  normalizeGeocode(result) {
+    if (!result || typeof result.latitude !== 'number' || typeof result.longitude !== 'number' ||
+        isNaN(result.latitude) || isNaN(result.longitude)) {
+      return null;
+    }
+
+    // Unlike zipcode records, an address may geocode to a point without a postal code
+    return {
+      zipcode: result.zipcode || '',
+      latitude: result.latitude,
+      longitude: result.longitude,
+      city: result.city || '',
+      state: result.state || '',
+      county: result.county || '',
+      formatted_address: result.formatted_address || '',
+      source: this.name
+    };
+  }
+
+  /**
+   * Normalize a raw zipcode record into the shape used by every command
+   * @param {Object} record - Raw record from a data source
+   * @returns {Object|null} Normalized record or null if it has no usable coordinates
+   */
+  normalize(record) {
+    if (!record) {
+      return null;
+    }
+
+    const normalized = {
+      zipcode: record.zipcode || record.zip,
+      latitude: record.latitude,
+      longitude: record.longitude,
+      city: record.city || '',
+      state: record.state || '',
+      source: this.name
+    };
+
+    // Only sources that know the county report one, so others add no empty column
+    if (record.county) {
+      normalized.county = record.county;
+    }
+
+    if (!normalized.zipcode || typeof normalized.latitude !== 'number' || typeof normalized.longitude !== 'number' ||
+        isNaN(normalized.latitude) || isNaN(normalized.longitude)) {
+      return null;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Normalize a list of raw records, dropping unusable entries
+   * @param {Array} records - Raw records
+   * @returns {Array} Normalized records
+   */
+  normalizeAll(records) {
+    if (!Array.isArray(records)) {
+      return [];
+    }
+
+    return records.map(record => this.normalize(record)).filter(record => record !== null);
+  }
+
+  /**
+   * Build the error thrown when a capability is not implemented
+   * @param {string} capability - Capability name
+   * @returns {UnsupportedSourceError} Error describing the unsupported combination
+   */
+  unsupported(capability) {
+    return new UnsupportedSourceError(this.name, CAPABILITY_DESCRIPTIONS[capability] || capability);
+  }
+}
+
+module.exports = {
+  BaseProvider,
+  CAPABILITIES,
+  CAPABILITY_DESCRIPTIONS
+};
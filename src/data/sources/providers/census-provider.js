@@ -0,0 +1,25 @@
+/**
+ * Provider backed by the Census Bureau geocoder
+ * Only used for tract lookups; it cannot resolve zipcodes on its own
+ */
+
+const { BaseProvider, CAPABILITIES } = require('./base-provider');
+
+class CensusProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'census',
+      label: 'Census Bureau geocoder',
+      capabilities: [
+        CAPABILITIES.CENSUS_TRACT
+      ]
+    });
+  }
+
+  async censusTract(lat, lon) {
+    return await this.apiClient.getCensusTract(lat, lon);
+  }
+}
+
+module.exports = CensusProvider;
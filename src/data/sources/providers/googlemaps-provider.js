@@ -0,0 +1,49 @@
+/**
+ * Provider backed by the Google Maps Geocoding API
+ */
+
+const { BaseProvider, CAPABILITIES } = require('./base-provider');
+
+class GoogleMapsProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'googlemaps',
+      label: 'Google Maps API',
+      capabilities: [
+        CAPABILITIES.LOOKUP,
+        CAPABILITIES.REVERSE,
+        CAPABILITIES.CITY_SEARCH,
+        CAPABILITIES.COUNTY_SEARCH,
+        CAPABILITIES.GEOCODE
+      ]
+    });
+  }
+
+  isAvailable() {
+    return this.apiClient.isSourceEnabled(this.name);
+  }
+
+  async lookup(zipcode) {
+    return this.normalize(await this.apiClient.getGoogleMapsZipcode(zipcode));
+  }
+
+  async reverse(lat, lon) {
+    const result = this.normalize(await this.apiClient.reverseGeocodeGoogleMaps(lat, lon));
+    return result ? [result] : [];
+  }
+
+  async searchCity(city, state) {
+    return this.normalizeAll(await this.apiClient.searchGoogleMapsCity(city, state));
+  }
+
+  async searchCounty(county, state) {
+    return this.normalizeAll(await this.apiClient.searchGoogleMapsCounty(county, state));
+  }
+
+  async geocode(address) {
+    return this.normalizeGeocode(await this.apiClient.geocodeAddressGoogleMaps(address));
+  }
+}
+
+module.exports = GoogleMapsProvider;
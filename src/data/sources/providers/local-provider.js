@@ -0,0 +1,121 @@
+/**
+ * Provider backed by a team-maintained dataset on disk
+ * Answers every query offline from the configured file
+ */
+
+const { BaseProvider, CAPABILITIES } = require('./base-provider');
+const LocalDataset = require('../local-dataset');
+
+// Columns carried through from datasets that include census geography
+const CENSUS_COLUMNS = ['census_tract', 'census_block', 'fips_state', 'fips_county'];
+
+class LocalProvider extends BaseProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object} options.localConfig - `local` section of the configuration
+   * @param {LocalDataset} options.dataset - Preloaded dataset (optional)
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'local',
+      label: 'Local dataset',
+      type: 'built-in',
+      capabilities: [
+        CAPABILITIES.LOOKUP,
+        CAPABILITIES.REVERSE,
+        CAPABILITIES.RADIUS,
+        CAPABILITIES.CITY_SEARCH,
+        CAPABILITIES.COUNTY_SEARCH,
+        CAPABILITIES.CENSUS_TRACT
+      ]
+    });
+
+    this.localConfig = options.localConfig || {};
+    this.dataset = options.dataset || new LocalDataset({
+      path: this.localConfig.path,
+      format: this.localConfig.format,
+      logger: this.logger
+    });
+  }
+
+  isAvailable() {
+    return this.localConfig.enabled !== false && !!this.dataset.path;
+  }
+
+  async lookup(zipcode) {
+    const dataset = await this.dataset.load();
+    return this.normalize(dataset.get(zipcode));
+  }
+
+  async radius(centerPoint, radiusMiles) {
+    const dataset = await this.dataset.load();
+
+    return dataset.getSpatialIndex().within(centerPoint.latitude, centerPoint.longitude, radiusMiles)
+      .map(({ record }) => this.normalize(record));
+  }
+
+  async reverse(lat, lon, count = 1, maxMiles = Infinity) {
+    const dataset = await this.dataset.load();
+
+    return dataset.getSpatialIndex().nearest(lat, lon, count, maxMiles)
+      .map(({ record }) => this.normalize(record));
+  }
+
+  async searchCity(city, state) {
+    const dataset = await this.dataset.load();
+    const cityLower = city.toLowerCase();
+
+    return dataset.getByState(state)
+      .filter(record => record.city.toLowerCase() === cityLower)
+      .map(record => this.normalize(record));
+  }
+
+  /**
+   * Every zipcode in a state, used to choose what to pre-fetch into the cache
+   * @param {string} state - State abbreviation
+   * @returns {Promise<Array>} Normalized zipcode records
+   */
+  async searchState(state) {
+    const dataset = await this.dataset.load();
+    return dataset.getByState(state).map(record => this.normalize(record));
+  }
+
+  async searchCounty(county, state) {
+    const dataset = await this.dataset.load();
+    const countyLower = county.toLowerCase().replace(/ county$/, '');
+
+    return dataset.getByState(state)
+      .filter(record => {
+        const recordCounty = record.county.toLowerCase();
+        return recordCounty === countyLower || recordCounty.replace(/ county$/, '') === countyLower;
+      })
+      .map(record => this.normalize(record));
+  }
+
+  /**
+   * Census geography of the zipcode whose centroid is nearest the coordinate,
+   * for datasets that carry census columns
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object|null>} Census tract data in the APIClient.getCensusTract shape
+   */
+  async censusTract(lat, lon) {
+    const [nearest] = await this.reverse(lat, lon, 1);
+    const record = nearest ? this.dataset.get(nearest.zipcode) : null;
+
+    if (!record || !CENSUS_COLUMNS.some(column => record[column] !== undefined)) {
+      return null;
+    }
+
+    return {
+      tract: record.census_tract || '',
+      block: record.census_block || '',
+      state_fips: record.fips_state || '',
+      county_fips: record.fips_county || '',
+      county_name: record.county || ''
+    };
+  }
+}
+
+module.exports = LocalProvider;
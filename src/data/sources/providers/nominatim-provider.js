@@ -0,0 +1,49 @@
+/**
+ * Provider backed by the Nominatim (OpenStreetMap) geocoding API
+ */
+
+const { BaseProvider, CAPABILITIES } = require('./base-provider');
+
+class NominatimProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'nominatim',
+      label: 'Nominatim API',
+      capabilities: [
+        CAPABILITIES.LOOKUP,
+        CAPABILITIES.REVERSE,
+        CAPABILITIES.CITY_SEARCH,
+        CAPABILITIES.COUNTY_SEARCH,
+        CAPABILITIES.GEOCODE
+      ]
+    });
+  }
+
+  isAvailable() {
+    return this.apiClient.isSourceEnabled(this.name);
+  }
+
+  async lookup(zipcode) {
+    return this.normalize(await this.apiClient.getNominatimZipcode(zipcode));
+  }
+
+  async reverse(lat, lon) {
+    const result = this.normalize(await this.apiClient.reverseGeocodeNominatim(lat, lon));
+    return result ? [result] : [];
+  }
+
+  async searchCity(city, state) {
+    return this.normalizeAll(await this.apiClient.searchNominatimCity(city, state));
+  }
+
+  async searchCounty(county, state) {
+    return this.normalizeAll(await this.apiClient.searchNominatimCounty(county, state));
+  }
+
+  async geocode(address) {
+    return this.normalizeGeocode(await this.apiClient.geocodeAddressNominatim(address));
+  }
+}
+
+module.exports = NominatimProvider;
@@ -0,0 +1,108 @@
+/**
+ * Provider backed by the offline zipcodes npm package
+ */
+
+const zipcodes = require('zipcodes');
+const { BaseProvider, CAPABILITIES } = require('./base-provider');
+const SpatialIndex = require('../../../utils/spatial-index');
+
+// Index over every centroid in the package, built on first use and shared for the whole process
+let packageIndex = null;
+
+function getPackageIndex(logger) {
+  if (!packageIndex) {
+    const started = Date.now();
+    packageIndex = new SpatialIndex(Object.values(zipcodes.codes));
+
+    if (process.env.DEBUG) {
+      logger.debug(`🌳 Indexed ${packageIndex.size} zipcodes package centroids in ${Date.now() - started}ms`);
+    }
+  }
+  return packageIndex;
+}
+
+class ZipcodesProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'zipcodes',
+      label: 'Zipcodes package',
+      type: 'built-in',
+      capabilities: [
+        CAPABILITIES.LOOKUP,
+        CAPABILITIES.REVERSE,
+        CAPABILITIES.RADIUS,
+        CAPABILITIES.CITY_SEARCH,
+        CAPABILITIES.COUNTY_SEARCH
+      ]
+    });
+  }
+
+  async lookup(zipcode) {
+    return this.normalize(zipcodes.lookup(zipcode));
+  }
+
+  async radius(centerPoint, radiusMiles) {
+    if (centerPoint.zipcode && zipcodes.lookup(centerPoint.zipcode)) {
+      return zipcodes.radius(centerPoint.zipcode, radiusMiles)
+        .map(zipcode => this.normalize(zipcodes.lookup(zipcode)))
+        .filter(record => record !== null);
+    }
+
+    // The package only searches around its own zipcodes, so scan by coordinates instead
+    if (process.env.DEBUG) {
+      this.logger.warn(`Zipcode ${centerPoint.zipcode} not found in zipcodes package, using coordinate-based radius search`);
+    }
+
+    return getPackageIndex(this.logger).within(centerPoint.latitude, centerPoint.longitude, radiusMiles)
+      .map(({ record }) => this.normalize(record))
+      .filter(record => record !== null);
+  }
+
+  async searchCity(city, state) {
+    return this.normalizeAll(zipcodes.lookupByName(city, state));
+  }
+
+  async searchCounty(county, state) {
+    // Get all zipcodes for the state and filter by county
+    const stateZipcodes = zipcodes.lookupByState(state);
+    if (!stateZipcodes || stateZipcodes.length === 0) {
+      return [];
+    }
+
+    const countyLower = county.toLowerCase();
+    const matchingZipcodes = stateZipcodes.filter(zip => {
+      // Handle different county name formats
+      const zipCounty = zip.county ? zip.county.toLowerCase() : '';
+      return zipCounty.includes(countyLower) ||
+             zipCounty.includes(countyLower.replace(' county', '')) ||
+             zipCounty === countyLower;
+    });
+
+    return this.normalizeAll(matchingZipcodes);
+  }
+
+  /**
+   * Every zipcode in a state, used to choose what to pre-fetch into the cache
+   * @param {string} state - State abbreviation
+   * @returns {Promise<Array>} Normalized zipcode records
+   */
+  async searchState(state) {
+    return this.normalizeAll(zipcodes.lookupByState(state) || []);
+  }
+
+  async reverse(lat, lon, count = 1, maxMiles = Infinity) {
+    const nearest = getPackageIndex(this.logger).nearest(lat, lon, count, maxMiles);
+    const results = nearest
+      .map(({ record }) => this.normalize(record))
+      .filter(record => record !== null);
+
+    if (results.length > 0 && process.env.DEBUG) {
+      this.logger.debug(`✅ Found ${results.length} nearest zipcodes, closest is ${results[0].zipcode} at ${nearest[0].distance.toFixed(2)} miles`);
+    }
+
+    return results;
+  }
+}
+
+module.exports = ZipcodesProvider;
@@ -0,0 +1,34 @@
+/**
+ * Provider backed by the Zippopotam.us API
+ * Zippopotam has no reverse geocoding or county endpoints
+ */
+
+const { BaseProvider, CAPABILITIES } = require('./base-provider');
+
+class ZippopotamProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'zippopotam',
+      label: 'Zippopotam API',
+      capabilities: [
+        CAPABILITIES.LOOKUP,
+        CAPABILITIES.CITY_SEARCH
+      ]
+    });
+  }
+
+  isAvailable() {
+    return this.apiClient.isSourceEnabled(this.name);
+  }
+
+  async lookup(zipcode) {
+    return this.normalize(await this.apiClient.getZippopotamZipcode(zipcode));
+  }
+
+  async searchCity(city, state) {
+    return this.normalizeAll(await this.apiClient.searchZippopotamCity(city, state));
+  }
+}
+
+module.exports = ZippopotamProvider;
@@ -0,0 +1,173 @@
+/**
+ * Minimal ESRI Shapefile reader for polygon boundary files
+ * Reads the .shp geometry and the matching .dbf attribute table into GeoJSON features
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ringSignedArea, pointInRing } = require('../../utils/geometry');
+const { createLogger } = require('../../utils/logger');
+
+const SHAPE_TYPES = {
+  NULL: 0,
+  POLYGON: 5,
+  POLYGON_Z: 15,
+  POLYGON_M: 25
+};
+
+/**
+ * Read a shapefile into GeoJSON features
+ * @param {string} shpPath - Path to the .shp file (the .dbf must sit next to it)
+ * @param {Object} options - Reader options
+ * @param {Object} options.logger - Logger (default: console)
+ * @returns {Promise<Array>} GeoJSON Feature objects
+ */
+async function readShapefile(shpPath, options = {}) {
+  const logger = createLogger(options.logger);
+  const basePath = shpPath.replace(/\.shp$/i, '');
+  const shpBuffer = await fs.readFile(shpPath);
+
+  let attributes = [];
+  try {
+    attributes = parseDbf(await fs.readFile(`${basePath}.dbf`));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    logger.warn(`No attribute table found for ${path.basename(shpPath)}, zipcodes cannot be identified`);
+  }
+
+  const geometries = parseShp(shpBuffer);
+
+  return geometries.map((geometry, index) => ({
+    type: 'Feature',
+    properties: attributes[index] || {},
+    geometry
+  }));
+}
+
+/**
+ * Parse the geometry records of a .shp file
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} GeoJSON geometries (null for empty shapes)
+ */
+function parseShp(buffer) {
+  if (buffer.readInt32BE(0) !== 9994) {
+    throw new Error('Not a valid shapefile (bad file code)');
+  }
+
+  const fileLength = buffer.readInt32BE(24) * 2;
+  const geometries = [];
+  let offset = 100;
+
+  while (offset + 8 <= Math.min(fileLength, buffer.length)) {
+    const contentLength = buffer.readInt32BE(offset + 4) * 2;
+    const contentStart = offset + 8;
+    const shapeType = buffer.readInt32LE(contentStart);
+
+    if (shapeType === SHAPE_TYPES.POLYGON || shapeType === SHAPE_TYPES.POLYGON_Z || shapeType === SHAPE_TYPES.POLYGON_M) {
+      geometries.push(parsePolygon(buffer, contentStart));
+    } else if (shapeType === SHAPE_TYPES.NULL) {
+      geometries.push(null);
+    } else {
+      throw new Error(`Unsupported shape type ${shapeType}; only polygon shapefiles are supported`);
+    }
+
+    offset = contentStart + contentLength;
+  }
+
+  return geometries;
+}
+
+/**
+ * Parse a polygon record into a GeoJSON Polygon or MultiPolygon
+ * Shapefile outer rings are clockwise and holes counter-clockwise
+ * @param {Buffer} buffer - File contents
+ * @param {number} start - Offset of the record content
+ * @returns {Object} GeoJSON geometry
+ */
+function parsePolygon(buffer, start) {
+  const numParts = buffer.readInt32LE(start + 36);
+  const numPoints = buffer.readInt32LE(start + 40);
+  const partsStart = start + 44;
+  const pointsStart = partsStart + numParts * 4;
+
+  const parts = [];
+  for (let i = 0; i < numParts; i++) {
+    parts.push(buffer.readInt32LE(partsStart + i * 4));
+  }
+
+  const rings = parts.map((partStart, i) => {
+    const partEnd = i + 1 < numParts ? parts[i + 1] : numPoints;
+    const ring = [];
+    for (let p = partStart; p < partEnd; p++) {
+      const pointOffset = pointsStart + p * 16;
+      ring.push([buffer.readDoubleLE(pointOffset), buffer.readDoubleLE(pointOffset + 8)]);
+    }
+    return ring;
+  });
+
+  const outers = [];
+  const holes = [];
+  rings.forEach(ring => (ringSignedArea(ring) < 0 ? outers : holes).push(ring));
+
+  // A file with only counter-clockwise rings was written with the opposite convention
+  if (outers.length === 0) {
+    return { type: 'Polygon', coordinates: holes };
+  }
+
+  const polygons = outers.map(outer => [outer]);
+  for (const hole of holes) {
+    const [lon, lat] = hole[0];
+    const owner = polygons.find(([outer]) => pointInRing(lon, lat, outer)) || polygons[0];
+    owner.push(hole);
+  }
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Parse a dBASE III attribute table
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} One attribute object per record
+ */
+function parseDbf(buffer) {
+  const recordCount = buffer.readUInt32LE(4);
+  const headerLength = buffer.readUInt16LE(8);
+  const recordLength = buffer.readUInt16LE(10);
+
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && buffer[offset] !== 0x0D; offset += 32) {
+    fields.push({
+      name: buffer.toString('latin1', offset, offset + 11).replace(/\0/g, '').trim(),
+      type: String.fromCharCode(buffer[offset + 11]),
+      length: buffer[offset + 16]
+    });
+  }
+
+  const records = [];
+  for (let i = 0; i < recordCount; i++) {
+    let offset = headerLength + i * recordLength + 1; // Skip the deletion flag
+    const record = {};
+
+    for (const field of fields) {
+      const raw = buffer.toString('latin1', offset, offset + field.length).trim();
+      record[field.name] = field.type === 'N' || field.type === 'F'
+        ? (raw === '' ? null : parseFloat(raw))
+        : raw;
+      offset += field.length;
+    }
+
+    records.push(record);
+  }
+
+  return records;
+}
+
+module.exports = {
+  readShapefile,
+  parseShp,
+  parseDbf
+};
@@ -0,0 +1,615 @@
+/**
+ * Type declarations for the zipcode-lookup library API
+ * `npm run check:types` compiles this file and checks it against the runtime exports and result records
+ */
+
+export type DataSource = 'nominatim' | 'zippopotam' | 'zipcodes' | 'googlemaps' | 'local' | 'auto';
+
+export type ReverseDataSource = 'nominatim' | 'zipcodes' | 'googlemaps' | 'local' | 'auto';
+
+export type MatchMode = 'centroid' | 'intersects' | 'contains';
+
+export type BatchOperation = 'radius' | 'location' | 'census' | 'distance';
+
+/** Geometry column encoding: WKT text, or WKB/EWKB (SRID 4326) as hex */
+export type GeometryEncoding = 'wkt' | 'wkb' | 'ewkb';
+
+/**
+ * Anything with some or all of debug/info/warn/error (console, pino, winston, ...)
+ */
+export interface Logger {
+    debug?(...args: unknown[]): void;
+    info?(...args: unknown[]): void;
+    warn?(...args: unknown[]): void;
+    error?(...args: unknown[]): void;
+}
+
+/**
+ * Response cache store with Map-style methods, sync or async
+ */
+export interface CacheStore {
+    get(key: string): unknown;
+    set(key: string, value: unknown, options?: { ttl: number }): unknown;
+    delete(key: string): unknown;
+    clear(): unknown;
+}
+
+/**
+ * Options for the persistent memory and disk cache used when no store is passed
+ */
+export interface DiskCacheOptions {
+    cacheDir?: string;
+    defaultTTL?: number;
+    maxSize?: number;
+}
+
+/**
+ * Token-bucket limits for one external provider
+ */
+export interface RateLimitSettings {
+    /** Sustained requests per second (null or 0 for no limit) */
+    rps: number | null;
+    /** Requests that may be sent back to back */
+    burst: number;
+    /** Requests per UTC day, counted across runs sharing the cache directory (null for no cap) */
+    daily: number | null;
+}
+
+/**
+ * Settings shared by every external provider
+ */
+export interface ProviderSettings {
+    /** Endpoint root, e.g. a self-hosted server or a local stub */
+    baseUrl: string;
+    /** Extra headers sent with every request */
+    headers: Record<string, string>;
+    /** Request timeout in milliseconds */
+    timeout: number;
+    caching: boolean;
+    cacheTTL: number;
+    rateLimit: RateLimitSettings;
+}
+
+export interface ConfigSettings {
+    googleMaps: ProviderSettings & {
+        apiKey: string | null;
+        enabled: boolean;
+    };
+    nominatim: ProviderSettings & {
+        enabled: boolean;
+        /** Sent as User-Agent unless headers sets one */
+        userAgent: string;
+    };
+    zippopotam: ProviderSettings & {
+        enabled: boolean;
+    };
+    census: ProviderSettings;
+    local: {
+        enabled: boolean;
+        path: string | null;
+        /** Detected from the file extension when null */
+        format: string | null;
+    };
+    boundaries: {
+        path: string | null;
+    };
+    map: {
+        /** Tile URL template for HTML map base layers; maps are drawn without tiles when null */
+        tileUrl: string | null;
+        attribution: string | null;
+    };
+    api: {
+        retries: number;
+        retryDelay: number;
+        maxConcurrent: number;
+        circuitBreaker: {
+            /** Consecutive failed requests that make a provider be skipped */
+            failures: number;
+            /** Milliseconds a provider is skipped before a probe request */
+            cooldown: number;
+        };
+    };
+    cache: {
+        enabled: boolean;
+        /** ~/.zipcode-lookup/cache when null */
+        directory: string | null;
+        maxSize: number;
+        ttl: number;
+        cleanupInterval: number;
+    };
+}
+
+/**
+ * Settings merged over the defaults, section by section
+ */
+export type ConfigValues = {
+    [Section in keyof ConfigSettings]?: Partial<ConfigSettings[Section]>;
+};
+
+export interface ConfigOptions {
+    /** Settings merged over the defaults and any config file */
+    values?: ConfigValues | null;
+    /** Config files to search, first match wins (pass [] to skip config files) */
+    configPaths?: string[];
+    logger?: Logger | null;
+}
+
+export interface ConfigStatus {
+    configLoaded: boolean;
+    configFiles: string[];
+    dataSources: {
+        zipcodes: boolean;
+        local: boolean;
+        nominatim: boolean;
+        zippopotam: boolean;
+        googleMaps: boolean;
+    };
+    boundaries: {
+        configured: boolean;
+    };
+    googleMaps: {
+        configured: boolean;
+        enabled: boolean;
+        fromEnvironment: boolean;
+    };
+}
+
+export class Config {
+    constructor(options?: ConfigOptions);
+    configPaths: string[];
+    load(): ConfigSettings;
+    loadFromFile(): Partial<ConfigValues> | null;
+    createSampleConfig(targetPath?: string | null): string;
+    mergeConfig(target: object, source: object): void;
+    validate(config: ConfigSettings): void;
+    isHttpUrl(value: unknown): boolean;
+    get<Section extends keyof ConfigSettings>(section: Section): ConfigSettings[Section];
+    get(section: string): object | null;
+    isGoogleMapsEnabled(): boolean;
+    getGoogleMapsApiKey(): string | null;
+    getAvailableDataSources(): DataSource[];
+    clearCache(): void;
+    getStatus(): ConfigStatus;
+}
+
+export interface ZipcodeLookupOptions {
+    /** Config instance, or settings merged over the defaults */
+    config?: Config | ConfigValues;
+    /** Config files to read when config is not a Config instance (default: none) */
+    configPaths?: string[];
+    /** Response cache store (default: persistent memory and disk cache); a plain object configures that cache */
+    cache?: CacheStore | DiskCacheOptions;
+    /** Default: stderr; null silences all output */
+    logger?: Logger | null;
+    /** API client options */
+    api?: {
+        /** Request timeout for every source (default: each source's timeout) */
+        timeout?: number;
+        /** Retries after a timeout, 429 or 5xx response (default: api.retries) */
+        retries?: number;
+        /** Cache lifetime for every source (default: each source's cacheTTL) */
+        cacheTTL?: number;
+        /** Directory to record every request and response to */
+        record?: string;
+        /** Directory of recorded responses to answer requests from, without network */
+        replay?: string;
+    };
+}
+
+export interface RadiusOptions {
+    /** Center zipcode (alias of zip) */
+    zipcode?: string;
+    zip?: string;
+    lat?: number;
+    lon?: number;
+    /** Center on a city, with state */
+    city?: string;
+    state?: string;
+    /** Center on a street address, geocoded through the data source */
+    address?: string;
+    miles: number;
+    source?: DataSource;
+    match?: MatchMode;
+    /** ZCTA boundary file (GeoJSON or .shp) for polygon matching and area coverage */
+    boundaries?: string;
+    /** Add a geometry column; not available with compare */
+    geometry?: GeometryEncoding;
+    includeDistance?: boolean;
+    includeCoordinates?: boolean;
+    includeCity?: boolean;
+    includeState?: boolean;
+    /** Extra column added to every result, set to customValue */
+    customField?: string;
+    customValue?: string;
+}
+
+export interface LocationOptions {
+    city?: string;
+    state?: string;
+    county?: string;
+    source?: DataSource;
+    /** Add a geometry column */
+    geometry?: GeometryEncoding;
+    /** ZCTA boundary file (GeoJSON or .shp) supplying polygons for the geometry column */
+    boundaries?: string;
+    includeCoordinates?: boolean;
+}
+
+export interface ReverseOptions {
+    lat: number;
+    lon: number;
+    source?: ReverseDataSource;
+    /** Number of nearest zipcodes to return (default: 1) */
+    nearest?: number;
+    /** Return every zipcode within this distance instead of the nearest ones */
+    miles?: number;
+    /** ZCTA boundary file (GeoJSON or .shp) for point-in-polygon matching */
+    boundaries?: string;
+    /** Add a geometry column; not available with compare */
+    geometry?: GeometryEncoding;
+    includeDistance?: boolean;
+    includeCoordinates?: boolean;
+}
+
+export interface CensusOptions {
+    /** Zipcode (alias of zip) */
+    zipcode?: string;
+    zip?: string;
+    source?: DataSource;
+    includeBoundaries?: boolean;
+    /** Add a geometry column */
+    geometry?: GeometryEncoding;
+    /** ZCTA boundary file (GeoJSON or .shp) supplying polygons for the geometry column */
+    boundaries?: string;
+}
+
+export type RadiusCompareOptions = RadiusOptions & {
+    operation?: 'radius';
+    compare: Exclude<DataSource, 'auto'>;
+};
+
+export type ReverseCompareOptions = ReverseOptions & {
+    operation: 'reverse';
+    compare: Exclude<ReverseDataSource, 'auto'>;
+};
+
+export interface BatchOptions {
+    /** Input rows, with the columns the CLI reads from the input CSV */
+    rows: Array<Record<string, string | number>>;
+    operation?: BatchOperation;
+    source?: DataSource;
+    /** Radius for radius operations (default: 10) */
+    radius?: number;
+    /** Centroid zipcode for distance operations */
+    centroidZipcode?: string;
+    includeDistance?: boolean;
+    /** Turn failed rows into error rows instead of rejecting (default: true) */
+    skipErrors?: boolean;
+    /** Rows processed concurrently (default: 100) */
+    batchSize?: number;
+}
+
+/**
+ * Zipcode record returned by radius and location searches
+ */
+export interface ZipcodeResult {
+    zipcode: string;
+    city: string;
+    state: string;
+    latitude: number;
+    longitude: number;
+    /** Location searches: county searches, and city searches from sources that supply counties */
+    county?: string;
+    /** Distance from the search center (includeDistance) */
+    distance_miles?: number;
+    /** Share of the ZCTA inside the radius (polygon match modes) */
+    area_in_radius_pct?: number | null;
+    /** The zipcode's point, or ZCTA polygon when boundaries are loaded, encoded as the geometry option asks */
+    geometry?: string | null;
+}
+
+/**
+ * Radius search result; customField adds one extra column
+ */
+export interface RadiusResult extends ZipcodeResult {
+    [customField: string]: unknown;
+}
+
+/**
+ * Zipcode record as a data source returns it, used in reverse comparisons
+ */
+export interface SourceRecord {
+    zipcode: string;
+    city: string;
+    state: string;
+    latitude: number;
+    longitude: number;
+    county?: string;
+    source?: string;
+    /** 'polygon' when the coordinate falls inside the ZCTA, when boundaries are loaded */
+    match_method?: 'polygon' | 'centroid';
+    distance_miles?: number;
+}
+
+export interface ReverseResult {
+    zipcode: string;
+    city: string;
+    state: string;
+    /** Zipcode center latitude */
+    lat: number;
+    /** Zipcode center longitude */
+    lon: number;
+    /** Same as lat (includeCoordinates) */
+    latitude?: number;
+    /** Same as lon (includeCoordinates) */
+    longitude?: number;
+    /** Distance from the coordinate (includeDistance or miles) */
+    distance_miles?: number;
+    match_method?: 'polygon' | 'centroid';
+    /** The zipcode's point, or ZCTA polygon when boundaries are loaded, encoded as the geometry option asks */
+    geometry?: string | null;
+}
+
+/**
+ * Census fields are 'Not available' when the geocoder has no match and 'API error' when it fails
+ */
+export interface CensusResult {
+    zipcode: string;
+    city: string;
+    state: string;
+    latitude: number;
+    longitude: number;
+    census_tract: string;
+    census_block: string;
+    fips_state: string;
+    fips_county: string;
+    county_name: string;
+    /** Set when the census lookup failed */
+    error?: string;
+    /** The zipcode's point, or ZCTA polygon when boundaries are loaded, encoded as the geometry option asks */
+    geometry?: string | null;
+}
+
+export interface ComparisonPoint {
+    source: string;
+    latitude: number;
+    longitude: number;
+    /** Unset for coordinate and address centers */
+    city?: string;
+    state?: string;
+}
+
+export interface ComparisonEntry {
+    zipcode: string;
+    in_primary: boolean;
+    in_compare: boolean;
+    primary_distance?: number;
+    primary_coordinates?: { latitude: number; longitude: number };
+    compare_distance?: number;
+    compare_coordinates?: { latitude: number; longitude: number };
+    /** Primary minus compare distance, when both sources have the zipcode */
+    distance_difference?: number;
+    coordinate_difference_miles?: number;
+}
+
+export interface RadiusComparison {
+    /** Set for zipcode centers */
+    zipcode?: string;
+    /** Set for other centers, e.g. "33.2, -117.3" */
+    center?: string;
+    radius_miles: number;
+    source_comparison: {
+        primary_source: string;
+        compare_source: string;
+        coordinate_difference_miles: number;
+    };
+    coordinates: {
+        primary: ComparisonPoint;
+        compare: ComparisonPoint;
+    };
+    results_summary: {
+        primary_count: number;
+        compare_count: number;
+        difference: number;
+    };
+    /** Sorted by primary distance */
+    detailed_comparison: ComparisonEntry[];
+}
+
+export interface ReverseComparison {
+    coordinates: { latitude: number; longitude: number };
+    primary_source: string;
+    compare_source: string;
+    maximum_distance_miles: number | null;
+    results: {
+        /** Null when the source found nothing within maximum_distance_miles */
+        primary: SourceRecord | null;
+        compare: SourceRecord | null;
+    };
+}
+
+export interface BatchRadiusRow {
+    input_zipcode: string;
+    zipcode: string | null;
+    city: string | null;
+    state: string | null;
+    latitude: number | null;
+    longitude: number | null;
+    /** Null unless includeDistance */
+    distance_miles: number | null;
+    success: boolean;
+    error?: string;
+}
+
+export interface BatchLocationRow {
+    input_city: string;
+    input_county: string;
+    input_state: string;
+    results_count: number;
+    primary_zipcode: string | null;
+    success: boolean;
+}
+
+export interface BatchCensusRow {
+    input_zipcode: string;
+    census_tract: string | null;
+    fips_state: string | null;
+    fips_county: string | null;
+    fips_tract?: string | null;
+    success: boolean;
+}
+
+export interface BatchDistanceRow {
+    centroid: string;
+    zipcode: string;
+    city: string | null;
+    state: string | null;
+    latitude: number | null;
+    longitude: number | null;
+    distance_miles: number | null;
+    success: boolean;
+    error?: string;
+}
+
+/**
+ * Input row echoed back when a row fails (skipErrors)
+ */
+export interface BatchErrorRow {
+    success: false;
+    error: string;
+    [column: string]: unknown;
+}
+
+export type BatchRow = BatchRadiusRow | BatchLocationRow | BatchCensusRow | BatchDistanceRow | BatchErrorRow;
+
+/**
+ * Circuit breaker state of an external provider
+ */
+export interface ProviderHealth {
+    state: 'closed' | 'open' | 'half-open';
+    consecutiveFailures: number;
+    successes: number;
+    failures: number;
+    lastError: string | null;
+    /** ISO timestamp */
+    lastFailure: string | null;
+    /** ISO timestamp of the next probe while the circuit is open */
+    retryAt: string | null;
+}
+
+export interface SourceDescription {
+    name: string;
+    type: 'built-in' | 'external';
+    /** unhealthy: skipped after repeated failures until its cool-down has passed */
+    status: 'available' | 'disabled' | 'unhealthy';
+    features: string[];
+    /** Null for built-in sources */
+    health: ProviderHealth | null;
+}
+
+export interface ConnectionStatus {
+    zipcodesPackage: boolean;
+    apiClient: boolean;
+    cache: boolean;
+}
+
+export interface LookupStats {
+    cache: object;
+    availableCommands: string[];
+    dataSources: string[];
+    version: string;
+}
+
+export class ZipcodeLookup {
+    constructor(options?: ZipcodeLookupOptions);
+    config: Config;
+    /** Response cache shared by every lookup */
+    cache: CacheStore;
+    initialize(): Promise<boolean>;
+    /** Find zipcodes within a radius, sorted by distance */
+    radius(options: RadiusOptions): Promise<RadiusResult[]>;
+    /** Find zipcodes by city or county */
+    location(options: LocationOptions): Promise<ZipcodeResult[]>;
+    /** Find the zipcodes nearest a coordinate, the containing ZCTA first when boundaries are loaded */
+    reverse(options: ReverseOptions): Promise<ReverseResult[]>;
+    census(options: CensusOptions): Promise<CensusResult[]>;
+    /** Compare a radius search or reverse lookup between two data sources */
+    compare(options: RadiusCompareOptions): Promise<RadiusComparison>;
+    compare(options: ReverseCompareOptions): Promise<ReverseComparison>;
+    /** Run a batch operation over rows; radius operations return one row per zipcode found */
+    batch(options: BatchOptions & { operation?: 'radius' }): Promise<Array<BatchRadiusRow | BatchErrorRow>>;
+    batch(options: BatchOptions & { operation: 'location' }): Promise<Array<BatchLocationRow | BatchErrorRow>>;
+    batch(options: BatchOptions & { operation: 'census' }): Promise<Array<BatchCensusRow | BatchErrorRow>>;
+    batch(options: BatchOptions & { operation: 'distance' }): Promise<BatchDistanceRow[]>;
+    sources(): SourceDescription[];
+    /** Run a command for library callers: raw results, no KML files */
+    run(commandName: 'radius' | 'location' | 'reverse' | 'census', options: object): Promise<unknown>;
+    /** Run a command with CLI options; output defaults to a formatted table */
+    executeCommand(commandName: 'radius' | 'location' | 'reverse' | 'census' | 'batch', options: object): Promise<unknown>;
+    testConnections(): Promise<ConnectionStatus>;
+    getAvailableDataSources(): Promise<SourceDescription[]>;
+    cleanup(): Promise<void>;
+    getStats(): LookupStats;
+}
+
+export function createZipcodeLookup(options?: ZipcodeLookupOptions): ZipcodeLookup;
+
+export function main(command: 'radius' | 'location' | 'reverse' | 'census' | 'batch', options?: object): Promise<unknown>;
+
+export interface FieldError {
+    field: string;
+    message: string;
+}
+
+/**
+ * Raised when command input is missing or invalid
+ */
+export class ValidationError extends Error {
+    constructor(message: string, field?: string | null, errors?: FieldError[]);
+    name: 'ValidationError';
+    /** Option the problem relates to */
+    field: string | null;
+    /** Individual problems when there are several */
+    errors: FieldError[];
+}
+
+/**
+ * Raised when a lookup completes but finds nothing
+ */
+export class NotFoundError extends Error {
+    constructor(message: string);
+    name: 'NotFoundError';
+}
+
+/**
+ * Raised when a data source is unknown or does not support the requested capability
+ */
+export class UnsupportedSourceError extends Error {
+    constructor(source: string, capability?: string | null, supportedSources?: string[]);
+    name: 'UnsupportedSourceError';
+    source: string;
+    /** Null for an unknown source */
+    capability: string | null;
+    supportedSources: string[];
+}
+
+/**
+ * Raised when a provider's daily request cap has been used up
+ */
+export class RateLimitError extends Error {
+    constructor(source: string, limit: number);
+    name: 'RateLimitError';
+    source: string;
+    limit: number;
+}
+
+/**
+ * Raised instead of sending a request while a provider's circuit breaker is open
+ */
+export class CircuitOpenError extends Error {
+    constructor(source: string, retryAt?: Date | null);
+    name: 'CircuitOpenError';
+    source: string;
+    /** When the next probe request will be allowed */
+    retryAt: Date | null;
+}
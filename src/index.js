@@ -1,38 +1,221 @@
 const RadiusSearchCommand = require('./commands/radius');
 const LocationSearchCommand = require('./commands/location');
+const ReverseGeocodeCommand = require('./commands/reverse');
 const CensusSearchCommand = require('./commands/census');
 const BatchProcessingCommand = require('./commands/batch');
 const APIClient = require('./data/sources/api-client');
+const ProviderRegistry = require('./data/sources/provider-registry');
 const Cache = require('./utils/cache');
 const Config = require('./utils/config');
+const { stderrLogger, createLogger } = require('./utils/logger');
+const { ValidationError, NotFoundError, UnsupportedSourceError, RateLimitError, CircuitOpenError } = require('./utils/errors');
 const zipcodes = require('zipcodes');
 
+// Options that only make sense on the command line
+const CLI_ONLY_OPTIONS = ['output', 'format', 'kml', 'kmz', 'htmlMap'];
+
+/**
+ * @typedef {Object} ZipcodeResult
+ * @property {string} zipcode - Five-digit zipcode
+ * @property {string} city - City name
+ * @property {string} state - State abbreviation
+ * @property {number} latitude - Centroid latitude
+ * @property {number} longitude - Centroid longitude
+ * @property {string} [county] - County name
+ * @property {number} [distance_miles] - Distance from the search center (includeDistance)
+ * @property {number|null} [area_in_radius_pct] - Share of the ZCTA inside the radius (polygon match modes)
+ */
+
+/**
+ * @typedef {Object} ReverseResult
+ * @property {string} zipcode - Five-digit zipcode
+ * @property {string} city - City name
+ * @property {string} state - State abbreviation
+ * @property {number} lat - Zipcode center latitude
+ * @property {number} lon - Zipcode center longitude
+ * @property {number} [latitude] - Same as lat (includeCoordinates)
+ * @property {number} [longitude] - Same as lon (includeCoordinates)
+ * @property {number} [distance_miles] - Distance from the coordinate (includeDistance or miles)
+ * @property {string} [match_method] - 'polygon' or 'centroid' when boundaries are loaded
+ */
+
+/**
+ * @typedef {Object} CensusResult
+ * @property {string} zipcode - Zipcode
+ * @property {string} city - City name
+ * @property {string} state - State abbreviation
+ * @property {number} latitude - Zipcode latitude
+ * @property {number} longitude - Zipcode longitude
+ * @property {string} census_tract - Census tract
+ * @property {string} census_block - Census block
+ * @property {string} fips_state - State FIPS code
+ * @property {string} fips_county - County FIPS code
+ * @property {string} county_name - County name
+ */
+
+/**
+ * @typedef {Object} ComparisonResult
+ * Radius comparisons carry zipcode/center, radius_miles, source_comparison, coordinates and
+ * results_summary; reverse comparisons carry coordinates, primary_source, compare_source and results
+ */
+
 class ZipcodeLookup {
+    /**
+     * @param {Object} options - Library options
+     * @param {Config|Object} options.config - Config instance, or settings merged over the defaults.
+     *   Config files are only read when options.configPaths lists them.
+     * @param {string[]} options.configPaths - Config files to read (default: none)
+     * @param {Map|Object} options.cache - Response cache store with Map-style get/set/delete/clear
+     *   (default: the persistent memory and disk cache); a plain object is treated as options for that cache
+     * @param {Object|null} options.logger - Logger with debug/info/warn/error (default: stderr, null for silence)
+     * @param {Object} options.api - API client options (timeout, retries, cacheTTL, record, replay)
+     */
     constructor(options = {}) {
-        this.config = new Config();
-        this.cache = new Cache(options.cache);
-        this.apiClient = new APIClient(options.api);
+        this.logger = createLogger(options.logger === undefined ? stderrLogger : options.logger);
+        this.config = options.config instanceof Config
+            ? options.config
+            : new Config({ values: options.config, configPaths: options.configPaths || [], logger: this.logger });
+
+        const cacheStore = options.cache && typeof options.cache.get === 'function'
+            ? options.cache
+            : options.cache && new Cache({ ...options.cache, logger: this.logger });
+        this.apiClient = new APIClient({
+            ...options.api,
+            config: this.config,
+            logger: this.logger,
+            ...(cacheStore ? { cache: cacheStore } : {})
+        });
+        // Responses are cached by the API client, so the library and every command share its store
+        this.cache = this.apiClient.cache;
+        this.providers = new ProviderRegistry({ apiClient: this.apiClient });
 
         // Command instances
+        const shared = { apiClient: this.apiClient, providers: this.providers, logger: this.logger };
         this.commands = {
-            radius: new RadiusSearchCommand(),
-            location: new LocationSearchCommand(),
-            census: new CensusSearchCommand(),
-            batch: new BatchProcessingCommand()
+            radius: new RadiusSearchCommand(shared),
+            location: new LocationSearchCommand(shared),
+            reverse: new ReverseGeocodeCommand(shared),
+            census: new CensusSearchCommand(shared),
+            batch: new BatchProcessingCommand(shared)
         };
     }
 
     async initialize() {
         try {
-            await this.cache.initialize();
-            console.log('✅ Zipcode lookup initialized - using built-in zipcodes package');
+            if (typeof this.cache.initialize === 'function') {
+                await this.cache.initialize();
+            }
+            this.logger.debug('✅ Zipcode lookup initialized - using built-in zipcodes package');
             return true;
         } catch (error) {
-            console.error('Initialization failed:', error.message);
+            this.logger.error('Initialization failed:', error.message);
             return false;
         }
     }
 
+    /**
+     * Find zipcodes within a radius
+     * @param {Object} options - zipcode (or zip), lat/lon, city/state or address; miles; source, match,
+     *   boundaries, geometry, includeDistance
+     * @returns {Promise<ZipcodeResult[]>} Zipcodes sorted by distance
+     */
+    async radius(options = {}) {
+        this.rejectCompare(options);
+        return await this.run('radius', options);
+    }
+
+    /**
+     * Find zipcodes by city or county
+     * @param {Object} options - city or county, state, source, geometry, boundaries
+     * @returns {Promise<ZipcodeResult[]>} Matching zipcodes
+     */
+    async location(options = {}) {
+        return await this.run('location', options);
+    }
+
+    /**
+     * Find the zipcodes nearest a coordinate
+     * @param {Object} options - lat, lon, nearest or miles, source, boundaries, geometry, includeDistance
+     * @returns {Promise<ReverseResult[]>} Zipcodes, the containing ZCTA first when boundaries are loaded
+     */
+    async reverse(options = {}) {
+        this.rejectCompare(options);
+        return await this.run('reverse', options);
+    }
+
+    /**
+     * Get census tract information for a zipcode
+     * @param {Object} options - zipcode (or zip), source, geometry, boundaries
+     * @returns {Promise<CensusResult[]>} Census results
+     */
+    async census(options = {}) {
+        return await this.run('census', options);
+    }
+
+    /**
+     * Compare a radius search or reverse lookup between two data sources
+     * @param {Object} options - operation ('radius' or 'reverse'), source, compare, plus that operation's options
+     * @returns {Promise<ComparisonResult>} Comparison of the two sources
+     */
+    async compare(options = {}) {
+        const { operation = 'radius', ...rest } = options;
+
+        if (operation !== 'radius' && operation !== 'reverse') {
+            throw new ValidationError(`Cannot compare '${operation}' results; use 'radius' or 'reverse'`, 'operation');
+        }
+        if (!rest.compare) {
+            throw new ValidationError('A comparison source is required (compare)', 'compare');
+        }
+
+        return await this.run(operation, rest);
+    }
+
+    /**
+     * Run a batch operation over rows
+     * @param {Object} options - operation, rows, radius, centroidZipcode, source, includeDistance
+     * @returns {Promise<Object[]>} One or more result rows per input row
+     */
+    async batch(options = {}) {
+        const { rows, ...settings } = options;
+        return await this.commands.batch.processRows(rows, { ...settings, progressBar: false });
+    }
+
+    /**
+     * Describe the available data sources
+     * @returns {Array} [{name, type, status, features, health}]
+     */
+    sources() {
+        return this.providers.describe();
+    }
+
+    /**
+     * Run a command for library callers: raw results, no KML files
+     * @param {string} commandName - Command name
+     * @param {Object} options - Command options
+     * @returns {Promise<*>} Raw command result
+     */
+    async run(commandName, options) {
+        const { zip, ...rest } = options;
+        for (const key of CLI_ONLY_OPTIONS) {
+            delete rest[key];
+        }
+
+        return await this.commands[commandName].execute({
+            ...rest,
+            ...(zip !== undefined && rest.zipcode === undefined ? { zipcode: String(zip) } : {}),
+            kml: false,
+            kmz: false,
+            htmlMap: false,
+            output: 'raw'
+        });
+    }
+
+    rejectCompare(options) {
+        if (options.compare) {
+            throw new ValidationError('Use compare() to compare data sources', 'compare');
+        }
+    }
+
     async executeCommand(commandName, options) {
         if (!this.commands[commandName]) {
             throw new Error(`Unknown command: ${commandName}`);
@@ -43,7 +226,7 @@ class ZipcodeLookup {
             const result = await command.execute(options);
             return result;
         } catch (error) {
-            throw new Error(`Command execution failed: ${error.message}`);
+            throw new Error(`Command execution failed: ${error.message}`, { cause: error });
         }
     }
 
@@ -59,7 +242,7 @@ class ZipcodeLookup {
             const testResult = zipcodes.lookup('90210');
             results.zipcodesPackage = testResult !== null && testResult.latitude;
         } catch (error) {
-            console.warn('Zipcodes package test failed:', error.message);
+            this.logger.warn('Zipcodes package test failed:', error.message);
         }
 
         // Test API client
@@ -67,7 +250,7 @@ class ZipcodeLookup {
             const testResult = await this.apiClient.getZipcode('90210');
             results.apiClient = testResult !== null;
         } catch (error) {
-            console.warn('API client test failed:', error.message);
+            this.logger.warn('API client test failed:', error.message);
         }
 
         // Test cache
@@ -76,79 +259,35 @@ class ZipcodeLookup {
             const cachedData = await this.cache.get('test');
             results.cache = cachedData === 'data';
         } catch (error) {
-            console.warn('Cache test failed:', error.message);
+            this.logger.warn('Cache test failed:', error.message);
         }
 
         return results;
     }
 
     async getAvailableDataSources() {
-        const connections = await this.testConnections();
-        const configData = this.config.load();
-        const sources = [];
-
-        if (connections.zipcodesPackage) {
-            sources.push({
-                name: 'zipcodes',
-                type: 'built-in',
-                status: 'available',
-                features: ['zipcode_lookup', 'radius_search', 'location_search', 'distance_calculation']
-            });
-        }
-
-        if (connections.apiClient) {
-            sources.push({
-                name: 'nominatim',
-                type: 'external',
-                status: 'available',
-                features: ['zipcode_lookup', 'location_search', 'reverse_geocoding']
-            });
-
-            sources.push({
-                name: 'zippopotam',
-                type: 'external',
-                status: 'available',
-                features: ['zipcode_lookup']
-            });
-        }
-
-        if (configData.googleMaps && configData.googleMaps.enabled) {
-            sources.push({
-                name: 'googlemaps',
-                type: 'external',
-                status: 'available',
-                features: ['zipcode_lookup', 'location_search', 'reverse_geocoding', 'high_accuracy']
-            });
-        }
-
-        return sources;
+        // Each provider declares its own capabilities, so report them straight from the registry
+        return this.providers.describe().filter(source => source.status === 'available');
     }
 
     async cleanup() {
         try {
             // Cleanup cache
-            await this.cache.cleanup();
+            if (typeof this.cache.cleanup === 'function') {
+                await this.cache.cleanup();
+            }
         } catch (error) {
-            console.warn('Cleanup warning:', error.message);
+            this.logger.warn('Cleanup warning:', error.message);
         }
     }
 
     getStats() {
-        const configData = this.config.load();
-        const availableSources = ['zipcodes', 'auto'];
-
-        if (configData.nominatim.enabled) {
-            availableSources.push('nominatim');
-        }
-        if (configData.zippopotam.enabled) {
-            availableSources.push('zippopotam');
-        }
-        if (configData.googleMaps.enabled) {
-            availableSources.push('googlemaps');
-        }
+        const availableSources = this.providers.list()
+            .filter(provider => provider.isAvailable())
+            .map(provider => provider.name);
 
         return {
-            cache: this.cache.getStats(),
+            cache: typeof this.cache.getStats === 'function' ? this.cache.getStats() : { memoryItems: this.cache.size },
             availableCommands: Object.keys(this.commands),
             dataSources: availableSources,
             version: require('../package.json').version
@@ -179,5 +318,11 @@ async function main(command, options = {}) {
 module.exports = {
     ZipcodeLookup,
     createZipcodeLookup,
-    main
+    main,
+    Config,
+    ValidationError,
+    NotFoundError,
+    UnsupportedSourceError,
+    RateLimitError,
+    CircuitOpenError
 };
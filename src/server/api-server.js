@@ -0,0 +1,292 @@
+/**
+ * HTTP JSON API exposing the lookup commands
+ * All requests share one API client and provider registry, so the response cache
+ * and loaded datasets are reused across requests
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const Papa = require('papaparse');
+const APIClient = require('../data/sources/api-client');
+const ProviderRegistry = require('../data/sources/provider-registry');
+const RadiusSearchCommand = require('../commands/radius');
+const LocationSearchCommand = require('../commands/location');
+const ReverseGeocodeCommand = require('../commands/reverse');
+const CensusSearchCommand = require('../commands/census');
+const BatchProcessingCommand = require('../commands/batch');
+const { UnsupportedSourceError, ValidationError, NotFoundError, RateLimitError, CircuitOpenError } = require('../utils/errors');
+const { HTTP_FORMATS } = require('../utils/command-options');
+const { buildOpenApiDocument, validateRequest } = require('./openapi');
+
+// Largest request body accepted for POST /batch
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Error raised for a request the router cannot serve
+ */
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Response body already rendered in a non-JSON format: text, or a Buffer for binary formats
+ */
+class FormattedBody {
+  constructor(content, contentType) {
+    this.content = content;
+    this.contentType = contentType;
+  }
+}
+
+/**
+ * Map an error to an HTTP status, code and message
+ * Command errors wrap the original error as `cause`, so the chain is searched for a typed error
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {Object} {status, code, message, field, errors}
+ */
+function describeError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof HttpError) {
+      return { status: current.status, code: current.code, message: current.message };
+    }
+    if (current instanceof ValidationError) {
+      return {
+        status: 400,
+        code: 'VALIDATION_ERROR',
+        message: current.message,
+        field: current.field,
+        errors: current.errors.length > 0 ? current.errors : undefined
+      };
+    }
+    if (current instanceof UnsupportedSourceError) {
+      return { status: 400, code: 'UNSUPPORTED_SOURCE', message: current.message };
+    }
+    if (current instanceof NotFoundError) {
+      return { status: 404, code: 'NOT_FOUND', message: current.message };
+    }
+    if (current instanceof RateLimitError) {
+      return { status: 429, code: 'RATE_LIMITED', message: current.message };
+    }
+    if (current instanceof CircuitOpenError) {
+      return { status: 503, code: 'SOURCE_UNAVAILABLE', message: current.message };
+    }
+    if (current.isAxiosError) {
+      return { status: 502, code: 'UPSTREAM_ERROR', message: error.message };
+    }
+  }
+
+  return { status: 500, code: 'INTERNAL_ERROR', message: error.message };
+}
+
+class ApiServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {APIClient} options.apiClient - API client to share (default: a new client)
+   * @param {ProviderRegistry} options.providers - Provider registry to share (default: a new registry)
+   * @param {Object} options.logger - Logger (default: the API client's logger)
+   */
+  constructor(options = {}) {
+    this.apiClient = options.apiClient || new APIClient();
+    this.providers = options.providers || new ProviderRegistry({ apiClient: this.apiClient });
+    this.logger = options.logger || this.apiClient.logger;
+
+    const shared = { apiClient: this.apiClient, providers: this.providers, logger: this.logger };
+    this.commands = {
+      radius: new RadiusSearchCommand(shared),
+      location: new LocationSearchCommand(shared),
+      reverse: new ReverseGeocodeCommand(shared),
+      census: new CensusSearchCommand(shared),
+      batch: new BatchProcessingCommand(shared)
+    };
+
+    this.routes = {
+      '/radius': { GET: query => this.radius(query) },
+      '/location': { GET: query => this.location(query) },
+      '/reverse': { GET: query => this.reverse(query) },
+      '/census': { GET: query => this.census(query) },
+      '/batch': { POST: (query, request) => this.batch(query, request) },
+      '/sources': { GET: () => this.providers.describe() },
+      '/health': { GET: () => ({ status: 'ok' }) },
+      '/openapi.json': { GET: () => this.openApiDocument }
+    };
+
+    this.openApiDocument = buildOpenApiDocument();
+
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+
+  /**
+   * Start listening for requests
+   * @param {number} port - Port to listen on (0 for any free port)
+   * @param {string} host - Interface to bind
+   * @returns {Promise<Object>} Bound address {host, port}
+   */
+  listen(port = 3000, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        const address = this.server.address();
+        this.openApiDocument = buildOpenApiDocument({ serverUrl: `http://${address.address}:${address.port}` });
+        resolve({ host: address.address, port: address.port });
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async handle(request, response) {
+    const started = Date.now();
+    let status = 200;
+    let body;
+
+    try {
+      const url = new URL(request.url, 'http://localhost');
+      const route = this.routes[url.pathname.replace(/\/+$/, '') || '/'];
+
+      if (!route) {
+        throw new HttpError(404, 'ROUTE_NOT_FOUND', `No endpoint at ${url.pathname}`);
+      }
+
+      const handler = route[request.method];
+      if (!handler) {
+        response.setHeader('Allow', Object.keys(route).join(', '));
+        throw new HttpError(405, 'METHOD_NOT_ALLOWED', `${request.method} is not supported for ${url.pathname}`);
+      }
+
+      body = await handler(Object.fromEntries(url.searchParams), request);
+    } catch (error) {
+      const { status: errorStatus, code, message, field, errors } = describeError(error);
+      status = errorStatus;
+      body = { error: { status, code, message, ...(field ? { field } : {}), ...(errors ? { errors } : {}) } };
+
+      if (status >= 500) {
+        this.logger.error(`${request.method} ${request.url} failed:`, error.message);
+      }
+    }
+
+    response.statusCode = status;
+    if (body instanceof FormattedBody) {
+      // Binary bodies such as zipped shapefiles have no character set
+      response.setHeader('Content-Type', Buffer.isBuffer(body.content) ? body.contentType : `${body.contentType}; charset=utf-8`);
+      response.end(body.content);
+    } else {
+      response.setHeader('Content-Type', 'application/json; charset=utf-8');
+      response.end(JSON.stringify(body));
+    }
+
+    if (process.env.DEBUG) {
+      this.logger.debug(`🌐 ${request.method} ${request.url} ${status} ${Date.now() - started}ms`);
+    }
+  }
+
+  /**
+   * Validate the query for a command and run it
+   * @param {string} commandName - Command name
+   * @param {Object} query - Query parameters
+   * @returns {Promise<*>} Raw results, or a FormattedBody for the other formats
+   */
+  async runCommand(commandName, query) {
+    const { zip, format = 'json', ...options } = validateRequest(commandName, query);
+    const result = await this.commands[commandName].execute({
+      ...options,
+      ...(zip !== undefined ? { zipcode: zip } : {}),
+      kml: false,
+      kmz: false,
+      htmlMap: false,
+      output: format === 'json' ? 'raw' : format
+    });
+
+    return format === 'json' ? result : new FormattedBody(result, HTTP_FORMATS[format]);
+  }
+
+  async radius(query) {
+    return await this.runCommand('radius', query);
+  }
+
+  async location(query) {
+    return await this.runCommand('location', query);
+  }
+
+  async reverse(query) {
+    return await this.runCommand('reverse', query);
+  }
+
+  async census(query) {
+    return await this.runCommand('census', query);
+  }
+
+  /**
+   * Run a batch operation over rows posted as JSON or CSV
+   * JSON bodies look like {operation, rows, radius, centroidZipcode, source, includeDistance};
+   * CSV bodies take their settings from the query string
+   */
+  async batch(query, request) {
+    const text = await this.readBody(request);
+    const contentType = (request.headers['content-type'] || '').split(';')[0].trim();
+    const settings = validateRequest('batch', query);
+    let rows;
+
+    if (contentType === 'text/csv') {
+      rows = Papa.parse(text.trim(), { header: true, skipEmptyLines: true, dynamicTyping: false }).data;
+    } else {
+      let body;
+      try {
+        body = JSON.parse(text || '{}');
+      } catch (error) {
+        throw new ValidationError(`Request body is not valid JSON: ${error.message}`, 'body');
+      }
+
+      const { rows: bodyRows, ...bodySettings } = validateRequest('batch', body, { keys: 'attribute', allow: ['rows'] });
+      rows = bodyRows;
+      Object.assign(settings, bodySettings);
+    }
+
+    if (!Array.isArray(rows)) {
+      throw new ValidationError('Request body must include a "rows" array (or be sent as text/csv)', 'rows');
+    }
+
+    const results = await this.commands.batch.processRows(rows, { ...settings, progressBar: false });
+
+    return { operation: settings.operation, count: results.length, results };
+  }
+
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      request.on('data', chunk => {
+        size += chunk.length;
+        // Keep draining an oversized body so the error response can still be sent
+        if (size <= MAX_BODY_BYTES) {
+          chunks.push(chunk);
+        }
+      });
+      request.on('end', () => {
+        if (size > MAX_BODY_BYTES) {
+          reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        } else {
+          resolve(Buffer.concat(chunks).toString('utf8'));
+        }
+      });
+      request.on('error', reject);
+    });
+  }
+}
+
+module.exports = ApiServer;
+module.exports.describeError = describeError;
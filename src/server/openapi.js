@@ -0,0 +1,404 @@
+/**
+ * OpenAPI document and request validation for the HTTP API
+ * Parameters come from the same option definitions the CLI registers with commander
+ */
+
+const pkg = require('../../package.json');
+const { ValidationError } = require('../utils/errors');
+const {
+  COMMANDS,
+  HTTP_FORMATS,
+  getOptionName,
+  getAttributeName,
+  getOptionType,
+  getCommandOptions,
+  parseOptionValue
+} = require('../utils/command-options');
+
+// Command endpoints; the batch options travel in the request body instead of the query string
+const ENDPOINTS = {
+  '/radius': { method: 'get', command: 'radius', response: 'RadiusResponse' },
+  '/location': { method: 'get', command: 'location', response: 'ZipcodeList' },
+  '/reverse': { method: 'get', command: 'reverse', response: 'ReverseResponse' },
+  '/census': { method: 'get', command: 'census', response: 'CensusList' },
+  '/batch': { method: 'post', command: 'batch', response: 'BatchResponse' }
+};
+
+const ZIPCODE_PROPERTIES = {
+  zipcode: { type: 'string', example: '92054' },
+  city: { type: 'string' },
+  state: { type: 'string' },
+  county: { type: 'string' },
+  latitude: { type: 'number' },
+  longitude: { type: 'number' },
+  source: { type: 'string' }
+};
+
+const SCHEMAS = {
+  Zipcode: {
+    type: 'object',
+    properties: {
+      ...ZIPCODE_PROPERTIES,
+      distance_miles: { type: 'number' },
+      area_in_radius_pct: { type: ['number', 'null'], description: 'Share of the ZCTA area inside the radius (polygon match modes)' },
+      match_method: { type: 'string', enum: ['polygon', 'centroid'] }
+    },
+    required: ['zipcode'],
+    additionalProperties: true
+  },
+  ZipcodeList: {
+    type: 'array',
+    items: { $ref: '#/components/schemas/Zipcode' }
+  },
+  RadiusComparison: {
+    type: 'object',
+    description: 'Returned when compare is set',
+    properties: {
+      zipcode: { type: 'string' },
+      center: { type: 'string' },
+      radius_miles: { type: 'number' },
+      source_comparison: { type: 'object', additionalProperties: true },
+      coordinates: { type: 'object', additionalProperties: true },
+      results_summary: { type: 'object', additionalProperties: true }
+    },
+    additionalProperties: true
+  },
+  RadiusResponse: {
+    oneOf: [
+      { $ref: '#/components/schemas/ZipcodeList' },
+      { $ref: '#/components/schemas/RadiusComparison' }
+    ]
+  },
+  ReverseComparison: {
+    type: 'object',
+    description: 'Returned when compare is set',
+    properties: {
+      coordinates: {
+        type: 'object',
+        properties: { latitude: { type: 'number' }, longitude: { type: 'number' } }
+      },
+      primary_source: { type: 'string' },
+      compare_source: { type: 'string' },
+      maximum_distance_miles: { type: ['number', 'null'] },
+      results: {
+        type: 'object',
+        properties: {
+          primary: { oneOf: [{ $ref: '#/components/schemas/Zipcode' }, { type: 'null' }] },
+          compare: { oneOf: [{ $ref: '#/components/schemas/Zipcode' }, { type: 'null' }] }
+        }
+      }
+    }
+  },
+  ReverseResponse: {
+    oneOf: [
+      { $ref: '#/components/schemas/ZipcodeList' },
+      { $ref: '#/components/schemas/ReverseComparison' }
+    ]
+  },
+  CensusTract: {
+    type: 'object',
+    properties: {
+      ...ZIPCODE_PROPERTIES,
+      census_tract: { type: 'string' },
+      census_block: { type: 'string' },
+      fips_state: { type: 'string' },
+      fips_county: { type: 'string' },
+      county_name: { type: 'string' }
+    },
+    additionalProperties: true
+  },
+  CensusList: {
+    type: 'array',
+    items: { $ref: '#/components/schemas/CensusTract' }
+  },
+  BatchResponse: {
+    type: 'object',
+    properties: {
+      operation: { type: 'string' },
+      count: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, error: { type: 'string' } },
+          additionalProperties: true
+        }
+      }
+    }
+  },
+  Source: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      type: { type: 'string', enum: ['built-in', 'external'] },
+      status: { type: 'string', enum: ['available', 'disabled', 'unhealthy'] },
+      features: { type: 'array', items: { type: 'string' } },
+      health: {
+        type: 'object',
+        nullable: true,
+        description: 'Circuit breaker state of an external source; null for built-in sources',
+        properties: {
+          state: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+          consecutiveFailures: { type: 'integer' },
+          successes: { type: 'integer' },
+          failures: { type: 'integer' },
+          lastError: { type: 'string', nullable: true },
+          lastFailure: { type: 'string', format: 'date-time', nullable: true },
+          retryAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+      }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          status: { type: 'integer' },
+          code: { type: 'string' },
+          message: { type: 'string' },
+          field: { type: 'string' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { field: { type: 'string' }, message: { type: 'string' } }
+            }
+          }
+        },
+        required: ['status', 'code', 'message']
+      }
+    }
+  }
+};
+
+/**
+ * Build the JSON schema for an option
+ * @param {Object} definition - Option definition (HTTP view)
+ * @returns {Object} Schema
+ */
+function getOptionSchema(definition) {
+  const schema = { type: getOptionType(definition) };
+
+  for (const key of ['minimum', 'maximum', 'exclusiveMinimum', 'pattern', 'default']) {
+    if (definition[key] !== undefined) {
+      schema[key] = definition[key];
+    }
+  }
+
+  if (definition.choices) {
+    schema.enum = definition.choices;
+  }
+
+  return schema;
+}
+
+/**
+ * Describe a command's options as OpenAPI query parameters
+ * @param {string} commandName - Command name
+ * @returns {Array} Parameter objects
+ */
+function getQueryParameters(commandName) {
+  return getCommandOptions(commandName, 'http').map(definition => ({
+    name: getOptionName(definition),
+    in: 'query',
+    description: definition.description,
+    required: !!definition.required,
+    schema: getOptionSchema(definition)
+  }));
+}
+
+/**
+ * Describe the batch options as a request body schema (camelCase, as in the library API)
+ * @returns {Object} Schema
+ */
+function getBatchBodySchema() {
+  const properties = {
+    rows: {
+      type: 'array',
+      description: 'Input rows, with the columns the CLI reads from the input CSV',
+      items: { type: 'object', additionalProperties: { type: ['string', 'number'] } }
+    }
+  };
+
+  for (const definition of getCommandOptions('batch', 'http')) {
+    properties[getAttributeName(definition)] = {
+      description: definition.description,
+      ...getOptionSchema(definition)
+    };
+  }
+
+  return { type: 'object', properties, required: ['rows'], additionalProperties: false };
+}
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  };
+}
+
+/**
+ * Build the OpenAPI document for the HTTP API
+ * @param {Object} options - Document options
+ * @param {string} options.serverUrl - Base URL the API is served from
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument(options = {}) {
+  const { serverUrl = 'http://127.0.0.1:3000' } = options;
+  const paths = {};
+
+  for (const [path, endpoint] of Object.entries(ENDPOINTS)) {
+    const operation = {
+      operationId: endpoint.command,
+      summary: COMMANDS[endpoint.command].description,
+      responses: {
+        200: {
+          description: 'Lookup results',
+          content: Object.fromEntries(
+            Object.entries(HTTP_FORMATS).map(([format, contentType]) => [
+              contentType,
+              format === 'json'
+                ? { schema: { $ref: `#/components/schemas/${endpoint.response}` } }
+                : { schema: format === 'shapefile' ? { type: 'string', format: 'binary' } : { type: 'string' } }
+            ])
+          )
+        },
+        400: errorResponse('Invalid parameters or unsupported data source'),
+        404: errorResponse('Nothing found for the query'),
+        429: errorResponse("A data source's daily request limit has been reached"),
+        502: errorResponse('An external data source failed'),
+        503: errorResponse('The requested data source is failing repeatedly and is being skipped')
+      }
+    };
+
+    operation.parameters = getQueryParameters(endpoint.command);
+
+    if (endpoint.method === 'post') {
+      operation.requestBody = {
+        required: true,
+        content: {
+          'application/json': { schema: getBatchBodySchema() },
+          'text/csv': { schema: { type: 'string', description: 'Input CSV; options go in the query string' } }
+        }
+      };
+      operation.responses[200].content = {
+        'application/json': { schema: { $ref: `#/components/schemas/${endpoint.response}` } }
+      };
+    }
+
+    paths[path] = { [endpoint.method]: operation };
+  }
+
+  paths['/sources'] = {
+    get: {
+      operationId: 'sources',
+      summary: 'List data sources and their capabilities',
+      responses: {
+        200: {
+          description: 'Data sources',
+          content: {
+            'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Source' } } }
+          }
+        }
+      }
+    }
+  };
+
+  paths['/health'] = {
+    get: {
+      operationId: 'health',
+      summary: 'Liveness check',
+      responses: {
+        200: {
+          description: 'Server is running',
+          content: {
+            'application/json': { schema: { type: 'object', properties: { status: { type: 'string' } } } }
+          }
+        }
+      }
+    }
+  };
+
+  paths['/openapi.json'] = {
+    get: {
+      operationId: 'openapi',
+      summary: 'This document',
+      responses: { 200: { description: 'OpenAPI document', content: { 'application/json': {} } } }
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Zipcode Lookup API',
+      version: pkg.version,
+      description: pkg.description,
+      license: { name: pkg.license, identifier: pkg.license }
+    },
+    servers: [{ url: serverUrl }],
+    // The API has no authentication
+    security: [],
+    paths,
+    components: { schemas: SCHEMAS }
+  };
+}
+
+/**
+ * Validate request values against a command's HTTP parameters
+ * @param {string} commandName - Command name
+ * @param {Object} values - Values keyed by parameter name (query) or camelCase name (JSON body)
+ * @param {Object} options - {keys: 'name'|'attribute', allow: extra keys that pass through unchecked}
+ * @returns {Object} Parsed values keyed by camelCase option name
+ * @throws {ValidationError} With one entry in `errors` per invalid field
+ */
+function validateRequest(commandName, values, options = {}) {
+  const { keys = 'name', allow = [] } = options;
+  const definitions = getCommandOptions(commandName, 'http');
+  const byKey = new Map(definitions.map(definition => [
+    keys === 'attribute' ? getAttributeName(definition) : getOptionName(definition),
+    definition
+  ]));
+
+  const parsed = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    if (allow.includes(key)) {
+      parsed[key] = value;
+      continue;
+    }
+
+    const definition = byKey.get(key);
+    if (!definition) {
+      errors.push({ field: key, message: `Unknown parameter. Allowed parameters are ${Array.from(byKey.keys()).concat(allow).join(', ')}.` });
+      continue;
+    }
+
+    try {
+      parsed[getAttributeName(definition)] = parseOptionValue(definition, value);
+    } catch (error) {
+      errors.push({ field: key, message: error.message });
+    }
+  }
+
+  for (const [key, definition] of byKey) {
+    if (definition.required && values[key] === undefined) {
+      errors.push({ field: key, message: 'Required parameter is missing.' });
+    }
+  }
+
+  if (errors.length > 0) {
+    const summary = errors.map(({ field, message }) => `${field}: ${message}`).join(' ');
+    throw new ValidationError(`Invalid request. ${summary}`, errors[0].field, errors);
+  }
+
+  return parsed;
+}
+
+module.exports = {
+  ENDPOINTS,
+  buildOpenApiDocument,
+  validateRequest
+};
@@ -1,21 +1,31 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const os = require('os');
+const { createLogger } = require('./logger');
 
 class Cache {
     constructor(options = {}) {
-        this.cacheDir = options.cacheDir || path.join(__dirname, '../../.cache');
+        // Shared by every run, next to the user-level config file
+        this.cacheDir = options.cacheDir || path.join(os.homedir(), '.zipcode-lookup', 'cache');
         this.defaultTTL = options.defaultTTL || 300000; // 5 minutes default
         this.maxSize = options.maxSize || 100; // Max number of cached items
         this.memoryCache = new Map();
+        this.directoryReady = null;
+        this.logger = createLogger(options.logger);
     }
 
     async initialize() {
-        try {
-            await fs.mkdir(this.cacheDir, { recursive: true });
-        } catch (error) {
-            console.warn(`Could not create cache directory: ${error.message}`);
+        // Create the directory once; writes wait on the same attempt
+        if (!this.directoryReady) {
+            this.directoryReady = fs.mkdir(this.cacheDir, { recursive: true })
+                .then(() => true)
+                .catch(error => {
+                    this.logger.warn(`Could not create cache directory: ${error.message}`);
+                    return false;
+                });
         }
+        return await this.directoryReady;
     }
 
     generateKey(input) {
@@ -70,6 +80,7 @@ class Cache {
         const expiry = Date.now() + ttl;
 
         const cacheItem = {
+            key,
             data,
             expiry,
             created: Date.now()
@@ -82,14 +93,83 @@ class Cache {
         }
 
         // Store in disk cache
-        if (useDisk) {
+        if (useDisk && await this.initialize()) {
             try {
                 const filePath = path.join(this.cacheDir, `${cacheKey}.json`);
                 await fs.writeFile(filePath, JSON.stringify(cacheItem), 'utf8');
             } catch (error) {
-                console.warn(`Could not write to disk cache: ${error.message}`);
+                this.logger.warn(`Could not write to disk cache: ${error.message}`);
+            }
+        }
+    }
+
+    async delete(key) {
+        const cacheKey = this.generateKey(key);
+        this.memoryCache.delete(cacheKey);
+        await fs.unlink(path.join(this.cacheDir, `${cacheKey}.json`)).catch(() => {});
+    }
+
+    /**
+     * Read the entries stored on disk
+     * @param {Object} options - {includeExpired: also return expired entries}
+     * @returns {Promise<Array>} Entries as {id, key, data, expiry, created, size}
+     */
+    async entries(options = {}) {
+        const { includeExpired = false } = options;
+        let files;
+
+        try {
+            files = (await fs.readdir(this.cacheDir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            // No cache directory yet
+            return [];
+        }
+
+        const entries = [];
+        for (const file of files) {
+            try {
+                const content = await fs.readFile(path.join(this.cacheDir, file), 'utf8');
+                const cached = JSON.parse(content);
+
+                if (includeExpired || this.isValid(cached)) {
+                    entries.push({ id: path.basename(file, '.json'), size: Buffer.byteLength(content), ...cached });
+                }
+            } catch (error) {
+                // Unreadable entries are removed by cleanup()
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Write entries read by entries() into this cache, e.g. from another machine
+     * @param {Array} entries - Entries as {id, key, data, expiry, created}
+     * @returns {Promise<Object>} {imported, skipped} counts; expired and malformed entries are skipped
+     */
+    async importEntries(entries) {
+        let imported = 0;
+        let skipped = 0;
+
+        if (!await this.initialize()) {
+            throw new Error(`Cache directory ${this.cacheDir} is not writable`);
+        }
+
+        for (const entry of entries) {
+            // The id names the file, so only accept the hash the key produces
+            const id = entry && entry.key !== undefined ? this.generateKey(entry.key) : entry && entry.id;
+            if (!id || !/^[a-f0-9]{32}$/.test(id) || !this.isValid(entry)) {
+                skipped++;
+                continue;
             }
+
+            const cacheItem = { key: entry.key, data: entry.data, expiry: entry.expiry, created: entry.created || Date.now() };
+            await fs.writeFile(path.join(this.cacheDir, `${id}.json`), JSON.stringify(cacheItem), 'utf8');
+            this.memoryCache.delete(id);
+            imported++;
         }
+
+        return { imported, skipped };
     }
 
     isValid(cacheItem) {
@@ -129,7 +209,7 @@ class Cache {
                     )
                 );
             } catch (error) {
-                console.warn(`Could not clear disk cache: ${error.message}`);
+                this.logger.warn(`Could not clear disk cache: ${error.message}`);
             }
         }
     }
@@ -155,7 +235,7 @@ class Cache {
                 }
             }
         } catch (error) {
-            console.warn(`Cache cleanup failed: ${error.message}`);
+            this.logger.warn(`Cache cleanup failed: ${error.message}`);
         }
     }
 
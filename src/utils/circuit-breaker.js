@@ -0,0 +1,122 @@
+/**
+ * Circuit breaker tracking the health of one external provider
+ * After repeated failures the circuit opens and requests are refused until a cool-down passes;
+ * then a single probe request decides whether it closes again
+ */
+
+const STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Provider name
+   * @param {number} options.failures - Consecutive failed requests that open the circuit
+   * @param {number} options.cooldown - Milliseconds the circuit stays open before a probe
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.threshold = Math.max(1, options.failures || 5);
+    this.cooldown = options.cooldown >= 0 ? options.cooldown : 60000;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.successes = 0;
+    this.failures = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.openedAt = null;
+  }
+
+  /**
+   * Check, without changing state, whether requests are currently refused
+   * @returns {boolean} True while the circuit is open or a probe is in flight
+   */
+  isOpen() {
+    if (this.state === STATES.OPEN) {
+      return Date.now() < this.openedAt + this.cooldown;
+    }
+    return this.state === STATES.HALF_OPEN;
+  }
+
+  /**
+   * Ask to send a request; once the cool-down has passed the first caller becomes the probe
+   * @returns {boolean} True if the request may be sent
+   */
+  allowRequest() {
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === STATES.OPEN && !this.isOpen()) {
+      this.state = STATES.HALF_OPEN;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Give up a probe that ended without showing whether the provider is up (e.g. a missing
+   * fixture), so the next request probes again instead of the circuit staying half-open
+   */
+  releaseProbe() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now() - this.cooldown;
+    }
+  }
+
+  recordSuccess() {
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.successes++;
+  }
+
+  /**
+   * @param {Error} error - Why the request failed
+   * @returns {boolean} True if this failure opened the circuit
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.failures++;
+    this.lastError = error.message;
+    this.lastFailureAt = Date.now();
+
+    if (this.state === STATES.HALF_OPEN || (this.state === STATES.CLOSED && this.consecutiveFailures >= this.threshold)) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * When an open circuit will let a probe through
+   * @returns {Date|null} Null unless the circuit is open
+   */
+  retryAt() {
+    return this.state === STATES.OPEN ? new Date(this.openedAt + this.cooldown) : null;
+  }
+
+  /**
+   * Health summary for status output
+   * @returns {Object} {state, consecutiveFailures, successes, failures, lastError, lastFailure, retryAt}
+   */
+  getHealth() {
+    const retryAt = this.retryAt();
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      successes: this.successes,
+      failures: this.failures,
+      lastError: this.lastError,
+      lastFailure: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      retryAt: retryAt ? retryAt.toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.STATES = STATES;
@@ -0,0 +1,303 @@
+/**
+ * Option definitions for the lookup commands
+ * The CLI registers these with commander and the HTTP API derives its OpenAPI document
+ * and request validation from them, so both interfaces accept the same input
+ */
+
+const { Option, InvalidArgumentError } = require('commander');
+const { GEOMETRY_FORMATS } = require('./geometry-column');
+
+const SOURCES = ['nominatim', 'zippopotam', 'zipcodes', 'googlemaps', 'local', 'auto'];
+const REVERSE_SOURCES = ['nominatim', 'zipcodes', 'googlemaps', 'local', 'auto'];
+const FORMATS = ['json', 'csv', 'yaml', 'table', 'geojson', 'gpx', 'shapefile'];
+
+// Formats the HTTP API can return, with their content types
+const HTTP_FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  yaml: 'application/yaml',
+  geojson: 'application/geo+json',
+  gpx: 'application/gpx+xml',
+  shapefile: 'application/zip'
+};
+
+const ZIPCODE_PATTERN = '^\\d{5}$';
+const ZIPCODE_PATTERN_MESSAGE = 'Must be a 5-digit zipcode.';
+
+const format = {
+  flags: '--format <format>',
+  description: 'Output format',
+  choices: FORMATS,
+  default: 'table',
+  http: { choices: Object.keys(HTTP_FORMATS), default: 'json' }
+};
+
+const geometry = {
+  flags: '--geometry <encoding>',
+  description: 'Add a geometry column to csv/json/yaml output: points, or ZCTA polygons when boundaries are loaded',
+  choices: GEOMETRY_FORMATS
+};
+
+const kml = { flags: '--kml', description: 'Generate KML file for Google Earth', default: false, http: false };
+const kmz = { flags: '--kmz', description: 'Write the KML map, with its legend, as a compressed KMZ file', default: false, http: false };
+const htmlMap = { flags: '--html-map', description: 'Generate a self-contained HTML map that opens in any browser', default: false, http: false };
+
+/**
+ * Command definitions
+ * Each option has commander-style flags plus the metadata needed to validate it:
+ * type (string, number, integer, boolean), choices, minimum, maximum, pattern (with patternMessage) and required.
+ * `http: false` keeps an option off the HTTP API; an `http` object overrides fields there.
+ */
+const COMMANDS = {
+  radius: {
+    description: 'Find zipcodes within a radius of a zipcode, coordinates, city or address',
+    options: [
+      { flags: '-z, --zip <zipcode>', description: 'Base zipcode for radius search', pattern: ZIPCODE_PATTERN, patternMessage: ZIPCODE_PATTERN_MESSAGE },
+      { flags: '--lat <latitude>', description: 'Center latitude (use with --lon)', type: 'number', minimum: -90, maximum: 90 },
+      { flags: '--lon <longitude>', description: 'Center longitude (use with --lat)', type: 'number', minimum: -180, maximum: 180 },
+      { flags: '--city <city>', description: 'Center on a city (use with --state)' },
+      { flags: '--state <state>', description: 'State abbreviation for --city' },
+      { flags: '--address <address>', description: 'Center on a street address, geocoded through the data source' },
+      { flags: '-m, --miles <distance>', description: 'Radius in miles', type: 'number', exclusiveMinimum: 0, required: true },
+      { flags: '-s, --source <type>', description: 'Data source', choices: SOURCES, default: 'auto' },
+      { flags: '--compare <type>', description: 'Compare with another data source', choices: SOURCES.filter(source => source !== 'auto') },
+      format,
+      geometry,
+      { flags: '--include-distance', description: 'Include distance in output', default: false },
+      { flags: '--include-coordinates', description: 'Include latitude/longitude coordinates', default: false },
+      { flags: '--include-city', description: 'Include city name', default: false },
+      { flags: '--include-state', description: 'Include state', default: false },
+      { flags: '--custom-field <field>', description: 'Include custom field from data' },
+      { flags: '--custom-value <value>', description: 'Value for custom field (requires --custom-field)' },
+      { flags: '--match <mode>', description: 'Zipcode match mode (polygon modes need --boundaries)', choices: ['centroid', 'intersects', 'contains'], default: 'centroid' },
+      { flags: '--boundaries <file>', description: 'ZCTA boundary file (GeoJSON or .shp) for polygon matching and area coverage', http: false },
+      kml,
+      kmz,
+      htmlMap
+    ]
+  },
+
+  location: {
+    description: 'Find zipcodes by city, state, or county',
+    options: [
+      { flags: '-c, --city <name>', description: 'City name' },
+      { flags: '-s, --state <code>', description: 'State code (e.g., CA, TX)' },
+      { flags: '--county <name>', description: 'County name' },
+      { flags: '--source <type>', description: 'Data source', choices: SOURCES, default: 'auto' },
+      format,
+      geometry,
+      { flags: '--boundaries <file>', description: 'ZCTA boundary file (GeoJSON or .shp) for --geometry polygons', http: false },
+      { flags: '--include-coordinates', description: 'Include latitude/longitude coordinates', default: false },
+      kml,
+      kmz,
+      htmlMap
+    ]
+  },
+
+  census: {
+    description: 'Get census tract information for zipcodes',
+    options: [
+      { flags: '-z, --zip <zipcode>', description: 'Zipcode to lookup', pattern: ZIPCODE_PATTERN, patternMessage: ZIPCODE_PATTERN_MESSAGE, required: true },
+      { flags: '-s, --source <type>', description: 'Data source for zipcode coordinates', choices: SOURCES, default: 'auto' },
+      { flags: '--include-boundaries', description: 'Include tract boundary coordinates', default: false },
+      format,
+      geometry,
+      { flags: '--boundaries <file>', description: 'ZCTA boundary file (GeoJSON or .shp) for --geometry polygons', http: false }
+    ]
+  },
+
+  reverse: {
+    description: 'Find the nearest zipcode for given coordinates',
+    options: [
+      { flags: '--lat <latitude>', description: 'Latitude coordinate', type: 'number', minimum: -90, maximum: 90, required: true },
+      { flags: '--lon <longitude>', description: 'Longitude coordinate', type: 'number', minimum: -180, maximum: 180, required: true },
+      { flags: '-s, --source <type>', description: 'Data source', choices: REVERSE_SOURCES, default: 'auto' },
+      { flags: '--compare <type>', description: 'Compare with another data source', choices: REVERSE_SOURCES.filter(source => source !== 'auto') },
+      format,
+      geometry,
+      { flags: '--include-distance', description: 'Include distance from input coordinates', default: false },
+      { flags: '--include-coordinates', description: 'Include zipcode center coordinates', default: false },
+      { flags: '--nearest <count>', description: 'Number of nearest zipcodes to return', type: 'integer', minimum: 1, default: 1 },
+      { flags: '-m, --miles <distance>', description: 'Maximum distance in miles to include results', type: 'number', exclusiveMinimum: 0 },
+      { flags: '--boundaries <file>', description: 'ZCTA boundary file (GeoJSON or .shp) for point-in-polygon matching', http: false },
+      kml,
+      kmz,
+      htmlMap
+    ]
+  },
+
+  batch: {
+    description: 'Process multiple zipcodes from a CSV file',
+    options: [
+      { flags: '-i, --input <file>', description: 'Input CSV file path', required: true, http: false },
+      { flags: '-o, --output <file>', description: 'Output file path (.csv, .geojson for GeoJSON, .gpx for GPX or .zip for a zipped shapefile)', required: true, http: false },
+      { flags: '--source <type>', description: 'Data source', choices: SOURCES, default: 'auto' },
+      { flags: '--chunk-size <size>', description: 'Processing chunk size', type: 'integer', minimum: 1, default: 1000, http: false },
+      { flags: '--progress', description: 'Show progress bar', default: false, http: false },
+      { flags: '--operation <type>', description: 'Operation', choices: ['radius', 'location', 'census', 'distance'], default: 'radius' },
+      { flags: '--radius <miles>', description: 'Radius for batch radius operations', type: 'number', exclusiveMinimum: 0, default: 10 },
+      { flags: '-m, --miles <distance>', description: 'Radius in miles (alias for --radius)', type: 'number', exclusiveMinimum: 0, http: false },
+      { flags: '--centroid-zipcode <zipcode>', description: 'Centroid zipcode for distance operations', pattern: ZIPCODE_PATTERN, patternMessage: ZIPCODE_PATTERN_MESSAGE },
+      { flags: '--include-distance', description: 'Include distance in output', default: false }
+    ]
+  }
+};
+
+/**
+ * Long option name without dashes, e.g. "include-distance"
+ * @param {Object} definition - Option definition
+ * @returns {string} Option name
+ */
+function getOptionName(definition) {
+  return definition.flags.match(/--([\w-]+)/)[1];
+}
+
+/**
+ * Property name commander stores the option under, e.g. "includeDistance"
+ * @param {Object} definition - Option definition
+ * @returns {string} Attribute name
+ */
+function getAttributeName(definition) {
+  return getOptionName(definition).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Value type of an option; flags without an argument are booleans
+ * @param {Object} definition - Option definition
+ * @returns {string} string, number, integer or boolean
+ */
+function getOptionType(definition) {
+  if (!/[<[]/.test(definition.flags)) {
+    return 'boolean';
+  }
+  return definition.type || 'string';
+}
+
+/**
+ * Get a command's options as exposed to one interface
+ * @param {string} commandName - Command name
+ * @param {string} target - 'cli' or 'http'
+ * @returns {Array} Option definitions, with HTTP overrides applied for 'http'
+ */
+function getCommandOptions(commandName, target = 'cli') {
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw new Error(`Unknown command: ${commandName}`);
+  }
+
+  if (target !== 'http') {
+    return command.options;
+  }
+
+  return command.options
+    .filter(definition => definition.http !== false)
+    .map(definition => (definition.http ? { ...definition, ...definition.http } : definition));
+}
+
+/**
+ * Parse and check a raw string value against an option definition
+ * @param {Object} definition - Option definition
+ * @param {string} raw - Value as given on the command line or in a query string
+ * @returns {*} Parsed value
+ * @throws {InvalidArgumentError} When the value is not acceptable, with a message naming the constraint
+ */
+function parseOptionValue(definition, raw) {
+  const type = getOptionType(definition);
+  let value = raw;
+
+  if (type === 'boolean') {
+    if (typeof raw === 'boolean') {
+      return raw;
+    }
+    if (raw !== 'true' && raw !== 'false' && raw !== '') {
+      throw new InvalidArgumentError('Must be true or false.');
+    }
+    return raw !== 'false';
+  }
+
+  if (type === 'number' || type === 'integer') {
+    value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (String(raw).trim() === '' || !Number.isFinite(value)) {
+      throw new InvalidArgumentError('Must be a number.');
+    }
+    if (type === 'integer' && !Number.isInteger(value)) {
+      throw new InvalidArgumentError('Must be a whole number.');
+    }
+    if (definition.minimum !== undefined && value < definition.minimum) {
+      throw new InvalidArgumentError(`Must be at least ${definition.minimum}.`);
+    }
+    if (definition.maximum !== undefined && value > definition.maximum) {
+      throw new InvalidArgumentError(`Must be at most ${definition.maximum}.`);
+    }
+    if (definition.exclusiveMinimum !== undefined && value <= definition.exclusiveMinimum) {
+      throw new InvalidArgumentError(`Must be greater than ${definition.exclusiveMinimum}.`);
+    }
+    return value;
+  }
+
+  value = String(raw);
+  if (definition.choices && !definition.choices.includes(value)) {
+    throw new InvalidArgumentError(`Allowed choices are ${definition.choices.join(', ')}.`);
+  }
+  if (definition.pattern && !new RegExp(definition.pattern).test(value)) {
+    throw new InvalidArgumentError(definition.patternMessage || `Must match ${definition.pattern}.`);
+  }
+  return value;
+}
+
+/**
+ * Create a commander Option from a definition
+ * @param {Object} definition - Option definition
+ * @returns {Option} Commander option
+ */
+function createOption(definition) {
+  const option = new Option(definition.flags, definition.description);
+
+  if (definition.choices) {
+    option.choices(definition.choices);
+  } else if (getOptionType(definition) !== 'boolean') {
+    option.argParser(value => parseOptionValue(definition, value));
+  }
+
+  if (definition.default !== undefined) {
+    option.default(definition.default);
+  }
+
+  if (definition.required) {
+    option.makeOptionMandatory();
+  }
+
+  return option;
+}
+
+/**
+ * Register a command and its options with commander
+ * @param {Command} program - Commander program
+ * @param {string} commandName - Command name
+ * @returns {Command} The registered command, ready for .action()
+ */
+function defineCommand(program, commandName) {
+  const command = program
+    .command(commandName)
+    .description(COMMANDS[commandName].description);
+
+  for (const definition of getCommandOptions(commandName)) {
+    command.addOption(createOption(definition));
+  }
+
+  return command;
+}
+
+module.exports = {
+  COMMANDS,
+  SOURCES,
+  FORMATS,
+  HTTP_FORMATS,
+  getOptionName,
+  getAttributeName,
+  getOptionType,
+  getCommandOptions,
+  parseOptionValue,
+  createOption,
+  defineCommand
+};
@@ -0,0 +1,45 @@
+/**
+ * Caps how many requests are in flight at once
+ */
+
+class ConcurrencyLimiter {
+  /**
+   * @param {number} maxConcurrent - Requests allowed in flight at once (0 or less for no limit)
+   */
+  constructor(maxConcurrent) {
+    this.maxConcurrent = maxConcurrent > 0 ? maxConcurrent : Infinity;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   */
+  async run(task) {
+    if (this.active >= this.maxConcurrent) {
+      // release() hands its slot straight to the next waiter, so active is not incremented here
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+module.exports = ConcurrencyLimiter;
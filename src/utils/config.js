@@ -6,11 +6,28 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { createLogger } = require('./logger');
+
+// Public endpoints used unless a provider's baseUrl points elsewhere (e.g. a self-hosted server or a stub)
+const DEFAULT_BASE_URLS = Object.freeze({
+  googleMaps: 'https://maps.googleapis.com/maps/api',
+  nominatim: 'https://nominatim.openstreetmap.org',
+  zippopotam: 'https://api.zippopotam.us',
+  census: 'https://geocoding.geo.census.gov/geocoder'
+});
 
 class Config {
-  constructor() {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object} options.values - Settings merged over the defaults and any config file
+   * @param {string[]} options.configPaths - Config files to search, first match wins (pass [] to skip config files)
+   * @param {Object} options.logger - Logger (default: console)
+   */
+  constructor(options = {}) {
     this.configCache = null;
-    this.configPaths = [
+    this.values = options.values || null;
+    this.logger = createLogger(options.logger);
+    this.configPaths = options.configPaths || [
       // Project-level config
       path.join(process.cwd(), 'config.json'),
       path.join(process.cwd(), 'zipcode-lookup.config.json'),
@@ -35,38 +52,97 @@ class Config {
       googleMaps: {
         apiKey: process.env.GOOGLE_API_KEY || null,
         enabled: false,
+        baseUrl: DEFAULT_BASE_URLS.googleMaps,
+        headers: {},
         timeout: 10000,
         caching: true,
-        cacheTTL: 300000 // 5 minutes
+        cacheTTL: 300000, // 5 minutes
+        rateLimit: {
+          rps: 50, // Default Geocoding API quota of 3,000 requests per minute
+          burst: 50,
+          daily: null
+        }
       },
 
       // Nominatim API configuration
       nominatim: {
         enabled: true,
+        baseUrl: DEFAULT_BASE_URLS.nominatim,
+        headers: {},
         timeout: 30000,
-        userAgent: 'zipcode-lookup-cli/1.0.0',
+        userAgent: 'zipcode-lookup-cli/1.0.0', // Sent as User-Agent unless headers sets one
         caching: true,
-        cacheTTL: 300000
+        cacheTTL: 300000,
+        rateLimit: {
+          rps: 1, // Nominatim usage policy: at most one request per second
+          burst: 1,
+          daily: null
+        }
       },
 
       // Zippopotam API configuration
       zippopotam: {
         enabled: true,
+        baseUrl: DEFAULT_BASE_URLS.zippopotam,
+        headers: {},
         timeout: 30000,
         caching: true,
-        cacheTTL: 300000
+        cacheTTL: 300000,
+        rateLimit: {
+          rps: 5,
+          burst: 10,
+          daily: null
+        }
+      },
+
+      // Census Bureau geocoder configuration
+      census: {
+        baseUrl: DEFAULT_BASE_URLS.census,
+        headers: {},
+        timeout: 30000,
+        caching: true,
+        cacheTTL: 300000,
+        rateLimit: {
+          rps: 5,
+          burst: 10,
+          daily: null
+        }
+      },
+
+      // Local dataset configuration
+      local: {
+        enabled: true,
+        path: process.env.ZIPCODE_LOOKUP_DATA || null,
+        format: null // Detected from the file extension when null
+      },
+
+      // ZCTA boundary polygons (GeoJSON or shapefile)
+      boundaries: {
+        path: process.env.ZIPCODE_LOOKUP_BOUNDARIES || null
+      },
+
+      // HTML map settings; without a tile URL maps are drawn without a base layer, fully offline
+      map: {
+        tileUrl: null, // e.g. https://tile.openstreetmap.org/{z}/{x}/{y}.png
+        attribution: null
       },
 
       // General API settings
       api: {
         retries: 3,
         retryDelay: 1000,
-        maxConcurrent: 5
+        maxConcurrent: 5,
+        // Consecutive failed requests that make a provider be skipped, and for how long
+        circuitBreaker: {
+          failures: 5,
+          cooldown: 60000
+        }
       },
 
       // Cache settings
       cache: {
         enabled: true,
+        directory: process.env.ZIPCODE_LOOKUP_CACHE_DIR || null, // ~/.zipcode-lookup/cache when null
         maxSize: 10000,
         ttl: 300000,
         cleanupInterval: 600000 // 10 minutes
@@ -79,6 +155,11 @@ class Config {
       this.mergeConfig(config, fileConfig);
     }
 
+    // Values passed in code take precedence over config files
+    if (this.values) {
+      this.mergeConfig(config, this.values);
+    }
+
     // Enable Google Maps if API key is available
     if (config.googleMaps.apiKey) {
       config.googleMaps.enabled = true;
@@ -101,11 +182,11 @@ class Config {
         if (fs.existsSync(configPath)) {
           const fileContent = fs.readFileSync(configPath, 'utf8');
           const config = JSON.parse(fileContent);
-          console.log(`📁 Loaded configuration from ${configPath}`);
+          this.logger.info(`📁 Loaded configuration from ${configPath}`);
           return config;
         }
       } catch (error) {
-        console.warn(`⚠️  Failed to load config from ${configPath}: ${error.message}`);
+        this.logger.warn(`⚠️  Failed to load config from ${configPath}: ${error.message}`);
       }
     }
     return null;
@@ -121,17 +202,43 @@ class Config {
         apiKey: "YOUR_GOOGLE_API_KEY_HERE",
         enabled: true,
         timeout: 10000,
+        rateLimit: {
+          rps: 50,
+          burst: 50,
+          daily: 2500,
+          comment: "Requests per second, back-to-back burst, and a daily cap kept across runs (null for none)"
+        },
         comment: "Get your API key from: https://console.developers.google.com/apis/credentials"
       },
       nominatim: {
         enabled: true,
         timeout: 30000,
-        userAgent: "zipcode-lookup-cli/1.0.0"
+        baseUrl: "https://nominatim.openstreetmap.org",
+        userAgent: "zipcode-lookup-cli/1.0.0",
+        rateLimit: {
+          rps: 1,
+          burst: 1,
+          comment: "Nominatim's usage policy allows at most one request per second"
+        }
       },
       zippopotam: {
         enabled: true,
         timeout: 30000
       },
+      local: {
+        enabled: true,
+        path: "./data/zipcodes.json",
+        comment: "Census ZCTA Gazetteer TXT, CSV/TSV or a store built by `zipcode-lookup data import`"
+      },
+      boundaries: {
+        path: "./data/zcta-boundaries.geojson",
+        comment: "Census ZCTA cartographic boundary GeoJSON or shapefile (.shp with its .dbf)"
+      },
+      map: {
+        tileUrl: null,
+        attribution: null,
+        comment: "Tile URL template for --html-map base layers, e.g. https://tile.openstreetmap.org/{z}/{x}/{y}.png; null draws maps offline"
+      },
       api: {
         retries: 3,
         retryDelay: 1000
@@ -152,8 +259,8 @@ class Config {
       }
 
       fs.writeFileSync(outputPath, JSON.stringify(sampleConfig, null, 2));
-      console.log(`✅ Sample configuration file created: ${outputPath}`);
-      console.log('📝 Please edit the file and add your Google Maps API key');
+      this.logger.info(`✅ Sample configuration file created: ${outputPath}`);
+      this.logger.info('📝 Please edit the file and add your Google Maps API key');
 
       return outputPath;
     } catch (error) {
@@ -186,26 +293,60 @@ class Config {
   validate(config) {
     // Validate Google Maps configuration
     if (config.googleMaps.enabled && !config.googleMaps.apiKey) {
-      console.warn('⚠️  Google Maps is enabled but no API key found');
-      console.warn('   Set GOOGLE_API_KEY environment variable or add to config file');
+      this.logger.warn('⚠️  Google Maps is enabled but no API key found');
+      this.logger.warn('   Set GOOGLE_API_KEY environment variable or add to config file');
       config.googleMaps.enabled = false;
     }
 
     // Validate timeouts
     if (config.googleMaps.timeout < 1000) {
-      console.warn('⚠️  Google Maps timeout is too low, setting to 10 seconds');
+      this.logger.warn('⚠️  Google Maps timeout is too low, setting to 10 seconds');
       config.googleMaps.timeout = 10000;
     }
 
     if (config.nominatim.timeout < 1000) {
-      console.warn('⚠️  Nominatim timeout is too low, setting to 30 seconds');
+      this.logger.warn('⚠️  Nominatim timeout is too low, setting to 30 seconds');
       config.nominatim.timeout = 30000;
     }
 
     if (config.zippopotam.timeout < 1000) {
-      console.warn('⚠️  Zippopotam timeout is too low, setting to 30 seconds');
+      this.logger.warn('⚠️  Zippopotam timeout is too low, setting to 30 seconds');
       config.zippopotam.timeout = 30000;
     }
+
+    if (config.census.timeout < 1000) {
+      this.logger.warn('⚠️  Census timeout is too low, setting to 30 seconds');
+      config.census.timeout = 30000;
+    }
+
+    // Validate base URLs
+    for (const [section, defaultUrl] of Object.entries(DEFAULT_BASE_URLS)) {
+      if (!this.isHttpUrl(config[section].baseUrl)) {
+        this.logger.warn(`⚠️  ${section}.baseUrl is not an http(s) URL, using ${defaultUrl}`);
+        config[section].baseUrl = defaultUrl;
+      }
+    }
+
+    if (config.map.tileUrl && !this.isHttpUrl(config.map.tileUrl)) {
+      this.logger.warn('⚠️  map.tileUrl is not an http(s) URL, drawing maps without tiles');
+      config.map.tileUrl = null;
+    }
+
+    // The public Nominatim server blocks clients that exceed one request per second;
+    // self-hosted servers set their own limits
+    const publicNominatim = new URL(config.nominatim.baseUrl).hostname === new URL(DEFAULT_BASE_URLS.nominatim).hostname;
+    if (publicNominatim && (!(config.nominatim.rateLimit.rps > 0) || config.nominatim.rateLimit.rps > 1)) {
+      this.logger.warn('⚠️  Nominatim rate limit exceeds its usage policy, setting to 1 request per second');
+      config.nominatim.rateLimit.rps = 1;
+    }
+  }
+
+  isHttpUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -244,6 +385,10 @@ class Config {
     const config = this.load();
     const sources = ['zipcodes', 'auto']; // Built-in sources always available
 
+    if (config.local.enabled && config.local.path) {
+      sources.push('local');
+    }
+
     if (config.nominatim.enabled) {
       sources.push('nominatim');
     }
@@ -278,10 +423,14 @@ class Config {
       configFiles: this.configPaths.filter(p => fs.existsSync(p)),
       dataSources: {
         zipcodes: true, // Always available
+        local: !!(config.local.enabled && config.local.path),
         nominatim: config.nominatim.enabled,
         zippopotam: config.zippopotam.enabled,
         googleMaps: config.googleMaps.enabled
       },
+      boundaries: {
+        configured: !!config.boundaries.path
+      },
       googleMaps: {
         configured: !!config.googleMaps.apiKey,
         enabled: config.googleMaps.enabled,
@@ -292,3 +441,4 @@ class Config {
 }
 
 module.exports = Config;
+module.exports.DEFAULT_BASE_URLS = DEFAULT_BASE_URLS;
@@ -1,6 +1,7 @@
 const Papa = require('papaparse');
 const fs = require('fs').promises;
 const path = require('path');
+const { createLogger } = require('./logger');
 
 class CSVHandler {
     static async parseCSV(filePath, options = {}) {
@@ -10,6 +11,7 @@ class CSVHandler {
             skipEmptyLines = true,
             transformHeader = true
         } = options;
+        const logger = createLogger(options.logger);
 
         try {
             // Check if file exists
@@ -40,7 +42,7 @@ class CSVHandler {
             });
 
             if (parseResult.errors && parseResult.errors.length > 0) {
-                console.warn('CSV parsing warnings:', parseResult.errors);
+                logger.warn('CSV parsing warnings:', parseResult.errors);
             }
 
             return parseResult.data;
@@ -118,6 +120,7 @@ class CSVHandler {
             header = true,
             chunkSize = 1000
         } = options;
+        const logger = createLogger(options.logger);
 
         try {
             const fileContent = await fs.readFile(path.resolve(filePath), 'utf8');
@@ -133,7 +136,7 @@ class CSVHandler {
                     step: async (row, parser) => {
                         try {
                             if (row.errors && row.errors.length > 0) {
-                                console.warn(`Row ${rowCount + 1} parse errors:`, row.errors);
+                                logger.warn(`Row ${rowCount + 1} parse errors:`, row.errors);
                             }
 
                             // Process the row
@@ -146,15 +149,15 @@ class CSVHandler {
 
                             // Process in chunks to prevent memory issues
                             if (rowCount % chunkSize === 0) {
-                                console.log(`Processed ${rowCount} rows...`);
+                                logger.info(`Processed ${rowCount} rows...`);
                             }
 
                         } catch (error) {
-                            console.error(`Error processing row ${rowCount + 1}:`, error.message);
+                            logger.error(`Error processing row ${rowCount + 1}:`, error.message);
                         }
                     },
                     complete: () => {
-                        console.log(`Stream processing complete. ${rowCount} rows processed.`);
+                        logger.info(`Stream processing complete. ${rowCount} rows processed.`);
                         resolve(results);
                     },
                     error: (error) => {
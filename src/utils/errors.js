@@ -0,0 +1,94 @@
+/**
+ * Error types shared across commands and data sources
+ */
+
+/**
+ * Raised when a data source is unknown or does not support the requested capability
+ */
+class UnsupportedSourceError extends Error {
+  /**
+   * @param {string} source - Requested data source name
+   * @param {string|null} capability - Requested capability, or null for an unknown source
+   * @param {string[]} supportedSources - Sources that do support the capability
+   */
+  constructor(source, capability = null, supportedSources = []) {
+    const supported = supportedSources.length > 0 ? ` Supported sources: ${supportedSources.join(', ')}` : '';
+    const message = capability
+      ? `Data source '${source}' does not support ${capability}.${supported}`
+      : `Unknown data source '${source}'.${supported}`;
+
+    super(message);
+    this.name = 'UnsupportedSourceError';
+    this.source = source;
+    this.capability = capability;
+    this.supportedSources = supportedSources;
+  }
+}
+
+/**
+ * Raised when command input is missing or invalid
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {string|null} field - Option the problem relates to
+   * @param {Array} errors - Individual problems as [{field, message}] when there are several
+   */
+  constructor(message, field = null, errors = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.field = field;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Raised when a lookup completes but finds nothing
+ */
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Raised when a provider's daily request cap has been used up
+ */
+class RateLimitError extends Error {
+  /**
+   * @param {string} source - Provider whose cap was reached
+   * @param {number} limit - Requests allowed per day
+   */
+  constructor(source, limit) {
+    super(`Daily request limit of ${limit} reached for ${source}`);
+    this.name = 'RateLimitError';
+    this.source = source;
+    this.limit = limit;
+  }
+}
+
+/**
+ * Raised instead of sending a request while a provider's circuit breaker is open
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} source - Provider being skipped
+   * @param {Date|null} retryAt - When the next probe request will be allowed
+   */
+  constructor(source, retryAt = null) {
+    const until = retryAt ? ` until ${retryAt.toISOString()}` : '';
+    super(`${source} is failing repeatedly; skipping it${until}`);
+    this.name = 'CircuitOpenError';
+    this.source = source;
+    this.retryAt = retryAt;
+  }
+}
+
+module.exports = {
+  UnsupportedSourceError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  CircuitOpenError
+};
@@ -6,13 +6,19 @@ const Papa = require('papaparse');
 const yaml = require('js-yaml');
 const Table = require('cli-table3');
 const chalk = require('chalk');
+const { toFeatureCollection } = require('./geojson');
+const { writePointShapefile } = require('./shapefile-writer');
+const { createZip } = require('./zip-writer');
+
+// Formats built from GeoJSON features; comparisons pass them a FeatureCollection of both sources
+const GEO_FORMATS = ['geojson', 'gpx', 'shapefile'];
 
 /**
  * Format data for output based on specified format
  * @param {Array} data - Array of data objects
- * @param {string} format - Output format: json, csv, yaml, table
+ * @param {string} format - Output format: json, csv, yaml, table, geojson, gpx, shapefile
  * @param {Object} options - Formatting options
- * @returns {string} Formatted output
+ * @returns {string|Buffer} Formatted output; a Buffer (ZIP archive) for shapefile
  */
 function formatOutput(data, format = 'table', options = {}) {
   switch (format.toLowerCase()) {
@@ -24,6 +30,12 @@ function formatOutput(data, format = 'table', options = {}) {
       return formatYAML(data, options);
     case 'table':
       return formatTable(data, options);
+    case 'geojson':
+      return formatGeoJSON(data, options);
+    case 'gpx':
+      return formatGPX(data, options);
+    case 'shapefile':
+      return formatShapefile(data, options);
     case 'raw':
       return data; // Return raw data array for programmatic use
     default:
@@ -80,6 +92,94 @@ function formatYAML(data, options = {}) {
   return yaml.dump(data, yamlOptions);
 }
 
+/**
+ * Format data as a GeoJSON FeatureCollection of Point features
+ * @param {Array|Object} data - Result records, or a FeatureCollection built by the caller
+ * @param {Object} options - Options for GeoJSON formatting
+ * @param {Object} options.center - Search center, added as the first feature
+ * @param {string} options.source - Source label for records that do not carry one
+ * @returns {string} GeoJSON string
+ */
+function formatGeoJSON(data, options = {}) {
+  return formatJSON(toCollection(data, options), options);
+}
+
+/**
+ * Format data as GPX 1.1 waypoints, one per zipcode, for loading onto GPS units
+ * Waypoints are named by zipcode and described by city and state; records without
+ * coordinates are left out, as GPX waypoints need a position
+ * @param {Array|Object} data - Result records, or a FeatureCollection built by the caller
+ * @param {Object} options - Options for GPX formatting (center and source, as for GeoJSON)
+ * @returns {string} GPX document
+ */
+function formatGPX(data, options = {}) {
+  const waypoints = getPointFeatures(data, options)
+    .filter(feature => feature.geometry)
+    .map(({ geometry, properties }) => {
+      const [longitude, latitude] = geometry.coordinates;
+      const place = [properties.city, properties.state].filter(Boolean).join(', ');
+      const distance = properties.distance_miles ?? properties.distance;
+      const name = properties.zipcode || (properties.role === 'center' ? 'Center' : null);
+
+      // GPX fixes the order of waypoint elements: name, cmt, desc, src, type
+      const elements = [
+        name ? `<name>${escapeXml(name)}</name>` : null,
+        distance !== undefined && distance !== null ? `<cmt>${escapeXml(`${distance} miles`)}</cmt>` : null,
+        place ? `<desc>${escapeXml(place)}</desc>` : null,
+        properties.source ? `<src>${escapeXml(properties.source)}</src>` : null,
+        properties.role ? `<type>${escapeXml(properties.role)}</type>` : null
+      ].filter(Boolean);
+
+      return `  <wpt lat="${latitude}" lon="${longitude}">\n${elements.map(element => `    ${element}\n`).join('')}  </wpt>`;
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="zipcode-lookup" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata>\n    <name>Zipcode lookup results</name>\n    <time>${new Date().toISOString()}</time>\n  </metadata>`,
+    ...waypoints,
+    '</gpx>'
+  ].join('\n');
+}
+
+/**
+ * Format data as a zipped ESRI Shapefile of points (.shp, .shx, .dbf, .prj and .cpg)
+ * Attributes are the same properties GeoJSON features carry
+ * @param {Array|Object} data - Result records, or a FeatureCollection built by the caller
+ * @param {Object} options - Options for shapefile formatting (center and source, as for GeoJSON)
+ * @param {string} options.name - Base name of the files inside the archive (default: 'zipcodes')
+ * @returns {Buffer} ZIP archive
+ */
+function formatShapefile(data, options = {}) {
+  const name = options.name || 'zipcodes';
+  const files = writePointShapefile(getPointFeatures(data, options));
+
+  return createZip(
+    ['shp', 'shx', 'dbf', 'prj', 'cpg'].map(extension => ({ name: `${name}.${extension}`, data: files[extension] }))
+  );
+}
+
+function toCollection(data, options) {
+  return data && data.type === 'FeatureCollection'
+    ? data
+    : toFeatureCollection(Array.isArray(data) ? data : [data].filter(Boolean), options);
+}
+
+/**
+ * Point features of the collection for the data; comparison difference lines are dropped
+ */
+function getPointFeatures(data, options) {
+  return toCollection(data, options).features.filter(feature => !feature.geometry || feature.geometry.type === 'Point');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Format data as a table
  * @param {Array} data - Data to format
@@ -240,10 +340,14 @@ function formatSummary(summary, verbose = false) {
 }
 
 module.exports = {
+  GEO_FORMATS,
   formatOutput,
   formatJSON,
   formatCSV,
   formatYAML,
+  formatGeoJSON,
+  formatGPX,
+  formatShapefile,
   formatTable,
   filterFields,
   createSummary,
@@ -0,0 +1,172 @@
+/**
+ * GeoJSON (RFC 7946) output for lookup results
+ * Positions are written [longitude, latitude], as the spec requires
+ */
+
+const { calculateDistance } = require('./distance');
+
+// Coordinate fields become the geometry rather than properties
+const COORDINATE_FIELDS = ['latitude', 'longitude', 'lat', 'lon'];
+
+/**
+ * Read a record's position; commands store it as latitude/longitude or, for reverse lookups, lat/lon
+ * @param {Object} record - Result record
+ * @returns {number[]|null} [longitude, latitude], or null when the record has no coordinates
+ */
+function getPosition(record) {
+  const latitude = record.latitude ?? record.lat;
+  const longitude = record.longitude ?? record.lon;
+
+  if (latitude === null || latitude === undefined || longitude === null || longitude === undefined || latitude === '' || longitude === '') {
+    return null;
+  }
+
+  const position = [Number(longitude), Number(latitude)];
+  return position.every(Number.isFinite) ? position : null;
+}
+
+/**
+ * Build a Point feature from a record
+ * Records without coordinates (e.g. when --fields left them out) get a null geometry
+ * @param {Object} record - Result record
+ * @param {Object} extra - Properties to add, without overriding the record's own
+ * @returns {Object} Feature
+ */
+function toPointFeature(record, extra = {}) {
+  const properties = {};
+  for (const [name, value] of Object.entries(record)) {
+    if (!COORDINATE_FIELDS.includes(name) && value !== undefined) {
+      properties[name] = value;
+    }
+  }
+  for (const [name, value] of Object.entries(extra)) {
+    if (value !== undefined && !(name in properties)) {
+      properties[name] = value;
+    }
+  }
+
+  const position = getPosition(record);
+  return {
+    type: 'Feature',
+    geometry: position ? { type: 'Point', coordinates: position } : null,
+    properties
+  };
+}
+
+/**
+ * Build the feature marking a search center
+ * @param {Object} center - {latitude, longitude} plus optional zipcode, city, state, source
+ * @param {string} source - Source label used when the center does not name one
+ * @returns {Object|null} Feature, or null when the center has no coordinates
+ */
+function toCenterFeature(center, source = null) {
+  if (!center || !getPosition(center)) {
+    return null;
+  }
+
+  const { zipcode, city, state } = center;
+  return toPointFeature(
+    { zipcode, city, state, latitude: center.latitude, longitude: center.longitude },
+    { role: 'center', source: center.source || source || undefined }
+  );
+}
+
+/**
+ * Build a FeatureCollection of result points, with the search center first when there is one
+ * @param {Array<Object>} records - Result records
+ * @param {Object} options - Collection options
+ * @param {Object} options.center - Search center (optional)
+ * @param {string} options.source - Source label for records that do not carry one (optional)
+ * @returns {Object} FeatureCollection
+ */
+function toFeatureCollection(records, options = {}) {
+  const { center = null, source = null } = options;
+  const features = [];
+
+  // Coordinates given on the command line have no source, so the center only names one it carries
+  const centerFeature = toCenterFeature(center);
+  if (centerFeature) {
+    features.push(centerFeature);
+  }
+
+  for (const record of records) {
+    features.push(toPointFeature(record, { role: 'result', source: record.source || source || undefined }));
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Build a LineString joining one zipcode's positions in two sources
+ * @returns {Object} Feature with the distance between the two positions
+ */
+function toDifferenceFeature(zipcode, primary, compare, primarySource, compareSource, role) {
+  const from = getPosition(primary);
+  const to = getPosition(compare);
+
+  return {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: [from, to] },
+    properties: {
+      role,
+      ...(zipcode ? { zipcode } : {}),
+      primary_source: primarySource,
+      compare_source: compareSource,
+      difference_miles: parseFloat(calculateDistance(from[1], from[0], to[1], to[0]).toFixed(4))
+    }
+  };
+}
+
+/**
+ * Build a FeatureCollection comparing two sources
+ * Both sources' centers and result points are included, and every zipcode found by both
+ * sources gets a LineString joining its two positions
+ * @param {Object} comparison - Comparison results
+ * @param {string} comparison.primarySource - Primary source label
+ * @param {string} comparison.compareSource - Comparison source label
+ * @param {Object} comparison.center - Shared search center, e.g. reverse lookup coordinates (optional)
+ * @param {Object} comparison.primaryCenter - Center according to the primary source (optional)
+ * @param {Object} comparison.compareCenter - Center according to the comparison source (optional)
+ * @param {Array<Object>} comparison.primary - Primary source results
+ * @param {Array<Object>} comparison.compare - Comparison source results
+ * @returns {Object} FeatureCollection
+ */
+function toComparisonCollection(comparison) {
+  const { primarySource, compareSource, center = null, primaryCenter = null, compareCenter = null, primary = [], compare = [] } = comparison;
+  const features = [];
+
+  for (const [point, source] of [[center, null], [primaryCenter, primarySource], [compareCenter, compareSource]]) {
+    const feature = toCenterFeature(point, source);
+    if (feature) {
+      features.push(feature);
+    }
+  }
+
+  if (getPosition(primaryCenter || {}) && getPosition(compareCenter || {})) {
+    features.push(toDifferenceFeature(primaryCenter.zipcode, primaryCenter, compareCenter, primarySource, compareSource, 'center-difference'));
+  }
+
+  for (const record of primary) {
+    features.push(toPointFeature(record, { role: 'result', source: primarySource }));
+  }
+  for (const record of compare) {
+    features.push(toPointFeature(record, { role: 'result', source: compareSource }));
+  }
+
+  const compareByZipcode = new Map(compare.filter(getPosition).map(record => [record.zipcode, record]));
+  for (const record of primary) {
+    const other = compareByZipcode.get(record.zipcode);
+    if (other && getPosition(record)) {
+      features.push(toDifferenceFeature(record.zipcode, record, other, primarySource, compareSource, 'difference'));
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+module.exports = {
+  getPosition,
+  toPointFeature,
+  toFeatureCollection,
+  toComparisonCollection
+};
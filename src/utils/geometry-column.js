@@ -0,0 +1,171 @@
+/**
+ * Geometry column for tabular output, encoded as WKT, WKB or EWKB
+ * Lets csv/json/yaml results be loaded straight into spatial databases such as PostGIS;
+ * WKB and EWKB are written as little-endian hex, the way PostGIS prints them
+ */
+
+const { ValidationError } = require('./errors');
+const { getPosition } = require('./geojson');
+
+const GEOMETRY_FORMATS = ['wkt', 'wkb', 'ewkb'];
+
+// Output formats that carry the column; raw is what library and HTTP JSON callers get
+const TABULAR_OUTPUTS = ['csv', 'json', 'yaml', 'raw'];
+
+// Positions are WGS 84 longitude/latitude
+const WGS84_SRID = 4326;
+
+const WKB_TYPES = {
+  Point: 1,
+  Polygon: 3,
+  MultiPolygon: 6
+};
+
+// EWKB flag marking that an SRID follows the geometry type
+const EWKB_SRID_FLAG = 0x20000000;
+
+/**
+ * Reject --geometry for outputs that have no columns to add it to
+ * @param {string} geometry - Requested encoding, if any
+ * @param {string} output - Output format
+ * @throws {ValidationError} For an unknown encoding or a non-tabular output
+ */
+function validateGeometryOption(geometry, output) {
+  if (!geometry) {
+    return;
+  }
+
+  if (!GEOMETRY_FORMATS.includes(geometry)) {
+    throw new ValidationError(`Invalid geometry encoding '${geometry}'. Use one of: ${GEOMETRY_FORMATS.join(', ')}`, 'geometry');
+  }
+
+  if (!TABULAR_OUTPUTS.includes(output)) {
+    throw new ValidationError('--geometry applies to csv, json and yaml output', 'geometry');
+  }
+}
+
+/**
+ * Add a geometry column to every record
+ * A zipcode's ZCTA polygon is used when boundaries are loaded and cover it, otherwise its point
+ * @param {Array<Object>} records - Output records
+ * @param {string} format - 'wkt', 'wkb' or 'ewkb'
+ * @param {Object} options - Column options
+ * @param {BoundarySet} options.boundaries - Loaded ZCTA boundaries (optional)
+ * @param {Array<Object>} options.positions - Records to take positions from, index for index with
+ *   records, for when field filtering has dropped the coordinates (default: records)
+ * @returns {Array<Object>} Records with a geometry field, null when there is no position
+ */
+function addGeometryColumn(records, format, options = {}) {
+  const { boundaries = null, positions = records } = options;
+
+  return records.map((record, index) => {
+    const boundary = boundaries && record.zipcode ? boundaries.get(record.zipcode) : null;
+    const position = getPosition(positions[index] || record);
+    const geometry = boundary
+      ? boundary.geometry
+      : (position ? { type: 'Point', coordinates: position } : null);
+
+    return { ...record, geometry: geometry ? encodeGeometry(geometry, format) : null };
+  });
+}
+
+/**
+ * Encode a GeoJSON Point, Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {string} format - 'wkt', 'wkb' or 'ewkb' (with SRID 4326)
+ * @returns {string} WKT text, or WKB/EWKB as upper case hex
+ */
+function encodeGeometry(geometry, format) {
+  switch (format) {
+    case 'wkt':
+      return toWKT(geometry);
+    case 'wkb':
+      return toWKB(geometry).toString('hex').toUpperCase();
+    case 'ewkb':
+      return toWKB(geometry, WGS84_SRID).toString('hex').toUpperCase();
+    default:
+      throw new Error(`Unsupported geometry encoding: ${format}`);
+  }
+}
+
+/**
+ * @param {Object} geometry - GeoJSON Point, Polygon or MultiPolygon
+ * @returns {string} WKT, e.g. POINT(-117.35 33.2)
+ */
+function toWKT(geometry) {
+  const position = ([x, y]) => `${x} ${y}`;
+  const ring = coordinates => `(${coordinates.map(position).join(',')})`;
+  const polygon = rings => `(${rings.map(ring).join(',')})`;
+
+  switch (geometry.type) {
+    case 'Point':
+      return `POINT(${position(geometry.coordinates)})`;
+    case 'Polygon':
+      return `POLYGON${polygon(geometry.coordinates)}`;
+    case 'MultiPolygon':
+      return `MULTIPOLYGON(${geometry.coordinates.map(polygon).join(',')})`;
+    default:
+      throw new Error(`Unsupported geometry type: ${geometry.type}`);
+  }
+}
+
+/**
+ * @param {Object} geometry - GeoJSON Point, Polygon or MultiPolygon
+ * @param {number} srid - SRID to embed, making the result EWKB (optional)
+ * @returns {Buffer} Little-endian WKB
+ */
+function toWKB(geometry, srid = null) {
+  const type = WKB_TYPES[geometry.type];
+  if (!type) {
+    throw new Error(`Unsupported geometry type: ${geometry.type}`);
+  }
+
+  const header = Buffer.alloc(srid === null ? 5 : 9);
+  header[0] = 1; // Little-endian
+  header.writeUInt32LE(srid === null ? type : (type | EWKB_SRID_FLAG) >>> 0, 1);
+  if (srid !== null) {
+    header.writeUInt32LE(srid, 5);
+  }
+
+  switch (geometry.type) {
+    case 'Point':
+      return Buffer.concat([header, writePositions([geometry.coordinates], false)]);
+    case 'Polygon':
+      return Buffer.concat([header, writeRings(geometry.coordinates)]);
+    default:
+      // Member polygons are plain WKB; only the outer geometry carries the SRID
+      return Buffer.concat([
+        header,
+        writeCount(geometry.coordinates.length),
+        ...geometry.coordinates.map(rings => toWKB({ type: 'Polygon', coordinates: rings }))
+      ]);
+  }
+}
+
+function writeRings(rings) {
+  return Buffer.concat([writeCount(rings.length), ...rings.map(ring => writePositions(ring, true))]);
+}
+
+function writePositions(positions, counted) {
+  const buffer = Buffer.alloc(positions.length * 16);
+  positions.forEach(([x, y], index) => {
+    buffer.writeDoubleLE(x, index * 16);
+    buffer.writeDoubleLE(y, index * 16 + 8);
+  });
+  return counted ? Buffer.concat([writeCount(positions.length), buffer]) : buffer;
+}
+
+function writeCount(count) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(count, 0);
+  return buffer;
+}
+
+module.exports = {
+  GEOMETRY_FORMATS,
+  validateGeometryOption,
+  addGeometryColumn,
+  encodeGeometry,
+  toWKT,
+  toWKB
+};
@@ -0,0 +1,296 @@
+/**
+ * Polygon geometry utilities for GeoJSON Polygon and MultiPolygon geometries
+ * Coordinates are [longitude, latitude] pairs as in GeoJSON
+ */
+
+const EARTH_RADIUS_MILES = 3959;
+
+// Number of sides of the polygon approximating a search circle
+const CIRCLE_SEGMENTS = 256;
+
+/**
+ * Get the list of polygons (each an array of rings) in a geometry
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Array} Array of polygons, each an array of rings
+ */
+function getPolygons(geometry) {
+  if (!geometry) {
+    return [];
+  }
+
+  if (geometry.type === 'Polygon') {
+    return [geometry.coordinates];
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates;
+  }
+
+  return [];
+}
+
+/**
+ * Ray-casting test of a point against a single ring
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {Array} ring - Array of [lon, lat] positions
+ * @returns {boolean} True if the point is inside the ring
+ */
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const intersects = ((yi > lat) !== (yj > lat)) &&
+      (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+
+    if (intersects) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Test whether a point lies inside a polygon geometry (holes excluded)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean} True if the point is inside
+ */
+function pointInGeometry(lat, lon, geometry) {
+  return getPolygons(geometry).some(([outer, ...holes]) =>
+    outer && pointInRing(lon, lat, outer) && !holes.some(hole => pointInRing(lon, lat, hole))
+  );
+}
+
+/**
+ * Calculate the bounding box of a geometry
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object|null} Bounding box {minLat, maxLat, minLon, maxLon}
+ */
+function getGeometryBounds(geometry) {
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  let minLon = Infinity;
+  let maxLon = -Infinity;
+
+  for (const polygon of getPolygons(geometry)) {
+    for (const ring of polygon) {
+      for (const [lon, lat] of ring) {
+        if (lat < minLat) minLat = lat;
+        if (lat > maxLat) maxLat = lat;
+        if (lon < minLon) minLon = lon;
+        if (lon > maxLon) maxLon = lon;
+      }
+    }
+  }
+
+  if (minLat === Infinity) {
+    return null;
+  }
+
+  return { minLat, maxLat, minLon, maxLon };
+}
+
+/**
+ * Signed planar area of a ring (positive when counter-clockwise)
+ * @param {Array} ring - Array of [lon, lat] positions
+ * @returns {number} Signed area in square degrees
+ */
+function ringSignedArea(ring) {
+  let area = 0;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+
+  return area / 2;
+}
+
+/**
+ * Calculate the area-weighted centroid of a geometry's outer rings
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object|null} Centroid {latitude, longitude}
+ */
+function getGeometryCentroid(geometry) {
+  let totalArea = 0;
+  let sumLon = 0;
+  let sumLat = 0;
+
+  for (const [outer] of getPolygons(geometry)) {
+    if (!outer || outer.length < 3) continue;
+
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0, j = outer.length - 1; i < outer.length; j = i++) {
+      const cross = outer[j][0] * outer[i][1] - outer[i][0] * outer[j][1];
+      area += cross;
+      cx += (outer[j][0] + outer[i][0]) * cross;
+      cy += (outer[j][1] + outer[i][1]) * cross;
+    }
+    area /= 2;
+
+    // Normalize orientation so clockwise and counter-clockwise rings weigh the same
+    if (area !== 0) {
+      const sign = Math.sign(area);
+      sumLon += sign * cx / 6;
+      sumLat += sign * cy / 6;
+      totalArea += Math.abs(area);
+    }
+  }
+
+  if (totalArea === 0) {
+    const bounds = getGeometryBounds(geometry);
+    return bounds ? {
+      latitude: (bounds.minLat + bounds.maxLat) / 2,
+      longitude: (bounds.minLon + bounds.maxLon) / 2
+    } : null;
+  }
+
+  return {
+    latitude: sumLat / totalArea,
+    longitude: sumLon / totalArea
+  };
+}
+
+/**
+ * Project a ring onto a plane in miles around a center point (equirectangular)
+ * @param {Array} ring - Array of [lon, lat] positions
+ * @param {number} lat0 - Center latitude
+ * @param {number} lon0 - Center longitude
+ * @returns {Array} Array of [x, y] positions in miles
+ */
+function projectRing(ring, lat0, lon0) {
+  const milesPerDegree = EARTH_RADIUS_MILES * Math.PI / 180;
+  const kx = milesPerDegree * Math.cos(lat0 * Math.PI / 180);
+
+  return ring.map(([lon, lat]) => [(lon - lon0) * kx, (lat - lat0) * milesPerDegree]);
+}
+
+/**
+ * Clip a ring against a convex counter-clockwise polygon (Sutherland-Hodgman)
+ * @param {Array} ring - Subject ring of [x, y] positions
+ * @param {Array} clip - Convex clip polygon of [x, y] positions
+ * @returns {Array} Clipped ring (empty when there is no overlap)
+ */
+function clipRing(ring, clip) {
+  let output = ring;
+
+  for (let i = 0; i < clip.length && output.length > 0; i++) {
+    const [ax, ay] = clip[i];
+    const [bx, by] = clip[(i + 1) % clip.length];
+    const inside = ([x, y]) => (bx - ax) * (y - ay) - (by - ay) * (x - ax) >= 0;
+    const intersect = ([px, py], [qx, qy]) => {
+      const d1 = (bx - ax) * (py - ay) - (by - ay) * (px - ax);
+      const d2 = (bx - ax) * (qy - ay) - (by - ay) * (qx - ax);
+      const t = d1 / (d1 - d2);
+      return [px + t * (qx - px), py + t * (qy - py)];
+    };
+
+    const input = output;
+    output = [];
+    for (let j = 0; j < input.length; j++) {
+      const current = input[j];
+      const previous = input[(j + input.length - 1) % input.length];
+
+      if (inside(current)) {
+        if (!inside(previous)) {
+          output.push(intersect(previous, current));
+        }
+        output.push(current);
+      } else if (inside(previous)) {
+        output.push(intersect(previous, current));
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Calculate the fraction of a geometry's area that lies within a radius of a point
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {number} lat - Center latitude
+ * @param {number} lon - Center longitude
+ * @param {number} radiusMiles - Radius in miles
+ * @returns {number} Fraction between 0 and 1
+ */
+function getCircleCoverage(geometry, lat, lon, radiusMiles) {
+  const circle = [];
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const angle = 2 * Math.PI * i / CIRCLE_SEGMENTS;
+    circle.push([radiusMiles * Math.cos(angle), radiusMiles * Math.sin(angle)]);
+  }
+
+  let totalArea = 0;
+  let insideArea = 0;
+
+  for (const polygon of getPolygons(geometry)) {
+    polygon.forEach((ring, index) => {
+      // Holes subtract from both the polygon area and the covered area
+      const sign = index === 0 ? 1 : -1;
+      const projected = projectRing(ring, lat, lon);
+
+      totalArea += sign * Math.abs(ringSignedArea(projected));
+      insideArea += sign * Math.abs(ringSignedArea(clipRing(projected, circle)));
+    });
+  }
+
+  if (totalArea <= 0) {
+    return 0;
+  }
+
+  return Math.min(Math.max(insideArea / totalArea, 0), 1);
+}
+
+/**
+ * Approximate a circle on the earth's surface as a closed ring
+ * Vertices lie at the great-circle distance from the center, so the ring stays true to the
+ * radius at any latitude rather than flattening into an ellipse
+ * @param {number} lat - Center latitude
+ * @param {number} lon - Center longitude
+ * @param {number} radiusMiles - Radius in miles
+ * @param {number} segments - Number of vertices (default: 72)
+ * @returns {number[][]} Ring of [longitude, latitude] pairs, first and last equal
+ */
+function getGeodesicCircle(lat, lon, radiusMiles, segments = 72) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const toDegrees = radians => radians * 180 / Math.PI;
+  const angularDistance = radiusMiles / EARTH_RADIUS_MILES;
+  const lat1 = toRadians(lat);
+  const lon1 = toRadians(lon);
+  const ring = [];
+
+  for (let i = 0; i < segments; i++) {
+    const bearing = 2 * Math.PI * i / segments;
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(angularDistance) +
+      Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearing)
+    );
+    const lon2 = lon1 + Math.atan2(
+      Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(lat1),
+      Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    // Normalize to -180..180 in case the circle crosses the antimeridian
+    ring.push([((toDegrees(lon2) + 540) % 360) - 180, toDegrees(lat2)]);
+  }
+
+  ring.push(ring[0]);
+  return ring;
+}
+
+module.exports = {
+  getPolygons,
+  pointInRing,
+  pointInGeometry,
+  getGeometryBounds,
+  ringSignedArea,
+  getGeometryCentroid,
+  getCircleCoverage,
+  getGeodesicCircle
+};
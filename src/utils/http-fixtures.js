@@ -0,0 +1,212 @@
+/**
+ * Records provider HTTP exchanges to fixture files and replays them without network access
+ * Fixtures are keyed by source, endpoint path and query parameters, so a recording replays
+ * against any baseUrl; credentials in the query are never written
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Query parameters holding credentials, left out of fixture files and fixture keys
+const SECRET_PARAMS = ['key', 'apikey', 'api_key', 'token', 'access_token'];
+
+// Parameters naming what was looked up, used to give fixture files readable names
+const QUERY_PARAMS = ['q', 'address', 'latlng', 'lat', 'lon', 'y', 'x'];
+
+// Bumped when the fixture file layout changes
+const FIXTURE_VERSION = 1;
+
+/**
+ * Raised in replay mode when a request has no recorded response
+ */
+class FixtureNotFoundError extends Error {
+  constructor(source, requestPath, file) {
+    super(`No recorded response for ${source} ${requestPath} (expected ${file})`);
+    this.name = 'FixtureNotFoundError';
+    this.source = source;
+    this.file = file;
+  }
+}
+
+class HttpFixtures {
+  /**
+   * @param {Object} options - Fixture options
+   * @param {string} options.mode - 'record' or 'replay'
+   * @param {string} options.directory - Directory holding the fixture files
+   * @param {Object} options.logger - Logger for debug output
+   */
+  constructor(options = {}) {
+    if (!['record', 'replay'].includes(options.mode)) {
+      throw new Error(`Unknown fixture mode: ${options.mode}`);
+    }
+
+    this.mode = options.mode;
+    this.directory = path.resolve(options.directory);
+    this.logger = options.logger || null;
+
+    // Recorded exchanges and replay positions by fixture file
+    this.fixtures = new Map();
+    this.positions = new Map();
+    // Writes to one file are chained so concurrent requests append in order
+    this.writes = new Map();
+  }
+
+  /**
+   * Describe a request without credentials
+   * @param {string} source - Provider name
+   * @param {string} requestPath - Endpoint path below the provider's baseUrl
+   * @param {Object} params - Query parameters
+   * @returns {Object} {source, path, params, file}
+   */
+  describe(source, requestPath, params = {}) {
+    const safeParams = Object.fromEntries(
+      Object.keys(params)
+        .filter(name => !SECRET_PARAMS.includes(name.toLowerCase()))
+        .sort()
+        .map(name => [name, String(params[name])])
+    );
+
+    const identity = JSON.stringify({ source, path: requestPath, params: safeParams });
+    const hash = crypto.createHash('sha1').update(identity).digest('hex').slice(0, 10);
+    // A readable prefix such as search-92054 makes fixtures easy to find by hand
+    const slug = [requestPath, ...QUERY_PARAMS.filter(name => name in safeParams).map(name => safeParams[name])]
+      .join('-')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60);
+
+    return {
+      source,
+      path: requestPath,
+      params: safeParams,
+      file: path.join(this.directory, source, `${slug || 'root'}-${hash}.json`)
+    };
+  }
+
+  /**
+   * Replay the next recorded response for a request
+   * Requests made several times (e.g. retries) get their responses in recorded order;
+   * once they run out the last one is repeated
+   * @returns {Promise<Object>} axios-style response
+   * @throws {Error} The recorded error, shaped like the axios error it came from
+   * @throws {FixtureNotFoundError} When the request was never recorded
+   */
+  async replay(source, requestPath, params) {
+    const request = this.describe(source, requestPath, params);
+    const fixture = await this.read(request.file);
+
+    if (!fixture) {
+      throw new FixtureNotFoundError(source, requestPath, request.file);
+    }
+
+    const position = this.positions.get(request.file) || 0;
+    const exchange = fixture.exchanges[Math.min(position, fixture.exchanges.length - 1)];
+    this.positions.set(request.file, position + 1);
+
+    if (process.env.DEBUG && this.logger) {
+      this.logger.debug(`📼 Replaying ${source} ${requestPath} from ${path.relative(this.directory, request.file)}`);
+    }
+
+    if (exchange.error) {
+      throw this.toError(exchange);
+    }
+    return { status: exchange.status, headers: exchange.headers, data: exchange.data };
+  }
+
+  /**
+   * Append a response, or the error a request failed with, to the request's fixture file
+   * @param {Object} outcome - {response} or {error}
+   */
+  async record(source, requestPath, params, outcome) {
+    const request = this.describe(source, requestPath, params);
+    const exchange = this.toExchange(outcome);
+
+    const previous = this.writes.get(request.file) || Promise.resolve();
+    const write = previous.then(async () => {
+      const fixture = this.fixtures.get(request.file) || {
+        version: FIXTURE_VERSION,
+        request: { source, path: requestPath, params: request.params },
+        exchanges: []
+      };
+      fixture.exchanges.push(exchange);
+      this.fixtures.set(request.file, fixture);
+
+      await fs.mkdir(path.dirname(request.file), { recursive: true });
+      await fs.writeFile(request.file, JSON.stringify(fixture, null, 2), 'utf8');
+    });
+    this.writes.set(request.file, write.catch(() => {}));
+
+    await write;
+
+    if (process.env.DEBUG && this.logger) {
+      this.logger.debug(`📼 Recorded ${source} ${requestPath} to ${path.relative(this.directory, request.file)}`);
+    }
+  }
+
+  async read(file) {
+    if (this.fixtures.has(file)) {
+      return this.fixtures.get(file);
+    }
+
+    let fixture = null;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read fixture ${file}: ${error.message}`, { cause: error });
+      }
+    }
+
+    if (fixture && (fixture.version > FIXTURE_VERSION || !Array.isArray(fixture.exchanges) || fixture.exchanges.length === 0)) {
+      throw new Error(`${file} is not a fixture this version can replay`);
+    }
+
+    this.fixtures.set(file, fixture);
+    return fixture;
+  }
+
+  toExchange({ response, error }) {
+    const recorded = new Date().toISOString();
+
+    if (response) {
+      return { status: response.status, headers: this.pickHeaders(response.headers), data: response.data, recorded };
+    }
+
+    return {
+      status: error.response ? error.response.status : null,
+      headers: error.response ? this.pickHeaders(error.response.headers) : {},
+      data: error.response ? error.response.data : null,
+      error: { message: error.message, code: error.code || null },
+      recorded
+    };
+  }
+
+  /**
+   * Rebuild a recorded failure with the fields the API client inspects on axios errors
+   */
+  toError(exchange) {
+    const error = new Error(exchange.error.message);
+    error.code = exchange.error.code || undefined;
+    error.isAxiosError = true;
+    if (exchange.status !== null) {
+      error.response = { status: exchange.status, headers: exchange.headers, data: exchange.data };
+    }
+    return error;
+  }
+
+  pickHeaders(headers = {}) {
+    const picked = {};
+    for (const name of ['content-type', 'retry-after']) {
+      const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+      if (value !== undefined && value !== null) {
+        picked[name] = String(value);
+      }
+    }
+    return picked;
+  }
+}
+
+module.exports = HttpFixtures;
+module.exports.FixtureNotFoundError = FixtureNotFoundError;
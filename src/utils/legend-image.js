@@ -0,0 +1,212 @@
+/**
+ * Renders map legends as PNG images, for viewers such as Google Earth that can only show
+ * a legend as a screen overlay image
+ * Text is drawn with a built-in 5x7 pixel font, so no image or font library is needed;
+ * the font covers upper case letters, digits and common punctuation
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('./zip-writer');
+
+// Each glyph is 7 rows of 5 pixels, top to bottom
+const FONT = {
+  A: '01110 10001 10001 11111 10001 10001 10001',
+  B: '11110 10001 10001 11110 10001 10001 11110',
+  C: '01110 10001 10000 10000 10000 10001 01110',
+  D: '11110 10001 10001 10001 10001 10001 11110',
+  E: '11111 10000 10000 11110 10000 10000 11111',
+  F: '11111 10000 10000 11110 10000 10000 10000',
+  G: '01110 10001 10000 10111 10001 10001 01111',
+  H: '10001 10001 10001 11111 10001 10001 10001',
+  I: '01110 00100 00100 00100 00100 00100 01110',
+  J: '00111 00010 00010 00010 00010 10010 01100',
+  K: '10001 10010 10100 11000 10100 10010 10001',
+  L: '10000 10000 10000 10000 10000 10000 11111',
+  M: '10001 11011 10101 10101 10001 10001 10001',
+  N: '10001 10001 11001 10101 10011 10001 10001',
+  O: '01110 10001 10001 10001 10001 10001 01110',
+  P: '11110 10001 10001 11110 10000 10000 10000',
+  Q: '01110 10001 10001 10001 10101 10010 01101',
+  R: '11110 10001 10001 11110 10100 10010 10001',
+  S: '01111 10000 10000 01110 00001 00001 11110',
+  T: '11111 00100 00100 00100 00100 00100 00100',
+  U: '10001 10001 10001 10001 10001 10001 01110',
+  V: '10001 10001 10001 10001 10001 01010 00100',
+  W: '10001 10001 10001 10101 10101 10101 01010',
+  X: '10001 10001 01010 00100 01010 10001 10001',
+  Y: '10001 10001 01010 00100 00100 00100 00100',
+  Z: '11111 00001 00010 00100 01000 10000 11111',
+  0: '01110 10001 10011 10101 11001 10001 01110',
+  1: '00100 01100 00100 00100 00100 00100 01110',
+  2: '01110 10001 00001 00010 00100 01000 11111',
+  3: '11111 00010 00100 00010 00001 10001 01110',
+  4: '00010 00110 01010 10010 11111 00010 00010',
+  5: '11111 10000 11110 00001 00001 10001 01110',
+  6: '00110 01000 10000 11110 10001 10001 01110',
+  7: '11111 00001 00010 00100 01000 01000 01000',
+  8: '01110 10001 10001 01110 10001 10001 01110',
+  9: '01110 10001 10001 01111 00001 00010 01100',
+  ' ': '00000 00000 00000 00000 00000 00000 00000',
+  '.': '00000 00000 00000 00000 00000 01100 01100',
+  ',': '00000 00000 00000 00000 01100 00100 01000',
+  '-': '00000 00000 00000 11111 00000 00000 00000',
+  '_': '00000 00000 00000 00000 00000 00000 11111',
+  '(': '00010 00100 01000 01000 01000 00100 00010',
+  ')': '01000 00100 00010 00010 00010 00100 01000',
+  '/': '00000 00001 00010 00100 01000 10000 00000',
+  ':': '00000 01100 01100 00000 01100 01100 00000',
+  "'": '01100 00100 01000 00000 00000 00000 00000',
+  '+': '00000 00100 00100 11111 00100 00100 00000',
+  '&': '01100 10010 10100 01000 10101 10010 01101',
+  '%': '11000 11001 00010 00100 01000 10011 00011',
+  '?': '01110 10001 00001 00010 00100 00000 00100'
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+// Pixels per font pixel, and blank font pixels between characters
+const SCALE = 2;
+const LETTER_SPACING = 1;
+
+const PADDING = 10;
+const ROW_HEIGHT = 24;
+const SWATCH_SIZE = 14;
+const SWATCH_GAP = 4;
+
+const TEXT_COLOR = [0x22, 0x22, 0x22, 0xff];
+const BORDER_COLOR = [0x33, 0x33, 0x33, 0xff];
+const BACKGROUND_COLOR = [0xff, 0xff, 0xff, 0xe6];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Parse an RRGGBB hex color
+ * @returns {number[]} [red, green, blue, alpha]
+ */
+function parseColor(hex) {
+  const value = String(hex).replace(/^#/, '');
+  return [0, 2, 4].map(index => parseInt(value.substring(index, index + 2), 16)).concat(0xff);
+}
+
+/**
+ * Width in pixels of a line of text
+ */
+function measureText(text) {
+  return text.length * (GLYPH_WIDTH + LETTER_SPACING) * SCALE;
+}
+
+class Canvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 4);
+  }
+
+  fill(x, y, width, height, color) {
+    for (let row = Math.max(y, 0); row < Math.min(y + height, this.height); row++) {
+      for (let column = Math.max(x, 0); column < Math.min(x + width, this.width); column++) {
+        this.pixels.set(color, (row * this.width + column) * 4);
+      }
+    }
+  }
+
+  text(x, y, text, color) {
+    let left = x;
+    for (const character of text) {
+      // Characters the font does not cover are drawn as "?"
+      const rows = (FONT[character] || FONT['?']).split(' ');
+      rows.forEach((bits, row) => {
+        for (let column = 0; column < GLYPH_WIDTH; column++) {
+          if (bits[column] === '1') {
+            this.fill(left + column * SCALE, y + row * SCALE, SCALE, SCALE, color);
+          }
+        }
+      });
+      left += (GLYPH_WIDTH + LETTER_SPACING) * SCALE;
+    }
+  }
+
+  /**
+   * Encode as an 8-bit RGBA PNG
+   * @returns {Buffer} PNG file contents
+   */
+  toPng() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // Color type: RGBA
+    // Compression, filter and interlace methods stay 0
+
+    // Every scanline starts with filter type 0 (none)
+    const stride = this.width * 4;
+    const raw = Buffer.alloc((stride + 1) * this.height);
+    for (let row = 0; row < this.height; row++) {
+      this.pixels.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+    }
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, checksum]);
+}
+
+/**
+ * Render a legend: a title, then one row per entry with color swatches and a label
+ * Labels are drawn in upper case
+ * @param {Array<Object>} entries - Legend rows
+ * @param {string|string[]} entries[].color - RRGGBB color, or several drawn side by side
+ * @param {string} entries[].label - Row label
+ * @param {string} entries[].shape - 'point' for a square swatch, 'line' for a line swatch (default: 'point')
+ * @param {string} title - Heading (default: 'Legend')
+ * @returns {Buffer} PNG file contents
+ */
+function renderLegend(entries, title = 'Legend') {
+  const rows = entries.map(entry => ({
+    colors: (Array.isArray(entry.color) ? entry.color : [entry.color]).map(parseColor),
+    label: String(entry.label).toUpperCase(),
+    shape: entry.shape || 'point'
+  }));
+
+  const swatchWidth = Math.max(1, ...rows.map(row => row.colors.length)) * (SWATCH_SIZE + SWATCH_GAP);
+  const textWidth = Math.max(measureText(title), ...rows.map(row => swatchWidth + SWATCH_GAP + measureText(row.label)));
+  const canvas = new Canvas(PADDING * 2 + textWidth, PADDING * 2 + ROW_HEIGHT * (rows.length + 1));
+
+  canvas.fill(0, 0, canvas.width, canvas.height, BACKGROUND_COLOR);
+  canvas.text(PADDING, PADDING + (ROW_HEIGHT - GLYPH_HEIGHT * SCALE) / 2, title.toUpperCase(), TEXT_COLOR);
+
+  rows.forEach((row, index) => {
+    const top = PADDING + ROW_HEIGHT * (index + 1);
+    const swatchTop = top + (ROW_HEIGHT - SWATCH_SIZE) / 2;
+
+    row.colors.forEach((color, colorIndex) => {
+      const left = PADDING + colorIndex * (SWATCH_SIZE + SWATCH_GAP);
+      if (row.shape === 'line') {
+        canvas.fill(left, top + ROW_HEIGHT / 2 - 2, SWATCH_SIZE, 4, color);
+      } else {
+        canvas.fill(left, swatchTop, SWATCH_SIZE, SWATCH_SIZE, BORDER_COLOR);
+        canvas.fill(left + 1, swatchTop + 1, SWATCH_SIZE - 2, SWATCH_SIZE - 2, color);
+      }
+    });
+
+    canvas.text(PADDING + swatchWidth + SWATCH_GAP, top + (ROW_HEIGHT - GLYPH_HEIGHT * SCALE) / 2, row.label, TEXT_COLOR);
+  });
+
+  return canvas.toPng();
+}
+
+module.exports = {
+  renderLegend
+};
@@ -0,0 +1,59 @@
+/**
+ * Loggers used by the CLI and the library API
+ * Anything with debug/info/warn/error methods can be injected (console, pino, winston, ...)
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const noop = () => {};
+
+/**
+ * CLI logger: progress and debug output on stdout, warnings and errors on stderr
+ */
+const consoleLogger = {
+  debug: (...args) => console.log(...args),
+  info: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+};
+
+/**
+ * Library logger: everything goes to stderr so stdout stays free for the host application
+ */
+const stderrLogger = {
+  debug: (...args) => console.error(...args),
+  info: (...args) => console.error(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+};
+
+const silentLogger = {
+  debug: noop,
+  info: noop,
+  warn: noop,
+  error: noop
+};
+
+/**
+ * Fill in any missing level so callers can log without checking
+ * @param {Object} logger - Logger with some or all of debug/info/warn/error (default: consoleLogger)
+ * @returns {Object} Logger with every level
+ */
+function createLogger(logger = consoleLogger) {
+  if (!logger) {
+    return silentLogger;
+  }
+
+  const complete = {};
+  for (const level of LEVELS) {
+    complete[level] = typeof logger[level] === 'function' ? logger[level].bind(logger) : noop;
+  }
+  return complete;
+}
+
+module.exports = {
+  consoleLogger,
+  stderrLogger,
+  silentLogger,
+  createLogger
+};
@@ -1,9 +1,76 @@
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const path = require('path');
+const { createLogger } = require('./logger');
+const { calculateDistance, getBoundingBox } = require('./distance');
+const { getGeodesicCircle } = require('./geometry');
+const { renderLegend } = require('./legend-image');
+const { createZip } = require('./zip-writer');
+
+const METERS_PER_MILE = 1609.344;
+
+// Map colors as RRGGBB
+const CENTER_COLOR = '00ff00';
+const RESULT_COLOR = 'ff0000';
+const OUTSIDE_COLOR = '888888';
+const RADIUS_COLOR = '00aa00';
+const COMPARE_ONLY_COLOR = '888888';
+
+// Folder order for results inside the radius, inside it for one source only, and outside it
+const RADIUS_ZONES = ['inside', 'mixed', 'outside'];
+
+// Where a KMZ archive keeps its legend image
+const KMZ_LEGEND_PATH = 'files/legend.png';
+
+// Leaflet is inlined into every HTML map so the file opens without network access
+let leafletAssets = null;
+
+function getLeafletAssets() {
+    if (!leafletAssets) {
+        leafletAssets = {
+            css: fs.readFileSync(require.resolve('leaflet/dist/leaflet.css'), 'utf8'),
+            js: fs.readFileSync(require.resolve('leaflet/dist/leaflet.js'), 'utf8')
+        };
+    }
+    return leafletAssets;
+}
+
+/**
+ * Convert an RRGGBB color to KML's AABBGGRR
+ * @param {string} rgb - RRGGBB color
+ * @param {string} alpha - Two-digit hex opacity (default: 'ff')
+ */
+function toKmlColor(rgb, alpha = 'ff') {
+    return `${alpha}${rgb.substring(4, 6)}${rgb.substring(2, 4)}${rgb.substring(0, 2)}`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
 class MapGenerator {
-    constructor() {
+    /**
+     * @param {Object} options - Generator options
+     * @param {Object} options.logger - Logger (default: console)
+     * @param {Config} options.config - Configuration holding the map section (optional)
+     */
+    constructor(options = {}) {
+        this.logger = createLogger(options.logger);
+        this.config = options.config || null;
+
         // Color palette for different zipcode pairs in comparison mode
         this.comparisonColors = [
             { color: 'ff6600', name: 'orange' },    // Orange
@@ -48,38 +115,62 @@ class MapGenerator {
 
     /**
      * Generate KML file for Google Earth with intelligent color coding
+     * A legend image is written next to the KML file, or packaged with it when kmz is set
      * @param {Array} results - Array of zipcode results with coordinates
      * @param {Object} options - Options for KML generation
-     * @returns {Promise<string>} Path to generated KML file
+     * @param {Object} options.centerPoint - Search center (optional)
+     * @param {Object} options.comparePoint - Search center according to the comparison source (optional)
+     * @param {Array} options.compareResults - Comparison source results (optional)
+     * @param {string} options.source - Primary source name
+     * @param {string} options.compareSource - Comparison source name
+     * @param {number} options.radiusMiles - Search radius, drawn as a circle and used to sort placemarks into folders (optional)
+     * @param {boolean} options.kmz - Write a compressed .kmz instead of a .kml (default: false)
+     * @param {string} options.filename - KML file name; a .kmz gets the same name with its own extension
+     * @returns {Promise<string>} Path to generated KML or KMZ file
      */
     async generateKmlFile(results, options = {}) {
         const {
             centerPoint = null,
+            comparePoint = null,
             compareResults = null,
             source = 'primary',
             compareSource = 'compare',
+            radiusMiles = null,
+            kmz = false,
             filename = null
         } = options;
 
         try {
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const kmlFilename = filename || `zipcode-map-${timestamp}.kml`;
-            const outputPath = path.join(process.cwd(), kmlFilename);
+            const baseName = kmlFilename.replace(/\.kml$/i, '');
+            const contentOptions = { centerPoint, comparePoint, compareResults, source, compareSource, radiusMiles };
+            const legend = renderLegend(this.getKmlLegendEntries(results, contentOptions));
 
-            const kmlContent = this.buildKmlContent(results, {
-                centerPoint,
-                compareResults,
-                source,
-                compareSource
-            });
+            let outputPath;
+            if (kmz) {
+                outputPath = path.join(process.cwd(), `${baseName}.kmz`);
+                const kmlContent = this.buildKmlContent(results, { ...contentOptions, legendHref: KMZ_LEGEND_PATH });
 
-            await fs.writeFile(outputPath, kmlContent, 'utf8');
+                // Viewers open the first .kml entry, so doc.kml comes first
+                await fs.writeFile(outputPath, createZip([
+                    { name: 'doc.kml', data: kmlContent },
+                    { name: KMZ_LEGEND_PATH, data: legend, compress: false }
+                ]));
+            } else {
+                outputPath = path.join(process.cwd(), kmlFilename);
+                const legendFilename = `${baseName}-legend.png`;
+                const kmlContent = this.buildKmlContent(results, { ...contentOptions, legendHref: path.basename(legendFilename) });
 
-            console.log(chalk.green(`📁 KML file generated: ${outputPath}`));
+                await fs.writeFile(path.join(process.cwd(), legendFilename), legend);
+                await fs.writeFile(outputPath, kmlContent, 'utf8');
+            }
+
+            this.logger.info(chalk.green(`📁 ${kmz ? 'KMZ' : 'KML'} file generated: ${outputPath}`));
             return outputPath;
 
         } catch (error) {
-            console.error(chalk.red(`❌ Failed to generate KML file: ${error.message}`));
+            this.logger.error(chalk.red(`❌ Failed to generate ${kmz ? 'KMZ' : 'KML'} file: ${error.message}`));
             return null;
         }
     }
@@ -87,15 +178,19 @@ class MapGenerator {
     /**
      * Build KML content with intelligent color coding for comparison mode
      * @param {Array} results - Array of zipcode results with coordinates
-     * @param {Object} options - Options for KML content
+     * @param {Object} options - Options for KML content (see generateKmlFile)
+     * @param {string} options.legendHref - Legend image location, relative to the KML file; no legend overlay without it
      * @returns {string} KML content
      */
     buildKmlContent(results, options = {}) {
         const {
             centerPoint = null,
+            comparePoint = null,
             compareResults = null,
             source = 'primary',
-            compareSource = 'compare'
+            compareSource = 'compare',
+            radiusMiles = null,
+            legendHref = null
         } = options;
 
         // Check if this is comparison mode
@@ -113,11 +208,20 @@ class MapGenerator {
         if (isComparisonMode) {
             // Generate styles and process comparison mode
             kml += this.generateComparisonStyles();
-            kml += this.generateComparisonPlacemarks(results, compareResults, centerPoint, source, compareSource);
+            kml += this.generateRadiusPlacemarks([
+                [centerPoint, `${radiusMiles} mile radius (${source})`, 'radiusStyle'],
+                [comparePoint, `${radiusMiles} mile radius (${compareSource})`, 'compareRadiusStyle']
+            ], radiusMiles);
+            kml += this.generateComparisonPlacemarks(results, compareResults, centerPoint, source, compareSource, comparePoint, radiusMiles);
         } else {
             // Generate styles for single source mode
             kml += this.generateSingleSourceStyles();
-            kml += this.generateSingleSourcePlacemarks(results, centerPoint, source);
+            kml += this.generateRadiusPlacemarks([[centerPoint, `${radiusMiles} mile radius`, 'radiusStyle']], radiusMiles);
+            kml += this.generateSingleSourcePlacemarks(results, centerPoint, source, radiusMiles);
+        }
+
+        if (legendHref) {
+            kml += this.generateLegendOverlay(legendHref);
         }
 
         kml += `
@@ -136,12 +240,7 @@ class MapGenerator {
 
         // Generate StyleMaps and Styles for different color pairs
         this.comparisonColors.forEach((colorInfo, index) => {
-            // Convert RGB to KML AABBGGRR format
-            const rgb = colorInfo.color;
-            const red = rgb.substring(0, 2);
-            const green = rgb.substring(2, 4);
-            const blue = rgb.substring(4, 6);
-            const kmlColor = `ff${blue}${green}${red}`; // KML format: AABBGGRR
+            const kmlColor = toKmlColor(colorInfo.color);
 
             styles += `
 	<StyleMap id="color${index}Style">
@@ -172,6 +271,35 @@ class MapGenerator {
 	</Style>`;
         });
 
+        const radiusColor = this.comparisonColors[0].color;
+        styles += `
+	<Style id="compareOnlyStyle">
+		<IconStyle>
+			<color>${toKmlColor(COMPARE_ONLY_COLOR)}</color>
+			<Icon>
+				<href>http://maps.google.com/mapfiles/kml/pushpin/wht-pushpin.png</href>
+			</Icon>
+		</IconStyle>
+	</Style>
+	<Style id="radiusStyle">
+		<LineStyle>
+			<color>${toKmlColor(radiusColor)}</color>
+			<width>2</width>
+		</LineStyle>
+		<PolyStyle>
+			<color>${toKmlColor(radiusColor, '26')}</color>
+		</PolyStyle>
+	</Style>
+	<Style id="compareRadiusStyle">
+		<LineStyle>
+			<color>${toKmlColor(radiusColor, '99')}</color>
+			<width>2</width>
+		</LineStyle>
+		<PolyStyle>
+			<fill>0</fill>
+		</PolyStyle>
+	</Style>`;
+
         return styles;
     }
 
@@ -202,21 +330,153 @@ class MapGenerator {
         </Icon>
       </IconStyle>
     </Style>
+
+    <!-- Results outside the search radius, e.g. zipcodes whose boundary reaches into it -->
+    <Style id="outsideStyle">
+      <IconStyle>
+        <color>${toKmlColor(OUTSIDE_COLOR)}</color>
+        <scale>1.0</scale>
+        <Icon>
+          <href>http://maps.google.com/mapfiles/kml/pushpin/wht-pushpin.png</href>
+        </Icon>
+      </IconStyle>
+    </Style>
+
+    <!-- Search radius style -->
+    <Style id="radiusStyle">
+      <LineStyle>
+        <color>${toKmlColor(RADIUS_COLOR)}</color>
+        <width>2</width>
+      </LineStyle>
+      <PolyStyle>
+        <color>${toKmlColor(RADIUS_COLOR, '26')}</color>
+      </PolyStyle>
+    </Style>
 `;
     }
 
     /**
      * Generate placemarks for comparison mode with intelligent color coding
+     * Zipcodes are grouped by agreement between the sources, then by whether they lie inside
+     * the search radius, then by state
      * @param {Array} primaryResults - Primary source results
      * @param {Array} compareResults - Compare source results
      * @param {Object} centerPoint - Center point coordinates
      * @param {string} source - Primary source name
      * @param {string} compareSource - Compare source name
+     * @param {Object} comparePoint - Center point according to the compare source (optional)
+     * @param {number} radiusMiles - Search radius (optional)
      * @returns {string} KML placemarks
      */
-    generateComparisonPlacemarks(primaryResults, compareResults, centerPoint, source, compareSource) {
+    generateComparisonPlacemarks(primaryResults, compareResults, centerPoint, source, compareSource, comparePoint = null, radiusMiles = null) {
         let kml = '';
 
+        const { primaryMap, compareMap, centerZipcode, zipcodeOnlyInPrimary, zipcodeOnlyInCompare, zipcodesInBoth } =
+            this.classifyComparison(primaryResults, compareResults, centerPoint);
+
+        // 1. Center Point folder
+        if (centerPoint && centerZipcode) {
+            kml += `
+	<Folder>
+		<name>Center Point - ${escapeXml(centerZipcode)}</name>
+		<description>The search center according to each source</description>`;
+
+            for (const [result, label] of [[primaryMap.get(centerZipcode), source], [compareMap.get(centerZipcode), compareSource]]) {
+                if (result) {
+                    kml += this.buildKmlPlacemark(`${centerZipcode} (${label})`, this.getKmlRows(result, label), '#color0Style', result, 2);
+                }
+            }
+
+            kml += `
+	</Folder>`;
+        }
+
+        // 2. Every other zipcode, grouped by agreement status
+        const agreementOf = ({ primary, compare }) => {
+            if (!compare) {
+                return `Only in ${source}`;
+            }
+            if (!primary) {
+                return `Only in ${compareSource}`;
+            }
+            const difference = this.calculateCoordinateDifference(primary.latitude, primary.longitude, compare.latitude, compare.longitude);
+            // Consider coordinates identical if difference is less than 0.001 degrees (~100 meters)
+            return difference < 0.001 ? 'Same position in both sources' : 'Different positions';
+        };
+
+        const items = [
+            ...zipcodesInBoth.map(({ zipcode, colorIndex }) => ({ zipcode, colorIndex, primary: primaryMap.get(zipcode), compare: compareMap.get(zipcode) })),
+            ...zipcodeOnlyInPrimary.map(zipcode => ({ zipcode, primary: primaryMap.get(zipcode) })),
+            ...zipcodeOnlyInCompare.map(zipcode => ({ zipcode, compare: compareMap.get(zipcode) }))
+        ].map(item => {
+            // Each source's positions are measured from that source's own center
+            const zones = [
+                item.primary && this.getRadiusZone(item.primary, centerPoint, radiusMiles),
+                item.compare && this.getRadiusZone(item.compare, comparePoint || centerPoint, radiusMiles)
+            ].filter(Boolean);
+            const zone = zones.every(value => value === zones[0]) ? zones[0] : 'mixed';
+
+            return { ...item, agreement: agreementOf(item), zone, state: (item.primary || item.compare).state };
+        });
+
+        const agreementOrder = ['Same position in both sources', 'Different positions', `Only in ${source}`, `Only in ${compareSource}`];
+        const levels = [item => item.agreement];
+        if (items.some(item => item.zone)) {
+            levels.push(item => this.getRadiusZoneName(item.zone, radiusMiles));
+        }
+        levels.push(item => item.state || 'Unknown state');
+
+        items.sort((a, b) =>
+            agreementOrder.indexOf(a.agreement) - agreementOrder.indexOf(b.agreement) ||
+            RADIUS_ZONES.indexOf(a.zone) - RADIUS_ZONES.indexOf(b.zone) ||
+            String(a.state || '~').localeCompare(String(b.state || '~'))
+        );
+
+        kml += this.buildKmlFolders(items, levels, (item, depth) => {
+            if (item.primary && item.compare) {
+                return this.buildKmlPairFolder(item, source, compareSource, depth);
+            }
+            const [result, label, styleUrl] = item.primary
+                ? [item.primary, source, '#color1Style']
+                : [item.compare, compareSource, '#compareOnlyStyle'];
+            return this.buildKmlPlacemark(`${item.zipcode} (${label})`, this.getKmlRows(result, label), styleUrl, result, depth);
+        }, 1);
+
+        return kml;
+    }
+
+    /**
+     * Folder holding a zipcode's placemark from each source, in the zipcode's own color
+     */
+    buildKmlPairFolder({ zipcode, colorIndex, primary, compare }, source, compareSource, depth) {
+        const indent = '\t'.repeat(depth);
+        const colorInfo = this.comparisonColors[colorIndex % this.comparisonColors.length];
+        const styleUrl = `#color${(colorIndex + 2) % this.comparisonColors.length}Style`;
+        const coordinateDifference = calculateDistance(primary.latitude, primary.longitude, compare.latitude, compare.longitude);
+        const hasDistances = typeof primary.distance_miles === 'number' && typeof compare.distance_miles === 'number';
+        const summary = hasDistances
+            ? `${(primary.distance_miles - compare.distance_miles).toFixed(2)} miles`
+            : `${coordinateDifference.toFixed(2)} miles apart`;
+
+        return `
+${indent}<Folder>
+${indent}	<name>${escapeXml(`${zipcode} - ${colorInfo.name.toUpperCase()} (${summary})`)}</name>
+${indent}	<description>${escapeXml(`Positions ${coordinateDifference.toFixed(2)} miles apart between sources`)}</description>` +
+            this.buildKmlPlacemark(`${zipcode} (${source})`, this.getKmlRows(primary, source), styleUrl, primary, depth + 1) +
+            this.buildKmlPlacemark(`${zipcode} (${compareSource})`, this.getKmlRows(compare, compareSource), styleUrl, compare, depth + 1) + `
+${indent}</Folder>`;
+    }
+
+    /**
+     * Sort comparison results into the groups every comparison map colors alike:
+     * the center zipcode, zipcodes only one source returned, and zipcodes in both sources,
+     * each of which gets its own color index
+     * @param {Array} primaryResults - Primary source results
+     * @param {Array} compareResults - Compare source results
+     * @param {Object} centerPoint - Center point coordinates
+     * @returns {Object} {primaryMap, compareMap, centerZipcode, zipcodeOnlyInPrimary, zipcodeOnlyInCompare, zipcodesInBoth}
+     */
+    classifyComparison(primaryResults, compareResults, centerPoint) {
         // Create maps for easy lookup
         const primaryMap = new Map();
         const compareMap = new Map();
@@ -243,6 +503,7 @@ class MapGenerator {
         // Separate zipcodes into categories
         const centerZipcode = centerPoint?.zipcode;
         const zipcodeOnlyInPrimary = [];
+        const zipcodeOnlyInCompare = [];
         const zipcodesInBoth = [];
 
         let colorIndex = 0;
@@ -260,182 +521,569 @@ class MapGenerator {
             } else if (primaryResult && !compareResult) {
                 // Only in primary source
                 zipcodeOnlyInPrimary.push(zipcode);
+            } else {
+                // Only in compare source
+                zipcodeOnlyInCompare.push(zipcode);
             }
         }
 
-        // 1. Center Point folder
-        if (centerPoint && centerZipcode) {
-            const primaryResult = primaryMap.get(centerZipcode);
-            const compareResult = compareMap.get(centerZipcode);
-            const colorInfo = this.comparisonColors[0];
+        return { primaryMap, compareMap, centerZipcode, zipcodeOnlyInPrimary, zipcodeOnlyInCompare, zipcodesInBoth };
+    }
 
-            kml += `
-	<Folder>
-		<name>Center Point - ${centerZipcode}</name>
-		<description>Zipcodes with different coordinates between sources</description>`;
-
-            if (primaryResult) {
-                kml += `
-		<Placemark>
-			<name>${centerZipcode} (${source})</name>
-			<description>Source: ${source}
-          City: ${primaryResult.city || 'N/A'}
-          State: ${primaryResult.state || 'N/A'}</description>
-			<styleUrl>#color0Style</styleUrl>
-			<Point>
-				<coordinates>${primaryResult.longitude},${primaryResult.latitude},0</coordinates>
-			</Point>
-		</Placemark>`;
-            }
+    /**
+     * Generate placemarks for single source mode
+     * Results are grouped by whether they lie inside the search radius, then by state
+     * @param {Array} results - Results array
+     * @param {Object} centerPoint - Center point coordinates
+     * @param {string} source - Source name
+     * @param {number} radiusMiles - Search radius (optional)
+     * @returns {string} KML placemarks
+     */
+    generateSingleSourcePlacemarks(results, centerPoint, source, radiusMiles = null) {
+        let kml = '';
+
+        // Add center point if provided
+        if (centerPoint) {
+            kml += this.buildKmlPlacemark(`Center: ${centerPoint.zipcode || 'CENTER'}`, [['Center point for radius search']], '#centerStyle', centerPoint, 1);
+        }
+
+        const items = (Array.isArray(results) ? results : [])
+            .filter(result => this.isValidCoordinate(result.latitude, result.longitude))
+            .map(result => ({ result, zone: this.getRadiusZone(result, centerPoint, radiusMiles) }));
 
-            if (compareResult) {
-                kml += `
-		<Placemark>
-			<name>${centerZipcode} (${compareSource})</name>
-			<description>Source: ${compareSource}
-          City: ${compareResult.city || 'N/A'}
-          State: ${compareResult.state || 'N/A'}</description>
-			<styleUrl>#color0Style</styleUrl>
-			<Point>
-				<coordinates>${compareResult.longitude},${compareResult.latitude},0</coordinates>
-			</Point>
-		</Placemark>`;
+        // Add results folder
+        if (items.length > 0) {
+            const levels = [];
+            if (items[0].zone) {
+                levels.push(item => this.getRadiusZoneName(item.zone, radiusMiles));
             }
+            levels.push(item => item.result.state || 'Unknown state');
+
+            items.sort((a, b) =>
+                RADIUS_ZONES.indexOf(a.zone) - RADIUS_ZONES.indexOf(b.zone) ||
+                String(a.result.state || '~').localeCompare(String(b.result.state || '~'))
+            );
 
             kml += `
+	<Folder>
+		<name>${escapeXml(`Results (${source}) - ${items.length} zipcodes`)}</name>
+		<description>${escapeXml(`Results from ${source} data source`)}</description>` +
+                this.buildKmlFolders(items, levels, ({ result, zone }, depth) => this.buildKmlPlacemark(
+                    result.zipcode,
+                    this.getKmlRows(result, source),
+                    zone === 'outside' ? '#outsideStyle' : '#primaryStyle',
+                    result,
+                    depth
+                ), 2) + `
 	</Folder>`;
         }
 
-        // 2. Zipcodes Only folder
-        if (zipcodeOnlyInPrimary.length > 0) {
-            kml += `
-	<Folder>
-		<name>Zipcodes Only</name>
-		<description>Zipcodes with different coordinates between sources</description>`;
-
-            zipcodeOnlyInPrimary.forEach(zipcode => {
-                const primaryResult = primaryMap.get(zipcode);
-                kml += `
-		<Placemark>
-			<name>${zipcode} (${source})</name>
-			<description>Source: ${source}
-          City: ${primaryResult.city || 'N/A'}
-          State: ${primaryResult.state || 'N/A'}
-          Distance: ${primaryResult.distance_miles} miles</description>
-			<styleUrl>#color1Style</styleUrl>
-			<Point>
-				<coordinates>${primaryResult.longitude},${primaryResult.latitude},0</coordinates>
-			</Point>
-		</Placemark>`;
+        return kml;
+    }
+
+    /**
+     * Nest items into folders, one level per grouping function
+     * Folders follow the order of their first item, so callers sort items beforehand
+     * @param {Array} items - Items to group
+     * @param {Array<Function>} levels - Functions returning an item's folder name at each level
+     * @param {Function} renderItem - (item, depth) => KML for one item
+     * @param {number} depth - Nesting depth of the folders, for indentation
+     * @returns {string} KML folders
+     */
+    buildKmlFolders(items, levels, renderItem, depth) {
+        if (levels.length === 0) {
+            return items.map(item => renderItem(item, depth)).join('');
+        }
+
+        const [folderOf, ...rest] = levels;
+        const groups = new Map();
+        for (const item of items) {
+            const name = folderOf(item);
+            if (!groups.has(name)) {
+                groups.set(name, []);
+            }
+            groups.get(name).push(item);
+        }
+
+        const indent = '\t'.repeat(depth);
+        return [...groups].map(([name, group]) => `
+${indent}<Folder>
+${indent}	<name>${escapeXml(`${name} (${group.length})`)}</name>` +
+            this.buildKmlFolders(group, rest, renderItem, depth + 1) + `
+${indent}</Folder>`).join('');
+    }
+
+    /**
+     * @param {string} name - Placemark name
+     * @param {Array<Array>} rows - Description lines, as [label, value] pairs or [text]
+     * @param {string} styleUrl - Style reference
+     * @param {Object} point - {latitude, longitude}
+     * @param {number} depth - Nesting depth, for indentation
+     * @returns {string} KML placemark
+     */
+    buildKmlPlacemark(name, rows, styleUrl, point, depth) {
+        const indent = '\t'.repeat(depth);
+        const description = rows.map(row => (row.length > 1 ? `${row[0]}: ${row[1]}` : row[0])).join('\n');
+
+        return `
+${indent}<Placemark>
+${indent}	<name>${escapeXml(name)}</name>
+${indent}	<description>${escapeXml(description)}</description>
+${indent}	<styleUrl>${styleUrl}</styleUrl>
+${indent}	<Point>
+${indent}		<coordinates>${point.longitude},${point.latitude},0</coordinates>
+${indent}	</Point>
+${indent}</Placemark>`;
+    }
+
+    getKmlRows(result, source) {
+        return [
+            ['Source', source],
+            ['City', result.city || 'N/A'],
+            ['State', result.state || 'N/A'],
+            ...(result.distance_miles !== undefined && result.distance_miles !== null ? [['Distance', `${result.distance_miles} miles`]] : [])
+        ];
+    }
+
+    /**
+     * Geodesic circles showing the search radius around each center
+     * @param {Array<Array>} circles - [centerPoint, name, styleId] for each circle; missing centers are skipped
+     * @param {number} radiusMiles - Search radius; no circles without it
+     * @returns {string} KML placemarks
+     */
+    generateRadiusPlacemarks(circles, radiusMiles) {
+        if (!radiusMiles) {
+            return '';
+        }
+
+        return circles
+            .filter(([point]) => point && this.isValidCoordinate(point.latitude, point.longitude))
+            .map(([point, name, styleId]) => {
+                // KML outer boundaries run counterclockwise
+                const coordinates = getGeodesicCircle(point.latitude, point.longitude, radiusMiles)
+                    .reverse()
+                    .map(([longitude, latitude]) => `${longitude.toFixed(6)},${latitude.toFixed(6)},0`)
+                    .join(' ');
+
+                return `
+	<Placemark>
+		<name>${escapeXml(name)}</name>
+		<styleUrl>#${styleId}</styleUrl>
+		<Polygon>
+			<tessellate>1</tessellate>
+			<outerBoundaryIs>
+				<LinearRing>
+					<coordinates>${coordinates}</coordinates>
+				</LinearRing>
+			</outerBoundaryIs>
+		</Polygon>
+	</Placemark>`;
+            })
+            .join('');
+    }
+
+    /**
+     * Legend image pinned to the lower left corner of the view
+     * @param {string} href - Image location relative to the KML file
+     * @returns {string} KML screen overlay
+     */
+    generateLegendOverlay(href) {
+        return `
+	<ScreenOverlay>
+		<name>Legend</name>
+		<Icon>
+			<href>${escapeXml(href)}</href>
+		</Icon>
+		<overlayXY x="0" y="0" xunits="fraction" yunits="fraction"/>
+		<screenXY x="10" y="30" xunits="pixels" yunits="pixels"/>
+		<size x="0" y="0" xunits="pixels" yunits="pixels"/>
+	</ScreenOverlay>`;
+    }
+
+    /**
+     * Legend rows matching the styles buildKmlContent uses
+     * @returns {Array<Object>} Entries for renderLegend
+     */
+    getKmlLegendEntries(results, options = {}) {
+        const { centerPoint = null, compareResults = null, source = 'primary', compareSource = 'compare', radiusMiles = null } = options;
+        const isComparisonMode = compareResults && Array.isArray(compareResults) && compareResults.length > 0;
+        const radiusEntry = radiusMiles && centerPoint ? [{ label: `${radiusMiles} mile radius`, shape: 'line' }] : [];
+
+        if (isComparisonMode) {
+            const colorOf = index => this.comparisonColors[index % this.comparisonColors.length].color;
+            return [
+                { color: colorOf(0), label: 'Center point' },
+                { color: colorOf(1), label: `Only in ${source}` },
+                { color: COMPARE_ONLY_COLOR, label: `Only in ${compareSource}` },
+                { color: [2, 3, 4].map(colorOf), label: 'In both sources' },
+                ...radiusEntry.map(entry => ({ ...entry, color: colorOf(0) }))
+            ];
+        }
+
+        const hasZones = radiusMiles && centerPoint && this.isValidCoordinate(centerPoint.latitude, centerPoint.longitude);
+        return [
+            ...(centerPoint ? [{ color: CENTER_COLOR, label: 'Center point' }] : []),
+            ...(hasZones
+                ? [
+                    { color: RESULT_COLOR, label: `Inside radius (${source})` },
+                    { color: OUTSIDE_COLOR, label: `Outside radius (${source})` }
+                ]
+                : [{ color: RESULT_COLOR, label: `Results (${source})` }]),
+            ...radiusEntry.map(entry => ({ ...entry, color: RADIUS_COLOR }))
+        ];
+    }
+
+    /**
+     * Whether a result lies within the search radius of a center
+     * Radius searches matching zipcode boundaries can return zipcodes whose centroid lies outside
+     * @returns {string|null} 'inside', 'outside', or null without a radius or center
+     */
+    getRadiusZone(result, centerPoint, radiusMiles) {
+        if (!radiusMiles || !centerPoint || !this.isValidCoordinate(centerPoint.latitude, centerPoint.longitude)) {
+            return null;
+        }
+
+        const distance = calculateDistance(centerPoint.latitude, centerPoint.longitude, result.latitude, result.longitude);
+        return distance <= radiusMiles ? 'inside' : 'outside';
+    }
+
+    getRadiusZoneName(zone, radiusMiles) {
+        switch (zone) {
+            case 'inside':
+                return `Inside ${radiusMiles} mile radius`;
+            case 'outside':
+                return `Outside ${radiusMiles} mile radius`;
+            case 'mixed':
+                return 'Inside the radius for one source only';
+            default:
+                return 'No radius';
+        }
+    }
+
+    /**
+     * Generate a self-contained HTML map, viewable in any browser without network access
+     * @param {Array} results - Array of zipcode results with coordinates
+     * @param {Object} options - Options for HTML generation
+     * @returns {Promise<string>} Path to generated HTML file
+     */
+    async generateHtmlFile(results, options = {}) {
+        const {
+            centerPoint = null,
+            comparePoint = null,
+            compareResults = null,
+            source = 'primary',
+            compareSource = 'compare',
+            radiusMiles = null,
+            filename = null
+        } = options;
+
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const htmlFilename = filename || `zipcode-map-${timestamp}.html`;
+            const outputPath = path.join(process.cwd(), htmlFilename);
+            const mapConfig = (this.config && this.config.get('map')) || {};
+
+            const htmlContent = this.buildHtmlContent(results, {
+                centerPoint,
+                comparePoint,
+                compareResults,
+                source,
+                compareSource,
+                radiusMiles,
+                tileUrl: mapConfig.tileUrl || null,
+                attribution: mapConfig.attribution || null
             });
 
-            kml += `
-	</Folder>`;
+            await fs.writeFile(outputPath, htmlContent, 'utf8');
+
+            this.logger.info(chalk.green(`📁 HTML map generated: ${outputPath}`));
+            return outputPath;
+
+        } catch (error) {
+            this.logger.error(chalk.red(`❌ Failed to generate HTML map: ${error.message}`));
+            return null;
         }
+    }
 
-        // 3. Individual folders for zipcodes in both sources
-        zipcodesInBoth.forEach(({ zipcode, colorIndex }) => {
-            const primaryResult = primaryMap.get(zipcode);
-            const compareResult = compareMap.get(zipcode);
-            const colorInfo = this.comparisonColors[colorIndex % this.comparisonColors.length];
-            const distanceDiff = primaryResult.distance_miles - compareResult.distance_miles;
+    /**
+     * Build an HTML page with Leaflet and the map data inlined
+     * Without a tile URL the points, circles and lines are drawn on a plain background
+     * @param {Array} results - Array of zipcode results with coordinates
+     * @param {Object} options - Options for HTML content (see generateHtmlFile, plus tileUrl and attribution)
+     * @returns {string} HTML content
+     */
+    buildHtmlContent(results, options = {}) {
+        const { compareResults = null, tileUrl = null, attribution = null } = options;
+        const isComparisonMode = compareResults && Array.isArray(compareResults) && compareResults.length > 0;
+        const title = `Zipcode Lookup Results${isComparisonMode ? ' - Comparison Mode' : ''}`;
 
-            kml += `
-	<Folder>
-		<name>${zipcode} - ${colorInfo.name.toUpperCase()} (${distanceDiff.toFixed(2)} miles)</name>
-		<description>Zipcodes with different coordinates between sources</description>`;
-
-            if (primaryResult) {
-                kml += `
-		<Placemark>
-			<name>${zipcode} (${source})</name>
-			<description>Source: ${source}
-          City: ${primaryResult.city || 'N/A'}
-          State: ${primaryResult.state || 'N/A'}
-          Distance: ${primaryResult.distance_miles} miles</description>
-			<styleUrl>#color${(colorIndex + 2) % this.comparisonColors.length}Style</styleUrl>
-			<Point>
-				<coordinates>${primaryResult.longitude},${primaryResult.latitude},0</coordinates>
-			</Point>
-		</Placemark>`;
-            }
+        const layers = isComparisonMode
+            ? this.buildComparisonLayers(results, options)
+            : this.buildSingleSourceLayers(results, options);
+        const data = { ...layers, bounds: this.getLayerBounds(layers), tileUrl, attribution };
+        const { css, js } = getLeafletAssets();
+
+        // Escaping "<" keeps popup markup from closing the script element early
+        const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${css}</style>
+<style>
+html, body, #map { height: 100%; margin: 0; }
+#map { background: #eef1f4; }
+.zipcode-legend { background: #fff; padding: 6px 10px; border-radius: 4px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3); font: 12px/1.6 sans-serif; }
+.zipcode-legend i { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; border: 1px solid #333; }
+.zipcode-popup td { padding: 0 8px 0 0; vertical-align: top; }
+</style>
+</head>
+<body>
+<div id="map"></div>
+<script>${js}</script>
+<script>
+(function () {
+    var data = ${json};
+    var map = L.map('map', { attributionControl: !!data.tileUrl });
+
+    if (data.tileUrl) {
+        L.tileLayer(data.tileUrl, { attribution: data.attribution || '', maxZoom: 19 }).addTo(map);
+    }
+    L.control.scale().addTo(map);
+
+    data.circles.forEach(function (circle) {
+        L.circle([circle.latitude, circle.longitude], {
+            radius: circle.radius,
+            color: circle.color,
+            weight: 2,
+            fillOpacity: 0.05,
+            dashArray: circle.dashed ? '6 6' : null
+        }).bindTooltip(circle.label).addTo(map);
+    });
 
-            if (compareResult) {
-                kml += `
-		<Placemark>
-			<name>${zipcode} (${compareSource})</name>
-			<description>Source: ${compareSource}
-          City: ${compareResult.city || 'N/A'}
-          State: ${compareResult.state || 'N/A'}
-          Distance: ${compareResult.distance_miles} miles</description>
-			<styleUrl>#color${(colorIndex + 2) % this.comparisonColors.length}Style</styleUrl>
-			<Point>
-				<coordinates>${compareResult.longitude},${compareResult.latitude},0</coordinates>
-			</Point>
-		</Placemark>`;
+    data.lines.forEach(function (line) {
+        L.polyline(line.points, { color: line.color, weight: 2 }).bindPopup(line.popup).addTo(map);
+    });
+
+    data.markers.forEach(function (marker) {
+        L.circleMarker([marker.latitude, marker.longitude], {
+            radius: marker.size,
+            color: '#333333',
+            weight: 1,
+            fillColor: marker.color,
+            fillOpacity: 0.9
+        }).bindTooltip(marker.label).bindPopup(marker.popup).addTo(map);
+    });
+
+    if (data.bounds) {
+        map.fitBounds(data.bounds, { padding: [20, 20] });
+    } else {
+        map.setView([39.8, -98.6], 4);
+    }
+
+    var legend = L.control({ position: 'bottomright' });
+    legend.onAdd = function () {
+        var div = L.DomUtil.create('div', 'zipcode-legend');
+        div.innerHTML = data.legend;
+        return div;
+    };
+    legend.addTo(map);
+})();
+</script>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Markers and radius circle for single source mode, colored like the KML styles
+     * @returns {Object} {markers, lines, circles, legend}
+     */
+    buildSingleSourceLayers(results, options = {}) {
+        const { centerPoint = null, source = 'primary', radiusMiles = null } = options;
+        const markers = [];
+        const circles = [];
+
+        if (centerPoint && this.isValidCoordinate(centerPoint.latitude, centerPoint.longitude)) {
+            if (radiusMiles) {
+                circles.push(this.buildCircle(centerPoint, radiusMiles, `#${RADIUS_COLOR}`, `${radiusMiles} mile radius`));
             }
+            markers.push({
+                latitude: centerPoint.latitude,
+                longitude: centerPoint.longitude,
+                size: 9,
+                color: `#${CENTER_COLOR}`,
+                label: `Center: ${centerPoint.zipcode || 'CENTER'}`,
+                popup: this.buildPopup(`Center: ${centerPoint.zipcode || 'CENTER'}`, [
+                    ['Coordinates', `${centerPoint.latitude}, ${centerPoint.longitude}`]
+                ])
+            });
+        }
 
-            kml += `
-	</Folder>`;
+        (Array.isArray(results) ? results : []).forEach(result => {
+            if (this.isValidCoordinate(result.latitude, result.longitude)) {
+                markers.push({
+                    latitude: result.latitude,
+                    longitude: result.longitude,
+                    size: 6,
+                    color: `#${RESULT_COLOR}`,
+                    label: result.zipcode,
+                    popup: this.buildPopup(result.zipcode, [
+                        ['City', result.city || 'N/A'],
+                        ['State', result.state || 'N/A'],
+                        ['Source', source],
+                        ...(result.distance_miles !== undefined && result.distance_miles !== null ? [['Distance', `${result.distance_miles} miles`]] : [])
+                    ])
+                });
+            }
         });
 
-        return kml;
+        const legend = [
+            ...(centerPoint ? [this.buildLegendEntry(`#${CENTER_COLOR}`, 'Center point')] : []),
+            this.buildLegendEntry(`#${RESULT_COLOR}`, `Results (${source})`)
+        ].join('<br>');
+
+        return { markers, lines: [], circles, legend };
     }
 
     /**
-     * Generate placemarks for single source mode
-     * @param {Array} results - Results array
-     * @param {Object} centerPoint - Center point coordinates
-     * @param {string} source - Source name
-     * @returns {string} KML placemarks
+     * Markers, pair lines and radius circles for comparison mode, using the same groups and
+     * colors as generateComparisonPlacemarks
+     * @returns {Object} {markers, lines, circles, legend}
      */
-    generateSingleSourcePlacemarks(results, centerPoint, source) {
-        let kml = '';
+    buildComparisonLayers(results, options = {}) {
+        const {
+            centerPoint = null,
+            comparePoint = null,
+            compareResults = null,
+            source = 'primary',
+            compareSource = 'compare',
+            radiusMiles = null
+        } = options;
 
-        // Add center point if provided
-        if (centerPoint) {
-            kml += `
-    <Placemark>
-      <name>Center: ${centerPoint.zipcode || 'CENTER'}</name>
-      <description>Center point for radius search</description>
-      <styleUrl>#centerStyle</styleUrl>
-      <Point>
-        <coordinates>${centerPoint.longitude},${centerPoint.latitude},0</coordinates>
-      </Point>
-    </Placemark>`;
-        }
+        const { primaryMap, compareMap, centerZipcode, zipcodeOnlyInPrimary, zipcodeOnlyInCompare, zipcodesInBoth } =
+            this.classifyComparison(results, compareResults, centerPoint);
+        const markers = [];
+        const lines = [];
+        const circles = [];
+        const colorOf = index => `#${this.comparisonColors[index % this.comparisonColors.length].color}`;
 
-        // Add results folder
-        if (results && Array.isArray(results) && results.length > 0) {
-            kml += `
-    <Folder>
-      <name>Results (${source}) - ${results.length} zipcodes</name>
-      <description>Results from ${source} data source</description>`;
+        const addPair = (zipcode, color) => {
+            const primaryResult = primaryMap.get(zipcode);
+            const compareResult = compareMap.get(zipcode);
+            const pairRows = [];
 
-            results.forEach(result => {
-                if (this.isValidCoordinate(result.latitude, result.longitude)) {
-                    kml += `
-      <Placemark>
-        <name>${result.zipcode}</name>
-        <description>
-          City: ${result.city || 'N/A'}
-          State: ${result.state || 'N/A'}
-          Source: ${source}
-          ${result.distance_miles ? `Distance: ${result.distance_miles} miles` : ''}
-        </description>
-        <styleUrl>#primaryStyle</styleUrl>
-        <Point>
-          <coordinates>${result.longitude},${result.latitude},0</coordinates>
-        </Point>
-      </Placemark>`;
+            if (primaryResult && compareResult) {
+                const coordinateDifference = calculateDistance(
+                    primaryResult.latitude, primaryResult.longitude,
+                    compareResult.latitude, compareResult.longitude
+                );
+                pairRows.push(['Coordinate difference', `${coordinateDifference.toFixed(2)} miles`]);
+                if (typeof primaryResult.distance_miles === 'number' && typeof compareResult.distance_miles === 'number') {
+                    pairRows.push(['Distance difference', `${(primaryResult.distance_miles - compareResult.distance_miles).toFixed(2)} miles`]);
                 }
-            });
+                lines.push({
+                    points: [[primaryResult.latitude, primaryResult.longitude], [compareResult.latitude, compareResult.longitude]],
+                    color,
+                    popup: this.buildPopup(zipcode, pairRows)
+                });
+            }
 
-            kml += `
-    </Folder>`;
+            for (const [result, label] of [[primaryResult, source], [compareResult, compareSource]]) {
+                if (result) {
+                    markers.push(this.buildComparisonMarker(result, label, color, pairRows));
+                }
+            }
+        };
+
+        for (const [point, label, dashed] of [[centerPoint, source, false], [comparePoint, compareSource, true]]) {
+            if (radiusMiles && point && this.isValidCoordinate(point.latitude, point.longitude)) {
+                circles.push({ ...this.buildCircle(point, radiusMiles, colorOf(0), `${radiusMiles} mile radius (${label})`), dashed });
+            }
         }
 
-        return kml;
+        // 1. Center zipcode, 2. zipcodes only in one source, 3. one color per zipcode in both
+        if (centerPoint && centerZipcode) {
+            addPair(centerZipcode, colorOf(0));
+        }
+        zipcodeOnlyInPrimary.forEach(zipcode => addPair(zipcode, colorOf(1)));
+        zipcodeOnlyInCompare.forEach(zipcode => addPair(zipcode, `#${COMPARE_ONLY_COLOR}`));
+        zipcodesInBoth.forEach(({ zipcode, colorIndex }) => addPair(zipcode, colorOf(colorIndex + 2)));
+
+        const legend = [
+            this.buildLegendEntry(colorOf(0), `Center point (${source} and ${compareSource})`),
+            this.buildLegendEntry(colorOf(1), `Only in ${source}`),
+            this.buildLegendEntry(`#${COMPARE_ONLY_COLOR}`, `Only in ${compareSource}`),
+            `${[2, 3, 4].map(index => `<i style="background:${colorOf(index)}"></i>`).join('')}In both sources, joined by a line`
+        ].join('<br>');
+
+        return { markers, lines, circles, legend };
+    }
+
+    buildComparisonMarker(result, source, color, pairRows) {
+        return {
+            latitude: result.latitude,
+            longitude: result.longitude,
+            size: 7,
+            color,
+            label: `${result.zipcode} (${source})`,
+            popup: this.buildPopup(`${result.zipcode} (${source})`, [
+                ['Source', source],
+                ['City', result.city || 'N/A'],
+                ['State', result.state || 'N/A'],
+                ...(result.distance_miles !== undefined && result.distance_miles !== null ? [['Distance', `${result.distance_miles} miles`]] : []),
+                ...pairRows
+            ])
+        };
+    }
+
+    buildCircle(point, radiusMiles, color, label) {
+        return {
+            latitude: point.latitude,
+            longitude: point.longitude,
+            radius: radiusMiles * METERS_PER_MILE,
+            radiusMiles,
+            color,
+            label
+        };
+    }
+
+    /**
+     * Popup markup with a heading and a row per label/value pair, escaped for HTML
+     */
+    buildPopup(heading, rows) {
+        const body = rows
+            .map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`)
+            .join('');
+        return `<strong>${escapeHtml(heading)}</strong><table class="zipcode-popup">${body}</table>`;
+    }
+
+    buildLegendEntry(color, label) {
+        return `<i style="background:${color}"></i>${escapeHtml(label)}`;
+    }
+
+    /**
+     * Bounds covering every marker and radius circle, so the map opens showing all of them
+     * @returns {Array|null} [[south, west], [north, east]], or null when there is nothing to show
+     */
+    getLayerBounds(layers) {
+        const boxes = [
+            ...layers.markers.map(marker => getBoundingBox(marker.latitude, marker.longitude, 0)),
+            ...layers.circles.map(circle => getBoundingBox(circle.latitude, circle.longitude, circle.radiusMiles))
+        ];
+
+        if (boxes.length === 0) {
+            return null;
+        }
+
+        // Reduced rather than spread into Math.min/max, which overflows the stack on large result sets
+        return boxes.reduce(([[south, west], [north, east]], box) => [
+            [Math.min(south, box.minLat), Math.min(west, box.minLon)],
+            [Math.max(north, box.maxLat), Math.max(east, box.maxLon)]
+        ], [[Infinity, Infinity], [-Infinity, -Infinity]]);
     }
 
     /**
@@ -0,0 +1,62 @@
+/**
+ * Single-line progress indicator for long-running fetches
+ * It redraws in place on a terminal and stays silent when the stream is piped,
+ * so redirected output and logs are not cluttered
+ */
+
+// Minimum milliseconds between redraws; fast local lookups would otherwise flood the terminal
+const REDRAW_INTERVAL = 100;
+
+class ProgressIndicator {
+  /**
+   * @param {Object} options - Progress options
+   * @param {string} options.label - Text shown before the count
+   * @param {number} options.total - Number of steps
+   * @param {boolean} options.enabled - Show progress at all (default: true); ignored unless the stream is a terminal
+   * @param {Object} options.stream - Writable stream (default: process.stderr)
+   */
+  constructor(options = {}) {
+    this.label = options.label || 'Progress';
+    this.total = options.total || 0;
+    this.stream = options.stream || process.stderr;
+    this.enabled = options.enabled !== false && !!this.stream.isTTY;
+
+    this.completed = 0;
+    this.lastDraw = 0;
+  }
+
+  /**
+   * Mark steps as finished
+   * @param {number} count - Steps finished (default: 1)
+   */
+  tick(count = 1) {
+    this.completed += count;
+
+    const now = Date.now();
+    if (this.completed < this.total && now - this.lastDraw < REDRAW_INTERVAL) {
+      return;
+    }
+    this.lastDraw = now;
+    this.draw();
+  }
+
+  draw() {
+    if (!this.enabled) {
+      return;
+    }
+
+    const percent = this.total > 0 ? Math.floor((this.completed / this.total) * 100) : 100;
+    this.stream.write(`\r${this.label}: ${this.completed}/${this.total} (${percent}%)`);
+  }
+
+  /**
+   * Clear the progress line so the next output starts on a clean line
+   */
+  done() {
+    if (this.enabled && this.lastDraw) {
+      this.stream.write('\r\x1b[K');
+    }
+  }
+}
+
+module.exports = ProgressIndicator;
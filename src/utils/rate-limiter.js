@@ -0,0 +1,168 @@
+/**
+ * Token-bucket rate limiting for external API providers
+ * Requests over the per-second rate wait their turn; requests over the daily cap fail.
+ * The daily count is kept in a file when one is given, so it carries across CLI runs.
+ * The file is re-read just before each request is counted and replaced atomically, without
+ * a lock: runs counting at the same moment may each add to the same total, so the cap can be
+ * overshot by at most one request per run sending at that moment
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { RateLimitError } = require('./errors');
+
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {string} options.name - Provider name, used in errors and debug output
+   * @param {number|null} options.rps - Sustained requests per second (null or 0 for no limit)
+   * @param {number} options.burst - Requests that may be sent back to back before the rate applies
+   * @param {number|null} options.daily - Requests allowed per UTC day (null for no cap)
+   * @param {string} options.usageFile - File the daily count is kept in, shared by every process
+   *   using it (default: none, so the count only covers this process)
+   * @param {Object} options.logger - Logger for debug output
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.rps = options.rps > 0 ? options.rps : null;
+    this.burst = Math.max(1, options.burst || 1);
+    this.daily = options.daily > 0 ? options.daily : null;
+    this.usageFile = options.usageFile || null;
+    this.logger = options.logger || null;
+
+    this.tokens = this.burst;
+    this.refilledAt = Date.now();
+    this.day = this.currentDay();
+    this.used = 0;
+    this.queued = 0;
+    // Each request waits for the one before it, so requests are released in arrival order
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Wait until a request may be sent
+   * @returns {Promise<void>} Resolves when the request can go out
+   * @throws {RateLimitError} When the daily cap has been reached
+   */
+  acquire() {
+    this.queued++;
+    const turn = this.tail.then(() => this.take());
+    this.tail = turn.catch(() => {});
+    return turn.finally(() => {
+      this.queued--;
+    });
+  }
+
+  async take() {
+    const day = this.currentDay();
+    if (day !== this.day) {
+      this.day = day;
+      this.used = 0;
+    }
+
+    // Other runs may have used some of today's cap since this one started
+    await this.checkDailyCap(day);
+
+    if (this.rps) {
+      this.refill();
+      if (this.tokens < 1) {
+        const wait = Math.ceil(((1 - this.tokens) / this.rps) * 1000);
+        if (process.env.DEBUG && this.logger) {
+          this.logger.debug(`⏳ ${this.name} rate limit: waiting ${wait}ms (${this.queued - 1} queued behind)`);
+        }
+        await new Promise(resolve => setTimeout(resolve, wait));
+        this.refill();
+      }
+      this.tokens -= 1;
+
+      // ... or while this request waited for a token
+      await this.checkDailyCap(day);
+    }
+
+    this.used++;
+
+    if (this.daily && this.usageFile) {
+      await this.writeUsage();
+    }
+  }
+
+  /**
+   * Fail once the day's cap is used up, counting what other runs recorded in the usage file
+   * @param {string} day - UTC date, YYYY-MM-DD
+   * @throws {RateLimitError} When the daily cap has been reached
+   */
+  async checkDailyCap(day) {
+    if (!this.daily) {
+      return;
+    }
+
+    if (this.usageFile) {
+      this.used = Math.max(this.used, await this.readUsage(day));
+    }
+
+    if (this.used >= this.daily) {
+      throw new RateLimitError(this.name, this.daily);
+    }
+  }
+
+  /**
+   * Requests already counted against a day's cap in the usage file
+   * @param {string} day - UTC date, YYYY-MM-DD
+   * @returns {Promise<number>} Count, 0 when the file is missing, unreadable or from another day
+   */
+  async readUsage(day) {
+    try {
+      const usage = JSON.parse(await fs.readFile(this.usageFile, 'utf8'));
+      return usage.day === day && Number.isInteger(usage.used) ? usage.used : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Record the day's count, writing a temporary file and renaming it over the usage file
+   * so other runs never read a half-written count
+   */
+  async writeUsage() {
+    const temporary = `${this.usageFile}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(this.usageFile), { recursive: true });
+      await fs.writeFile(temporary, JSON.stringify({ day: this.day, used: this.used }), 'utf8');
+      await fs.rename(temporary, this.usageFile);
+    } catch (error) {
+      await fs.unlink(temporary).catch(() => {});
+      // The cap still holds for this process
+      if (process.env.DEBUG && this.logger) {
+        this.logger.debug(`⚠️ Could not record ${this.name} daily usage: ${error.message}`);
+      }
+    }
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.refilledAt) / 1000) * this.rps);
+    this.refilledAt = now;
+  }
+
+  currentDay() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Current usage
+   * @returns {Object} {name, rps, burst, daily, used, queued}
+   */
+  getStats() {
+    return {
+      name: this.name,
+      rps: this.rps,
+      burst: this.burst,
+      daily: this.daily,
+      used: this.used,
+      queued: this.queued
+    };
+  }
+}
+
+module.exports = RateLimiter;
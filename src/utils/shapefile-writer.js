@@ -0,0 +1,240 @@
+/**
+ * Minimal ESRI Shapefile writer for point results
+ * Produces the .shp geometry, .shx index, dBASE III .dbf attribute table and a WGS 84 .prj,
+ * the counterpart of the polygon reader in data/sources/shapefile-reader.js
+ */
+
+const SHAPE_TYPES = {
+  NULL: 0,
+  POINT: 1
+};
+
+const FILE_CODE = 9994;
+const VERSION = 1000;
+const HEADER_LENGTH = 100;
+const RECORD_HEADER_LENGTH = 8;
+// Shape type plus X and Y
+const POINT_CONTENT_LENGTH = 20;
+const NULL_CONTENT_LENGTH = 4;
+
+// dBASE III limits
+const FIELD_NAME_LENGTH = 10;
+const MAX_CHARACTER_LENGTH = 254;
+const MAX_NUMERIC_LENGTH = 19;
+const MAX_DECIMALS = 15;
+
+// Positions are longitude/latitude on WGS 84, as everywhere else in the tool
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+/**
+ * Write point features as a shapefile
+ * Features without a geometry become null shapes, so every feature keeps its attribute row
+ * @param {Array<Object>} features - GeoJSON Point features (or features with a null geometry)
+ * @returns {Object} {shp, shx, dbf, prj, cpg} file contents as Buffers
+ */
+function writePointShapefile(features) {
+  const { shp, shx } = writeGeometry(features.map(feature => (feature.geometry ? feature.geometry.coordinates : null)));
+
+  return {
+    shp,
+    shx,
+    dbf: writeDbf(features.map(feature => feature.properties || {})),
+    prj: Buffer.from(WGS84_PRJ, 'latin1'),
+    // Attribute text is UTF-8; the .cpg tells GIS software so
+    cpg: Buffer.from('UTF-8', 'latin1')
+  };
+}
+
+/**
+ * Build the .shp and .shx contents
+ * @param {Array<number[]|null>} positions - [longitude, latitude] per record, or null for a null shape
+ * @returns {Object} {shp, shx}
+ */
+function writeGeometry(positions) {
+  const contentLengths = positions.map(position => (position ? POINT_CONTENT_LENGTH : NULL_CONTENT_LENGTH));
+  const shpLength = HEADER_LENGTH + contentLengths.reduce((total, length) => total + RECORD_HEADER_LENGTH + length, 0);
+  const shxLength = HEADER_LENGTH + positions.length * RECORD_HEADER_LENGTH;
+
+  // Reduced rather than spread into Math.min/max, which overflows the stack on large result sets
+  const bounds = positions.reduce((box, position) => {
+    if (!position) {
+      return box;
+    }
+    const [x, y] = position;
+    return box
+      ? [Math.min(box[0], x), Math.min(box[1], y), Math.max(box[2], x), Math.max(box[3], y)]
+      : [x, y, x, y];
+  }, null) || [0, 0, 0, 0];
+
+  const shp = Buffer.alloc(shpLength);
+  const shx = Buffer.alloc(shxLength);
+  writeHeader(shp, shpLength, bounds);
+  writeHeader(shx, shxLength, bounds);
+
+  let offset = HEADER_LENGTH;
+  positions.forEach((position, index) => {
+    // Offsets and lengths are counted in 16-bit words
+    shx.writeInt32BE(offset / 2, HEADER_LENGTH + index * RECORD_HEADER_LENGTH);
+    shx.writeInt32BE(contentLengths[index] / 2, HEADER_LENGTH + index * RECORD_HEADER_LENGTH + 4);
+
+    shp.writeInt32BE(index + 1, offset);
+    shp.writeInt32BE(contentLengths[index] / 2, offset + 4);
+    if (position) {
+      shp.writeInt32LE(SHAPE_TYPES.POINT, offset + 8);
+      shp.writeDoubleLE(position[0], offset + 12);
+      shp.writeDoubleLE(position[1], offset + 20);
+    } else {
+      shp.writeInt32LE(SHAPE_TYPES.NULL, offset + 8);
+    }
+    offset += RECORD_HEADER_LENGTH + contentLengths[index];
+  });
+
+  return { shp, shx };
+}
+
+function writeHeader(buffer, length, bounds) {
+  buffer.writeInt32BE(FILE_CODE, 0);
+  buffer.writeInt32BE(length / 2, 24);
+  buffer.writeInt32LE(VERSION, 28);
+  buffer.writeInt32LE(SHAPE_TYPES.POINT, 32);
+  bounds.forEach((value, index) => buffer.writeDoubleLE(value, 36 + index * 8));
+  // Z and M ranges stay zero
+}
+
+/**
+ * Build a dBASE III table, one column per property name
+ * Columns of numbers become N, of booleans L and anything else C; names are cut to the
+ * 10 characters dBASE allows, with a numeric suffix when two would collide
+ * @param {Array<Object>} rows - Attribute rows
+ * @returns {Buffer} .dbf contents
+ */
+function writeDbf(rows) {
+  const names = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const fields = assignFieldNames(names).map((fieldName, index) => describeField(fieldName, rows.map(row => row[names[index]])));
+
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((total, field) => total + field.length, 0);
+  const buffer = Buffer.alloc(headerLength + rows.length * recordLength + 1, 0x20);
+
+  const now = new Date();
+  buffer.fill(0, 0, headerLength);
+  buffer[0] = 0x03; // dBASE III without memo
+  buffer[1] = now.getFullYear() - 1900;
+  buffer[2] = now.getMonth() + 1;
+  buffer[3] = now.getDate();
+  buffer.writeUInt32LE(rows.length, 4);
+  buffer.writeUInt16LE(headerLength, 8);
+  buffer.writeUInt16LE(recordLength, 10);
+
+  fields.forEach((field, index) => {
+    const offset = 32 + index * 32;
+    buffer.write(field.name, offset, FIELD_NAME_LENGTH, 'latin1');
+    buffer[offset + 11] = field.type.charCodeAt(0);
+    buffer[offset + 16] = field.length;
+    buffer[offset + 17] = field.decimals;
+  });
+  buffer[headerLength - 1] = 0x0D;
+
+  rows.forEach((row, rowIndex) => {
+    // The record starts with a blank deletion flag, already in place from the fill
+    let offset = headerLength + rowIndex * recordLength + 1;
+    fields.forEach((field, index) => {
+      encodeValue(field, row[names[index]]).copy(buffer, offset);
+      offset += field.length;
+    });
+  });
+  buffer[buffer.length - 1] = 0x1A;
+
+  return buffer;
+}
+
+function assignFieldNames(names) {
+  const used = new Set();
+
+  return names.map(name => {
+    const base = name.replace(/[^A-Za-z0-9_]/g, '_').slice(0, FIELD_NAME_LENGTH) || 'field';
+    let fieldName = base;
+    for (let suffix = 1; used.has(fieldName.toUpperCase()); suffix++) {
+      fieldName = `${base.slice(0, FIELD_NAME_LENGTH - String(suffix).length)}${suffix}`;
+    }
+    used.add(fieldName.toUpperCase());
+    return fieldName;
+  });
+}
+
+/**
+ * Pick a column type and width that fits every value
+ * @returns {Object} {name, type, length, decimals}
+ */
+function describeField(name, values) {
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+
+  if (present.length > 0 && present.every(value => typeof value === 'boolean')) {
+    return { name, type: 'L', length: 1, decimals: 0 };
+  }
+
+  if (present.length > 0 && present.every(value => typeof value === 'number' && Number.isFinite(value))) {
+    const decimals = Math.min(maxOf(present, value => (String(value).split('.')[1] || '').length), MAX_DECIMALS);
+    const length = maxOf(present, value => value.toFixed(decimals).length);
+    if (length <= MAX_NUMERIC_LENGTH) {
+      return { name, type: 'N', length, decimals };
+    }
+  }
+
+  const length = Math.min(Math.max(1, maxOf(present, value => toText(value).length)), MAX_CHARACTER_LENGTH);
+  return { name, type: 'C', length, decimals: 0 };
+}
+
+/**
+ * Largest measure over the values, or 0 when there are none
+ */
+function maxOf(values, measure) {
+  return values.reduce((max, value) => Math.max(max, measure(value)), 0);
+}
+
+function toText(value) {
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return Buffer.from(text, 'utf8');
+}
+
+/**
+ * Encode a value at its field's width: numbers right-aligned, text left-aligned and cut to fit
+ */
+function encodeValue(field, value) {
+  const blank = Buffer.alloc(field.length, 0x20);
+
+  if (value === null || value === undefined || value === '') {
+    if (field.type === 'L') {
+      blank.write('?', 0, 'latin1');
+    }
+    return blank;
+  }
+
+  if (field.type === 'L') {
+    blank.write(value ? 'T' : 'F', 0, 'latin1');
+    return blank;
+  }
+
+  if (field.type === 'N') {
+    const text = value.toFixed(field.decimals);
+    blank.write(text, field.length - text.length, 'latin1');
+    return blank;
+  }
+
+  let text = toText(value);
+  if (text.length > field.length) {
+    // Cut at a character boundary so no UTF-8 sequence is left half-written
+    let end = field.length;
+    while (end > 0 && (text[end] & 0xc0) === 0x80) {
+      end--;
+    }
+    text = text.subarray(0, end);
+  }
+  text.copy(blank, 0);
+  return blank;
+}
+
+module.exports = {
+  writePointShapefile
+};
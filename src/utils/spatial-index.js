@@ -0,0 +1,185 @@
+/**
+ * KD-tree over zipcode centroids for nearest-neighbor and radius queries
+ * Points are indexed as unit vectors so chord distance orders them exactly
+ * like great-circle distance, with no special cases at the poles or the antimeridian
+ */
+
+const { calculateDistance, toRadians } = require('./distance');
+
+const EARTH_RADIUS_MILES = 3959;
+
+// Chord bounds are padded slightly; the exact Haversine distance has the final say
+const CHORD_PADDING = 1.000001;
+
+/**
+ * Convert a coordinate to a point on the unit sphere
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {number[]} [x, y, z]
+ */
+function toVector(lat, lon) {
+  const phi = toRadians(lat);
+  const lambda = toRadians(lon);
+  return [
+    Math.cos(phi) * Math.cos(lambda),
+    Math.cos(phi) * Math.sin(lambda),
+    Math.sin(phi)
+  ];
+}
+
+/**
+ * Squared chord length on the unit sphere for a surface distance
+ * @param {number} miles - Distance in miles
+ * @returns {number} Squared chord length
+ */
+function milesToChordSquared(miles) {
+  if (!isFinite(miles)) {
+    return Infinity;
+  }
+  const angle = Math.min(miles / EARTH_RADIUS_MILES, Math.PI);
+  const chord = 2 * Math.sin(angle / 2);
+  return chord * chord;
+}
+
+/**
+ * Check for a usable coordinate; isFinite alone would take null and '' as 0
+ */
+function isCoordinate(value) {
+  return value !== null && value !== '' && typeof value !== 'boolean' && isFinite(value);
+}
+
+function chordSquared(a, b) {
+  const dx = a[0] - b[0];
+  const dy = a[1] - b[1];
+  const dz = a[2] - b[2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+class SpatialIndex {
+  /**
+   * @param {Array} records - Records with numeric latitude and longitude
+   */
+  constructor(records = []) {
+    const points = records
+      .filter(record => record && isCoordinate(record.latitude) && isCoordinate(record.longitude))
+      .map(record => ({ record, vector: toVector(record.latitude, record.longitude) }));
+
+    this.size = points.length;
+    this.root = this.build(points, 0);
+  }
+
+  build(points, depth) {
+    if (points.length === 0) {
+      return null;
+    }
+
+    const axis = depth % 3;
+    points.sort((a, b) => a.vector[axis] - b.vector[axis]);
+    const median = points.length >> 1;
+
+    return {
+      point: points[median],
+      axis,
+      left: this.build(points.slice(0, median), depth + 1),
+      right: this.build(points.slice(median + 1), depth + 1)
+    };
+  }
+
+  /**
+   * Find the records nearest a coordinate
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} count - Maximum number of records (Infinity for all within maxMiles)
+   * @param {number} maxMiles - Only return records within this distance (default: no limit)
+   * @returns {Array} [{record, distance}] sorted by distance in miles
+   */
+  nearest(lat, lon, count = 1, maxMiles = Infinity) {
+    if (!isFinite(count)) {
+      return this.within(lat, lon, maxMiles);
+    }
+
+    const target = toVector(lat, lon);
+    const limit = milesToChordSquared(maxMiles) * CHORD_PADDING;
+    const found = []; // Sorted ascending by chord distance, at most `count` entries
+
+    const search = node => {
+      if (!node) {
+        return;
+      }
+
+      const distance = chordSquared(target, node.point.vector);
+      const worst = found.length < count ? limit : found[found.length - 1].distance;
+
+      if (distance <= worst) {
+        let position = found.length;
+        while (position > 0 && found[position - 1].distance > distance) {
+          position--;
+        }
+        found.splice(position, 0, { point: node.point, distance });
+        if (found.length > count) {
+          found.pop();
+        }
+      }
+
+      const delta = target[node.axis] - node.point.vector[node.axis];
+      const [near, far] = delta < 0 ? [node.left, node.right] : [node.right, node.left];
+
+      search(near);
+
+      const bound = found.length < count ? limit : found[found.length - 1].distance;
+      if (delta * delta <= bound) {
+        search(far);
+      }
+    };
+
+    search(this.root);
+
+    return found
+      .map(({ point }) => ({
+        record: point.record,
+        distance: calculateDistance(lat, lon, point.record.latitude, point.record.longitude)
+      }))
+      .filter(({ distance }) => distance <= maxMiles);
+  }
+
+  /**
+   * Find every record within a radius of a coordinate
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} radiusMiles - Radius in miles
+   * @returns {Array} [{record, distance}] sorted by distance in miles
+   */
+  within(lat, lon, radiusMiles) {
+    const target = toVector(lat, lon);
+    const limit = milesToChordSquared(radiusMiles) * CHORD_PADDING;
+    const found = [];
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node) {
+        continue;
+      }
+
+      if (chordSquared(target, node.point.vector) <= limit) {
+        const { record } = node.point;
+        const distance = calculateDistance(lat, lon, record.latitude, record.longitude);
+        if (distance <= radiusMiles) {
+          found.push({ record, distance });
+        }
+      }
+
+      const delta = target[node.axis] - node.point.vector[node.axis];
+      if (delta < 0 || delta * delta <= limit) {
+        stack.push(node.left);
+      }
+      if (delta >= 0 || delta * delta <= limit) {
+        stack.push(node.right);
+      }
+    }
+
+    return found.sort((a, b) => a.distance - b.distance);
+  }
+}
+
+module.exports = SpatialIndex;
@@ -0,0 +1,136 @@
+/**
+ * Minimal ZIP archive writer for packaging generated files (e.g. KMZ)
+ * Entries are deflated with zlib unless that would not make them smaller; no ZIP64,
+ * so archives are limited to 4 GB, far beyond what lookups produce
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Version 2.0 is the first to support deflate
+const ZIP_VERSION = 20;
+// General purpose flag bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by ZIP and PNG
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to the MS-DOS time and date fields ZIP headers use
+ * @param {Date} date - Modification time
+ * @returns {Object} {time, date}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive in memory
+ * @param {Array<Object>} entries - Files to add, in order
+ * @param {string} entries[].name - Path inside the archive, using forward slashes
+ * @param {Buffer|string} entries[].data - File contents; strings are written as UTF-8
+ * @param {boolean} entries[].compress - Deflate the entry (default: true)
+ * @param {Date} modified - Modification time recorded for every entry (default: now)
+ * @returns {Buffer} Archive contents
+ */
+function createZip(entries, modified = new Date()) {
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const checksum = crc32(data);
+
+    let method = METHOD_STORE;
+    let stored = data;
+    if (entry.compress !== false) {
+      const deflated = zlib.deflateRawSync(data, { level: 9 });
+      if (deflated.length < data.length) {
+        method = METHOD_DEFLATE;
+        stored = deflated;
+      }
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(ZIP_VERSION, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    central.writeUInt16LE(ZIP_VERSION, 4);
+    central.writeUInt16LE(ZIP_VERSION, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number, internal and external attributes stay zero
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, stored);
+    centralParts.push(central, name);
+    offset += local.length + name.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = {
+  crc32,
+  createZip
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const CacheCommand = require('../../src/commands/cache');
+const APIClient = require('../../src/data/sources/api-client');
+const Cache = require('../../src/utils/cache');
+const Config = require('../../src/utils/config');
+const { ValidationError } = require('../../src/utils/errors');
+
+const HOUR = 60 * 60 * 1000;
+
+// The local dataset lists the zipcodes to warm; Zippopotam answers for all but 92058
+const LOCAL_RECORDS = [
+  { zipcode: '92054', latitude: 33.2072, longitude: -117.3573, city: 'Oceanside', state: 'CA' },
+  { zipcode: '92056', latitude: 33.1967, longitude: -117.2831, city: 'Oceanside', state: 'CA' },
+  { zipcode: '92058', latitude: 33.2748, longitude: -117.3521, city: 'Oceanside', state: 'CA' },
+  { zipcode: '10001', latitude: 40.7506, longitude: -73.9972, city: 'New York', state: 'NY' }
+];
+
+function zippopotamResponse(url) {
+  const zipcode = url.match(/\/us\/(\d{5})$/)[1];
+  const record = LOCAL_RECORDS.find(candidate => candidate.zipcode === zipcode);
+
+  if (zipcode === '92058') {
+    return Promise.reject(Object.assign(new Error('Request failed with status code 404'), {
+      isAxiosError: true, response: { status: 404, headers: {}, data: {} }
+    }));
+  }
+
+  return Promise.resolve({
+    status: 200,
+    headers: { 'content-type': 'application/json' },
+    data: {
+      'post code': zipcode,
+      country: 'United States',
+      'country abbreviation': 'US',
+      places: [{
+        'place name': record.city,
+        longitude: String(record.longitude),
+        state: 'California',
+        'state abbreviation': record.state,
+        latitude: String(record.latitude)
+      }]
+    }
+  });
+}
+
+describe('CacheCommand', () => {
+  let directory;
+  let localPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-command-'));
+    localPath = path.join(directory, 'zipcodes.json');
+    fs.writeFileSync(localPath, JSON.stringify(LOCAL_RECORDS));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function createCommand(name = 'cache') {
+    const config = new Config({ configPaths: [], values: { local: { path: localPath } } });
+    const cache = new Cache({ cacheDir: path.join(directory, name), logger: null });
+    const apiClient = new APIClient({ config, cache, logger: null });
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    return { command: new CacheCommand({ apiClient, logger }), apiClient, cache, logger };
+  }
+
+  describe('stats', () => {
+    test('counts entries and expired entries by source', async () => {
+      const { command, cache } = createCommand();
+      await cache.set('zipcode:zippopotam:92054', { zipcode: '92054', source: 'zippopotam' }, { ttl: HOUR });
+      await cache.set('zipcode:zippopotam:92056', { zipcode: '92056', source: 'zippopotam' }, { ttl: -1 });
+      await cache.set('reverse:nominatim:33.2,-117.35', { zipcode: '92054', source: 'nominatim' }, { ttl: HOUR });
+
+      const stats = JSON.parse(await command.execute({ action: 'stats', format: 'json' }));
+
+      expect(stats).toMatchObject({ directory: cache.cacheDir, enabled: true, disk_items: 3, expired_items: 1 });
+      expect(stats.sources.map(({ source, entries, expired }) => ({ source, entries, expired }))).toEqual([
+        { source: 'nominatim', entries: 1, expired: 0 },
+        { source: 'zippopotam', entries: 2, expired: 1 }
+      ]);
+    });
+
+    test('reports an empty cache', async () => {
+      const { command, cache } = createCommand();
+
+      await expect(command.execute({ action: 'stats' })).resolves.toBe(`Cache directory: ${cache.cacheDir}\nEntries on disk: 0`);
+    });
+  });
+
+  describe('clear', () => {
+    test('removes only expired entries with --expired', async () => {
+      const { command, cache } = createCommand();
+      await cache.set('fresh', { source: 'zippopotam' }, { ttl: HOUR });
+      await cache.set('stale', { source: 'zippopotam' }, { ttl: -1 });
+      await cache.set('staler', { source: 'nominatim' }, { ttl: -HOUR });
+
+      await expect(command.execute({ action: 'clear', expired: true })).resolves.toBe(`Removed 2 expired entries from ${cache.cacheDir}`);
+      expect((await cache.entries({ includeExpired: true })).map(entry => entry.key)).toEqual(['fresh']);
+    });
+
+    test('removes every entry without --expired', async () => {
+      const { command, cache } = createCommand();
+      await cache.set('fresh', { source: 'zippopotam' }, { ttl: HOUR });
+      await cache.set('stale', { source: 'zippopotam' }, { ttl: -1 });
+
+      await expect(command.execute({ action: 'clear' })).resolves.toBe(`Removed 2 entries from ${cache.cacheDir}`);
+      expect(await cache.entries({ includeExpired: true })).toEqual([]);
+    });
+  });
+
+  describe('warm, export and import', () => {
+    test('carries warmed lookups to another cache that answers them offline', async () => {
+      const get = jest.spyOn(axios, 'get').mockImplementation(zippopotamResponse);
+      const { command, apiClient, cache } = createCommand('warmed');
+      const before = { cacheTTL: apiClient.cacheTTL, refreshCache: apiClient.refreshCache };
+
+      const summary = await command.execute({ action: 'warm', state: 'ca', source: 'zippopotam' });
+
+      expect(summary).toBe('Cached 2 of 3 CA zipcodes from Zippopotam API for 720 hours\n  1 not found by zippopotam');
+      expect(get).toHaveBeenCalledTimes(3);
+      // Warming uses its own settings; the shared client keeps the configured ones
+      expect({ cacheTTL: apiClient.cacheTTL, refreshCache: apiClient.refreshCache }).toEqual(before);
+
+      const warmed = await cache.entries();
+      expect(warmed).toHaveLength(2);
+      expect(warmed.every(entry => entry.expiry > Date.now() + 719 * HOUR)).toBe(true);
+
+      const snapshot = path.join(directory, 'snapshot', 'ca.json');
+      await expect(command.execute({ action: 'export', output: snapshot })).resolves.toBe(`Exported 2 cache entries to ${snapshot}`);
+
+      const other = createCommand('imported');
+      await expect(other.command.execute({ action: 'import', input: snapshot }))
+        .resolves.toBe(`Imported 2 cache entries into ${other.cache.cacheDir}`);
+
+      get.mockRejectedValue(new Error('offline'));
+      const record = await other.apiClient.getZippopotamZipcode('92056');
+      expect(record).toMatchObject({ zipcode: '92056', city: 'Oceanside', state: 'CA', latitude: 33.1967 });
+      expect(get).toHaveBeenCalledTimes(3);
+    });
+
+    test('keeps warmed entries for the given number of hours', async () => {
+      jest.spyOn(axios, 'get').mockImplementation(zippopotamResponse);
+      const { command, cache } = createCommand();
+
+      await command.execute({ action: 'warm', state: 'NY', source: 'zippopotam', ttl: 2 });
+
+      const [entry] = await cache.entries();
+      expect(entry.expiry).toBeGreaterThan(Date.now() + HOUR);
+      expect(entry.expiry).toBeLessThanOrEqual(Date.now() + 2 * HOUR);
+    });
+
+    test('warns when the exported snapshot is empty because every entry expired', async () => {
+      const { command, cache, logger } = createCommand();
+      await cache.set('stale', { source: 'zippopotam' }, { ttl: -1 });
+
+      await command.execute({ action: 'export', output: path.join(directory, 'empty.json') });
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('all 1 cached entries have expired'));
+    });
+
+    test('rejects bad warm options and files that are not snapshots', async () => {
+      const { command } = createCommand();
+      const notSnapshot = path.join(directory, 'zipcodes.json');
+
+      await expect(command.execute({ action: 'warm', source: 'zippopotam' })).rejects.toMatchObject({ field: 'state' });
+      await expect(command.execute({ action: 'warm', state: 'CA', source: 'zipcodes' })).rejects.toMatchObject({ field: 'source' });
+      await expect(command.execute({ action: 'warm', state: 'CA', source: 'zippopotam', ttl: 0 })).rejects.toMatchObject({ field: 'ttl' });
+      await expect(command.execute({ action: 'import', input: notSnapshot })).rejects.toThrow(ValidationError);
+      await expect(command.execute({ action: 'import', input: notSnapshot })).rejects.toThrow("is not a cache snapshot written by 'cache export'");
+    });
+  });
+});
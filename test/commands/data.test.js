@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataCommand = require('../../src/commands/data');
+const Config = require('../../src/utils/config');
+const { ValidationError } = require('../../src/utils/errors');
+
+const GAZETTEER = 'GEOID\tINTPTLAT\tINTPTLONG\n92054\t33.207\t-117.357\n92056\t33.1967\t-117.2831\n';
+const GEONAMES = 'US\t92054\tOceanside\tCalifornia\tCA\tSan Diego\t073\t\t\t33.1959\t-117.3795\t4\n';
+
+describe('DataCommand import', () => {
+  let dir;
+  let logger;
+  let command;
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zipcode-data-'));
+    logger = { warn: jest.fn(), info: jest.fn(), debug: jest.fn(), error: jest.fn() };
+    command = new DataCommand({ config: new Config({ configPaths: [], values: {} }), logger });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes the merged store', async () => {
+    const output = path.join(dir, 'out', 'zipcodes.json');
+    const summary = await command.execute({ gazetteer: write('gaz.txt', GAZETTEER), geonames: write('US.txt', GEONAMES), output });
+
+    const store = JSON.parse(fs.readFileSync(output, 'utf8'));
+    expect(store.records.map(record => record.zipcode)).toEqual(['92054', '92056']);
+    expect(summary).toContain('Imported 2 zipcodes');
+    expect(logger.warn).toHaveBeenCalledWith('1 of 2 zipcodes have no city or state in the GeoNames or HUD files');
+  });
+
+  test('warns when no file supplies place names', async () => {
+    await command.execute({ gazetteer: write('gaz.txt', GAZETTEER), output: path.join(dir, 'zipcodes.json') });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('No --geonames or --hud file was given'));
+  });
+
+  test('does not warn when every zipcode is named', async () => {
+    await command.execute({ geonames: write('US.txt', GEONAMES), output: path.join(dir, 'zipcodes.json') });
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('raises validation errors for bad input', async () => {
+    const causeOf = promise => promise.then(() => null, error => error.cause || error);
+
+    await expect(command.execute({ action: 'export' })).rejects.toMatchObject({ field: 'action' });
+    await expect(command.execute({ hud: 'hud.csv' })).rejects.toMatchObject({ field: 'gazetteer' });
+
+    const missing = await causeOf(command.execute({ gazetteer: path.join(dir, 'missing.txt') }));
+    expect(missing).toBeInstanceOf(ValidationError);
+    expect(missing).toMatchObject({ field: 'gazetteer', message: expect.stringContaining('Input file not found') });
+
+    const empty = await causeOf(command.execute({ geonames: write('US.txt', 'CA\tT2P\tCalgary\n') }));
+    expect(empty).toBeInstanceOf(ValidationError);
+    expect(empty.field).toBe('geonames');
+  });
+});
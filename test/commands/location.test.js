@@ -0,0 +1,51 @@
+const LocationSearchCommand = require('../../src/commands/location');
+
+const OCEANSIDE = [
+  { zipcode: '92054', latitude: 33.2072, longitude: -117.3573, city: 'Oceanside', state: 'CA', source: 'stub' },
+  { zipcode: '92056', latitude: 33.1967, longitude: -117.2831, city: 'Oceanside', state: 'CA', source: 'stub' }
+];
+
+/**
+ * Command whose provider answers city and county searches with the given records
+ */
+function createCommand(records) {
+  const provider = {
+    searchCity: jest.fn().mockResolvedValue(records),
+    searchCounty: jest.fn().mockResolvedValue(records)
+  };
+  const apiClient = { config: { get: () => undefined }, logger: null };
+  const providers = { resolve: jest.fn().mockReturnValue(provider) };
+
+  return new LocationSearchCommand({ apiClient, providers });
+}
+
+describe('LocationSearchCommand county column', () => {
+  test('city searches leave the column out when the source has no counties', async () => {
+    const results = await createCommand(OCEANSIDE).execute({ city: 'Oceanside', state: 'CA', output: 'raw' });
+
+    expect(results.map(result => Object.keys(result))).toEqual([
+      ['zipcode', 'city', 'state', 'latitude', 'longitude'],
+      ['zipcode', 'city', 'state', 'latitude', 'longitude']
+    ]);
+  });
+
+  test('city searches add the column when any result has a county', async () => {
+    const records = [{ ...OCEANSIDE[0], county: 'San Diego' }, OCEANSIDE[1]];
+    const results = await createCommand(records).execute({ city: 'Oceanside', state: 'CA', output: 'raw' });
+
+    expect(results.map(result => result.county)).toEqual(['San Diego', '']);
+  });
+
+  test('county searches always have the column', async () => {
+    const results = await createCommand(OCEANSIDE).execute({ county: 'San Diego', state: 'CA', output: 'raw' });
+
+    expect(results[0]).toEqual({ zipcode: '92054', city: 'Oceanside', state: 'CA', latitude: 33.2072, longitude: -117.3573, county: '' });
+  });
+
+  test('drops results without a zipcode or coordinates', () => {
+    const command = createCommand([]);
+
+    expect(command.normalizeResults([{ zipcode: '92054' }, OCEANSIDE[0]])).toHaveLength(1);
+    expect(command.normalizeResults(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,231 @@
+const RadiusSearchCommand = require('../../src/commands/radius');
+const ProviderRegistry = require('../../src/data/sources/provider-registry');
+const { CAPABILITIES } = require('../../src/data/sources/provider-registry');
+const { BaseProvider } = require('../../src/data/sources/providers/base-provider');
+const { ValidationError, CircuitOpenError } = require('../../src/utils/errors');
+
+const RECORDS = [
+  { zipcode: '92054', latitude: 33.2072, longitude: -117.3573, city: 'Oceanside', state: 'CA' },
+  { zipcode: '92056', latitude: 33.1967, longitude: -117.2831, city: 'Oceanside', state: 'CA' },
+  { zipcode: '92008', latitude: 33.1605, longitude: -117.3255, city: 'Carlsbad', state: 'CA' }
+];
+
+const apiClient = {
+  config: { get: () => undefined },
+  logger: { warn: jest.fn(), info: jest.fn(), debug: jest.fn(), error: jest.fn() },
+  isHealthy: () => true
+};
+
+/**
+ * Dataset source answering lookups, city searches and radius queries from RECORDS
+ */
+class DatasetProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'dataset',
+      label: 'Dataset',
+      type: 'built-in',
+      apiClient,
+      capabilities: [CAPABILITIES.LOOKUP, CAPABILITIES.RADIUS, CAPABILITIES.CITY_SEARCH]
+    });
+    this.radius = jest.fn(async () => RECORDS.map(record => this.normalize(record)));
+  }
+
+  async lookup(zipcode) {
+    return this.normalize(RECORDS.find(record => record.zipcode === zipcode));
+  }
+
+  async searchCity(city, state) {
+    return RECORDS.filter(record => record.city === city && record.state === state).map(record => this.normalize(record));
+  }
+}
+
+/**
+ * Geocoder placing every address at Oceanside Pier
+ */
+class GeocoderProvider extends BaseProvider {
+  constructor() {
+    super({ name: 'geocoder', label: 'Geocoder', apiClient, capabilities: [CAPABILITIES.GEOCODE] });
+    this.geocode = jest.fn(async address => address.includes('Nowhere') ? null : {
+      zipcode: '92054',
+      latitude: 33.1932,
+      longitude: -117.3859,
+      city: 'Oceanside',
+      state: 'CA',
+      formatted_address: '1 Pier View Way, Oceanside, CA 92054',
+      source: 'geocoder'
+    });
+  }
+}
+
+function createCommand() {
+  const dataset = new DatasetProvider();
+  const geocoder = new GeocoderProvider();
+  const providers = new ProviderRegistry({ apiClient, registerDefaults: false, autoOrder: ['dataset', 'geocoder'] });
+  providers.register(dataset).register(geocoder);
+
+  const command = new RadiusSearchCommand();
+  command.providers = providers;
+  return { command, dataset, geocoder };
+}
+
+describe('RadiusSearchCommand search centers', () => {
+  test('searches around coordinates', async () => {
+    const { command, dataset } = createCommand();
+    const results = await command.execute({ lat: '33.2', lon: '-117.35', miles: 2, source: 'dataset', includeDistance: true, output: 'raw' });
+
+    expect(dataset.radius).toHaveBeenCalledWith({ latitude: 33.2, longitude: -117.35 }, 2);
+    expect(results).toEqual([
+      { zipcode: '92054', city: 'Oceanside', state: 'CA', latitude: 33.2072, longitude: -117.3573, distance_miles: 0.65 }
+    ]);
+  });
+
+  test('searches around the average of a city\'s zipcode centroids', async () => {
+    const { command, dataset } = createCommand();
+    await command.execute({ city: 'Oceanside', state: 'CA', miles: 5, source: 'dataset', output: 'raw' });
+
+    const [center] = dataset.radius.mock.calls[0];
+    expect(center).toMatchObject({ city: 'Oceanside', state: 'CA', source: 'dataset' });
+    expect(center.latitude).toBeCloseTo(33.20195, 6);
+    expect(center.longitude).toBeCloseTo(-117.3202, 6);
+  });
+
+  test('geocodes an address through auto when the source cannot geocode', async () => {
+    const { command, dataset, geocoder } = createCommand();
+    const center = await command.resolveCenter({ address: '1 Pier View Way, Oceanside' }, 'dataset');
+
+    expect(geocoder.geocode).toHaveBeenCalledWith('1 Pier View Way, Oceanside');
+    expect(center).toEqual({
+      latitude: 33.1932,
+      longitude: -117.3859,
+      city: 'Oceanside',
+      state: 'CA',
+      formatted_address: '1 Pier View Way, Oceanside, CA 92054',
+      geocoded_by: 'geocoder'
+    });
+
+    // The geocoded center carries no source, so the radius still comes from the requested one
+    await command.execute({ address: '1 Pier View Way, Oceanside', miles: 3, source: 'dataset', output: 'raw' });
+    expect(dataset.radius).toHaveBeenCalledWith(center, 3);
+  });
+
+  test('reports a city or address that cannot be found', async () => {
+    const { command } = createCommand();
+
+    await expect(command.execute({ city: 'Atlantis', state: 'CA', miles: 5, source: 'dataset' }))
+      .rejects.toThrow('Dataset could not find Atlantis, CA');
+    await expect(command.execute({ address: '1 Nowhere Lane', miles: 5, source: 'dataset' }))
+      .rejects.toThrow('could not geocode address "1 Nowhere Lane"');
+  });
+
+  test('still centers on a zipcode', async () => {
+    const { command } = createCommand();
+
+    await expect(command.resolveCenter({ zipcode: '92056' }, 'dataset')).resolves.toEqual({
+      zipcode: '92056', latitude: 33.1967, longitude: -117.2831, city: 'Oceanside', state: 'CA', source: 'dataset'
+    });
+  });
+});
+
+describe('RadiusSearchCommand center validation', () => {
+  const { command } = createCommand();
+
+  test.each([
+    [{}, 'A search center is required'],
+    [{ zipcode: '92054', lat: 33.2, lon: -117.35 }, 'Use only one search center'],
+    [{ city: 'Oceanside', state: 'CA', address: '1 Pier View Way' }, 'Use only one search center'],
+    [{ lat: 33.2 }, 'Both --lat and --lon must be valid numbers'],
+    [{ lat: 33.2, lon: 'west' }, 'Both --lat and --lon must be valid numbers'],
+    [{ lat: 95, lon: -117.35 }, 'Latitude must be between -90 and 90'],
+    [{ lat: 33.2, lon: -190 }, 'longitude between -180 and 180'],
+    [{ city: 'Oceanside' }, '--city requires --state']
+  ])('rejects %j', (center, message) => {
+    expect(() => command.validateCenter(center)).toThrow(message);
+  });
+
+  test('raises ValidationError naming the option to fix', () => {
+    expect(() => command.validateCenter({ lat: 33.2 })).toThrow(ValidationError);
+    expect(() => command.validateCenter({ lat: 33.2 })).toThrow(expect.objectContaining({ field: 'lat' }));
+    expect(() => command.validateCenter({ city: 'Oceanside' })).toThrow(expect.objectContaining({ field: 'state' }));
+  });
+
+  test('accepts each kind of center on its own', () => {
+    for (const center of [{ zipcode: '92054' }, { lat: 0, lon: 0 }, { city: 'Oceanside', state: 'CA' }, { address: '1 Pier View Way' }]) {
+      expect(() => command.validateCenter(center)).not.toThrow();
+    }
+  });
+
+  test('validates before looking anything up', async () => {
+    const { command: fresh, dataset } = createCommand();
+
+    await expect(fresh.execute({ zipcode: '92054', city: 'Oceanside', state: 'CA', miles: 5 })).rejects.toThrow('Use only one search center');
+    expect(dataset.radius).not.toHaveBeenCalled();
+  });
+});
+
+describe('RadiusSearchCommand getZipcodeData', () => {
+  const ZIPCODES = ['92003', '92008', '92010', '92011', '92024', '92054', '92056', '92057', '92058', '92083'];
+
+  /**
+   * Command whose lookups each take one turn of the event loop, failing as failWith decides
+   */
+  function createPool(maxConcurrent, failWith = () => null) {
+    const logger = { warn: jest.fn(), info: jest.fn(), debug: jest.fn(), error: jest.fn() };
+    const command = new RadiusSearchCommand({ apiClient: { ...apiClient, concurrency: { maxConcurrent } }, providers: {}, logger });
+    const pool = { active: 0, peak: 0 };
+
+    command.getCenterPoint = jest.fn(async zipcode => {
+      pool.active++;
+      pool.peak = Math.max(pool.peak, pool.active);
+      await new Promise(resolve => setImmediate(resolve));
+      pool.active--;
+
+      const error = failWith(zipcode);
+      if (error) {
+        throw error;
+      }
+      return { zipcode };
+    });
+    return { command, logger, pool };
+  }
+
+  test('keeps api.maxConcurrent lookups in flight and returns records in input order', async () => {
+    const { command, logger, pool } = createPool(3);
+    const progress = { tick: jest.fn() };
+
+    const found = await command.getZipcodeData(new Set(ZIPCODES), 'zippopotam', progress);
+
+    expect(found.map(record => record.zipcode)).toEqual(ZIPCODES);
+    expect(command.getCenterPoint).toHaveBeenCalledTimes(10);
+    expect(pool.peak).toBe(3);
+    expect(progress.tick).toHaveBeenCalledTimes(10);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('starts no more workers than there are zipcodes', async () => {
+    const { command, pool } = createPool(8);
+
+    await command.getZipcodeData(['92054', '92056'], 'zippopotam');
+    expect(pool.peak).toBe(2);
+  });
+
+  test('drops a zipcode that fails without stopping the others', async () => {
+    const { command } = createPool(3, zipcode => zipcode === '92024' ? new Error('Request failed with status code 500') : null);
+
+    const found = await command.getZipcodeData(ZIPCODES, 'zippopotam');
+    expect(found.map(record => record.zipcode)).toEqual(ZIPCODES.filter(zipcode => zipcode !== '92024'));
+  });
+
+  test('stops once the circuit opens and counts every zipcode left out', async () => {
+    // The circuit opens on the fourth lookup; the fifth is already in flight and is refused too
+    const opened = new Set(ZIPCODES.slice(3));
+    const { command, logger } = createPool(2, zipcode => opened.has(zipcode) ? new CircuitOpenError('zippopotam') : null);
+
+    const found = await command.getZipcodeData(ZIPCODES, 'zippopotam');
+
+    expect(found.map(record => record.zipcode)).toEqual(ZIPCODES.slice(0, 3));
+    expect(command.getCenterPoint).toHaveBeenCalledTimes(5);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith('Leaving the remaining 7 zipcodes out of zippopotam results');
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReverseCommand = require('../../src/commands/reverse');
+const BoundarySet = require('../../src/data/sources/boundaries');
+const { calculateDistance } = require('../../src/utils/distance');
+
+const RECORDS = [
+  { zipcode: '92054', latitude: 33.2072, longitude: -117.3573, city: 'Oceanside', state: 'CA' },
+  { zipcode: '92056', latitude: 33.1967, longitude: -117.2831, city: 'Oceanside', state: 'CA' },
+  { zipcode: '92008', latitude: 33.1605, longitude: -117.3255, city: 'Carlsbad', state: 'CA' }
+];
+
+function box(zipcode, minLat, maxLat, minLon, maxLon) {
+  return {
+    type: 'Feature',
+    properties: { ZCTA5CE20: zipcode },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]]
+    }
+  };
+}
+
+// 92054 reaches far enough east to hold points nearer the 92056 centroid; 92058 has no dataset record
+const BOUNDARIES = {
+  type: 'FeatureCollection',
+  features: [
+    box('92054', 33.18, 33.24, -117.40, -117.29),
+    box('92058', 33.24, 33.30, -117.40, -117.29)
+  ]
+};
+
+// Inside the 92054 polygon, with the 92056 centroid nearest
+const INSIDE_92054 = { lat: 33.195, lon: -117.295 };
+
+/**
+ * Command answering from RECORDS through a built-in provider
+ */
+function createCommand() {
+  const provider = {
+    name: 'stub',
+    type: 'built-in',
+    reverse: jest.fn(async (lat, lon, count = 1) => RECORDS
+      .map(record => ({ ...record, distance: calculateDistance(lat, lon, record.latitude, record.longitude) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, count)
+      .map(({ distance, ...record }) => ({ ...record, source: 'stub' }))),
+    lookup: jest.fn(async zipcode => {
+      const record = RECORDS.find(candidate => candidate.zipcode === zipcode);
+      return record ? { ...record, source: 'stub' } : null;
+    })
+  };
+
+  const command = new ReverseCommand();
+  command.providers = { resolve: () => provider, datasetProvider: () => provider };
+  return { command, provider };
+}
+
+describe('ReverseCommand findByBoundaries', () => {
+  const boundaries = new BoundarySet(BOUNDARIES.features);
+
+  test('returns the zipcode whose polygon contains the point, before nearer centroids', async () => {
+    const { command, provider } = createCommand();
+    const results = await command.findByBoundaries(INSIDE_92054.lat, INSIDE_92054.lon, provider, 2, boundaries);
+
+    expect(results.map(result => [result.zipcode, result.match_method])).toEqual([
+      ['92054', 'polygon'],
+      ['92056', 'centroid']
+    ]);
+    expect(results[0]).toMatchObject({ city: 'Oceanside', latitude: 33.2072 });
+  });
+
+  test('does not repeat the polygon match among the nearest centroids', async () => {
+    const { command, provider } = createCommand();
+    const results = await command.findByBoundaries(33.21, -117.36, provider, 3, boundaries);
+
+    expect(results.map(result => result.zipcode)).toEqual(['92054', '92008', '92056']);
+  });
+
+  test('falls back to the nearest centroid outside every polygon', async () => {
+    const { command, provider } = createCommand();
+    const results = await command.findByBoundaries(33.15, -117.33, provider, 1, boundaries);
+
+    expect(results).toEqual([expect.objectContaining({ zipcode: '92008', match_method: 'centroid' })]);
+  });
+
+  test('describes a ZCTA missing from the data source from its polygon', async () => {
+    const { command, provider } = createCommand();
+    const [match] = await command.findByBoundaries(33.27, -117.35, provider, 1, boundaries);
+
+    expect(match).toMatchObject({ zipcode: '92058', source: 'boundaries', match_method: 'polygon', city: '' });
+    expect(match.latitude).toBeCloseTo(33.27, 5);
+    expect(match.longitude).toBeCloseTo(-117.345, 5);
+  });
+});
+
+describe('ReverseCommand with --boundaries', () => {
+  let directory;
+  let boundaryFile;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reverse-boundaries-'));
+    boundaryFile = path.join(directory, 'zcta.geojson');
+    fs.writeFileSync(boundaryFile, JSON.stringify(BOUNDARIES));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('keeps the polygon match first when sorting by distance', async () => {
+    const { command } = createCommand();
+    const results = await command.execute({
+      ...INSIDE_92054, nearest: 3, includeDistance: true, boundaries: boundaryFile, output: 'raw'
+    });
+
+    expect(results.map(result => [result.zipcode, result.match_method])).toEqual([
+      ['92054', 'polygon'],
+      ['92056', 'centroid'],
+      ['92008', 'centroid']
+    ]);
+    expect(results[0].distance_miles).toBeGreaterThan(results[1].distance_miles);
+  });
+
+  test('keeps the containing zipcode within --miles however far away its centroid is', async () => {
+    const { command } = createCommand();
+    const results = await command.execute({ ...INSIDE_92054, miles: 1, boundaries: boundaryFile, output: 'raw' });
+
+    expect(results.map(result => [result.zipcode, result.match_method])).toEqual([
+      ['92054', 'polygon'],
+      ['92056', 'centroid']
+    ]);
+  });
+
+  test('reports the nearest centroid without --boundaries', async () => {
+    const { command } = createCommand();
+    const results = await command.execute({ ...INSIDE_92054, output: 'raw' });
+
+    expect(results).toEqual([{ zipcode: '92056', city: 'Oceanside', state: 'CA', lat: 33.1967, lon: -117.2831 }]);
+  });
+});
@@ -0,0 +1,157 @@
+const {
+  STORE_VERSION,
+  parseGazetteer,
+  parseGeoNames,
+  parseHudCrosswalk,
+  mergeSources,
+  buildStore
+} = require('../../src/data/importers');
+
+const GAZETTEER = [
+  'GEOID\tALAND\tAWATER\tALAND_SQMI\tAWATER_SQMI\tINTPTLAT\tINTPTLONG',
+  '92054\t46620000\t1200000\t18.0\t0.463\t33.207\t-117.357',
+  '601\t166836389\t798613\t64.416\t0.308\t18.180555\t-66.749961',
+  '99999\t0\t0\t0\t0\t\t',
+  ''
+].join('\n');
+
+const GEONAMES = [
+  'US\t92054\tOceanside\tCalifornia\tCA\tSan Diego\t073\t\t\t33.1959\t-117.3795\t4',
+  'US\t92056\tOceanside\tCalifornia\tCA\tSan Diego\t073\t\t\t33.1967\t-117.2831\t4',
+  'US\t90210\tBeverly Hills\tCalifornia\tCA\tLos Angeles\t037\t\t\t34.0901\t-118.4065\t4',
+  'CA\tT2P\tCalgary\tAlberta\tAB\t\t\t\t\t51.0486\t-114.0708\t6',
+  'US\t00000\tBroken\tCalifornia\tCA\t\t\t\t\tnot-a-number\t-117\t1'
+].join('\n');
+
+const HUD = [
+  'ZIP,COUNTY,USPS_ZIP_PREF_CITY,USPS_ZIP_PREF_STATE,RES_RATIO,BUS_RATIO,OTH_RATIO,TOT_RATIO',
+  '92054,06073,OCEANSIDE,CA,1,1,1,1',
+  '90210,06059,BEVERLY HILLS,ca,0.2,0.2,0.2,0.2',
+  '90210,06037,BEVERLY HILLS,ca,0.8,0.8,0.8,0.8',
+  '601,72001,ADJUNTAS,PR,1,1,1,1'
+].join('\n');
+
+describe('parseGazetteer', () => {
+  test('reads ZCTA centroids and areas, padding zipcodes and skipping rows without coordinates', () => {
+    const records = parseGazetteer(GAZETTEER);
+
+    expect([...records.keys()]).toEqual(['92054', '00601']);
+    expect(records.get('92054')).toEqual({
+      zipcode: '92054', latitude: 33.207, longitude: -117.357, land_area: 18.0, water_area: 0.463
+    });
+  });
+
+  test('requires the identifier and coordinate columns', () => {
+    expect(() => parseGazetteer('GEOID\tNAME\n92054\tx')).toThrow('GEOID, INTPTLAT and INTPTLONG');
+    expect(parseGazetteer('').size).toBe(0);
+  });
+});
+
+describe('parseGeoNames', () => {
+  test('reads US rows only, with names, county and county code', () => {
+    const records = parseGeoNames(GEONAMES);
+
+    expect([...records.keys()]).toEqual(['92054', '92056', '90210']);
+    expect(records.get('90210')).toEqual({
+      zipcode: '90210',
+      latitude: 34.0901,
+      longitude: -118.4065,
+      city: 'Beverly Hills',
+      state: 'CA',
+      county: 'Los Angeles',
+      fips_county: '037'
+    });
+  });
+});
+
+describe('parseHudCrosswalk', () => {
+  test('assigns each zipcode the county with the largest share and normalizes names', () => {
+    const records = parseHudCrosswalk(HUD);
+
+    expect(records.get('90210')).toEqual({
+      zipcode: '90210', city: 'Beverly Hills', state: 'CA', fips_state: '06', fips_county: '037'
+    });
+    expect(records.get('00601')).toMatchObject({ city: 'Adjuntas', state: 'PR', fips_state: '72', fips_county: '001' });
+  });
+
+  test('keeps the first row when shares tie', () => {
+    const records = parseHudCrosswalk('zip,county,usps_zip_pref_city,usps_zip_pref_state,tot_ratio\n' +
+      '10001,36061,NEW YORK,NY,0.5\n10001,36047,BROOKLYN,NY,0.5');
+    expect(records.get('10001').fips_county).toBe('061');
+  });
+});
+
+describe('mergeSources', () => {
+  const sources = {
+    gazetteer: parseGazetteer(GAZETTEER),
+    geonames: parseGeoNames(GEONAMES),
+    hud: parseHudCrosswalk(HUD)
+  };
+
+  test('covers every zipcode with coordinates, sorted', () => {
+    expect(mergeSources(sources).map(record => record.zipcode)).toEqual(['00601', '90210', '92054', '92056']);
+  });
+
+  test('prefers Gazetteer coordinates and HUD names', () => {
+    const record = mergeSources(sources).find(item => item.zipcode === '92054');
+
+    expect(record).toEqual({
+      zipcode: '92054',
+      city: 'Oceanside',
+      state: 'CA',
+      latitude: 33.207,
+      longitude: -117.357,
+      county: 'San Diego',
+      fips_state: '06',
+      fips_county: '073',
+      land_area: 18.0,
+      water_area: 0.463
+    });
+  });
+
+  test('falls back to GeoNames coordinates and names', () => {
+    const record = mergeSources(sources).find(item => item.zipcode === '92056');
+
+    expect(record).toEqual({
+      zipcode: '92056',
+      city: 'Oceanside',
+      state: 'CA',
+      latitude: 33.1967,
+      longitude: -117.2831,
+      county: 'San Diego',
+      fips_county: '073'
+    });
+  });
+
+  test('keeps the GeoNames county only when it matches the HUD county', () => {
+    const hud = parseHudCrosswalk('zip,county,usps_zip_pref_city,usps_zip_pref_state,tot_ratio\n90210,06059,BEVERLY HILLS,CA,1');
+    const [record] = mergeSources({ geonames: parseGeoNames(GEONAMES), hud }).filter(item => item.zipcode === '90210');
+
+    expect(record.county).toBe('');
+    expect(record.fips_county).toBe('059');
+  });
+
+  test('leaves city and state empty for Gazetteer-only zipcodes', () => {
+    const record = mergeSources(sources).find(item => item.zipcode === '00601');
+
+    expect(record).toMatchObject({ city: 'Adjuntas', state: 'PR', county: '' });
+    expect(mergeSources({ gazetteer: sources.gazetteer })[0]).toMatchObject({ zipcode: '00601', city: '', state: '' });
+  });
+
+  test('ignores HUD zipcodes that no coordinate source has', () => {
+    const hud = parseHudCrosswalk('zip,county,usps_zip_pref_city,usps_zip_pref_state\n10001,36061,NEW YORK,NY');
+    expect(mergeSources({ hud })).toEqual([]);
+  });
+});
+
+describe('buildStore', () => {
+  test('indexes records by state and records the metadata', () => {
+    const records = mergeSources({ gazetteer: parseGazetteer(GAZETTEER), geonames: parseGeoNames(GEONAMES) });
+    const store = buildStore(records, { inputs: { geonames: { records: 3 } } });
+
+    expect(store.version).toBe(STORE_VERSION);
+    expect(store.metadata).toMatchObject({ count: 4, inputs: { geonames: { records: 3 } } });
+    expect(store.indexes.state).toEqual({ CA: [1, 2, 3] });
+    expect(store.records).toBe(records);
+  });
+});
@@ -0,0 +1,387 @@
+const APIClient = require('../../../src/data/sources/api-client');
+const Config = require('../../../src/utils/config');
+const RateLimiter = require('../../../src/utils/rate-limiter');
+const { STATES } = require('../../../src/utils/circuit-breaker');
+const { FixtureNotFoundError } = require('../../../src/utils/http-fixtures');
+const { CircuitOpenError } = require('../../../src/utils/errors');
+
+function createClient(values = {}) {
+  const config = new Config({
+    configPaths: [],
+    values: { api: { retries: 0, circuitBreaker: { failures: 1, cooldown: 1000 } }, ...values }
+  });
+  const client = new APIClient({ config, cache: new Map(), logger: null });
+
+  // No waiting on the providers' real rates
+  for (const source of Object.keys(client.rateLimiters)) {
+    client.rateLimiters[source] = new RateLimiter({ name: source });
+  }
+  return client;
+}
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: {} };
+  return error;
+}
+
+describe('APIClient response cache', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const zippopotamResponse = {
+    data: {
+      'post code': '92054',
+      places: [{ 'place name': 'Oceanside', 'state abbreviation': 'CA', latitude: '33.2072', longitude: '-117.3573' }]
+    }
+  };
+
+  test('answers a repeated lookup from the cache without sending it', async () => {
+    const client = createClient();
+    client.send = jest.fn().mockResolvedValue(zippopotamResponse);
+
+    const first = await client.getZippopotamZipcode('92054');
+    const second = await client.getZippopotamZipcode('92054');
+
+    expect(second).toEqual(first);
+    expect(client.send).toHaveBeenCalledTimes(1);
+    expect(client.cache.get('zipcode:zippopotam:92054')).toMatchObject({ source: 'zippopotam', data: first });
+  });
+
+  test('expires entries after the source\'s cacheTTL', async () => {
+    const client = createClient({ zippopotam: { cacheTTL: 1000 }, cache: { ttl: 60000 } });
+    client.send = jest.fn().mockResolvedValue(zippopotamResponse);
+
+    await client.getZippopotamZipcode('92054');
+    jest.advanceTimersByTime(999);
+    await client.getZippopotamZipcode('92054');
+    expect(client.send).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(2);
+    await client.getZippopotamZipcode('92054');
+    expect(client.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('neither reads nor writes the cache when it is disabled, as with --no-cache', async () => {
+    const client = createClient({ cache: { enabled: false } });
+    client.cache.set('zipcode:zippopotam:92054', { data: { zipcode: 'stale' }, expiry: Date.now() + 60000 });
+    client.send = jest.fn().mockResolvedValue(zippopotamResponse);
+
+    expect(client.isCaching('zippopotam')).toBe(false);
+    await expect(client.getZippopotamZipcode('92054')).resolves.toMatchObject({ zipcode: '92054' });
+    await client.getZippopotamZipcode('92054');
+
+    expect(client.send).toHaveBeenCalledTimes(2);
+    expect(client.cache.get('zipcode:zippopotam:92054').data).toEqual({ zipcode: 'stale' });
+  });
+
+  test('withCacheSettings changes the settings for one caller only', async () => {
+    const client = createClient();
+    client.send = jest.fn().mockResolvedValue(zippopotamResponse);
+    await client.getZippopotamZipcode('92054');
+
+    const warming = client.withCacheSettings({ cacheTTL: 3600000, refreshCache: true });
+    await warming.getZippopotamZipcode('92054');
+
+    expect(client.send).toHaveBeenCalledTimes(2);
+    expect(client.cache.get('zipcode:zippopotam:92054').expiry).toBe(Date.now() + 3600000);
+    expect(client.cacheTTL).toBeNull();
+    expect(client.refreshCache).toBe(false);
+    expect(warming.circuitBreakers).toBe(client.circuitBreakers);
+  });
+});
+
+describe('APIClient retries', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  function retryingClient() {
+    return createClient({ api: { retries: 2, retryDelay: 100, circuitBreaker: { failures: 10, cooldown: 1000 } } });
+  }
+
+  async function settle(promise) {
+    const outcome = promise.then(value => ({ value }), error => ({ error }));
+    await jest.runAllTimersAsync();
+    return await outcome;
+  }
+
+  test.each([
+    ['a 503', httpError(503)],
+    ['a 429', httpError(429)],
+    ['a timeout', Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' })]
+  ])('retries %s up to api.retries times', async (_, error) => {
+    const client = retryingClient();
+    client.send = jest.fn().mockRejectedValue(error);
+
+    const { error: thrown } = await settle(client.httpGet('zippopotam', '/us/92054'));
+    expect(thrown).toBe(error);
+    expect(client.send).toHaveBeenCalledTimes(3);
+  });
+
+  test('returns the response once a retry succeeds', async () => {
+    const client = retryingClient();
+    client.send = jest.fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValueOnce({ data: 'ok' });
+
+    await expect(settle(client.httpGet('zippopotam', '/us/92054'))).resolves.toEqual({ value: { data: 'ok' } });
+    expect(client.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry a 404', async () => {
+    const client = retryingClient();
+    client.send = jest.fn().mockRejectedValue(httpError(404));
+
+    await settle(client.httpGet('zippopotam', '/us/00000'));
+    expect(client.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits the backoff between attempts', async () => {
+    const client = retryingClient();
+    client.send = jest.fn().mockRejectedValue(httpError(503));
+
+    const outcome = client.httpGet('zippopotam', '/us/92054').catch(error => error);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(client.send).toHaveBeenCalledTimes(1);
+
+    // Math.random() of 0.5 puts each delay at three quarters of retryDelay * 2^attempt
+    await jest.advanceTimersByTimeAsync(74);
+    expect(client.send).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(client.send).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(150);
+    expect(client.send).toHaveBeenCalledTimes(3);
+    await outcome;
+  });
+
+  describe('getRetryDelay', () => {
+    test('stays between half and the full doubled delay', () => {
+      const client = retryingClient();
+
+      Math.random.mockReturnValue(0);
+      expect([0, 1, 2].map(attempt => client.getRetryDelay(attempt, httpError(503)))).toEqual([50, 100, 200]);
+
+      Math.random.mockReturnValue(0.9999);
+      expect([0, 1, 2].map(attempt => client.getRetryDelay(attempt, httpError(503)))).toEqual([100, 200, 400]);
+    });
+
+    test('never exceeds the maximum delay', () => {
+      const client = retryingClient();
+      Math.random.mockReturnValue(0.9999);
+
+      expect(client.getRetryDelay(20, httpError(503))).toBe(30000);
+    });
+
+    test('honours Retry-After in seconds or as an HTTP date', () => {
+      const client = retryingClient();
+      // HTTP dates have whole seconds
+      jest.setSystemTime(new Date('2026-03-01T12:00:00Z'));
+      const retryAfter = value => Object.assign(httpError(429), { response: { status: 429, headers: { 'retry-after': value } } });
+
+      expect(client.getRetryDelay(0, retryAfter('5'))).toBe(5000);
+      expect(client.getRetryDelay(0, retryAfter(new Date(Date.now() + 12000).toUTCString()))).toBe(12000);
+      // A date already past, or a value that is neither form, leaves the backoff
+      expect(client.getRetryDelay(0, retryAfter(new Date(Date.now() - 12000).toUTCString()))).toBe(75);
+      expect(client.getRetryDelay(0, retryAfter('soon'))).toBe(75);
+      expect(client.getRetryDelay(0, retryAfter('3600'))).toBe(30000);
+    });
+  });
+
+  test('never runs more than api.maxConcurrent requests at once', async () => {
+    const client = createClient({ api: { retries: 0, maxConcurrent: 2 } });
+    let active = 0;
+    let peak = 0;
+    const pending = [];
+
+    client.send = jest.fn(() => {
+      active++;
+      peak = Math.max(peak, active);
+      return new Promise(resolve => pending.push(() => {
+        active--;
+        resolve({ data: 'ok' });
+      }));
+    });
+
+    const requests = Array.from({ length: 5 }, (_, index) => client.httpGet('zippopotam', `/us/9205${index}`));
+    for (let round = 0; round < 5; round++) {
+      await jest.advanceTimersByTimeAsync(0);
+      expect(active).toBeLessThanOrEqual(2);
+      pending.splice(0).forEach(resolve => resolve());
+    }
+
+    await Promise.all(requests);
+    expect(client.send).toHaveBeenCalledTimes(5);
+    expect(peak).toBe(2);
+  });
+});
+
+describe('APIClient circuit breakers', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function openCircuit(client, source) {
+    client.send = jest.fn().mockRejectedValue(httpError(503));
+    await expect(client.httpGet(source, '/search')).rejects.toThrow('503');
+    expect(client.circuitBreakers[source].state).toBe(STATES.OPEN);
+  }
+
+  test('refuses requests while the circuit is open, without sending them', async () => {
+    const client = createClient();
+    await openCircuit(client, 'nominatim');
+
+    client.send = jest.fn();
+    await expect(client.httpGet('nominatim', '/search', { params: { q: 'other' } })).rejects.toThrow(CircuitOpenError);
+    expect(client.send).not.toHaveBeenCalled();
+    expect(client.isHealthy('nominatim')).toBe(false);
+  });
+
+  test('a successful probe closes the circuit', async () => {
+    const client = createClient();
+    await openCircuit(client, 'nominatim');
+    jest.advanceTimersByTime(1000);
+
+    client.send = jest.fn().mockResolvedValue({ data: [] });
+    await client.httpGet('nominatim', '/search', { params: { q: 'probe' } });
+    expect(client.circuitBreakers.nominatim.state).toBe(STATES.CLOSED);
+  });
+
+  test('a probe answered with a 404 still shows the provider is up', async () => {
+    const client = createClient();
+    await openCircuit(client, 'zippopotam');
+    jest.advanceTimersByTime(1000);
+
+    client.send = jest.fn().mockRejectedValue(httpError(404));
+    await expect(client.httpGet('zippopotam', '/us/00000')).rejects.toThrow('404');
+    expect(client.circuitBreakers.zippopotam.state).toBe(STATES.CLOSED);
+  });
+
+  test('a probe ending in a missing fixture does not leave the circuit half-open', async () => {
+    const client = createClient();
+    await openCircuit(client, 'nominatim');
+    jest.advanceTimersByTime(1000);
+
+    client.send = jest.fn().mockRejectedValue(new FixtureNotFoundError('nominatim', '/search', 'missing.json'));
+    await expect(client.httpGet('nominatim', '/search', { params: { q: 'probe' } })).rejects.toThrow(FixtureNotFoundError);
+    expect(client.circuitBreakers.nominatim.state).not.toBe(STATES.HALF_OPEN);
+    expect(client.isHealthy('nominatim')).toBe(true);
+
+    client.send = jest.fn().mockResolvedValue({ data: [] });
+    await client.httpGet('nominatim', '/search', { params: { q: 'next' } });
+    expect(client.circuitBreakers.nominatim.state).toBe(STATES.CLOSED);
+  });
+});
+
+describe('APIClient fallback chain', () => {
+  test('skips sources that are disabled in configuration', async () => {
+    const client = createClient({ nominatim: { enabled: false }, zippopotam: { enabled: false } });
+    client.send = jest.fn();
+
+    await expect(client.getZipcode('92054')).resolves.toBeNull();
+    expect(client.send).not.toHaveBeenCalled();
+  });
+
+  test('skips sources whose circuit is open, zippopotam included', async () => {
+    const client = createClient({ nominatim: { enabled: false } });
+    client.circuitBreakers.zippopotam.recordFailure(new Error('down'));
+    client.send = jest.fn();
+
+    await expect(client.getZipcode('92054')).resolves.toBeNull();
+    expect(client.send).not.toHaveBeenCalled();
+  });
+
+  test('falls back to zippopotam when it is usable', async () => {
+    const client = createClient({ nominatim: { enabled: false } });
+    client.send = jest.fn().mockResolvedValue({
+      data: {
+        'post code': '92054',
+        places: [{ 'place name': 'Oceanside', 'state abbreviation': 'CA', latitude: '33.2072', longitude: '-117.3573' }]
+      }
+    });
+
+    const result = await client.getZipcode('92054');
+    expect(result).toMatchObject({ zipcode: '92054', source: 'zippopotam' });
+    expect(client.send).toHaveBeenCalledWith('zippopotam', '/us/92054', expect.any(String), expect.any(Object));
+  });
+});
+
+describe('APIClient request coalescing', () => {
+  function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  test('identifies requests by parameters in any order', () => {
+    const client = createClient();
+    expect(client.getRequestKey('nominatim', 'https://x/search', { q: 'a b', format: 'json' }))
+      .toBe(client.getRequestKey('nominatim', 'https://x/search', { format: 'json', q: 'a b' }));
+    expect(client.getRequestKey('nominatim', 'https://x/search', { q: 'a' }))
+      .not.toBe(client.getRequestKey('nominatim', 'https://x/search', { q: 'b' }));
+  });
+
+  test('concurrent identical requests share one send', async () => {
+    const client = createClient();
+    const response = deferred();
+    client.send = jest.fn(() => response.promise);
+
+    const first = client.httpGet('nominatim', '/search', { params: { q: 'Oceanside', format: 'json' } });
+    const second = client.httpGet('nominatim', '/search', { params: { format: 'json', q: 'Oceanside' } });
+    response.resolve({ data: ['shared'] });
+
+    const results = await Promise.all([first, second]);
+    expect(results[0]).toBe(results[1]);
+    expect(client.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('concurrent identical requests share a failure', async () => {
+    const client = createClient();
+    const response = deferred();
+    client.send = jest.fn(() => response.promise);
+
+    const first = client.httpGet('zippopotam', '/us/00000');
+    const second = client.httpGet('zippopotam', '/us/00000');
+    const failure = httpError(404);
+    response.reject(failure);
+
+    const results = await Promise.allSettled([first, second]);
+    expect(results.map(result => result.reason)).toEqual([failure, failure]);
+    expect(client.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('a settled request is sent again by a later identical call', async () => {
+    const client = createClient();
+    client.send = jest.fn()
+      .mockRejectedValueOnce(httpError(404))
+      .mockResolvedValueOnce({ data: 'second' })
+      .mockResolvedValueOnce({ data: 'third' });
+
+    await expect(client.httpGet('zippopotam', '/us/92054')).rejects.toThrow('404');
+    expect(client.inFlight.size).toBe(0);
+    await expect(client.httpGet('zippopotam', '/us/92054')).resolves.toEqual({ data: 'second' });
+    expect(client.inFlight.size).toBe(0);
+    await expect(client.httpGet('zippopotam', '/us/92054')).resolves.toEqual({ data: 'third' });
+    expect(client.send).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalDataset = require('../../../src/data/sources/local-dataset');
+const LocalProvider = require('../../../src/data/sources/providers/local-provider');
+const { buildStore } = require('../../../src/data/importers');
+
+const RECORDS = [
+  { zipcode: '92054', latitude: 33.2072, longitude: -117.3573, city: 'Oceanside', state: 'CA', county: 'San Diego' },
+  { zipcode: '92056', latitude: 33.1967, longitude: -117.2831, city: 'Oceanside', state: 'CA', county: 'San Diego' },
+  { zipcode: '92008', latitude: 33.1605, longitude: -117.3255, city: 'Carlsbad', state: 'CA', county: 'San Diego' },
+  { zipcode: '10001', latitude: 40.7506, longitude: -73.9972, city: 'New York', state: 'NY', county: 'New York' }
+];
+
+describe('LocalDataset', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-dataset-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function writeDataset(name, content) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  describe('formats', () => {
+    test('reads a JSON array of records', async () => {
+      const dataset = await new LocalDataset({ path: writeDataset('zipcodes.json', JSON.stringify(RECORDS)) }).load();
+
+      expect(dataset.size).toBe(4);
+      expect(dataset.get('92054')).toEqual(RECORDS[0]);
+    });
+
+    test('reads a JSON store with metadata', async () => {
+      const store = { metadata: { version: 1, sources: ['gazetteer'] }, records: RECORDS };
+      const dataset = await new LocalDataset({ path: writeDataset('store.json', JSON.stringify(store)) }).load();
+
+      expect(dataset.metadata).toEqual(store.metadata);
+      expect(dataset.get('10001')).toMatchObject({ city: 'New York', state: 'NY' });
+    });
+
+    test('reads CSV, padding zipcodes and keeping extra columns', async () => {
+      const file = writeDataset('zipcodes.csv', [
+        'zip,lat,lng,city,state,county,timezone',
+        '601,18.180555,-66.749961,Adjuntas,pr,Adjuntas,America/Puerto_Rico',
+        '92054,33.2072,-117.3573,Oceanside,CA,San Diego,'
+      ].join('\n'));
+      const dataset = await new LocalDataset({ path: file }).load();
+
+      expect(dataset.get('00601')).toEqual({
+        zipcode: '00601',
+        latitude: 18.180555,
+        longitude: -66.749961,
+        city: 'Adjuntas',
+        state: 'PR',
+        county: 'Adjuntas',
+        timezone: 'America/Puerto_Rico'
+      });
+      expect(dataset.get('92054')).not.toHaveProperty('timezone');
+    });
+
+    test('reads TSV by extension', async () => {
+      const file = writeDataset('zipcodes.tsv', 'zipcode\tlatitude\tlongitude\tcity\tstate\n92054\t33.2072\t-117.3573\tOceanside\tCA\n');
+      const dataset = await new LocalDataset({ path: file }).load();
+
+      expect(dataset.get('92054')).toMatchObject({ latitude: 33.2072, longitude: -117.3573, city: 'Oceanside' });
+    });
+
+    test('reads a Census ZCTA Gazetteer file, trimming its padded headers', async () => {
+      const file = writeDataset('2020_Gaz_zcta_national.txt', [
+        'GEOID\tALAND\tAWATER\tALAND_SQMI\tAWATER_SQMI\tINTPTLAT\tINTPTLONG                ',
+        '92054\t46620000\t1200000\t18.0\t0.463\t33.207\t    -117.357',
+        '99999\t0\t0\t0\t0\t\t'
+      ].join('\n'));
+      const dataset = await new LocalDataset({ path: file, format: 'gazetteer' }).load();
+
+      expect(dataset.size).toBe(1);
+      expect(dataset.get('92054')).toEqual({
+        zipcode: '92054',
+        latitude: 33.207,
+        longitude: -117.357,
+        city: '',
+        state: '',
+        county: '',
+        aland: '46620000',
+        awater: '1200000',
+        aland_sqmi: '18.0',
+        awater_sqmi: '0.463'
+      });
+    });
+
+    test('takes the format option over the extension', async () => {
+      const file = writeDataset('zipcodes.dat', 'zipcode\tlat\tlon\n92054\t33.2072\t-117.3573\n');
+      const dataset = await new LocalDataset({ path: file, format: 'tsv' }).load();
+
+      expect(dataset.get('92054')).toMatchObject({ latitude: 33.2072 });
+    });
+  });
+
+  describe('columns', () => {
+    test.each([
+      ['zcta5', 'intptlat', 'intptlong'],
+      ['postal_code', 'centroid_lat', 'centroid_lon'],
+      ['GEOID', 'Latitude', 'Long']
+    ])('accepts %s, %s and %s', async (zipcode, latitude, longitude) => {
+      const file = writeDataset('aliases.csv', `${zipcode},${latitude},${longitude},usps_city,usps_state,county_name\n92054,33.2,-117.3,Oceanside,ca,San Diego\n`);
+      const dataset = await new LocalDataset({ path: file }).load();
+
+      expect(dataset.get('92054')).toEqual({
+        zipcode: '92054', latitude: 33.2, longitude: -117.3, city: 'Oceanside', state: 'CA', county: 'San Diego'
+      });
+    });
+
+    test('skips rows without a zipcode or usable coordinates', async () => {
+      const file = writeDataset('partial.csv', 'zip,lat,lon\n92054,33.2,-117.3\n,33.2,-117.3\n92056,,-117.3\n92008,north,-117.3\n');
+      const dataset = await new LocalDataset({ path: file }).load();
+
+      expect(dataset.records.map(record => record.zipcode)).toEqual(['92054']);
+    });
+  });
+
+  describe('indexes', () => {
+    test('groups records by state', async () => {
+      const dataset = await new LocalDataset({ path: writeDataset('zipcodes.json', JSON.stringify(RECORDS)) }).load();
+
+      expect(dataset.getByState('ca').map(record => record.zipcode)).toEqual(['92054', '92056', '92008']);
+      expect(dataset.getByState('NY')).toHaveLength(1);
+      expect(dataset.getByState('TX')).toEqual([]);
+    });
+
+    test('rebuilds the indexes when the records are replaced', () => {
+      const dataset = new LocalDataset();
+      dataset.setRecords(RECORDS);
+      dataset.setRecords(RECORDS.slice(3));
+
+      expect(dataset.get('92054')).toBeNull();
+      expect(dataset.getByState('CA')).toEqual([]);
+      expect(dataset.getByState('NY')).toHaveLength(1);
+    });
+
+    test('uses the state index of an imported store', async () => {
+      const store = buildStore(RECORDS);
+      // A store index is trusted as written, so a deliberately partial one shows it was used
+      store.indexes.state.CA = [1];
+      const dataset = await new LocalDataset({ path: writeDataset('store.json', JSON.stringify(store)) }).load();
+
+      expect(dataset.getByState('CA').map(record => record.zipcode)).toEqual(['92056']);
+    });
+
+    test('rebuilds the state index when a store record is dropped', async () => {
+      const store = buildStore(RECORDS);
+      store.records[0] = { ...store.records[0], latitude: null };
+      const dataset = await new LocalDataset({ path: writeDataset('store.json', JSON.stringify(store)) }).load();
+
+      expect(dataset.getByState('CA').map(record => record.zipcode)).toEqual(['92056', '92008']);
+    });
+
+    test('builds the spatial index once and again after the records change', () => {
+      const dataset = new LocalDataset();
+      dataset.setRecords(RECORDS);
+
+      const index = dataset.getSpatialIndex();
+      expect(dataset.getSpatialIndex()).toBe(index);
+      expect(index.nearest(40.75, -74, 1)[0].record.zipcode).toBe('10001');
+
+      dataset.setRecords(RECORDS.slice(0, 3));
+      expect(dataset.getSpatialIndex()).not.toBe(index);
+      expect(dataset.getSpatialIndex().nearest(40.75, -74, 1)[0].record.zipcode).toBe('92056');
+    });
+  });
+
+  describe('loading', () => {
+    test('shares one read between concurrent callers', async () => {
+      const dataset = new LocalDataset({ path: writeDataset('zipcodes.json', JSON.stringify(RECORDS)) });
+      const read = jest.spyOn(dataset, 'read');
+
+      await Promise.all([dataset.load(), dataset.load(), dataset.load()]);
+      expect(read).toHaveBeenCalledTimes(1);
+    });
+
+    test('names a missing file and reads again after a failure', async () => {
+      const file = path.join(directory, 'later.json');
+      const dataset = new LocalDataset({ path: file });
+
+      await expect(dataset.load()).rejects.toThrow(`Local dataset not found: ${file}`);
+
+      fs.writeFileSync(file, JSON.stringify(RECORDS));
+      await expect(dataset.load()).resolves.toBe(dataset);
+    });
+
+    test('explains how to configure a dataset when none is set', async () => {
+      await expect(new LocalDataset().load()).rejects.toThrow('local.path');
+    });
+  });
+});
+
+describe('LocalProvider queries', () => {
+  const dataset = new LocalDataset({ path: 'unused.json' });
+  dataset.setRecords(RECORDS);
+  dataset.loading = Promise.resolve(dataset);
+  const provider = new LocalProvider({ dataset, localConfig: { path: 'unused.json' } });
+
+  test('finds the zipcodes within a radius', async () => {
+    const results = await provider.radius({ latitude: 33.2072, longitude: -117.3573 }, 5);
+
+    expect(results.map(result => result.zipcode).sort()).toEqual(['92008', '92054', '92056']);
+    expect(results[0]).toMatchObject({ source: 'local', state: 'CA' });
+  });
+
+  test('finds the nearest zipcodes in distance order', async () => {
+    const results = await provider.reverse(33.17, -117.35, 2);
+
+    expect(results.map(result => result.zipcode)).toEqual(['92008', '92054']);
+  });
+
+  test('searches cities and counties within a state', async () => {
+    expect((await provider.searchCity('oceanside', 'ca')).map(result => result.zipcode)).toEqual(['92054', '92056']);
+    expect(await provider.searchCounty('San Diego County', 'CA')).toHaveLength(3);
+  });
+});
@@ -0,0 +1,129 @@
+const ProviderRegistry = require('../../../src/data/sources/provider-registry');
+const { CAPABILITIES } = require('../../../src/data/sources/provider-registry');
+const { BaseProvider } = require('../../../src/data/sources/providers/base-provider');
+const { UnsupportedSourceError } = require('../../../src/utils/errors');
+
+const apiClient = {
+  config: { get: () => undefined },
+  logger: { warn: jest.fn(), info: jest.fn(), debug: jest.fn(), error: jest.fn() },
+  isHealthy: () => true
+};
+
+/**
+ * Provider answering lookups with a fixed result, or failing with an error
+ */
+class StubProvider extends BaseProvider {
+  constructor(name, { result = null, error = null, capabilities = [CAPABILITIES.LOOKUP] } = {}) {
+    super({ name, apiClient, capabilities });
+    this.result = result;
+    this.error = error;
+    this.calls = 0;
+  }
+
+  async lookup() {
+    this.calls++;
+    if (this.error) {
+      throw this.error;
+    }
+    return this.result;
+  }
+}
+
+function createRegistry(providers, autoOrder = providers.map(provider => provider.name)) {
+  const registry = new ProviderRegistry({ apiClient, registerDefaults: false, autoOrder });
+  providers.forEach(provider => registry.register(provider));
+  return registry;
+}
+
+describe('ProviderRegistry', () => {
+  describe('resolve', () => {
+    const registry = new ProviderRegistry({ apiClient });
+
+    test('returns the named provider when it supports the capability', () => {
+      expect(registry.resolve('zipcodes', CAPABILITIES.RADIUS).name).toBe('zipcodes');
+      expect(registry.resolve('census', CAPABILITIES.CENSUS_TRACT).name).toBe('census');
+    });
+
+    test('resolves a missing source name to auto', () => {
+      expect(registry.resolve(undefined, CAPABILITIES.LOOKUP).name).toBe('auto');
+    });
+
+    test('rejects a source without the capability, naming the sources that have it', () => {
+      expect(() => registry.resolve('zippopotam', CAPABILITIES.RADIUS)).toThrow(UnsupportedSourceError);
+      expect(() => registry.resolve('zippopotam', CAPABILITIES.RADIUS))
+        .toThrow(/^Data source 'zippopotam' does not support radius search\. Supported sources: .*zipcodes/);
+      expect(() => registry.resolve('census', CAPABILITIES.LOOKUP)).toThrow("Data source 'census' does not support zipcode lookup.");
+    });
+
+    test('rejects an unknown source', () => {
+      expect(() => registry.resolve('bogus', CAPABILITIES.LOOKUP)).toThrow(UnsupportedSourceError);
+      expect(() => registry.resolve('bogus', CAPABILITIES.LOOKUP)).toThrow(/^Unknown data source 'bogus'\. Supported sources: /);
+    });
+
+    test('answers through the resolved provider', async () => {
+      const result = await registry.resolve('zipcodes', CAPABILITIES.LOOKUP).lookup('92054');
+      expect(result).toMatchObject({ zipcode: '92054', state: 'CA', source: 'zipcodes' });
+    });
+  });
+
+  describe('capabilities', () => {
+    test('lists the providers supporting a capability', () => {
+      const registry = createRegistry([
+        new StubProvider('first'),
+        new StubProvider('second', { capabilities: [CAPABILITIES.REVERSE] })
+      ]);
+
+      expect(registry.list(CAPABILITIES.REVERSE).map(provider => provider.name)).toEqual(['auto', 'second']);
+      expect(registry.list().map(provider => provider.name)).toEqual(['auto', 'first', 'second']);
+    });
+
+    test('auto supports what any provider in its order supports', () => {
+      const registry = createRegistry([new StubProvider('first')]);
+
+      expect(registry.resolve('auto', CAPABILITIES.LOOKUP).name).toBe('auto');
+      expect(() => registry.resolve('auto', CAPABILITIES.RADIUS)).toThrow(UnsupportedSourceError);
+    });
+
+    test('a provider refuses a capability it does not declare', async () => {
+      await expect(new StubProvider('first').reverse(33, -117)).rejects.toThrow(UnsupportedSourceError);
+    });
+
+    test('register replaces a provider of the same name', () => {
+      const registry = createRegistry([new StubProvider('first')]);
+      const replacement = new StubProvider('first');
+      registry.register(replacement);
+
+      expect(registry.get('first')).toBe(replacement);
+      expect(registry.get('missing')).toBeNull();
+    });
+  });
+
+  describe('auto fallback', () => {
+    test('takes the first provider with a result', async () => {
+      const failing = new StubProvider('failing', { error: new Error('timeout') });
+      const empty = new StubProvider('empty');
+      const found = new StubProvider('found', { result: { zipcode: '92054' } });
+      const unused = new StubProvider('unused', { result: { zipcode: '10001' } });
+      const registry = createRegistry([failing, empty, found, unused]);
+
+      await expect(registry.resolve('auto', CAPABILITIES.LOOKUP).lookup('92054')).resolves.toEqual({ zipcode: '92054' });
+      expect([failing.calls, empty.calls, found.calls, unused.calls]).toEqual([1, 1, 1, 0]);
+    });
+
+    test('follows the configured order and skips providers without the capability', async () => {
+      const reverseOnly = new StubProvider('reverse-only', { capabilities: [CAPABILITIES.REVERSE] });
+      const second = new StubProvider('second', { result: { zipcode: '2' } });
+      const first = new StubProvider('first', { result: { zipcode: '1' } });
+      const registry = createRegistry([reverseOnly, second, first], ['reverse-only', 'first', 'second']);
+
+      await expect(registry.resolve('auto', CAPABILITIES.LOOKUP).lookup('92054')).resolves.toEqual({ zipcode: '1' });
+      expect(reverseOnly.calls).toBe(0);
+    });
+
+    test('returns null when no provider has a result', async () => {
+      const registry = createRegistry([new StubProvider('empty'), new StubProvider('failing', { error: new Error('down') })]);
+
+      await expect(registry.resolve('auto', CAPABILITIES.LOOKUP).lookup('92054')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Minimal ZIP reader for checking archives written by src/utils/zip-writer.js
+ * Walks the central directory and inflates each entry, independently of the writer's code
+ */
+
+const zlib = require('zlib');
+
+/**
+ * @param {Buffer} archive - ZIP file contents
+ * @returns {Array<Object>} [{name, method, flags, crc, data}] in central directory order
+ */
+function readZip(archive) {
+  const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset < 0) {
+    throw new Error('No end of central directory record');
+  }
+
+  const count = archive.readUInt16LE(endOffset + 10);
+  let offset = archive.readUInt32LE(endOffset + 16);
+  const entries = [];
+
+  for (let index = 0; index < count; index++) {
+    if (archive.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error(`Bad central directory header at ${offset}`);
+    }
+
+    const flags = archive.readUInt16LE(offset + 8);
+    const method = archive.readUInt16LE(offset + 10);
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (archive.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Bad local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const stored = archive.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(stored) : Buffer.from(stored);
+
+    if (data.length !== size) {
+      throw new Error(`Size mismatch for ${name}`);
+    }
+
+    entries.push({ name, method, flags, crc, data });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+module.exports = {
+  readZip
+};
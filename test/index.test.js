@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ZipcodeLookup, Config, ValidationError } = require('../src/index');
+
+// A local dataset one thousandth of a degree north of the bundled zipcodes, so comparisons differ
+const LOCAL_RECORDS = [
+  { zipcode: '92054', latitude: 33.2082, longitude: -117.3573, city: 'Oceanside', state: 'CA' },
+  { zipcode: '92056', latitude: 33.1977, longitude: -117.2831, city: 'Oceanside', state: 'CA' }
+];
+
+describe('ZipcodeLookup', () => {
+  let directory;
+  let localPath;
+  let stdout;
+  let consoleLog;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zipcode-lookup-'));
+    localPath = path.join(directory, 'zipcodes.json');
+    fs.writeFileSync(localPath, JSON.stringify(LOCAL_RECORDS));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    stdout = jest.spyOn(process.stdout, 'write');
+    consoleLog = jest.spyOn(console, 'log');
+  });
+
+  afterEach(() => {
+    // Library calls return their results and print nothing
+    expect(stdout).not.toHaveBeenCalled();
+    expect(consoleLog).not.toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+
+  function createLookup(options = {}) {
+    return new ZipcodeLookup({ logger: null, cache: new Map(), config: { local: { path: localPath } }, ...options });
+  }
+
+  describe('commands', () => {
+    test('radius returns result objects, not formatted output', async () => {
+      const results = await createLookup().radius({ zip: 92054, miles: 2, source: 'zipcodes', includeDistance: true });
+
+      expect(Array.isArray(results)).toBe(true);
+      expect(results[0]).toEqual({ zipcode: '92054', city: 'Oceanside', state: 'CA', latitude: 33.2072, longitude: -117.3573, distance_miles: 0 });
+      expect(results.every(result => result.distance_miles <= 2)).toBe(true);
+    });
+
+    test('run leaves out CLI-only options and always asks for raw output', async () => {
+      const lookup = createLookup();
+      const execute = jest.spyOn(lookup.commands.radius, 'execute');
+
+      const results = await lookup.radius({ zip: '92054', miles: 1, source: 'zipcodes', output: 'table', format: 'csv', kml: true });
+
+      const [options] = execute.mock.calls[0];
+      expect(options).toMatchObject({ zipcode: '92054', miles: 1, output: 'raw', kml: false });
+      expect(options).not.toHaveProperty('format');
+      expect(options).not.toHaveProperty('zip');
+      expect(typeof results).not.toBe('string');
+    });
+
+    test('reverse returns the nearest zipcodes as objects', async () => {
+      const results = await createLookup().reverse({ lat: 33.2, lon: -117.35, nearest: 2, source: 'local' });
+
+      expect(results).toEqual([
+        { zipcode: '92054', city: 'Oceanside', state: 'CA', lat: 33.2082, lon: -117.3573 },
+        { zipcode: '92056', city: 'Oceanside', state: 'CA', lat: 33.1977, lon: -117.2831 }
+      ]);
+    });
+
+    test('radius and reverse point comparisons at compare()', async () => {
+      const lookup = createLookup();
+
+      await expect(lookup.radius({ zip: '92054', miles: 2, compare: 'local' })).rejects.toThrow(ValidationError);
+      await expect(lookup.reverse({ lat: 33.2, lon: -117.35, compare: 'local' })).rejects.toThrow('Use compare() to compare data sources');
+    });
+  });
+
+  describe('compare', () => {
+    test('compares a radius search between two sources', async () => {
+      const comparison = await createLookup().compare({ zip: '92054', miles: 2, source: 'zipcodes', compare: 'local' });
+
+      expect(comparison.source_comparison).toEqual({ primary_source: 'zipcodes', compare_source: 'local', coordinate_difference_miles: 0.0691 });
+      expect(comparison.results_summary).toMatchObject({ compare_count: 1 });
+      expect(comparison.detailed_comparison.find(row => row.zipcode === '92054')).toMatchObject({ in_primary: true, in_compare: true });
+    });
+
+    test('compares a reverse lookup between two sources', async () => {
+      const comparison = await createLookup().compare({ operation: 'reverse', lat: 33.2, lon: -117.35, source: 'zipcodes', compare: 'local' });
+
+      expect(comparison).toMatchObject({
+        primary_source: 'zipcodes',
+        compare_source: 'local',
+        results: {
+          primary: { zipcode: '92054', latitude: 33.2072, source: 'zipcodes' },
+          compare: { zipcode: '92054', latitude: 33.2082, source: 'local' }
+        }
+      });
+    });
+
+    test('needs a comparable operation and a comparison source', async () => {
+      const lookup = createLookup();
+
+      await expect(lookup.compare({ operation: 'census', zip: '92054', compare: 'local' })).rejects.toMatchObject({ field: 'operation' });
+      await expect(lookup.compare({ zip: '92054', miles: 2 })).rejects.toMatchObject({ field: 'compare' });
+    });
+  });
+
+  describe('batch', () => {
+    test('returns a row per input row, keeping failed rows', async () => {
+      const rows = await createLookup().batch({
+        operation: 'distance',
+        centroidZipcode: '92054',
+        source: 'zipcodes',
+        rows: [{ zipcode: '92056' }, { zipcode: '00000' }]
+      });
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({ centroid: '92054', zipcode: '92056', distance_miles: 4.35, success: true });
+      expect(rows[1]).toMatchObject({ zipcode: '00000', success: false });
+    });
+  });
+
+  describe('dependencies', () => {
+    test('uses an injected Config as is', () => {
+      const config = new Config({ configPaths: [], values: { api: { retries: 0 } } });
+      const lookup = createLookup({ config });
+
+      expect(lookup.config).toBe(config);
+      expect(lookup.apiClient.config).toBe(config);
+    });
+
+    test('merges plain config values over the defaults without reading config files', () => {
+      const lookup = createLookup({ config: { local: { path: localPath }, api: { retries: 0 } } });
+
+      expect(lookup.config.get('api')).toMatchObject({ retries: 0 });
+      expect(lookup.config.get('nominatim')).toMatchObject({ enabled: true });
+    });
+
+    test('shares an injected cache store with the API client', () => {
+      const cache = new Map();
+      const lookup = createLookup({ cache });
+
+      expect(lookup.cache).toBe(cache);
+      expect(lookup.apiClient.cache).toBe(cache);
+    });
+
+    test('logs through an injected logger', async () => {
+      const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      const lookup = createLookup({ logger });
+
+      await expect(lookup.initialize()).resolves.toBe(true);
+      expect(logger.debug).toHaveBeenCalledWith(expect.stringContaining('Zipcode lookup initialized'));
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const ApiServer = require('../../src/server/api-server');
+const { describeError } = require('../../src/server/api-server');
+const APIClient = require('../../src/data/sources/api-client');
+const Config = require('../../src/utils/config');
+const { ValidationError, NotFoundError, RateLimitError, CircuitOpenError } = require('../../src/utils/errors');
+
+describe('ApiServer', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const config = new Config({ configPaths: [], values: {} });
+    const apiClient = new APIClient({ config, cache: new Map(), logger: null });
+    const logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() };
+
+    server = new ApiServer({ apiClient, logger });
+    const { host, port } = await server.listen(0);
+    baseUrl = `http://${host}:${port}`;
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  async function request(path, init) {
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const text = await response.text();
+    const json = response.headers.get('content-type').startsWith('application/json') ? JSON.parse(text) : null;
+    return { status: response.status, headers: response.headers, text, json };
+  }
+
+  test('answers a radius search from the bundled dataset', async () => {
+    const { status, json } = await request('/radius?zip=92054&miles=2&source=zipcodes&include-distance');
+
+    expect(status).toBe(200);
+    expect(json.map(result => result.zipcode)).toContain('92054');
+    expect(json.every(result => result.distance_miles <= 2)).toBe(true);
+  });
+
+  test('returns other formats with their content type', async () => {
+    const { status, headers, text } = await request('/radius?zip=92054&miles=2&source=zipcodes&format=csv');
+
+    expect(status).toBe(200);
+    expect(headers.get('content-type')).toBe('text/csv; charset=utf-8');
+    expect(text.split('\r\n')[0]).toBe('"zipcode","city","state","latitude","longitude"');
+  });
+
+  test('rejects invalid parameters with a 400 naming each field', async () => {
+    const { status, json } = await request('/radius?zip=92054&miles=-1&source=bogus');
+
+    expect(status).toBe(400);
+    expect(json.error).toMatchObject({ status: 400, code: 'VALIDATION_ERROR', field: 'miles' });
+    expect(json.error.errors.map(error => error.field)).toEqual(['miles', 'source']);
+  });
+
+  test('reports validation errors raised by the commands', async () => {
+    const { status, json } = await request('/radius?zip=92054&miles=5&source=zipcodes&format=geojson&geometry=wkt');
+
+    expect(status).toBe(400);
+    expect(json).toEqual({
+      error: { status: 400, code: 'VALIDATION_ERROR', message: '--geometry applies to csv, json and yaml output', field: 'geometry' }
+    });
+  });
+
+  test('returns 404 for unknown zipcodes and routes, and 405 for other methods', async () => {
+    const missing = await request('/radius?zip=00000&miles=2&source=zipcodes');
+    expect(missing.status).toBe(404);
+    expect(missing.json.error.code).toBe('NOT_FOUND');
+
+    const route = await request('/nowhere');
+    expect(route.json).toEqual({ error: { status: 404, code: 'ROUTE_NOT_FOUND', message: 'No endpoint at /nowhere' } });
+
+    const method = await request('/health', { method: 'DELETE' });
+    expect(method.status).toBe(405);
+    expect(method.headers.get('allow')).toBe('GET');
+  });
+
+  test('runs batch rows posted as JSON', async () => {
+    const { status, json } = await request('/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ operation: 'distance', centroidZipcode: '92054', source: 'zipcodes', rows: [{ zipcode: '92056' }] })
+    });
+
+    expect(status).toBe(200);
+    expect(json).toMatchObject({ operation: 'distance', count: 1 });
+  });
+
+  test('rejects batch bodies that are not JSON or have no rows', async () => {
+    const invalid = await request('/batch', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.json.error.field).toBe('body');
+
+    const noRows = await request('/batch', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    expect(noRows.status).toBe(400);
+    expect(noRows.json.error.field).toBe('rows');
+  });
+});
+
+describe('describeError', () => {
+  test('finds typed errors along the cause chain', () => {
+    const wrapped = new Error('Radius search failed: bad', { cause: new ValidationError('bad', 'miles') });
+    expect(describeError(wrapped)).toMatchObject({ status: 400, code: 'VALIDATION_ERROR', message: 'bad', field: 'miles' });
+  });
+
+  test('maps each error type to its status', () => {
+    expect(describeError(new NotFoundError('none')).status).toBe(404);
+    expect(describeError(new RateLimitError('nominatim', 1000)).status).toBe(429);
+    expect(describeError(new CircuitOpenError('nominatim', new Date())).status).toBe(503);
+    expect(describeError(Object.assign(new Error('socket hang up'), { isAxiosError: true }))).toMatchObject({ status: 502, code: 'UPSTREAM_ERROR' });
+    expect(describeError(new Error('boom'))).toEqual({ status: 500, code: 'INTERNAL_ERROR', message: 'boom' });
+  });
+});
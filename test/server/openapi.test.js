@@ -0,0 +1,75 @@
+const { ENDPOINTS, buildOpenApiDocument, validateRequest } = require('../../src/server/openapi');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * Run validateRequest and return the ValidationError it throws
+ */
+function rejectionOf(...args) {
+  try {
+    validateRequest(...args);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ValidationError);
+    return error;
+  }
+  throw new Error('Expected the request to be rejected');
+}
+
+describe('validateRequest', () => {
+  test('parses query strings into typed command options', () => {
+    expect(validateRequest('radius', {
+      zip: '92054', miles: '5.5', source: 'zipcodes', 'include-distance': '', 'include-city': 'false'
+    })).toEqual({ zip: '92054', miles: 5.5, source: 'zipcodes', includeDistance: true, includeCity: false });
+  });
+
+  test('reports every bad parameter, naming the first as the field', () => {
+    const error = rejectionOf('radius', { miles: '-1', source: 'bogus', 'include-distance': 'yes' });
+
+    expect(error.field).toBe('miles');
+    expect(error.errors).toEqual([
+      { field: 'miles', message: 'Must be greater than 0.' },
+      { field: 'source', message: expect.stringMatching(/^Allowed choices are nominatim, /) },
+      { field: 'include-distance', message: 'Must be true or false.' }
+    ]);
+    expect(error.message).toMatch(/^Invalid request\. miles: Must be greater than 0\. source: /);
+  });
+
+  test('rejects unknown parameters and non-numeric numbers', () => {
+    expect(rejectionOf('radius', { zip: '92054', radius: '5' }).errors[0]).toMatchObject({
+      field: 'radius', message: expect.stringContaining('Unknown parameter')
+    });
+    expect(rejectionOf('radius', { miles: 'five' }).errors[0].message).toBe('Must be a number.');
+    expect(rejectionOf('radius', { zip: 'abc' }).field).toBe('zip');
+  });
+
+  test('leaves CLI-only options out of the HTTP surface', () => {
+    expect(rejectionOf('batch', { input: 'rows.csv' }).errors[0].message).toContain('Unknown parameter');
+  });
+
+  test('reads JSON bodies by attribute name, passing allowed keys through', () => {
+    const rows = [{ zipcode: '92054' }];
+    expect(validateRequest('batch', { rows, operation: 'distance', centroidZipcode: '92054' }, { keys: 'attribute', allow: ['rows'] }))
+      .toEqual({ rows, operation: 'distance', centroidZipcode: '92054' });
+    expect(rejectionOf('batch', { radius: 0 }, { keys: 'attribute' }).field).toBe('radius');
+  });
+});
+
+describe('buildOpenApiDocument', () => {
+  const document = buildOpenApiDocument({ serverUrl: 'http://127.0.0.1:4000' });
+
+  test('describes every endpoint at the given server', () => {
+    expect(document.servers).toEqual([{ url: 'http://127.0.0.1:4000' }]);
+    for (const [path, { method, command }] of Object.entries(ENDPOINTS)) {
+      expect(document.paths[path][method].operationId).toBe(command);
+    }
+  });
+
+  test('documents query parameters with the same constraints validateRequest applies', () => {
+    const parameters = document.paths['/radius'].get.parameters;
+    const miles = parameters.find(parameter => parameter.name === 'miles');
+    const source = parameters.find(parameter => parameter.name === 'source');
+
+    expect(miles).toMatchObject({ in: 'query', schema: { type: 'number', exclusiveMinimum: 0 } });
+    expect(source.schema.enum).toContain('zipcodes');
+    expect(parameters.map(parameter => parameter.name)).not.toContain('kml');
+  });
+});
@@ -0,0 +1,127 @@
+const CircuitBreaker = require('../../src/utils/circuit-breaker');
+const { STATES } = require('../../src/utils/circuit-breaker');
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const failure = new Error('timeout of 10000ms exceeded');
+
+  function openBreaker(breaker) {
+    for (let attempt = 0; attempt < breaker.threshold; attempt++) {
+      breaker.recordFailure(failure);
+    }
+  }
+
+  test('stays closed below the failure threshold', () => {
+    const breaker = new CircuitBreaker({ name: 'nominatim', failures: 3, cooldown: 1000 });
+
+    expect(breaker.recordFailure(failure)).toBe(false);
+    expect(breaker.recordFailure(failure)).toBe(false);
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test('a success resets the consecutive failure count', () => {
+    const breaker = new CircuitBreaker({ name: 'nominatim', failures: 2, cooldown: 1000 });
+
+    breaker.recordFailure(failure);
+    breaker.recordSuccess();
+    expect(breaker.recordFailure(failure)).toBe(false);
+    expect(breaker.state).toBe(STATES.CLOSED);
+  });
+
+  test('opens after consecutive failures and refuses requests until the cool-down passes', () => {
+    const breaker = new CircuitBreaker({ name: 'nominatim', failures: 2, cooldown: 1000 });
+
+    breaker.recordFailure(failure);
+    expect(breaker.recordFailure(failure)).toBe(true);
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.isOpen()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.retryAt().getTime()).toBe(Date.now() + 1000);
+
+    jest.advanceTimersByTime(999);
+    expect(breaker.allowRequest()).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(breaker.isOpen()).toBe(false);
+  });
+
+  test('lets a single probe through once the cool-down has passed', () => {
+    const breaker = new CircuitBreaker({ name: 'nominatim', failures: 1, cooldown: 1000 });
+    openBreaker(breaker);
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.isOpen()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  test('a successful probe closes the circuit', () => {
+    const breaker = new CircuitBreaker({ name: 'nominatim', failures: 1, cooldown: 1000 });
+    openBreaker(breaker);
+    jest.advanceTimersByTime(1000);
+    breaker.allowRequest();
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test('a failed probe opens the circuit for another cool-down', () => {
+    const breaker = new CircuitBreaker({ name: 'nominatim', failures: 3, cooldown: 1000 });
+    openBreaker(breaker);
+    jest.advanceTimersByTime(1000);
+    breaker.allowRequest();
+
+    expect(breaker.recordFailure(failure)).toBe(true);
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  test('a released probe lets the next request probe again', () => {
+    const breaker = new CircuitBreaker({ name: 'nominatim', failures: 1, cooldown: 1000 });
+    openBreaker(breaker);
+    jest.advanceTimersByTime(1000);
+    breaker.allowRequest();
+
+    breaker.releaseProbe();
+    expect(breaker.isOpen()).toBe(false);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+  });
+
+  test('releasing has no effect unless a probe is in flight', () => {
+    const breaker = new CircuitBreaker({ name: 'nominatim', failures: 1, cooldown: 1000 });
+
+    breaker.releaseProbe();
+    expect(breaker.state).toBe(STATES.CLOSED);
+
+    openBreaker(breaker);
+    breaker.releaseProbe();
+    expect(breaker.isOpen()).toBe(true);
+  });
+
+  test('reports its health', () => {
+    const breaker = new CircuitBreaker({ name: 'nominatim', failures: 1, cooldown: 1000 });
+    breaker.recordSuccess();
+    openBreaker(breaker);
+
+    expect(breaker.getHealth()).toEqual({
+      state: STATES.OPEN,
+      consecutiveFailures: 1,
+      successes: 1,
+      failures: 1,
+      lastError: failure.message,
+      lastFailure: new Date(Date.now()).toISOString(),
+      retryAt: new Date(Date.now() + 1000).toISOString()
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { getPosition, toPointFeature, toFeatureCollection, toComparisonCollection } = require('../../src/utils/geojson');
+
+const OCEANSIDE = { zipcode: '92054', city: 'Oceanside', state: 'CA', latitude: 33.2072, longitude: -117.3573 };
+const VISTA = { zipcode: '92083', city: 'Vista', state: 'CA', latitude: 33.1983, longitude: -117.2425 };
+
+describe('getPosition', () => {
+  test('reads latitude/longitude or lat/lon as [longitude, latitude]', () => {
+    expect(getPosition(OCEANSIDE)).toEqual([-117.3573, 33.2072]);
+    expect(getPosition({ lat: '33.2', lon: '-117.35' })).toEqual([-117.35, 33.2]);
+  });
+
+  test('returns null without usable coordinates', () => {
+    expect(getPosition({ zipcode: '92054' })).toBeNull();
+    expect(getPosition({ latitude: '', longitude: -117 })).toBeNull();
+    expect(getPosition({ latitude: 'north', longitude: -117 })).toBeNull();
+    expect(getPosition({ latitude: 0, longitude: 0 })).toEqual([0, 0]);
+  });
+});
+
+describe('toPointFeature', () => {
+  test('moves the coordinates into the geometry and keeps the other fields', () => {
+    expect(toPointFeature({ ...OCEANSIDE, distance_miles: 0 }, { role: 'result' })).toEqual({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [-117.3573, 33.2072] },
+      properties: { zipcode: '92054', city: 'Oceanside', state: 'CA', distance_miles: 0, role: 'result' }
+    });
+  });
+
+  test('does not let extra properties override the record', () => {
+    expect(toPointFeature({ ...OCEANSIDE, source: 'local' }, { source: 'zipcodes' }).properties.source).toBe('local');
+  });
+
+  test('gives records without coordinates a null geometry', () => {
+    expect(toPointFeature({ zipcode: '92054', city: 'Oceanside' }).geometry).toBeNull();
+  });
+});
+
+describe('toFeatureCollection', () => {
+  test('is a FeatureCollection of result points labelled with their source', () => {
+    const collection = toFeatureCollection([OCEANSIDE, { ...VISTA, source: 'local' }], { source: 'zipcodes' });
+
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.features.map(feature => feature.properties)).toEqual([
+      { zipcode: '92054', city: 'Oceanside', state: 'CA', role: 'result', source: 'zipcodes' },
+      { zipcode: '92083', city: 'Vista', state: 'CA', source: 'local', role: 'result' }
+    ]);
+    expect(JSON.parse(JSON.stringify(collection))).toEqual(collection);
+  });
+
+  test('puts the search center first', () => {
+    const collection = toFeatureCollection([VISTA], { center: { ...OCEANSIDE, source: 'zipcodes' }, source: 'zipcodes' });
+
+    expect(collection.features[0]).toEqual({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [-117.3573, 33.2072] },
+      properties: { zipcode: '92054', city: 'Oceanside', state: 'CA', role: 'center', source: 'zipcodes' }
+    });
+    expect(collection.features).toHaveLength(2);
+  });
+
+  test('leaves the source off a center given as coordinates', () => {
+    const [center] = toFeatureCollection([], { center: { latitude: 33.2, longitude: -117.35 }, source: 'zipcodes' }).features;
+
+    expect(center.properties).toEqual({ role: 'center' });
+  });
+});
+
+describe('toComparisonCollection', () => {
+  const primary = [OCEANSIDE, VISTA, { zipcode: '92058', latitude: 33.2748, longitude: -117.3521 }];
+  const compare = [
+    { ...OCEANSIDE, latitude: 33.2040, longitude: -117.3532 },
+    { ...VISTA, latitude: 33.1983, longitude: -117.2425 }
+  ];
+
+  const collection = toComparisonCollection({
+    primarySource: 'zipcodes',
+    compareSource: 'zippopotam',
+    primaryCenter: OCEANSIDE,
+    compareCenter: compare[0],
+    primary,
+    compare
+  });
+  const byRole = role => collection.features.filter(feature => feature.properties.role === role);
+
+  test('includes both centers and every result from each source', () => {
+    expect(byRole('center').map(feature => feature.properties.source)).toEqual(['zipcodes', 'zippopotam']);
+    expect(byRole('result').map(feature => `${feature.properties.source}:${feature.properties.zipcode}`)).toEqual([
+      'zipcodes:92054', 'zipcodes:92083', 'zipcodes:92058', 'zippopotam:92054', 'zippopotam:92083'
+    ]);
+  });
+
+  test('joins each zipcode found by both sources with a difference line', () => {
+    expect(byRole('difference')).toEqual([
+      {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[-117.3573, 33.2072], [-117.3532, 33.204]] },
+        properties: { role: 'difference', zipcode: '92054', primary_source: 'zipcodes', compare_source: 'zippopotam', difference_miles: 0.3242 }
+      },
+      expect.objectContaining({ properties: expect.objectContaining({ zipcode: '92083', difference_miles: 0 }) })
+    ]);
+  });
+
+  test('joins the two centers', () => {
+    expect(byRole('center-difference')).toEqual([
+      expect.objectContaining({ properties: expect.objectContaining({ zipcode: '92054', difference_miles: 0.3242 }) })
+    ]);
+  });
+
+  test('uses a shared center and draws no center line for reverse comparisons', () => {
+    const reverse = toComparisonCollection({
+      primarySource: 'zipcodes',
+      compareSource: 'nominatim',
+      center: { latitude: 33.2, longitude: -117.35 },
+      primary: [OCEANSIDE],
+      compare: [{ zipcode: '92054', lat: 33.2, lon: -117.35 }]
+    });
+
+    expect(reverse.features.map(feature => feature.properties.role)).toEqual(['center', 'result', 'result', 'difference']);
+    expect(reverse.features[0].properties).toEqual({ role: 'center' });
+  });
+});
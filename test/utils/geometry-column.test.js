@@ -0,0 +1,151 @@
+const {
+  validateGeometryOption,
+  addGeometryColumn,
+  encodeGeometry,
+  toWKT,
+  toWKB
+} = require('../../src/utils/geometry-column');
+const { ValidationError } = require('../../src/utils/errors');
+
+const point = { type: 'Point', coordinates: [-106.3, 31.6948] };
+const square = [[-117.4, 33.18], [-117.3, 33.18], [-117.3, 33.24], [-117.4, 33.24], [-117.4, 33.18]];
+const hole = [[-117.36, 33.2], [-117.34, 33.2], [-117.34, 33.22], [-117.36, 33.2]];
+
+/**
+ * Read little-endian WKB back into {srid, type, coordinates}, to check the encoder independently
+ */
+function readWKB(buffer) {
+  let offset = 0;
+  const uint32 = () => {
+    const value = buffer.readUInt32LE(offset);
+    offset += 4;
+    return value;
+  };
+  const position = () => {
+    const value = [buffer.readDoubleLE(offset), buffer.readDoubleLE(offset + 8)];
+    offset += 16;
+    return value;
+  };
+  const ring = () => Array.from({ length: uint32() }, position);
+  const rings = () => Array.from({ length: uint32() }, ring);
+
+  const readGeometry = () => {
+    expect(buffer[offset]).toBe(1);
+    offset += 1;
+    const header = uint32();
+    const srid = header & 0x20000000 ? uint32() : null;
+    const type = header & 0xff;
+
+    switch (type) {
+      case 1:
+        return { srid, type: 'Point', coordinates: position() };
+      case 3:
+        return { srid, type: 'Polygon', coordinates: rings() };
+      case 6:
+        return { srid, type: 'MultiPolygon', coordinates: Array.from({ length: uint32() }, () => readGeometry().coordinates) };
+      default:
+        throw new Error(`Unexpected WKB type ${type}`);
+    }
+  };
+
+  const geometry = readGeometry();
+  expect(offset).toBe(buffer.length);
+  return geometry;
+}
+
+describe('toWKT', () => {
+  test('writes points, polygons with holes and multipolygons', () => {
+    expect(toWKT({ type: 'Point', coordinates: [-117.35, 33.2] })).toBe('POINT(-117.35 33.2)');
+    expect(toWKT({ type: 'Polygon', coordinates: [square, hole] })).toBe(
+      'POLYGON((-117.4 33.18,-117.3 33.18,-117.3 33.24,-117.4 33.24,-117.4 33.18),' +
+      '(-117.36 33.2,-117.34 33.2,-117.34 33.22,-117.36 33.2))'
+    );
+    expect(toWKT({ type: 'MultiPolygon', coordinates: [[square], [hole]] })).toBe(
+      'MULTIPOLYGON(((-117.4 33.18,-117.3 33.18,-117.3 33.24,-117.4 33.24,-117.4 33.18)),' +
+      '((-117.36 33.2,-117.34 33.2,-117.34 33.22,-117.36 33.2)))'
+    );
+  });
+
+  test('rejects other geometry types', () => {
+    expect(() => toWKT({ type: 'LineString', coordinates: [] })).toThrow('Unsupported geometry type: LineString');
+  });
+});
+
+describe('toWKB', () => {
+  test('matches the EWKB PostGIS writes for a point', () => {
+    expect(encodeGeometry(point, 'ewkb')).toBe('0101000020E61000003333333333935AC0C442AD69DEB13F40');
+  });
+
+  test('writes plain WKB without an SRID', () => {
+    expect(encodeGeometry(point, 'wkb')).toBe('01010000003333333333935AC0C442AD69DEB13F40');
+  });
+
+  test('round-trips polygons and multipolygons', () => {
+    const polygon = { type: 'Polygon', coordinates: [square, hole] };
+    const multi = { type: 'MultiPolygon', coordinates: [[square, hole], [square]] };
+
+    expect(readWKB(toWKB(polygon))).toEqual({ srid: null, ...polygon });
+    expect(readWKB(toWKB(multi, 4326))).toEqual({ srid: 4326, ...multi });
+  });
+
+  test('gives only the outer geometry of a multipolygon the SRID', () => {
+    const buffer = toWKB({ type: 'MultiPolygon', coordinates: [[square]] }, 4326);
+    // Header (1 + 4 + 4), polygon count (4), then the member polygon's plain type
+    expect(buffer.readUInt32LE(14)).toBe(3);
+  });
+
+  test('rejects other geometry types', () => {
+    expect(() => toWKB({ type: 'LineString', coordinates: [] })).toThrow('Unsupported geometry type: LineString');
+  });
+});
+
+describe('validateGeometryOption', () => {
+  test('accepts no encoding, or a known encoding with tabular output', () => {
+    expect(() => validateGeometryOption(undefined, 'table')).not.toThrow();
+    for (const output of ['csv', 'json', 'yaml', 'raw']) {
+      expect(() => validateGeometryOption('wkt', output)).not.toThrow();
+    }
+  });
+
+  test('rejects unknown encodings and outputs without columns', () => {
+    expect(() => validateGeometryOption('geojson', 'csv')).toThrow(ValidationError);
+    expect(() => validateGeometryOption('wkb', 'table')).toThrow('--geometry applies to csv, json and yaml output');
+    expect(() => validateGeometryOption('wkb', 'geojson')).toThrow(ValidationError);
+  });
+});
+
+describe('addGeometryColumn', () => {
+  const boundaries = {
+    get: zipcode => (zipcode === '92054' ? { geometry: { type: 'Polygon', coordinates: [square] } } : null)
+  };
+
+  test('uses the ZCTA polygon when boundaries cover the zipcode, otherwise the point', () => {
+    const records = [
+      { zipcode: '92054', latitude: 33.2, longitude: -117.35 },
+      { zipcode: '92056', latitude: 33.19, longitude: -117.29 }
+    ];
+
+    expect(addGeometryColumn(records, 'wkt', { boundaries }).map(record => record.geometry)).toEqual([
+      toWKT({ type: 'Polygon', coordinates: [square] }),
+      'POINT(-117.29 33.19)'
+    ]);
+  });
+
+  test('takes positions from the unfiltered records when fields dropped the coordinates', () => {
+    const positions = [{ zipcode: '92056', lat: 33.19, lon: -117.29 }];
+    const [record] = addGeometryColumn([{ zipcode: '92056' }], 'wkt', { positions });
+
+    expect(record).toEqual({ zipcode: '92056', geometry: 'POINT(-117.29 33.19)' });
+  });
+
+  test('sets null when there is no position', () => {
+    const [record] = addGeometryColumn([{ zipcode: '00000', latitude: null, longitude: null }], 'ewkb');
+    expect(record.geometry).toBeNull();
+  });
+
+  test('does not modify the input records', () => {
+    const records = [{ zipcode: '92056', latitude: 33.19, longitude: -117.29 }];
+    addGeometryColumn(records, 'wkb');
+    expect(records[0]).not.toHaveProperty('geometry');
+  });
+});
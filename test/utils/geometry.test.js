@@ -0,0 +1,143 @@
+const {
+  pointInGeometry,
+  getGeometryBounds,
+  getGeometryCentroid,
+  getCircleCoverage,
+  getGeodesicCircle
+} = require('../../src/utils/geometry');
+const { calculateDistance } = require('../../src/utils/distance');
+
+const MILES_PER_DEGREE = 3959 * Math.PI / 180;
+
+/**
+ * Square polygon centered on a point, with sides of 2 * halfSide miles
+ */
+function square(lat, lon, halfSide, clockwise = false) {
+  const dLat = halfSide / MILES_PER_DEGREE;
+  const dLon = halfSide / (MILES_PER_DEGREE * Math.cos(lat * Math.PI / 180));
+  const ring = [
+    [lon - dLon, lat - dLat],
+    [lon + dLon, lat - dLat],
+    [lon + dLon, lat + dLat],
+    [lon - dLon, lat + dLat],
+    [lon - dLon, lat - dLat]
+  ];
+  return clockwise ? ring.reverse() : ring;
+}
+
+const polygon = (...rings) => ({ type: 'Polygon', coordinates: rings });
+
+describe('pointInGeometry', () => {
+  const outer = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+  const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+
+  test('finds points inside and outside a polygon', () => {
+    expect(pointInGeometry(5, 5, polygon(outer))).toBe(true);
+    expect(pointInGeometry(5, 11, polygon(outer))).toBe(false);
+    expect(pointInGeometry(-1, 5, polygon(outer))).toBe(false);
+  });
+
+  test('excludes points inside a hole', () => {
+    const withHole = polygon(outer, hole);
+    expect(pointInGeometry(5, 5, withHole)).toBe(false);
+    expect(pointInGeometry(2, 2, withHole)).toBe(true);
+  });
+
+  test('checks every part of a MultiPolygon', () => {
+    const multi = {
+      type: 'MultiPolygon',
+      coordinates: [[outer], [[[20, 20], [30, 20], [30, 30], [20, 30], [20, 20]]]]
+    };
+    expect(pointInGeometry(25, 25, multi)).toBe(true);
+    expect(pointInGeometry(15, 15, multi)).toBe(false);
+  });
+
+  test('handles concave rings', () => {
+    const notch = polygon([[0, 0], [10, 0], [10, 10], [5, 5], [0, 10], [0, 0]]);
+    expect(pointInGeometry(8, 5, notch)).toBe(false);
+    expect(pointInGeometry(2, 5, notch)).toBe(true);
+  });
+
+  test('treats missing and non-polygon geometries as containing nothing', () => {
+    expect(pointInGeometry(0, 0, null)).toBe(false);
+    expect(pointInGeometry(0, 0, { type: 'Point', coordinates: [0, 0] })).toBe(false);
+  });
+});
+
+describe('getGeometryBounds and getGeometryCentroid', () => {
+  test('measure a polygon', () => {
+    const geometry = polygon([[-118, 33], [-116, 33], [-116, 35], [-118, 35], [-118, 33]]);
+
+    expect(getGeometryBounds(geometry)).toEqual({ minLat: 33, maxLat: 35, minLon: -118, maxLon: -116 });
+    const centroid = getGeometryCentroid(geometry);
+    expect(centroid.latitude).toBeCloseTo(34, 9);
+    expect(centroid.longitude).toBeCloseTo(-117, 9);
+  });
+
+  test('return null for an empty geometry', () => {
+    expect(getGeometryBounds(null)).toBeNull();
+    expect(getGeometryCentroid(null)).toBeNull();
+  });
+});
+
+describe('getCircleCoverage', () => {
+  const lat = 33.2;
+  const lon = -117.35;
+
+  test('is 1 for a polygon entirely inside the circle', () => {
+    expect(getCircleCoverage(polygon(square(lat, lon, 1)), lat, lon, 5)).toBeCloseTo(1, 6);
+  });
+
+  test('is 0 for a polygon outside the circle', () => {
+    expect(getCircleCoverage(polygon(square(lat + 1, lon, 1)), lat, lon, 5)).toBe(0);
+  });
+
+  test('is the circle area over the polygon area when the circle lies inside it', () => {
+    // A circle inscribed in a square covers pi/4 of it
+    expect(getCircleCoverage(polygon(square(lat, lon, 2)), lat, lon, 2)).toBeCloseTo(Math.PI / 4, 3);
+  });
+
+  test('does not depend on ring orientation', () => {
+    const counterClockwise = getCircleCoverage(polygon(square(lat, lon, 2)), lat, lon + 0.02, 1.5);
+    const clockwise = getCircleCoverage(polygon(square(lat, lon, 2, true)), lat, lon + 0.02, 1.5);
+
+    expect(counterClockwise).toBeGreaterThan(0);
+    expect(counterClockwise).toBeLessThan(1);
+    expect(clockwise).toBeCloseTo(counterClockwise, 9);
+  });
+
+  test('leaves holes out of both the covered and the total area', () => {
+    // Half of a 4x4 square is covered; a 2x2 hole in the covered half removes 4 of its 8 square miles
+    const outer = square(lat, lon, 2);
+    const hole = square(lat, lon + 1 / (MILES_PER_DEGREE * Math.cos(lat * Math.PI / 180)), 1, true);
+    const farCenterLon = lon + 1002 / (MILES_PER_DEGREE * Math.cos(lat * Math.PI / 180));
+
+    const withoutHole = getCircleCoverage(polygon(outer), lat, farCenterLon, 1002);
+    const withHole = getCircleCoverage(polygon(outer, hole), lat, farCenterLon, 1002);
+
+    expect(withoutHole).toBeCloseTo(0.5, 2);
+    expect(withHole).toBeCloseTo(4 / 12, 2);
+  });
+
+  test('is 0 for an empty geometry', () => {
+    expect(getCircleCoverage(null, lat, lon, 5)).toBe(0);
+  });
+});
+
+describe('getGeodesicCircle', () => {
+  test('returns a closed ring at the radius from the center', () => {
+    const ring = getGeodesicCircle(45, -100, 25, 36);
+
+    expect(ring).toHaveLength(37);
+    expect(ring[36]).toEqual(ring[0]);
+    for (const [lon, lat] of ring) {
+      expect(calculateDistance(45, -100, lat, lon)).toBeCloseTo(25, 6);
+    }
+  });
+
+  test('keeps longitudes within -180..180 across the antimeridian', () => {
+    const ring = getGeodesicCircle(0, 179.9, 50);
+    expect(ring.every(([lon]) => lon >= -180 && lon <= 180)).toBe(true);
+    expect(ring.some(([lon]) => lon < 0)).toBe(true);
+  });
+});
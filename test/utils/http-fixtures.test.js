@@ -0,0 +1,134 @@
+/**
+ * Fixtures in test/fixtures/http were written through --record, for
+ *   radius --zip 92054 --miles 2 --source zipcodes --compare zippopotam
+ *   reverse --lat 33.2 --lon -117.35 --source nominatim (and --source zipcodes --compare nominatim)
+ * The response bodies are small stand-ins in each provider's response shape, with Zippopotam
+ * answering 404 for 92058, so the expected values below stay stable
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const APIClient = require('../../src/data/sources/api-client');
+const Config = require('../../src/utils/config');
+const HttpFixtures = require('../../src/utils/http-fixtures');
+const { FixtureNotFoundError } = require('../../src/utils/http-fixtures');
+const RadiusSearchCommand = require('../../src/commands/radius');
+const ReverseGeocodeCommand = require('../../src/commands/reverse');
+
+const FIXTURES = path.join(__dirname, '../fixtures/http');
+
+function createClient(options = {}, values = {}) {
+  const config = new Config({ configPaths: [], values });
+  return new APIClient({ config, cache: new Map(), logger: null, ...options });
+}
+
+describe('replaying recorded fixtures', () => {
+  let get;
+
+  beforeEach(() => {
+    get = jest.spyOn(axios, 'get').mockRejectedValue(new Error('Replay must not reach the network'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs a radius comparison offline', async () => {
+    const command = new RadiusSearchCommand({ apiClient: createClient({ replay: FIXTURES }) });
+    const result = await command.execute({ zipcode: '92054', miles: 2, source: 'zipcodes', compare: 'zippopotam', output: 'raw' });
+
+    expect(get).not.toHaveBeenCalled();
+    expect(result.source_comparison).toEqual({
+      primary_source: 'zipcodes',
+      compare_source: 'zippopotam',
+      coordinate_difference_miles: 0.3242
+    });
+    expect(result.coordinates.compare).toMatchObject({ latitude: 33.204, longitude: -117.3532 });
+    expect(result.results_summary).toMatchObject({ primary_count: 5, compare_count: 4 });
+
+    const missing = result.detailed_comparison.find(row => row.zipcode === '92058');
+    expect(missing).toMatchObject({ in_primary: true, in_compare: false });
+    expect(result.detailed_comparison.filter(row => row.in_compare).every(row => row.coordinate_difference_miles === 0.3242)).toBe(true);
+  });
+
+  test('runs a reverse lookup and a reverse comparison offline', async () => {
+    const command = new ReverseGeocodeCommand({ apiClient: createClient({ replay: FIXTURES }) });
+
+    await expect(command.execute({ lat: 33.2, lon: -117.35, source: 'nominatim', output: 'raw' })).resolves.toEqual([
+      { zipcode: '92054', city: 'Oceanside', state: 'CA', lat: 33.2000468, lon: -117.3499917 }
+    ]);
+
+    const comparison = await command.execute({ lat: 33.2, lon: -117.35, source: 'zipcodes', compare: 'nominatim', output: 'raw' });
+    expect(comparison.results.compare).toMatchObject({ zipcode: '92054', source: 'nominatim', county: 'San Diego County' });
+    expect(comparison.results.primary).toMatchObject({ zipcode: '92054', source: 'zipcodes' });
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test('fails a request that was never recorded with FixtureNotFoundError', async () => {
+    const client = createClient({ replay: FIXTURES });
+
+    await expect(client.httpGet('zippopotam', '/us/10001')).rejects.toThrow(FixtureNotFoundError);
+    const expected = new HttpFixtures({ mode: 'replay', directory: FIXTURES }).describe('zippopotam', '/us/10001').file;
+    await expect(client.httpGet('zippopotam', '/us/10001')).rejects.toMatchObject({ source: 'zippopotam', file: expected });
+
+    const command = new ReverseGeocodeCommand({ apiClient: client });
+    const failure = await command.execute({ lat: 40.75, lon: -73.99, source: 'nominatim', output: 'raw' }).catch(error => error);
+    expect(failure.cause).toBeInstanceOf(FixtureNotFoundError);
+  });
+
+  test('replays a recorded error as the axios error it came from', async () => {
+    const client = createClient({ replay: FIXTURES });
+    const error = await client.httpGet('zippopotam', '/us/92058').catch(caught => caught);
+
+    expect(error).toMatchObject({ isAxiosError: true, response: { status: 404 } });
+  });
+});
+
+describe('recording fixtures', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('leaves credentials out of fixture files and their names', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      data: { status: 'ZERO_RESULTS', results: [] }
+    });
+    const client = createClient({ record: directory }, { googleMaps: { enabled: true, apiKey: 'secret-api-key' } });
+
+    await client.httpGet('googlemaps', '/geocode/json', { params: { address: '92054', key: 'secret-api-key', access_token: 'secret-token' } });
+
+    const files = fs.readdirSync(path.join(directory, 'googlemaps'));
+    expect(files).toHaveLength(1);
+    const content = fs.readFileSync(path.join(directory, 'googlemaps', files[0]), 'utf8');
+    expect(content).not.toContain('secret');
+    expect(JSON.parse(content).request).toEqual({ source: 'googlemaps', path: '/geocode/json', params: { address: '92054' } });
+
+    // A replay with another key finds the same recording
+    const replaying = createClient({ replay: directory }, { googleMaps: { enabled: true, apiKey: 'other-key' } });
+    await expect(replaying.httpGet('googlemaps', '/geocode/json', { params: { key: 'other-key', address: '92054' } }))
+      .resolves.toMatchObject({ status: 200, data: { status: 'ZERO_RESULTS' } });
+  });
+
+  test('replays repeated requests in recorded order, then repeats the last', async () => {
+    const fixtures = new HttpFixtures({ mode: 'record', directory });
+    const failure = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, headers: {} } });
+    await fixtures.record('census', '/geocoder', { x: 1 }, { error: failure });
+    await fixtures.record('census', '/geocoder', { x: 1 }, { response: { status: 200, headers: {}, data: 'ok' } });
+
+    const replay = new HttpFixtures({ mode: 'replay', directory });
+    await expect(replay.replay('census', '/geocoder', { x: 1 })).rejects.toMatchObject({ response: { status: 503 } });
+    await expect(replay.replay('census', '/geocoder', { x: 1 })).resolves.toMatchObject({ data: 'ok' });
+    await expect(replay.replay('census', '/geocoder', { x: 1 })).resolves.toMatchObject({ data: 'ok' });
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const MapGenerator = require('../../src/utils/map-generator');
+
+const LEAFLET_CSS = fs.readFileSync(require.resolve('leaflet/dist/leaflet.css'), 'utf8');
+const LEAFLET_JS = fs.readFileSync(require.resolve('leaflet/dist/leaflet.js'), 'utf8');
+
+const CENTER = { zipcode: '92054', city: 'Oceanside', state: 'CA', latitude: 33.2072, longitude: -117.3573 };
+const COMPARE_CENTER = { ...CENTER, latitude: 33.2040, longitude: -117.3532 };
+
+const PRIMARY = [
+  { ...CENTER, distance_miles: 0 },
+  { zipcode: '92056', city: 'Oceanside', state: 'CA', latitude: 33.1967, longitude: -117.2831, distance_miles: 4.35 },
+  { zipcode: '92083', city: 'Vista', state: 'CA', latitude: 33.1983, longitude: -117.2425, distance_miles: 6.6 },
+  { zipcode: '92058', city: 'Oceanside', state: 'CA', latitude: 33.2748, longitude: -117.3521, distance_miles: 4.67 }
+];
+const COMPARE = [
+  { ...COMPARE_CENTER, distance_miles: 0 },
+  { zipcode: '92056', city: 'Oceanside', state: 'CA', latitude: 33.2010, longitude: -117.2900, distance_miles: 3.7 },
+  { zipcode: '92083', city: 'Vista', state: 'CA', latitude: 33.1983, longitude: -117.2425, distance_miles: 6.4 },
+  { zipcode: '92008', city: 'Carlsbad', state: 'CA', latitude: 33.1605, longitude: -117.3255, distance_miles: 3.5 }
+];
+
+const COMPARISON_OPTIONS = {
+  centerPoint: CENTER,
+  comparePoint: COMPARE_CENTER,
+  compareResults: COMPARE,
+  source: 'zipcodes',
+  compareSource: 'zippopotam',
+  radiusMiles: 5
+};
+
+/**
+ * The map data inlined into a generated page
+ */
+function readData(html) {
+  return JSON.parse(html.match(/var data = (.*);\n/)[1]);
+}
+
+/**
+ * The page without the inlined Leaflet stylesheet and script
+ */
+function withoutLeaflet(html) {
+  return html.replace(LEAFLET_CSS, '').replace(LEAFLET_JS, '');
+}
+
+describe('MapGenerator HTML maps', () => {
+  const generator = new MapGenerator({ logger: null });
+
+  test('inlines Leaflet and requests nothing over the network without a tile URL', () => {
+    const html = generator.buildHtmlContent(PRIMARY, { centerPoint: CENTER, source: 'zipcodes', radiusMiles: 5 });
+    const page = withoutLeaflet(html);
+
+    expect(html).toContain(`<style>${LEAFLET_CSS}</style>`);
+    expect(html).toContain(`<script>${LEAFLET_JS}</script>`);
+    expect(page).not.toMatch(/\b(src|href)=/);
+    expect(page).not.toMatch(/https?:\/\//);
+    expect(readData(html)).toMatchObject({ tileUrl: null, attribution: null });
+  });
+
+  test('adds the configured tile layer with its attribution', () => {
+    const html = generator.buildHtmlContent(PRIMARY, {
+      centerPoint: CENTER,
+      tileUrl: 'https://tiles.example.com/{z}/{x}/{y}.png',
+      attribution: '&copy; Example'
+    });
+
+    expect(readData(html)).toMatchObject({ tileUrl: 'https://tiles.example.com/{z}/{x}/{y}.png', attribution: '&copy; Example' });
+  });
+
+  test('escapes "<" in the inlined data so it cannot close the script element', () => {
+    const attribution = '&copy; <a href="https://tiles.example.com">Example</a></script><script>alert(1)</script>';
+    const html = generator.buildHtmlContent(PRIMARY, { tileUrl: 'https://tiles.example.com/{z}/{x}/{y}.png', attribution });
+    const [dataLine] = html.match(/var data = .*;\n/);
+
+    expect(withoutLeaflet(html).match(/<\/script>/g)).toHaveLength(2);
+    expect(dataLine).not.toContain('<');
+    expect(dataLine).toContain('\\u003c/script>');
+    expect(dataLine).toContain('\\u003cstrong>92056\\u003c/strong>');
+    expect(readData(html).attribution).toBe(attribution);
+  });
+
+  describe('comparison mode', () => {
+    const data = readData(generator.buildHtmlContent(PRIMARY, COMPARISON_OPTIONS));
+
+    test('colors each marker like its placemark from generateComparisonPlacemarks', () => {
+      const kml = generator.generateComparisonPlacemarks(PRIMARY, COMPARE, CENTER, 'zipcodes', 'zippopotam', COMPARE_CENTER, 5);
+      const styleColors = {
+        '#compareOnlyStyle': '#888888',
+        ...Object.fromEntries(generator.comparisonColors.map(({ color }, index) => [`#color${index}Style`, `#${color}`]))
+      };
+      const placemarkColors = Object.fromEntries(
+        [...kml.matchAll(/<name>([^<]+)<\/name>\s*<description>[^<]*<\/description>\s*<styleUrl>([^<]+)<\/styleUrl>/g)]
+          .map(([, name, styleUrl]) => [name, styleColors[styleUrl]])
+      );
+
+      expect(Object.keys(placemarkColors)).toHaveLength(8);
+      expect(Object.fromEntries(data.markers.map(marker => [marker.label, marker.color]))).toEqual(placemarkColors);
+    });
+
+    test('joins each zipcode found by both sources with a line in its color', () => {
+      const markerColor = label => data.markers.find(marker => marker.label === label).color;
+
+      expect(data.lines.map(line => line.color)).toEqual([
+        markerColor('92054 (zipcodes)'),
+        markerColor('92056 (zipcodes)'),
+        markerColor('92083 (zipcodes)')
+      ]);
+      expect(data.circles.map(circle => [circle.label, circle.dashed])).toEqual([
+        ['5 mile radius (zipcodes)', false],
+        ['5 mile radius (zippopotam)', true]
+      ]);
+    });
+
+    test('shows the coordinate and distance differences in pair popups', () => {
+      const popup = label => data.markers.find(marker => marker.label === label).popup;
+
+      expect(popup('92056 (zipcodes)')).toContain('<tr><td>Coordinate difference</td><td>0.50 miles</td></tr>');
+      expect(popup('92056 (zippopotam)')).toContain('<tr><td>Distance difference</td><td>0.65 miles</td></tr>');
+      expect(data.lines[1].popup).toBe('<strong>92056</strong><table class="zipcode-popup">' +
+        '<tr><td>Coordinate difference</td><td>0.50 miles</td></tr>' +
+        '<tr><td>Distance difference</td><td>0.65 miles</td></tr></table>');
+      expect(popup('92058 (zipcodes)')).not.toContain('difference');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RateLimiter = require('../../src/utils/rate-limiter');
+const { RateLimitError } = require('../../src/utils/errors');
+
+describe('RateLimiter', () => {
+  describe('per-second rate', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('lets a burst through at once, then spaces requests at the rate', async () => {
+      const limiter = new RateLimiter({ name: 'test', rps: 10, burst: 2 });
+      const released = [];
+
+      for (let request = 0; request < 4; request++) {
+        limiter.acquire().then(() => released.push(request));
+      }
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(released).toEqual([0, 1]);
+
+      await jest.advanceTimersByTimeAsync(100);
+      expect(released).toEqual([0, 1, 2]);
+
+      await jest.advanceTimersByTimeAsync(100);
+      expect(released).toEqual([0, 1, 2, 3]);
+    });
+
+    test('refills tokens while idle, up to the burst size', async () => {
+      const limiter = new RateLimiter({ name: 'test', rps: 10, burst: 2 });
+      await limiter.acquire();
+      await limiter.acquire();
+
+      await jest.advanceTimersByTimeAsync(5000);
+      const released = [];
+      for (let request = 0; request < 3; request++) {
+        limiter.acquire().then(() => released.push(request));
+      }
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(released).toEqual([0, 1]);
+    });
+
+    test('does not wait without a rate', async () => {
+      const limiter = new RateLimiter({ name: 'test', rps: null });
+      await Promise.all(Array.from({ length: 50 }, () => limiter.acquire()));
+      expect(limiter.getStats()).toMatchObject({ used: 50, queued: 0 });
+    });
+  });
+
+  describe('daily cap', () => {
+    test('fails requests over the cap with a RateLimitError', async () => {
+      const limiter = new RateLimiter({ name: 'googlemaps', daily: 2 });
+      await limiter.acquire();
+      await limiter.acquire();
+
+      await expect(limiter.acquire()).rejects.toThrow(RateLimitError);
+      await expect(limiter.acquire()).rejects.toMatchObject({ source: 'googlemaps', limit: 2 });
+    });
+
+    test('a refused request does not hold up the queue', async () => {
+      const limiter = new RateLimiter({ name: 'test', daily: 1 });
+      await limiter.acquire();
+
+      const results = await Promise.allSettled([limiter.acquire(), limiter.acquire()]);
+      expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+      expect(limiter.getStats().queued).toBe(0);
+    });
+
+    test('starts counting again on a new UTC day', async () => {
+      const limiter = new RateLimiter({ name: 'test', daily: 1 });
+      const currentDay = jest.spyOn(limiter, 'currentDay').mockReturnValue('2026-01-01');
+      limiter.day = '2026-01-01';
+
+      await limiter.acquire();
+      await expect(limiter.acquire()).rejects.toThrow(RateLimitError);
+
+      currentDay.mockReturnValue('2026-01-02');
+      await expect(limiter.acquire()).resolves.toBeUndefined();
+    });
+
+    describe('with a usage file', () => {
+      let directory;
+
+      beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-'));
+      });
+
+      afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+      });
+
+      test('carries the count across limiters, as across CLI runs', async () => {
+        const usageFile = path.join(directory, 'usage', 'googlemaps.json');
+
+        const firstRun = new RateLimiter({ name: 'googlemaps', daily: 3, usageFile });
+        await firstRun.acquire();
+        await firstRun.acquire();
+
+        const secondRun = new RateLimiter({ name: 'googlemaps', daily: 3, usageFile });
+        await secondRun.acquire();
+        await expect(secondRun.acquire()).rejects.toThrow(RateLimitError);
+
+        expect(JSON.parse(fs.readFileSync(usageFile, 'utf8'))).toEqual({ day: secondRun.day, used: 3 });
+      });
+
+      test('interleaved runs add to each other\'s counts instead of overwriting them', async () => {
+        const usageFile = path.join(directory, 'nominatim.json');
+        const first = new RateLimiter({ name: 'nominatim', daily: 10, usageFile });
+        const second = new RateLimiter({ name: 'nominatim', daily: 10, usageFile });
+
+        for (let round = 0; round < 3; round++) {
+          await first.acquire();
+          await second.acquire();
+        }
+
+        expect(JSON.parse(fs.readFileSync(usageFile, 'utf8')).used).toBe(6);
+        expect(fs.readdirSync(directory)).toEqual(['nominatim.json']);
+      });
+
+      test('checks the cap again after waiting for a token', async () => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+        const usageFile = path.join(directory, 'googlemaps.json');
+
+        try {
+          const limiter = new RateLimiter({ name: 'googlemaps', rps: 1, daily: 5, usageFile });
+          await limiter.acquire();
+
+          const waiting = limiter.acquire();
+          const outcome = waiting.then(() => 'sent', error => error);
+          // Another run uses up the cap while this request waits for its token
+          fs.writeFileSync(usageFile, JSON.stringify({ day: limiter.day, used: 5 }));
+          await jest.advanceTimersByTimeAsync(1000);
+
+          expect(await outcome).toBeInstanceOf(RateLimitError);
+        } finally {
+          jest.useRealTimers();
+        }
+      });
+
+      test('ignores a count recorded on another day', async () => {
+        const usageFile = path.join(directory, 'census.json');
+        fs.writeFileSync(usageFile, JSON.stringify({ day: '2000-01-01', used: 99 }));
+
+        const limiter = new RateLimiter({ name: 'census', daily: 2, usageFile });
+        await expect(limiter.acquire()).resolves.toBeUndefined();
+        expect(limiter.getStats().used).toBe(1);
+      });
+
+      test('keeps enforcing the cap in memory when the file cannot be written', async () => {
+        const blocker = path.join(directory, 'not-a-directory');
+        fs.writeFileSync(blocker, '');
+
+        const limiter = new RateLimiter({ name: 'test', daily: 1, usageFile: path.join(blocker, 'test.json') });
+        await limiter.acquire();
+        await expect(limiter.acquire()).rejects.toThrow(RateLimitError);
+      });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { writePointShapefile } = require('../../src/utils/shapefile-writer');
+const { parseDbf } = require('../../src/data/sources/shapefile-reader');
+const { formatGPX, formatShapefile } = require('../../src/utils/formatters');
+const { readZip } = require('../helpers/read-zip');
+
+const point = (lon, lat, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties
+});
+
+/**
+ * Read the fixed header fields shared by .shp and .shx
+ */
+function readHeader(buffer) {
+  return {
+    fileCode: buffer.readInt32BE(0),
+    length: buffer.readInt32BE(24) * 2,
+    version: buffer.readInt32LE(28),
+    shapeType: buffer.readInt32LE(32),
+    bounds: [0, 1, 2, 3].map(index => buffer.readDoubleLE(36 + index * 8))
+  };
+}
+
+/**
+ * Read .dbf field descriptors as {name, type, length, decimals}
+ */
+function readFields(dbf) {
+  const fields = [];
+  for (let offset = 32; dbf[offset] !== 0x0D; offset += 32) {
+    fields.push({
+      name: dbf.toString('latin1', offset, offset + 11).replace(/\0/g, ''),
+      type: String.fromCharCode(dbf[offset + 11]),
+      length: dbf[offset + 16],
+      decimals: dbf[offset + 17]
+    });
+  }
+  return fields;
+}
+
+describe('writePointShapefile', () => {
+  const features = [
+    point(-117.35, 33.2, { zipcode: '92054', distance: 0 }),
+    { type: 'Feature', geometry: null, properties: { zipcode: '92056', distance: 3.25 } },
+    point(-117.1, 33.05, { zipcode: '92069', distance: 14.5 })
+  ];
+
+  test('writes .shp and .shx headers with lengths in 16-bit words and the point bounds', () => {
+    const { shp, shx } = writePointShapefile(features);
+
+    for (const buffer of [shp, shx]) {
+      const header = readHeader(buffer);
+      expect(header).toMatchObject({ fileCode: 9994, length: buffer.length, version: 1000, shapeType: 1 });
+      // Null shapes do not widen the box
+      expect(header.bounds).toEqual([-117.35, 33.05, -117.1, 33.2]);
+    }
+    expect(shx.length).toBe(100 + 3 * 8);
+  });
+
+  test('indexes each record in the .shx and writes null shapes for features without a geometry', () => {
+    const { shp, shx } = writePointShapefile(features);
+    const records = [0, 1, 2].map(index => {
+      const offset = shx.readInt32BE(100 + index * 8) * 2;
+      return {
+        number: shp.readInt32BE(offset),
+        contentLength: shp.readInt32BE(offset + 4) * 2,
+        indexedLength: shx.readInt32BE(100 + index * 8 + 4) * 2,
+        shapeType: shp.readInt32LE(offset + 8),
+        offset
+      };
+    });
+
+    expect(records.map(record => record.number)).toEqual([1, 2, 3]);
+    expect(records.map(record => record.shapeType)).toEqual([1, 0, 1]);
+    expect(records.map(record => record.contentLength)).toEqual([20, 4, 20]);
+    expect(records.map(record => record.indexedLength)).toEqual([20, 4, 20]);
+    expect(shp.readDoubleLE(records[2].offset + 12)).toBe(-117.1);
+    expect(shp.readDoubleLE(records[2].offset + 20)).toBe(33.05);
+  });
+
+  test('writes zero bounds when no feature has a position', () => {
+    const { shp } = writePointShapefile([{ type: 'Feature', geometry: null, properties: {} }]);
+    expect(readHeader(shp).bounds).toEqual([0, 0, 0, 0]);
+  });
+
+  test('types .dbf columns from their values', () => {
+    const { dbf } = writePointShapefile([
+      point(0, 0, { zipcode: '92054', miles: 1.5, count: 12, active: true }),
+      point(0, 0, { zipcode: '92056', miles: 10, count: null, active: false })
+    ]);
+
+    expect(dbf.readUInt32LE(4)).toBe(2);
+    expect(readFields(dbf)).toEqual([
+      { name: 'zipcode', type: 'C', length: 5, decimals: 0 },
+      { name: 'miles', type: 'N', length: 4, decimals: 1 },
+      { name: 'count', type: 'N', length: 2, decimals: 0 },
+      { name: 'active', type: 'L', length: 1, decimals: 0 }
+    ]);
+    expect(parseDbf(dbf)).toEqual([
+      { zipcode: '92054', miles: 1.5, count: 12, active: 'T' },
+      { zipcode: '92056', miles: 10, count: null, active: 'F' }
+    ]);
+  });
+
+  test('cuts field names to 10 characters and numbers names that collide', () => {
+    const { dbf } = writePointShapefile([
+      point(0, 0, { population_2020: 1, population_2010: 2, 'land area': 3 })
+    ]);
+
+    expect(readFields(dbf).map(field => field.name)).toEqual(['population', 'populatio1', 'land_area']);
+  });
+
+  test('writes large result sets without running out of stack', () => {
+    const many = Array.from({ length: 200000 }, (_, index) => point(-180 + index / 1000, (index % 1800) / 10 - 90, { rank: index }));
+    const { shp } = writePointShapefile(many);
+
+    expect(readHeader(shp).bounds).toEqual([-180, -90, -180 + 199999 / 1000, 89.9]);
+  });
+});
+
+describe('formatGPX', () => {
+  test('writes one waypoint per positioned record, escaping text', () => {
+    const gpx = formatGPX([
+      { zipcode: '92054', city: 'Oceanside', state: 'CA', latitude: 33.2, longitude: -117.35, distance: 1.2 },
+      { zipcode: '92056', city: 'A & B <Heights>', state: 'CA', latitude: 33.19, longitude: -117.29 },
+      { zipcode: '99999', city: 'Nowhere', state: 'CA', latitude: null, longitude: null }
+    ], { source: 'zipcodes' });
+
+    expect(gpx).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx version="1.1"/);
+    expect(gpx.match(/<wpt /g)).toHaveLength(2);
+    expect(gpx).toContain('<wpt lat="33.2" lon="-117.35">');
+    expect(gpx).toContain('<cmt>1.2 miles</cmt>');
+    expect(gpx).toContain('<desc>A &amp; B &lt;Heights&gt;, CA</desc>');
+    expect(gpx).toContain('<src>zipcodes</src>');
+    expect(gpx).not.toContain('99999');
+  });
+
+  test('names the search center', () => {
+    const gpx = formatGPX([], { center: { latitude: 33.2, longitude: -117.35 } });
+    expect(gpx).toContain('<name>Center</name>');
+    expect(gpx).toContain('<type>center</type>');
+  });
+});
+
+describe('formatShapefile', () => {
+  test('zips the five shapefile parts under the given name', () => {
+    const archive = formatShapefile([
+      { zipcode: '92054', city: 'Oceanside', state: 'CA', latitude: 33.2, longitude: -117.35 }
+    ], { name: 'radius' });
+    const entries = readZip(archive);
+
+    expect(entries.map(entry => entry.name)).toEqual(['radius.shp', 'radius.shx', 'radius.dbf', 'radius.prj', 'radius.cpg']);
+    expect(readHeader(entries[0].data).bounds).toEqual([-117.35, 33.2, -117.35, 33.2]);
+    expect(parseDbf(entries[2].data)).toEqual([{ zipcode: '92054', city: 'Oceanside', state: 'CA', role: 'result' }]);
+    expect(entries[3].data.toString()).toMatch(/^GEOGCS\["GCS_WGS_1984"/);
+    expect(entries[4].data.toString()).toBe('UTF-8');
+  });
+
+  test('drops comparison difference lines', () => {
+    const collection = {
+      type: 'FeatureCollection',
+      features: [
+        point(-117.35, 33.2, { zipcode: '92054' }),
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [[-117.35, 33.2], [-117.3, 33.2]] }, properties: {} }
+      ]
+    };
+    const [shp] = readZip(formatShapefile(collection));
+
+    expect(shp.name).toBe('zipcodes.shp');
+    expect(shp.data.length).toBe(100 + 8 + 20);
+  });
+});
@@ -0,0 +1,97 @@
+const SpatialIndex = require('../../src/utils/spatial-index');
+const { calculateDistance } = require('../../src/utils/distance');
+
+// Deterministic pseudo-random numbers, so a failure can be reproduced
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function makeRecords(count, next) {
+  return Array.from({ length: count }, (_, index) => ({
+    zipcode: String(index).padStart(5, '0'),
+    latitude: next() * 180 - 90,
+    longitude: next() * 360 - 180
+  }));
+}
+
+function bruteForce(records, lat, lon) {
+  return records
+    .map(record => ({ record, distance: calculateDistance(lat, lon, record.latitude, record.longitude) }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+const zipcodesOf = results => results.map(result => result.record.zipcode);
+
+describe('SpatialIndex', () => {
+  const next = random(42);
+  const records = makeRecords(2000, next);
+  const index = new SpatialIndex(records);
+  const queries = Array.from({ length: 25 }, () => [next() * 180 - 90, next() * 360 - 180]);
+
+  test('nearest returns the same records as a brute-force scan', () => {
+    for (const [lat, lon] of queries) {
+      const expected = bruteForce(records, lat, lon).slice(0, 10);
+      const actual = index.nearest(lat, lon, 10);
+
+      expect(zipcodesOf(actual)).toEqual(zipcodesOf(expected));
+      actual.forEach((result, position) => {
+        expect(result.distance).toBeCloseTo(expected[position].distance, 9);
+      });
+    }
+  });
+
+  test('within returns every record inside the radius, sorted by distance', () => {
+    for (const [lat, lon] of queries) {
+      const expected = bruteForce(records, lat, lon).filter(result => result.distance <= 500);
+      expect(zipcodesOf(index.within(lat, lon, 500))).toEqual(zipcodesOf(expected));
+    }
+  });
+
+  test('nearest with a distance cap stops at the cap', () => {
+    for (const [lat, lon] of queries) {
+      const expected = bruteForce(records, lat, lon).filter(result => result.distance <= 300).slice(0, 5);
+      expect(zipcodesOf(index.nearest(lat, lon, 5, 300))).toEqual(zipcodesOf(expected));
+    }
+  });
+
+  test('nearest with an unlimited count returns everything within the cap', () => {
+    const expected = bruteForce(records, 33.2, -117.35).filter(result => result.distance <= 800);
+    expect(zipcodesOf(index.nearest(33.2, -117.35, Infinity, 800))).toEqual(zipcodesOf(expected));
+  });
+
+  test('finds neighbours across the antimeridian and near the poles', () => {
+    const edgeRecords = [
+      { zipcode: 'east', latitude: 0, longitude: 179.9 },
+      { zipcode: 'west', latitude: 0, longitude: -179.9 },
+      { zipcode: 'far', latitude: 0, longitude: 0 },
+      { zipcode: 'pole', latitude: 89.9, longitude: 0 },
+      { zipcode: 'pole-opposite', latitude: 89.9, longitude: 180 }
+    ];
+    const edgeIndex = new SpatialIndex(edgeRecords);
+
+    expect(zipcodesOf(edgeIndex.nearest(0, 179.95, 2))).toEqual(['east', 'west']);
+    expect(zipcodesOf(edgeIndex.within(90, 0, 20)).sort()).toEqual(['pole', 'pole-opposite']);
+  });
+
+  test('skips records without usable coordinates', () => {
+    const mixed = new SpatialIndex([
+      { zipcode: 'ok', latitude: 10, longitude: 10 },
+      { zipcode: 'missing', latitude: null, longitude: 10 },
+      { zipcode: 'text', latitude: 'north', longitude: 10 },
+      null
+    ]);
+
+    expect(mixed.size).toBe(1);
+    expect(zipcodesOf(mixed.nearest(0, 0, 5))).toEqual(['ok']);
+  });
+
+  test('an empty index finds nothing', () => {
+    const empty = new SpatialIndex([]);
+    expect(empty.nearest(0, 0, 3)).toEqual([]);
+    expect(empty.within(0, 0, 100)).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+const zlib = require('zlib');
+const { crc32, createZip } = require('../../src/utils/zip-writer');
+const { renderLegend } = require('../../src/utils/legend-image');
+const { readZip } = require('../helpers/read-zip');
+
+describe('crc32', () => {
+  test('matches the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  test('writes entries that read back unchanged, with their checksums', () => {
+    const kml = '<kml>' + '<Placemark/>'.repeat(200) + '</kml>';
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+    const entries = readZip(createZip([
+      { name: 'doc.kml', data: kml },
+      { name: 'files/legend.png', data: png }
+    ]));
+
+    expect(entries.map(entry => entry.name)).toEqual(['doc.kml', 'files/legend.png']);
+    expect(entries[0].data.toString('utf8')).toBe(kml);
+    expect(entries[1].data).toEqual(png);
+    for (const entry of entries) {
+      expect(entry.crc).toBe(crc32(entry.data));
+    }
+  });
+
+  test('deflates entries only when that makes them smaller', () => {
+    const [repetitive, tiny, stored] = readZip(createZip([
+      { name: 'a.txt', data: 'a'.repeat(1000) },
+      { name: 'b.txt', data: 'b' },
+      { name: 'c.txt', data: 'c'.repeat(1000), compress: false }
+    ]));
+
+    expect(repetitive.method).toBe(8);
+    expect(tiny.method).toBe(0);
+    expect(stored.method).toBe(0);
+  });
+
+  test('marks names as UTF-8', () => {
+    const [entry] = readZip(createZip([{ name: 'Cañon City.kml', data: '' }]));
+    expect(entry.name).toBe('Cañon City.kml');
+    expect(entry.flags & 0x0800).toBe(0x0800);
+  });
+
+  test('writes an empty archive', () => {
+    expect(readZip(createZip([]))).toEqual([]);
+  });
+});
+
+describe('renderLegend', () => {
+  /**
+   * Split a PNG into chunks, checking each chunk's CRC
+   */
+  function readPng(png) {
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    const chunks = [];
+    let offset = 8;
+    while (offset < png.length) {
+      const length = png.readUInt32BE(offset);
+      const type = png.toString('ascii', offset + 4, offset + 8);
+      const data = png.subarray(offset + 8, offset + 8 + length);
+      expect(png.readUInt32BE(offset + 8 + length)).toBe(crc32(png.subarray(offset + 4, offset + 8 + length)));
+      chunks.push({ type, data });
+      offset += 12 + length;
+    }
+    return chunks;
+  }
+
+  test('produces a valid RGBA PNG sized to its rows', () => {
+    const chunks = readPng(renderLegend([
+      { color: '00ff00', label: 'Center' },
+      { color: ['ff0000', '0000ff'], label: 'Result', shape: 'line' }
+    ], 'Radius search'));
+
+    expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    const width = chunks[0].data.readUInt32BE(0);
+    const height = chunks[0].data.readUInt32BE(4);
+    expect(chunks[0].data[8]).toBe(8);
+    expect(chunks[0].data[9]).toBe(6);
+
+    // Padding plus a title row and one row per entry
+    expect(height).toBe(10 * 2 + 24 * 3);
+    expect(zlib.inflateSync(chunks[1].data).length).toBe((width * 4 + 1) * height);
+  });
+
+  test('grows with the longest label', () => {
+    const width = png => png.readUInt32BE(16);
+    const short = renderLegend([{ color: 'ff0000', label: 'A' }]);
+    const long = renderLegend([{ color: 'ff0000', label: 'A much longer legend label' }]);
+
+    expect(width(long)).toBeGreaterThan(width(short));
+  });
+});